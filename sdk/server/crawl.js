@@ -0,0 +1,112 @@
+/**
+ * Blitsum Site Crawler CLI
+ * Builds the site index at build/deploy time, so visitors never pay for a
+ * crawl. Serve the output file and point the SDK at it:
+ *   Blitsum.init({ siteIndex: { url: '/blitsum-site-index.json' } })
+ *
+ * Usage:
+ *   node sdk/server/crawl.js https://example.com [options]
+ *
+ * Options:
+ *   --out <file>         Output path (default public/blitsum-site-index.json)
+ *   --max-pages <n>      Stop after n pages (default 30)
+ *   --exclude <paths>    Comma-separated path prefixes to skip, e.g. /blog,/admin
+ *   --no-sitemap         Follow links only
+ *   --render             Run page scripts before extracting (client-rendered sites)
+ *
+ * Requires jsdom (a devDependency of this repo).
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { SiteCrawler } from '../src/site/crawler.js';
+
+const DEFAULT_OUT = 'public/blitsum-site-index.json';
+
+// Time for client-rendered pages to finish rendering with --render
+const RENDER_SETTLE_DELAY = 1500;
+
+function parseArgs(argv) {
+    const options = { startUrl: null, out: DEFAULT_OUT, maxPages: 30, exclude: [], useSitemap: true, render: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--max-pages') options.maxPages = Number(argv[++i]) || options.maxPages;
+        else if (arg === '--exclude') options.exclude = argv[++i].split(',').map(p => p.trim()).filter(Boolean);
+        else if (arg === '--no-sitemap') options.useSitemap = false;
+        else if (arg === '--render') options.render = true;
+        else if (!arg.startsWith('--')) options.startUrl = arg;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (!options.startUrl) {
+        throw new Error('Usage: node sdk/server/crawl.js <start-url> [--out file] [--max-pages n] [--exclude /a,/b] [--no-sitemap] [--render]');
+    }
+    return options;
+}
+
+/**
+ * Create a jsdom-backed document loader
+ * @param {boolean} render - Execute page scripts before extracting
+ * @returns {Promise<Function>} async (url) => Document
+ */
+async function createNodeLoader(render) {
+    const { JSDOM, VirtualConsole } = await import('jsdom');
+    // Page scripts are noisy under jsdom; their errors aren't ours to report
+    const virtualConsole = new VirtualConsole();
+
+    if (render) {
+        return async (url) => {
+            const dom = await JSDOM.fromURL(url, {
+                runScripts: 'dangerously',
+                resources: 'usable',
+                pretendToBeVisual: true,
+                virtualConsole
+            });
+            await new Promise(resolve => {
+                if (dom.window.document.readyState === 'complete') resolve();
+                else dom.window.addEventListener('load', resolve, { once: true });
+            });
+            await new Promise(resolve => setTimeout(resolve, RENDER_SETTLE_DELAY));
+
+            // Snapshot the rendered markup and stop the page's timers and sockets
+            const html = dom.serialize();
+            dom.window.close();
+            return new JSDOM(html, { url }).window.document;
+        };
+    }
+
+    return async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        if (!(response.headers.get('content-type') || '').includes('text/html')) {
+            throw new Error('Not an HTML page');
+        }
+        return new JSDOM(await response.text(), { url }).window.document;
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const crawler = new SiteCrawler({
+        loadDocument: await createNodeLoader(options.render),
+        maxPages: options.maxPages,
+        exclude: options.exclude,
+        useSitemap: options.useSitemap,
+        delayMs: 0
+    });
+
+    const index = await crawler.crawl(options.startUrl, (page, count) => {
+        console.log(`[Crawler] ${count}. ${page.path} - ${page.title || '(untitled)'}`);
+    });
+
+    await fs.mkdir(path.dirname(options.out), { recursive: true });
+    await fs.writeFile(options.out, JSON.stringify(index, null, 2));
+    console.log(`[Crawler] Wrote ${index.pages.length} pages (v${index.version}, ${index.hash}) to ${options.out}`);
+}
+
+main().catch(error => {
+    console.error('[Crawler]', error.message);
+    process.exitCode = 1;
+});
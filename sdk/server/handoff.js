@@ -0,0 +1,613 @@
+/**
+ * Blitsum Handoff Server
+ * Local stand-in for a live-chat backend. Visitors whose conversation is
+ * escalated connect over WebSocket and are queued for the sales reps
+ * signed in to the agent console (served at /). The first rep to accept
+ * gets the transcript, visitor profile and qualification, and chats with
+ * the visitor until either side ends it. Messages left while nobody is
+ * online are kept in memory and shown to the next rep who signs in.
+ *
+ * Zero dependencies: the WebSocket handshake and framing (RFC 6455) are
+ * implemented on node:http, enough for text messages, ping/pong and close.
+ *
+ * Usage:
+ *   AGENT_SECRET=... node sdk/server/handoff.js
+ *   open http://localhost:8788/?secret=...
+ *
+ * Environment:
+ *   PORT             Port to listen on (default 8788)
+ *   AGENT_SECRET     Shared secret reps use to sign in (random per process if unset)
+ *   ALLOWED_ORIGINS  Comma-separated allow list for visitor connections (default '*')
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const config = {
+    port: Number(process.env.PORT) || 8788,
+    secret: process.env.AGENT_SECRET || crypto.randomBytes(16).toString('hex'),
+    allowedOrigins: (process.env.ALLOWED_ORIGINS || '*').split(',').map(o => o.trim())
+};
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 256 * 1024;
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_MESSAGES_LEFT = 100;
+
+// ========== WEBSOCKET ==========
+
+const Opcode = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+/**
+ * Encode a single unmasked server frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * A server-side WebSocket connection carrying JSON messages
+ */
+class Connection {
+    constructor(socket, { onMessage, onClose }) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.alive = true;
+        this.closed = false;
+
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.terminate());
+        socket.on('error', () => this.terminate());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Clients must mask their frames
+            if (!masked || length > MAX_MESSAGE_BYTES) {
+                this.close(masked ? 1009 : 1002);
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+            if (this.closed) return;
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case Opcode.PING:
+                this.write(Opcode.PONG, payload);
+                return;
+            case Opcode.PONG:
+                this.alive = true;
+                return;
+            case Opcode.CLOSE:
+                this.close();
+                return;
+            case Opcode.BINARY:
+                this.close(1003);
+                return;
+        }
+
+        // Text, possibly split across continuation frames
+        this.fragments.push(payload);
+        if (this.fragments.reduce((size, part) => size + part.length, 0) > MAX_MESSAGE_BYTES) {
+            this.close(1009);
+            return;
+        }
+        if (!fin) return;
+
+        const text = Buffer.concat(this.fragments).toString('utf8');
+        this.fragments = [];
+        try {
+            this.onMessage(JSON.parse(text));
+        } catch (error) {
+            console.warn('[Handoff] Ignoring malformed message:', error.message);
+        }
+    }
+
+    write(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+        this.socket.write(encodeFrame(opcode, payload));
+    }
+
+    /**
+     * Send a protocol message
+     * @param {string} type - Message type
+     * @param {Object} payload - Message fields
+     */
+    send(type, payload = {}) {
+        this.write(Opcode.TEXT, Buffer.from(JSON.stringify({ type, ...payload })));
+    }
+
+    /**
+     * Ping the client; drop it if the last ping went unanswered
+     */
+    heartbeat() {
+        if (!this.alive) {
+            this.terminate();
+            return;
+        }
+        this.alive = false;
+        this.write(Opcode.PING);
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.write(Opcode.CLOSE, payload);
+        this.socket.end();
+        this.terminate();
+    }
+
+    terminate() {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.destroy();
+        this.onClose();
+    }
+}
+
+/**
+ * Complete the WebSocket handshake for an upgrade request
+ * @returns {boolean} False when the request isn't a valid WebSocket upgrade
+ */
+function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers['sec-websocket-version'] !== '13') return false;
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    return true;
+}
+
+function rejectUpgrade(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+}
+
+function isOriginAllowed(origin) {
+    return config.allowedOrigins.includes('*') || (!!origin && config.allowedOrigins.includes(origin));
+}
+
+function isAgentSecret(secret = '') {
+    const expected = Buffer.from(config.secret);
+    const given = Buffer.from(secret);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// ========== ROUTING ==========
+
+/**
+ * Queue and routing state shared by visitors and agents
+ */
+function createHub() {
+    const visitors = new Map(); // id -> { id, connection, visitorId, sessionId, request, agentId }
+    const agents = new Map(); // id -> { id, connection, name }
+    const messagesLeft = [];
+
+    const agentInfo = (agent) => ({ id: agent.id, name: agent.name });
+
+    const broadcastToAgents = (type, payload) => {
+        agents.forEach(agent => agent.connection.send(type, payload));
+    };
+
+    const broadcastPresence = () => {
+        visitors.forEach(visitor => visitor.connection.send('presence', { agentsOnline: agents.size }));
+    };
+
+    const pendingRequests = () => [...visitors.values()]
+        .filter(visitor => visitor.request)
+        .map(visitor => ({ ...visitor.request, agent: visitor.agentId ? agentInfo(agents.get(visitor.agentId)) : null }));
+
+    const closeRequest = (visitor) => {
+        if (!visitor.request) return;
+        visitor.request = null;
+        visitor.agentId = null;
+        broadcastToAgents('request_closed', { id: visitor.id });
+    };
+
+    const handleVisitor = (visitor, message) => {
+        const agent = visitor.agentId ? agents.get(visitor.agentId) : null;
+
+        switch (message.type) {
+            case 'hello':
+                visitor.visitorId = message.visitorId || null;
+                visitor.sessionId = message.sessionId || null;
+                visitor.connection.send('presence', { agentsOnline: agents.size });
+                break;
+            case 'handoff_request':
+                if (visitor.request) break;
+                if (agents.size === 0) {
+                    visitor.connection.send('unavailable');
+                    break;
+                }
+                visitor.request = {
+                    id: visitor.id,
+                    reason: message.reason || 'requested',
+                    visitorId: visitor.visitorId,
+                    sessionId: visitor.sessionId,
+                    stage: message.stage || null,
+                    page: message.page || null,
+                    contact: message.contact || {},
+                    qualification: message.qualification || null,
+                    profile: message.profile || null,
+                    transcript: Array.isArray(message.transcript) ? message.transcript : [],
+                    requestedAt: new Date().toISOString()
+                };
+                visitor.connection.send('queued');
+                broadcastToAgents('request', { request: visitor.request });
+                console.log(`[Handoff] Visitor ${visitor.id} is waiting (${visitor.request.reason})`);
+                break;
+            case 'message':
+                if (!visitor.request || typeof message.text !== 'string') break;
+                visitor.request.transcript.push({ role: 'user', text: message.text, source: 'handoff', timestamp: Date.now() });
+                // Before a rep accepts, everyone sees it in the queue
+                if (agent) agent.connection.send('visitor_message', { id: visitor.id, text: message.text });
+                else broadcastToAgents('visitor_message', { id: visitor.id, text: message.text });
+                break;
+            case 'typing':
+                if (agent) agent.connection.send('visitor_typing', { id: visitor.id, typing: !!message.typing });
+                break;
+            case 'leave_message': {
+                const left = {
+                    id: crypto.randomUUID(),
+                    visitorId: visitor.visitorId,
+                    contact: message.contact || {},
+                    text: String(message.text || ''),
+                    page: message.page || null,
+                    leftAt: new Date().toISOString()
+                };
+                messagesLeft.push(left);
+                if (messagesLeft.length > MAX_MESSAGES_LEFT) messagesLeft.shift();
+                broadcastToAgents('message_left', { message: left });
+                console.log(`[Handoff] Message left by ${left.contact.email || 'a visitor'}`);
+                break;
+            }
+            case 'end':
+                if (agent) agent.connection.send('visitor_left', { id: visitor.id });
+                closeRequest(visitor);
+                break;
+        }
+    };
+
+    const handleAgent = (agent, message) => {
+        const visitor = visitors.get(message.id);
+        const assigned = visitor?.request && visitor.agentId === agent.id;
+
+        switch (message.type) {
+            case 'hello':
+                agent.name = String(message.name || '').trim().slice(0, 60) || 'Sales team';
+                agent.connection.send('welcome', { agent: agentInfo(agent), requests: pendingRequests(), messagesLeft });
+                broadcastToAgents('agents', { agents: [...agents.values()].map(agentInfo) });
+                break;
+            case 'accept':
+                if (!visitor?.request || visitor.agentId) {
+                    agent.connection.send('request_closed', { id: message.id });
+                    break;
+                }
+                visitor.agentId = agent.id;
+                visitor.connection.send('agent_joined', { agent: { name: agent.name } });
+                broadcastToAgents('request_taken', { id: visitor.id, agent: agentInfo(agent) });
+                console.log(`[Handoff] ${agent.name} took visitor ${visitor.id}`);
+                break;
+            case 'message':
+                if (!assigned || typeof message.text !== 'string' || !message.text.trim()) break;
+                visitor.request.transcript.push({ role: 'assistant', text: message.text, source: 'agent', timestamp: Date.now() });
+                visitor.connection.send('agent_message', { text: message.text, agent: { name: agent.name } });
+                break;
+            case 'typing':
+                if (assigned) visitor.connection.send('agent_typing', { typing: !!message.typing });
+                break;
+            case 'end':
+                if (!assigned) break;
+                visitor.connection.send('agent_left', { agent: { name: agent.name } });
+                closeRequest(visitor);
+                break;
+        }
+    };
+
+    return {
+        addVisitor(socket) {
+            const visitor = { id: crypto.randomUUID(), visitorId: null, sessionId: null, request: null, agentId: null };
+            visitor.connection = new Connection(socket, {
+                onMessage: (message) => handleVisitor(visitor, message),
+                onClose: () => {
+                    visitors.delete(visitor.id);
+                    const agent = visitor.agentId ? agents.get(visitor.agentId) : null;
+                    if (agent) agent.connection.send('visitor_left', { id: visitor.id });
+                    closeRequest(visitor);
+                }
+            });
+            visitors.set(visitor.id, visitor);
+        },
+
+        addAgent(socket) {
+            const agent = { id: crypto.randomUUID(), name: 'Sales team' };
+            agent.connection = new Connection(socket, {
+                onMessage: (message) => handleAgent(agent, message),
+                onClose: () => {
+                    agents.delete(agent.id);
+                    // Visitors this rep was helping go back to the assistant
+                    visitors.forEach(visitor => {
+                        if (visitor.agentId !== agent.id) return;
+                        visitor.connection.send('agent_left', { agent: { name: agent.name } });
+                        closeRequest(visitor);
+                    });
+                    broadcastToAgents('agents', { agents: [...agents.values()].map(agentInfo) });
+                    broadcastPresence();
+                }
+            });
+            agents.set(agent.id, agent);
+            broadcastPresence();
+        },
+
+        heartbeat() {
+            visitors.forEach(visitor => visitor.connection.heartbeat());
+            agents.forEach(agent => agent.connection.heartbeat());
+        }
+    };
+}
+
+// ========== AGENT CONSOLE ==========
+
+const CONSOLE_HTML = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Blitsum agent console</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; display: flex; height: 100vh; color: #0f172a; }
+  aside { width: 320px; border-right: 1px solid #e2e8f0; overflow-y: auto; padding: 16px; background: #f8fafc; }
+  main { flex: 1; display: flex; flex-direction: column; }
+  h2 { font-size: 13px; text-transform: uppercase; color: #64748b; margin: 16px 0 8px; }
+  .item { border: 1px solid #e2e8f0; border-radius: 8px; padding: 8px; margin-bottom: 8px; background: #fff; cursor: pointer; }
+  .item.active { border-color: #4f46e5; }
+  .meta { color: #64748b; font-size: 12px; }
+  #context { padding: 16px; border-bottom: 1px solid #e2e8f0; font-size: 12px; white-space: pre-wrap; max-height: 30vh; overflow-y: auto; }
+  #log { flex: 1; overflow-y: auto; padding: 16px; }
+  .msg { margin: 6px 0; }
+  .msg b { color: #4f46e5; }
+  form { display: flex; gap: 8px; padding: 16px; border-top: 1px solid #e2e8f0; }
+  input { flex: 1; padding: 8px; border: 1px solid #cbd5e1; border-radius: 6px; }
+  button { padding: 8px 12px; border: 0; border-radius: 6px; background: #4f46e5; color: #fff; cursor: pointer; }
+  button.secondary { background: #e2e8f0; color: #0f172a; }
+</style>
+</head>
+<body>
+<aside>
+  <div id="status" class="meta">Connecting…</div>
+  <h2>Queue</h2><div id="requests"></div>
+  <h2>Messages left</h2><div id="left"></div>
+</aside>
+<main>
+  <div id="context">Pick a visitor from the queue.</div>
+  <div id="log" aria-live="polite"></div>
+  <div id="typing" class="meta" style="padding: 0 16px"></div>
+  <form id="form">
+    <input id="text" placeholder="Reply to the visitor" autocomplete="off" disabled>
+    <button id="accept" type="button" disabled>Accept</button>
+    <button id="end" type="button" class="secondary" disabled>End</button>
+  </form>
+</main>
+<script>
+  const params = new URLSearchParams(location.search);
+  const name = params.get('name') || prompt('Your name (shown to visitors)') || 'Sales team';
+  const socket = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/ws?role=agent&secret=' + encodeURIComponent(params.get('secret') || ''));
+  const $ = (id) => document.getElementById(id);
+  const requests = new Map();
+  let me = null;
+  let current = null;
+  let typingSent = 0;
+
+  const send = (type, payload = {}) => socket.send(JSON.stringify({ type, ...payload }));
+  const el = (tag, className, text) => { const node = document.createElement(tag); if (className) node.className = className; if (text) node.textContent = text; return node; };
+
+  function renderQueue() {
+    $('requests').replaceChildren(...[...requests.values()].map(request => {
+      const item = el('div', 'item' + (request.id === current ? ' active' : ''));
+      item.append(el('div', '', request.contact?.email || request.contact?.name || 'Anonymous visitor'));
+      item.append(el('div', 'meta', request.reason + ' · ' + (request.agent ? 'with ' + request.agent.name : 'waiting')));
+      item.onclick = () => select(request.id);
+      return item;
+    }));
+  }
+
+  function select(id) {
+    current = id;
+    const request = requests.get(id);
+    const mine = request?.agent?.id === me?.id;
+    $('context').textContent = request ? JSON.stringify({
+      reason: request.reason, stage: request.stage, page: request.page, contact: request.contact,
+      qualification: request.qualification, profile: request.profile
+    }, null, 2) : 'Pick a visitor from the queue.';
+    $('log').replaceChildren(...(request?.transcript || []).map(entry => {
+      const line = el('div', 'msg');
+      line.append(el('b', '', entry.role === 'user' ? 'Visitor: ' : (entry.source === 'agent' ? 'Rep: ' : 'Assistant: ')), entry.text || '');
+      return line;
+    }));
+    $('log').scrollTop = $('log').scrollHeight;
+    $('accept').disabled = !request || !!request.agent;
+    $('text').disabled = $('end').disabled = !mine;
+    $('typing').textContent = '';
+    renderQueue();
+  }
+
+  function append(id, entry) {
+    const request = requests.get(id);
+    if (!request) return;
+    request.transcript.push(entry);
+    if (id === current) select(id);
+  }
+
+  function addLeft(message) {
+    const item = el('div', 'item');
+    item.append(el('div', '', message.contact?.email || 'Unknown'), el('div', 'meta', message.text));
+    $('left').prepend(item);
+  }
+
+  socket.onopen = () => send('hello', { name });
+  socket.onclose = () => { $('status').textContent = 'Disconnected. Check the secret and reload.'; };
+  socket.onmessage = (event) => {
+    const message = JSON.parse(event.data);
+    switch (message.type) {
+      case 'welcome':
+        me = message.agent;
+        message.requests.forEach(request => requests.set(request.id, request));
+        message.messagesLeft.forEach(addLeft);
+        renderQueue();
+        break;
+      case 'agents':
+        $('status').textContent = 'Signed in as ' + name + ' · ' + message.agents.length + ' online';
+        break;
+      case 'request':
+        requests.set(message.request.id, { ...message.request, agent: null });
+        renderQueue();
+        break;
+      case 'request_taken':
+        if (requests.has(message.id)) requests.get(message.id).agent = message.agent;
+        if (message.id === current) select(current); else renderQueue();
+        break;
+      case 'request_closed':
+        requests.delete(message.id);
+        if (message.id === current) select(null); else renderQueue();
+        break;
+      case 'visitor_message':
+        append(message.id, { role: 'user', text: message.text });
+        break;
+      case 'visitor_typing':
+        if (message.id === current) $('typing').textContent = message.typing ? 'Visitor is typing…' : '';
+        break;
+      case 'visitor_left':
+        if (message.id === current) $('typing').textContent = 'Visitor left the chat.';
+        break;
+      case 'message_left':
+        addLeft(message.message);
+        break;
+    }
+  };
+
+  $('accept').onclick = () => current && send('accept', { id: current });
+  $('end').onclick = () => current && send('end', { id: current });
+  $('text').oninput = () => {
+    if (Date.now() - typingSent < 2000) return;
+    typingSent = Date.now();
+    send('typing', { id: current, typing: true });
+  };
+  $('form').onsubmit = (event) => {
+    event.preventDefault();
+    const text = $('text').value.trim();
+    if (!text || !current) return;
+    send('message', { id: current, text });
+    append(current, { role: 'assistant', source: 'agent', text });
+    $('text').value = '';
+    typingSent = 0;
+  };
+</script>
+</body>
+</html>
+`;
+
+// ========== SERVER ==========
+
+export function createHandoffServer() {
+    const hub = createHub();
+
+    const server = http.createServer((req, res) => {
+        const path = new URL(req.url, 'http://handoff').pathname;
+
+        if (req.method === 'GET' && path === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(CONSOLE_HTML);
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Not found' } }));
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const url = new URL(req.url, 'http://handoff');
+        const role = url.searchParams.get('role') || 'visitor';
+
+        if (url.pathname !== '/ws') return rejectUpgrade(socket, 404, 'Not Found');
+
+        if (role === 'agent') {
+            if (!isAgentSecret(url.searchParams.get('secret') || '')) return rejectUpgrade(socket, 401, 'Unauthorized');
+        } else if (!isOriginAllowed(req.headers.origin)) {
+            return rejectUpgrade(socket, 403, 'Forbidden');
+        }
+
+        if (!acceptUpgrade(req, socket)) return rejectUpgrade(socket, 400, 'Bad Request');
+
+        if (role === 'agent') hub.addAgent(socket);
+        else hub.addVisitor(socket);
+    });
+
+    const heartbeat = setInterval(() => hub.heartbeat(), HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+    server.on('close', () => clearInterval(heartbeat));
+
+    return server;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    createHandoffServer().listen(config.port, () => {
+        console.log(`[Handoff] Listening on ws://localhost:${config.port}/ws`);
+        console.log(`[Handoff] Agent console: http://localhost:${config.port}/?secret=${config.secret}`);
+        if (!process.env.AGENT_SECRET) {
+            console.warn('[Handoff] AGENT_SECRET not set - using a random secret for this process');
+        }
+    });
+}
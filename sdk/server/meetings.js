@@ -0,0 +1,191 @@
+/**
+ * Blitsum Mock Calendar
+ * Local stand-in for a scheduling backend, for trying `book_meeting` with the
+ * endpoint availability provider. Open slots follow a weekly schedule, booked
+ * slots disappear from it, and bookings are kept in memory (and printed).
+ *
+ * Usage:
+ *   node sdk/server/meetings.js
+ *   Blitsum.init({ meetings: { provider: { type: 'endpoint', url: 'http://localhost:8789' } } })
+ *
+ * Environment:
+ *   PORT             Port to listen on (default 8789)
+ *   TIMEZONE         Team time zone for the schedule (default 'UTC')
+ *   HOURS            Working hours, e.g. '09:00-17:00' (default)
+ *   DAYS             Working weekdays, 0 = Sunday (default '1,2,3,4,5')
+ *   ALLOWED_ORIGINS  Comma-separated CORS allow list (default '*')
+ *   ADMIN_SECRET     Enables GET /bookings (attendee names and emails) for
+ *                    `Authorization: Bearer <secret>`; without it the route is off
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { generateScheduleSlots, removeBusySlots } from '../src/meetings/schedule.js';
+
+const [startHour, endHour] = (process.env.HOURS || '09:00-17:00').split('-');
+
+const config = {
+    port: Number(process.env.PORT) || 8789,
+    schedule: {
+        timezone: process.env.TIMEZONE || 'UTC',
+        start: startHour,
+        end: endHour,
+        days: (process.env.DAYS || '1,2,3,4,5').split(',').map(Number)
+    },
+    allowedOrigins: (process.env.ALLOWED_ORIGINS || '*').split(',').map(o => o.trim()),
+    adminSecret: process.env.ADMIN_SECRET || null
+};
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_RANGE_DAYS = 60;
+
+const bookings = [];
+
+// ========== HTTP HELPERS ==========
+
+function applyCors(req, res) {
+    const origin = req.headers.origin;
+    const allowAll = config.allowedOrigins.includes('*');
+
+    if (allowAll) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && config.allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    return allowAll || !origin || config.allowedOrigins.includes(origin);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// ========== ROUTES ==========
+
+/**
+ * Open slots in the schedule that nobody has booked
+ * @param {Object} range - { from: Date, to: Date, duration: minutes }
+ * @returns {Array<Object>} Slots ({ start, end })
+ */
+function openSlots(range) {
+    return removeBusySlots(generateScheduleSlots(config.schedule, range), bookings);
+}
+
+function handleSlots(req, res, url) {
+    const from = new Date(url.searchParams.get('from') || Date.now());
+    const duration = Number(url.searchParams.get('duration')) || 30;
+    const maxTo = from.getTime() + MAX_RANGE_DAYS * 24 * 60 * 60 * 1000;
+    const to = new Date(Math.min(new Date(url.searchParams.get('to') || maxTo).getTime(), maxTo));
+
+    if (isNaN(from) || isNaN(to) || duration < 5 || duration > 480) {
+        return sendJson(res, 400, { error: { message: 'Invalid from, to or duration' } });
+    }
+    sendJson(res, 200, { timezone: config.schedule.timezone, slots: openSlots({ from, to, duration }) });
+}
+
+async function handleBooking(req, res) {
+    const body = await readJsonBody(req);
+    const start = new Date(body.start);
+    const end = new Date(body.end);
+
+    if (isNaN(start) || isNaN(end) || end <= start || !body.attendee?.email) {
+        return sendJson(res, 400, { error: { message: 'start, end and attendee.email are required' } });
+    }
+
+    // Only times the schedule would offer, and only once
+    const duration = Math.round((end - start) / 60000);
+    const offered = openSlots({ from: start, to: new Date(start.getTime() + 1), duration })
+        .some(slot => slot.start === start.toISOString());
+    if (!offered) {
+        return sendJson(res, 409, { error: { message: 'That time is not available' } });
+    }
+
+    const booking = {
+        id: crypto.randomUUID(),
+        start: start.toISOString(),
+        end: end.toISOString(),
+        topic: String(body.topic || ''),
+        timezone: String(body.timezone || 'UTC'),
+        attendee: { email: String(body.attendee.email), name: String(body.attendee.name || '') },
+        bookedAt: new Date().toISOString()
+    };
+    bookings.push(booking);
+    console.log(`[Meetings] Booked ${booking.start} for ${booking.attendee.email}${booking.topic ? ` (${booking.topic})` : ''}`);
+    sendJson(res, 201, booking);
+}
+
+function isAdmin(req) {
+    if (!config.adminSecret) return false;
+    const header = req.headers.authorization || '';
+    const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+    const expected = Buffer.from(config.adminSecret);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+export function createMeetingsServer() {
+    return http.createServer(async (req, res) => {
+        const originAllowed = applyCors(req, res);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(originAllowed ? 204 : 403);
+            res.end();
+            return;
+        }
+
+        if (!originAllowed) {
+            return sendJson(res, 403, { error: { message: 'Origin not allowed' } });
+        }
+
+        const url = new URL(req.url, 'http://meetings');
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/slots') return handleSlots(req, res, url);
+            // Bookings hold attendees' contact details, so listing them needs the admin secret
+            if (req.method === 'GET' && url.pathname === '/bookings') {
+                if (!config.adminSecret) return sendJson(res, 404, { error: { message: 'Not found' } });
+                if (!isAdmin(req)) return sendJson(res, 401, { error: { message: 'Unauthorized' } });
+                return sendJson(res, 200, { bookings });
+            }
+            if (req.method === 'POST' && url.pathname === '/bookings') return await handleBooking(req, res);
+            sendJson(res, 404, { error: { message: 'Not found' } });
+        } catch (error) {
+            console.error('[Meetings] Request failed:', error);
+            sendJson(res, 500, { error: { message: error.message } });
+        }
+    });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    createMeetingsServer().listen(config.port, () => {
+        console.log(`[Meetings] Listening on http://localhost:${config.port} (${config.schedule.timezone}, ${config.schedule.start}-${config.schedule.end})`);
+    });
+}
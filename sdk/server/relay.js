@@ -0,0 +1,401 @@
+/**
+ * Blitsum Relay
+ * Small Node relay that keeps provider credentials on the server.
+ *
+ * The browser SDK (with `proxyUrl` set) asks the relay for a short-lived
+ * session token, then sends chat completions, embeddings and Murf token
+ * requests through it. Upstream keys never reach the client bundle.
+ *
+ * Usage:
+ *   LLM_API_KEY=... MURF_API_KEY=... node sdk/server/relay.js
+ *
+ * Environment:
+ *   PORT                   Port to listen on (default 8787)
+ *   RELAY_SECRET           HMAC secret for session tokens (random per process if unset)
+ *   LLM_PROVIDER           'openai' (OpenAI-compatible) or 'anthropic' (default 'openai')
+ *   LLM_ENDPOINT           Upstream completion URL (default Groq chat completions)
+ *   LLM_API_KEY            Upstream API key (falls back to GROQ_API_KEY)
+ *   LLM_MODEL              Force a model regardless of what the client asks for
+ *   LLM_MODELS             Comma-separated models clients may pick (default: the SDK's default
+ *                          model for LLM_PROVIDER); anything else gets the first one
+ *   MAX_TOKENS             Upper bound for max_tokens per completion (default 1024)
+ *   MAX_MESSAGES           Messages per chat request (default 60)
+ *   MAX_PROMPT_CHARS       Characters of system prompt, messages and tools per request (default 60000)
+ *   MURF_API_KEY           Murf API key used to mint short-lived voice tokens
+ *   EMBEDDINGS_ENDPOINT    Upstream embeddings URL (default OpenAI embeddings)
+ *   EMBEDDINGS_API_KEY     Embeddings API key (falls back to OPENAI_API_KEY)
+ *   EMBEDDINGS_MODEL       Embeddings model (default text-embedding-3-small; the client can't pick)
+ *   MAX_EMBEDDING_INPUTS   Texts per embeddings request (default 64)
+ *   ALLOWED_ORIGINS        Comma-separated CORS allow list (default '*')
+ *   SESSION_TTL_SECONDS    Session token lifetime (default 900)
+ *   RATE_LIMIT_PER_MINUTE  Requests per visitor per minute (default 20)
+ *   RATE_LIMIT_PER_IP      Requests per client IP per minute, across its sessions (default 60)
+ *   TRUST_PROXY            'true' to take the client IP from X-Forwarded-For (only behind a
+ *                          proxy that sets it); otherwise the socket address is used
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const config = {
+    port: Number(process.env.PORT) || 8787,
+    secret: process.env.RELAY_SECRET || crypto.randomBytes(32).toString('hex'),
+    llmProvider: process.env.LLM_PROVIDER || 'openai',
+    llmEndpoint: process.env.LLM_ENDPOINT || defaultEndpoint(process.env.LLM_PROVIDER),
+    llmApiKey: process.env.LLM_API_KEY || process.env.GROQ_API_KEY,
+    llmModels: allowedModels(process.env.LLM_MODEL || process.env.LLM_MODELS, process.env.LLM_PROVIDER),
+    maxTokens: Number(process.env.MAX_TOKENS) || 1024,
+    maxMessages: Number(process.env.MAX_MESSAGES) || 60,
+    maxPromptChars: Number(process.env.MAX_PROMPT_CHARS) || 60000,
+    murfApiKey: process.env.MURF_API_KEY,
+    embeddingsEndpoint: process.env.EMBEDDINGS_ENDPOINT || 'https://api.openai.com/v1/embeddings',
+    embeddingsApiKey: process.env.EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY,
+    embeddingsModel: process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small',
+    maxEmbeddingInputs: Number(process.env.MAX_EMBEDDING_INPUTS) || 64,
+    allowedOrigins: (process.env.ALLOWED_ORIGINS || '*').split(',').map(o => o.trim()),
+    sessionTtl: Number(process.env.SESSION_TTL_SECONDS) || 900,
+    rateLimit: Number(process.env.RATE_LIMIT_PER_MINUTE) || 20,
+    ipRateLimit: Number(process.env.RATE_LIMIT_PER_IP) || 60,
+    trustProxy: process.env.TRUST_PROXY === 'true'
+};
+
+const MURF_TOKEN_ENDPOINT = 'https://api.murf.ai/v1/auth/token';
+const MAX_BODY_BYTES = 256 * 1024;
+
+function defaultEndpoint(provider) {
+    return provider === 'anthropic'
+        ? 'https://api.anthropic.com/v1/messages'
+        : 'https://api.groq.com/openai/v1/chat/completions';
+}
+
+// Same defaults as the SDK providers, so an unconfigured relay serves only those
+function allowedModels(list, provider) {
+    const models = (list || '').split(',').map(model => model.trim()).filter(Boolean);
+    if (models.length > 0) return models;
+    return [provider === 'anthropic' ? 'claude-3-5-haiku-latest' : 'llama-3.3-70b-versatile'];
+}
+
+// ========== SESSION TOKENS ==========
+
+function sign(payload) {
+    return crypto.createHmac('sha256', config.secret).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a signed session token for a visitor
+ * @param {string} visitorId - Server-generated visitor identifier
+ * @returns {Object} { token, expiresAt }
+ */
+export function issueSessionToken(visitorId) {
+    const expiresAt = Date.now() + config.sessionTtl * 1000;
+    const payload = Buffer.from(JSON.stringify({ sub: visitorId, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - Token from the Authorization header
+ * @returns {Object|null} Decoded claims or null if invalid/expired
+ */
+export function verifySessionToken(token) {
+    if (!token || !token.includes('.')) return null;
+
+    const [payload, signature] = token.split('.');
+    const expected = sign(payload);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return claims.exp > Date.now() ? claims : null;
+    } catch {
+        return null;
+    }
+}
+
+// ========== RATE LIMITING ==========
+
+const requestLog = new Map();
+
+/**
+ * Sliding one-minute window limiter keyed by visitor (or IP for session issuance)
+ * @param {string} key - Limiter key
+ * @param {number} limit - Max requests per minute
+ * @returns {boolean} True if the request is allowed
+ */
+export function checkRateLimit(key, limit = config.rateLimit) {
+    const now = Date.now();
+    const windowStart = now - 60 * 1000;
+    const timestamps = (requestLog.get(key) || []).filter(t => t > windowStart);
+
+    if (timestamps.length >= limit) {
+        requestLog.set(key, timestamps);
+        return false;
+    }
+
+    timestamps.push(now);
+    requestLog.set(key, timestamps);
+    return true;
+}
+
+// Drop idle limiter entries so memory does not grow with unique visitors
+setInterval(() => {
+    const cutoff = Date.now() - 60 * 1000;
+    for (const [key, timestamps] of requestLog.entries()) {
+        if (!timestamps.some(t => t > cutoff)) requestLog.delete(key);
+    }
+}, 60 * 1000).unref();
+
+// ========== HTTP HELPERS ==========
+
+function applyCors(req, res) {
+    const origin = req.headers.origin;
+    const allowAll = config.allowedOrigins.includes('*');
+
+    if (allowAll) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && config.allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, anthropic-version');
+
+    return allowAll || !origin || config.allowedOrigins.includes(origin);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch {
+                reject(new Error('Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function authenticate(req) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    return verifySessionToken(token);
+}
+
+function clientIp(req) {
+    // X-Forwarded-For is whatever the caller says unless a trusted proxy set it
+    const forwarded = config.trustProxy ? (req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+    return forwarded || req.socket.remoteAddress;
+}
+
+/**
+ * Rebuild a chat request from the fields the SDK sends, with the model held to
+ * LLM_MODELS and the size bounded, so a session token can't buy arbitrary usage
+ * @param {Object} body - Request body from the browser
+ * @returns {Object} { body } to forward, or { status, message } when refused
+ */
+export function sanitizeChatBody(body = {}) {
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    if (messages.length === 0) {
+        return { status: 400, message: 'messages is required' };
+    }
+    if (messages.length > config.maxMessages) {
+        return { status: 413, message: `At most ${config.maxMessages} messages per request` };
+    }
+    if (JSON.stringify([body.system || '', messages, body.tools || []]).length > config.maxPromptChars) {
+        return { status: 413, message: 'Prompt too large' };
+    }
+
+    const requested = Number(body.max_tokens);
+    const clean = {
+        model: config.llmModels.includes(body.model) ? body.model : config.llmModels[0],
+        messages,
+        max_tokens: requested > 0 ? Math.min(requested, config.maxTokens) : config.maxTokens,
+        stream: true
+    };
+    if (typeof body.system === 'string' || Array.isArray(body.system)) clean.system = body.system;
+    if (typeof body.temperature === 'number') {
+        clean.temperature = Math.min(Math.max(body.temperature, 0), config.llmProvider === 'anthropic' ? 1 : 2);
+    }
+    if (Array.isArray(body.tools)) clean.tools = body.tools;
+    if (body.tool_choice !== undefined) clean.tool_choice = body.tool_choice;
+    return { body: clean };
+}
+
+// ========== ROUTES ==========
+
+async function handleSession(req, res) {
+    if (!checkRateLimit(`session:${clientIp(req)}`)) {
+        return sendJson(res, 429, { error: { message: 'Too many session requests' } });
+    }
+
+    // The visitor ID is ours, not the caller's, so it can't be reused to pick a fresh bucket
+    sendJson(res, 200, issueSessionToken(crypto.randomUUID()));
+}
+
+async function handleChat(req, res, claims) {
+    if (!config.llmApiKey) {
+        return sendJson(res, 503, { error: { message: 'Relay has no LLM_API_KEY configured' } });
+    }
+
+    const { body, status, message } = sanitizeChatBody(await readJsonBody(req));
+    if (!body) {
+        return sendJson(res, status, { error: { message } });
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.llmProvider === 'anthropic') {
+        headers['x-api-key'] = config.llmApiKey;
+        headers['anthropic-version'] = req.headers['anthropic-version'] || '2023-06-01';
+    } else {
+        headers['Authorization'] = `Bearer ${config.llmApiKey}`;
+    }
+
+    const upstream = await fetch(config.llmEndpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+    });
+
+    res.writeHead(upstream.status, {
+        'Content-Type': upstream.headers.get('content-type') || 'text/event-stream',
+        'Cache-Control': 'no-cache'
+    });
+
+    if (!upstream.body) {
+        res.end();
+        return;
+    }
+
+    for await (const chunk of upstream.body) {
+        res.write(chunk);
+    }
+    res.end();
+
+    console.log(`[Relay] chat ${upstream.status} for visitor ${claims.sub}`);
+}
+
+async function handleMurfToken(req, res) {
+    if (!config.murfApiKey) {
+        return sendJson(res, 503, { error: { message: 'Relay has no MURF_API_KEY configured' } });
+    }
+
+    const upstream = await fetch(MURF_TOKEN_ENDPOINT, {
+        headers: { 'api-key': config.murfApiKey }
+    });
+    const data = await upstream.json().catch(() => ({}));
+
+    if (!upstream.ok || !data.token) {
+        return sendJson(res, 502, { error: { message: data.errorMessage || 'Failed to mint Murf token' } });
+    }
+
+    sendJson(res, 200, {
+        token: data.token,
+        expiresAt: data.expiryInEpochMillis || null
+    });
+}
+
+async function handleEmbeddings(req, res) {
+    if (!config.embeddingsApiKey) {
+        return sendJson(res, 503, { error: { message: 'Relay has no EMBEDDINGS_API_KEY configured' } });
+    }
+
+    const { input } = await readJsonBody(req);
+    const texts = [].concat(input ?? []);
+    if (texts.length === 0 || texts.length > config.maxEmbeddingInputs || texts.some(text => typeof text !== 'string')) {
+        return sendJson(res, 400, { error: { message: `input must be 1-${config.maxEmbeddingInputs} strings` } });
+    }
+
+    const upstream = await fetch(config.embeddingsEndpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${config.embeddingsApiKey}`
+        },
+        body: JSON.stringify({ model: config.embeddingsModel, input: texts })
+    });
+    const data = await upstream.json().catch(() => ({}));
+
+    sendJson(res, upstream.status, data);
+}
+
+const routes = {
+    '/session': { handler: handleSession, auth: false },
+    '/chat': { handler: handleChat, auth: true },
+    '/embeddings': { handler: handleEmbeddings, auth: true },
+    '/voice/murf-token': { handler: handleMurfToken, auth: true }
+};
+
+export function createRelayServer() {
+    return http.createServer(async (req, res) => {
+        const originAllowed = applyCors(req, res);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(originAllowed ? 204 : 403);
+            res.end();
+            return;
+        }
+
+        if (!originAllowed) {
+            return sendJson(res, 403, { error: { message: 'Origin not allowed' } });
+        }
+
+        const path = new URL(req.url, 'http://relay').pathname;
+        const route = routes[path];
+
+        if (!route || req.method !== 'POST') {
+            return sendJson(res, 404, { error: { message: 'Not found' } });
+        }
+
+        try {
+            let claims = null;
+            if (route.auth) {
+                claims = authenticate(req);
+                if (!claims) {
+                    return sendJson(res, 401, { error: { message: 'Invalid or expired session token' } });
+                }
+                if (!checkRateLimit(`visitor:${claims.sub}`) || !checkRateLimit(`ip:${clientIp(req)}`, config.ipRateLimit)) {
+                    return sendJson(res, 429, { error: { message: 'Rate limit exceeded, please slow down' } });
+                }
+            }
+
+            await route.handler(req, res, claims);
+        } catch (error) {
+            console.error('[Relay] Request failed:', error);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: { message: error.message } });
+            } else {
+                res.end();
+            }
+        }
+    });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    createRelayServer().listen(config.port, () => {
+        console.log(`[Relay] Listening on http://localhost:${config.port}`);
+        if (!process.env.RELAY_SECRET) {
+            console.warn('[Relay] RELAY_SECRET not set - tokens will not survive a restart');
+        }
+    });
+}
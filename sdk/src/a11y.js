@@ -0,0 +1,158 @@
+/**
+ * Accessibility
+ * Keyboard and screen-reader support for the notch: the open hotkey, focus
+ * trapping while the notch is expanded, and a polite live region that
+ * announces replies (streamed replies once complete, proactive messages,
+ * form and action prompts).
+ *
+ * Example:
+ *   Blitsum.init({ accessibility: { hotkey: 'mod+shift+k' } })   // 'mod' is Cmd on macOS, Ctrl elsewhere
+ *   Blitsum.init({ accessibility: { hotkey: false, announce: false } })
+ */
+
+import { getAccessibilityConfig } from './config.js';
+import { eventBus, SDKEvent } from './events.js';
+import { toPlainText } from './utils/markdown.js';
+
+const FOCUSABLE_SELECTOR = 'button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])';
+
+// Spoken replies (voice mode) don't need announcing as well
+const SILENT_SOURCES = new Set(['voice']);
+
+/**
+ * Whether the visitor is on macOS / iOS (for 'mod' in hotkeys)
+ */
+function isApplePlatform() {
+    return /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || '');
+}
+
+/**
+ * Parse a hotkey like "alt+b" or "mod+shift+k"
+ * @param {string|false} spec - Hotkey spec
+ * @returns {Object|null} { key, alt, ctrl, shift, meta } or null when disabled
+ */
+export function parseHotkey(spec) {
+    if (!spec || typeof spec !== 'string') return null;
+
+    const parts = spec.toLowerCase().split('+').map(part => part.trim()).filter(Boolean);
+    const key = parts.pop();
+    if (!key) return null;
+
+    const hotkey = { key, alt: false, ctrl: false, shift: false, meta: false };
+    parts.forEach(modifier => {
+        if (modifier === 'mod') hotkey[isApplePlatform() ? 'meta' : 'ctrl'] = true;
+        else if (modifier === 'cmd') hotkey.meta = true;
+        else if (modifier === 'option') hotkey.alt = true;
+        else if (modifier in hotkey) hotkey[modifier] = true;
+    });
+    return hotkey;
+}
+
+/**
+ * Whether a keydown event matches a parsed hotkey
+ * Letters and digits are matched by physical key, so Alt+B works on macOS
+ * (where it types "∫") and on other keyboard layouts.
+ * @param {KeyboardEvent} event - keydown event
+ * @param {Object} hotkey - From parseHotkey
+ * @returns {boolean} True on a match
+ */
+export function matchesHotkey(event, hotkey) {
+    if (!hotkey) return false;
+    if (event.altKey !== hotkey.alt || event.ctrlKey !== hotkey.ctrl ||
+        event.shiftKey !== hotkey.shift || event.metaKey !== hotkey.meta) {
+        return false;
+    }
+
+    if (/^[a-z]$/.test(hotkey.key)) return event.code === `Key${hotkey.key.toUpperCase()}`;
+    if (/^[0-9]$/.test(hotkey.key)) return event.code === `Digit${hotkey.key}`;
+    return (event.key || '').toLowerCase() === hotkey.key;
+}
+
+/**
+ * Human-readable hotkey for aria-keyshortcuts, e.g. "Alt+B"
+ * @param {Object} hotkey - From parseHotkey
+ * @returns {string} Shortcut
+ */
+export function formatHotkey(hotkey) {
+    if (!hotkey) return '';
+    const parts = [];
+    if (hotkey.ctrl) parts.push('Control');
+    if (hotkey.alt) parts.push('Alt');
+    if (hotkey.shift) parts.push('Shift');
+    if (hotkey.meta) parts.push('Meta');
+    parts.push(hotkey.key.length === 1 ? hotkey.key.toUpperCase() : hotkey.key);
+    return parts.join('+');
+}
+
+/**
+ * Focusable elements inside a root, skipping inert, hidden and disabled ones
+ * @param {ShadowRoot|Element} root - Where to look
+ * @returns {Array<Element>} Elements in DOM order
+ */
+export function getFocusableElements(root) {
+    return [...root.querySelectorAll(FOCUSABLE_SELECTOR)].filter(element =>
+        !element.disabled &&
+        !element.closest('[inert], [hidden], [aria-hidden="true"]') &&
+        element.getClientRects().length > 0);
+}
+
+/**
+ * Keep Tab / Shift+Tab cycling inside the widget
+ * @param {KeyboardEvent} event - keydown event (Tab)
+ * @param {ShadowRoot} root - Widget shadow root
+ */
+export function trapFocus(event, root) {
+    const focusable = getFocusableElements(root);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = root.activeElement;
+
+    if (event.shiftKey && (active === first || !focusable.includes(active))) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (active === last || !focusable.includes(active))) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Create the visually hidden live region and announce assistant messages
+ * @returns {Object} { element, announce(text), destroy }
+ */
+export function createAnnouncer() {
+    const region = document.createElement('div');
+    region.className = 'sr-only';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+
+    let clearTimer = null;
+
+    const announce = (text) => {
+        if (!text || !getAccessibilityConfig().announce) return;
+
+        // Clear first so repeating the same text is still announced
+        region.textContent = '';
+        clearTimeout(clearTimer);
+        clearTimer = setTimeout(() => {
+            region.textContent = toPlainText(text);
+        }, 50);
+    };
+
+    const unsubscribe = eventBus.on(SDKEvent.MESSAGE, ({ role, text, source }) => {
+        if (role === 'assistant' && !SILENT_SOURCES.has(source)) announce(text);
+    });
+
+    return {
+        element: region,
+        announce,
+        destroy: () => {
+            clearTimeout(clearTimer);
+            unsubscribe();
+            region.remove();
+        }
+    };
+}
@@ -5,6 +5,7 @@
 
 import { findElementByDescription, findElementsForComparison, getScrollableParent, isElementInViewport } from './utils/elementFinder.js';
 import { extractTextContent } from './utils/domParser.js';
+import { getScrollBehavior, prefersReducedMotion } from './utils/motion.js';
 
 /**
  * Scroll to a specific section smoothly
@@ -14,7 +15,7 @@ import { extractTextContent } from './utils/domParser.js';
 export function scrollToSection(sectionId) {
     const element = document.getElementById(sectionId);
     if (element) {
-        element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        element.scrollIntoView({ behavior: getScrollBehavior(), block: 'start' });
         return { success: true, section: sectionId };
     }
     return { success: false, error: 'Section not found' };
@@ -22,19 +23,23 @@ export function scrollToSection(sectionId) {
 
 /**
  * Highlight a specific element temporarily to draw attention
- * @param {string} selector - CSS selector for the element to highlight
+ * @param {string|Element} selector - CSS selector for the element to highlight (or the element itself)
  * @param {number} duration - How long to highlight in milliseconds
  * @returns {Object} Result of the action
  */
 export function highlightElement(selector, duration = 2000) {
-    const element = document.querySelector(selector);
+    const element = typeof selector === 'string' ? document.querySelector(selector) : selector;
     if (element) {
         const originalBoxShadow = element.style.boxShadow;
         const originalTransform = element.style.transform;
+        const reducedMotion = prefersReducedMotion();
 
-        element.style.transition = 'all 0.3s ease';
+        // Reduced motion: a static glow, no zoom or fade
+        if (!reducedMotion) {
+            element.style.transition = 'all 0.3s ease';
+            element.style.transform = 'scale(1.02)';
+        }
         element.style.boxShadow = '0 0 30px rgba(45, 212, 191, 0.6)';
-        element.style.transform = 'scale(1.02)';
 
         setTimeout(() => {
             element.style.boxShadow = originalBoxShadow;
@@ -48,12 +53,15 @@ export function highlightElement(selector, duration = 2000) {
 
 /**
  * Pulse a CTA button to draw attention
- * @param {string} selector - CSS selector for the button
+ * @param {string|Element} selector - CSS selector for the button (or the button itself)
  * @returns {Object} Result of the action
  */
 export function pulseCTA(selector) {
-    const button = document.querySelector(selector);
+    const button = typeof selector === 'string' ? document.querySelector(selector) : selector;
     if (button) {
+        // A pulse is pure motion - fall back to a static highlight
+        if (prefersReducedMotion()) return highlightElement(button, 3000);
+
         button.classList.add('pulse-animation');
         setTimeout(() => button.classList.remove('pulse-animation'), 3000);
         return { success: true };
@@ -76,7 +84,7 @@ export function navigateToElement(description, pageContext = {}, smooth = true)
     if (element) {
         const scrollTarget = getScrollableParent(element);
         scrollTarget.scrollIntoView({
-            behavior: smooth ? 'smooth' : 'auto',
+            behavior: smooth ? getScrollBehavior() : 'auto',
             block: 'center'
         });
 
@@ -125,7 +133,8 @@ export function compareElements(descriptions, pageContext = {}, duration = 3000)
         transition: el.style.transition
     }));
 
-    // Apply comparison highlighting
+    // Apply comparison highlighting (outlines only with reduced motion)
+    const reducedMotion = prefersReducedMotion();
     elements.forEach((element, index) => {
         const colors = [
             'rgba(45, 212, 191, 0.8)',  // Teal
@@ -133,9 +142,11 @@ export function compareElements(descriptions, pageContext = {}, duration = 3000)
             'rgba(251, 146, 60, 0.8)'   // Orange
         ];
 
-        element.style.transition = 'all 0.3s ease';
+        if (!reducedMotion) {
+            element.style.transition = 'all 0.3s ease';
+            element.style.transform = 'scale(1.03)';
+        }
         element.style.boxShadow = `0 0 40px ${colors[index % colors.length]}`;
-        element.style.transform = 'scale(1.03)';
         element.style.outline = `3px solid ${colors[index % colors.length]}`;
 
         console.log(`[compareElements] Highlighted element ${index + 1}:`, element.className);
@@ -209,7 +220,7 @@ export function clickElement(description, pageContext = {}) {
         }
 
         // Scroll to element first
-        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.scrollIntoView({ behavior: getScrollBehavior(), block: 'center' });
 
         // Click after scroll animation
         setTimeout(() => {
@@ -241,7 +252,7 @@ export function focusElement(description, pageContext = {}, duration = 2500) {
 
     if (element) {
         // Scroll to element
-        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.scrollIntoView({ behavior: getScrollBehavior(), block: 'center' });
 
         // Store original styles
         const originalStyles = {
@@ -251,11 +262,14 @@ export function focusElement(description, pageContext = {}, duration = 2500) {
             position: element.style.position
         };
 
-        // Apply focus effect
+        // Apply focus effect (no zoom with reduced motion)
+        const reducedMotion = prefersReducedMotion();
         setTimeout(() => {
-            element.style.transition = 'all 0.4s ease';
+            if (!reducedMotion) {
+                element.style.transition = 'all 0.4s ease';
+                element.style.transform = 'scale(1.05)';
+            }
             element.style.boxShadow = '0 0 60px rgba(45, 212, 191, 0.9), 0 0 100px rgba(45, 212, 191, 0.5)';
-            element.style.transform = 'scale(1.05)';
             element.style.zIndex = '9999';
             element.style.position = 'relative';
         }, 600);
@@ -1,70 +1,219 @@
 /**
  * Agent System
- * Parses AI responses and executes actions
+ * Executes tool calls returned by the LLM provider
  */
 
-import { scrollToSection, highlightElement, pulseCTA } from './actions.js';
+import {
+    scrollToSection,
+    highlightElement,
+    pulseCTA,
+    compareElements,
+    readElementContent,
+    clickElement,
+    focusElement
+} from './actions.js';
+import { eventBus, SDKEvent } from './events.js';
+import { pageNavigator } from './pageNavigation.js';
+import { formFiller, findForm } from './forms.js';
+import { actionPolicy } from './policy.js';
+import { buildCard } from './cards.js';
+import { meetings } from './meetings/index.js';
+import { findElementByDescription, findSectionByType } from './utils/elementFinder.js';
+import { getScrollBehavior } from './utils/motion.js';
+
+// Pause between consecutive actions so multi-step plans stay readable
+const ACTION_DELAY = 400;
 
 /**
- * Parse AI response and execute any embedded actions
- * @param {string} aiResponse - Raw response from AI
- * @returns {string} Clean text response for display
+ * Execute tool calls in the order the model produced them
+ * @param {Array<Object>} toolCalls - Tool calls ({ id, name, arguments })
+ * @param {Object} pageContext - Current page context
+ * @returns {Promise<Array<Object>>} Result of each action
  */
-export function parseAndExecute(aiResponse) {
-    const lines = aiResponse.split('\n');
-    let textResponse = '';
-    let action = null;
-
-    for (const line of lines) {
-        const trimmed = line.trim();
-        // Check if line is a JSON action
-        if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
-            try {
-                action = JSON.parse(trimmed);
-            } catch (e) {
-                // Not valid JSON, treat as regular text
-                textResponse += line + '\n';
-            }
-        } else {
-            textResponse += line + '\n';
+export async function executeToolCalls(toolCalls = [], pageContext = {}) {
+    const results = [];
+    actionPolicy.beginTurn();
+
+    for (let i = 0; i < toolCalls.length; i++) {
+        const { name } = toolCalls[i];
+        const args = toolCalls[i].arguments || {};
+        const result = await actionPolicy.guard({
+            action: name,
+            params: args,
+            element: getActionTarget(name, args, pageContext),
+            source: 'agent',
+            run: () => executeAction(toolCalls[i], pageContext)
+        });
+        results.push(result);
+
+        if (i < toolCalls.length - 1) {
+            await new Promise(resolve => setTimeout(resolve, ACTION_DELAY));
         }
     }
 
-    // Execute action if present
-    if (action && action.action) {
-        executeAction(action);
-    }
+    return results;
+}
 
-    return textResponse.trim();
+/**
+ * Find the element an action will touch, so the policy can check it first
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} pageContext - Current page context
+ * @returns {Element|null} Target element, or null for actions without one
+ */
+function getActionTarget(name, args, pageContext) {
+    switch (name) {
+        case 'scroll':
+            return args.section
+                ? document.getElementById(args.section) || findSectionByType(args.section, pageContext)
+                : null;
+        case 'highlight':
+        case 'pulse_cta':
+            return args.selector ? resolveElement(args.selector, pageContext) : null;
+        case 'read':
+        case 'click':
+        case 'focus':
+            return args.target ? findElementByDescription(args.target, pageContext) : null;
+        case 'fill_form':
+            return findForm(args.form)?.element || null;
+        default:
+            return null;
+    }
 }
 
 /**
- * Execute a specific action based on type
- * @param {Object} action - Action object with type and parameters
+ * Execute a single tool call (after the action policy has let it through)
+ * @param {Object} toolCall - Tool call ({ name, arguments })
+ * @param {Object} pageContext - Current page context
+ * @returns {Promise<Object>} Result of the action
  */
-function executeAction(action) {
-    console.log('Executing action:', action);
+async function executeAction(toolCall, pageContext) {
+    const { name } = toolCall;
+    const args = toolCall.arguments || {};
+    console.log('Executing action:', name, args);
 
-    switch (action.action) {
-        case 'scroll':
-            if (action.section) {
-                scrollToSection(action.section);
-            }
-            break;
+    let result;
+    try {
+        switch (name) {
+            case 'scroll':
+                result = args.section
+                    ? scrollToSectionOrType(args.section, pageContext)
+                    : { success: false, error: 'Missing section' };
+                break;
 
-        case 'highlight':
-            if (action.element) {
-                highlightElement(action.element);
-            }
-            break;
+            case 'highlight':
+                result = args.selector
+                    ? highlightElement(resolveElement(args.selector, pageContext) || args.selector)
+                    : { success: false, error: 'Missing selector' };
+                break;
 
-        case 'pulse_cta':
-            if (action.element) {
-                pulseCTA(action.element);
+            case 'pulse_cta':
+                result = args.selector
+                    ? pulseCTA(resolveElement(args.selector, pageContext) || args.selector)
+                    : { success: false, error: 'Missing selector' };
+                break;
+
+            case 'compare':
+                result = Array.isArray(args.entities) && args.entities.length > 0
+                    ? compareElements(args.entities, pageContext)
+                    : { success: false, error: 'No entities provided for comparison' };
+                break;
+
+            case 'read':
+                result = readElementContent(args.target, pageContext);
+                break;
+
+            case 'click':
+                result = clickElement(args.target, pageContext);
+                break;
+
+            case 'focus':
+                result = focusElement(args.target, pageContext);
+                break;
+
+            case 'goto_page':
+                result = args.page
+                    ? pageNavigator.goToPage(args.page, { section: args.section, pageContext })
+                    : { success: false, error: 'Missing page' };
+                break;
+
+            case 'fill_form':
+                result = formFiller.prepare(args.form, args.values);
+                break;
+
+            case 'show_card': {
+                const card = buildCard(args.type, args.items, pageContext);
+                if (card) eventBus.emit(SDKEvent.CARD, card);
+                result = card
+                    ? { success: true, card: card.type }
+                    : { success: false, error: `Nothing on this page for a ${args.type} card` };
+                break;
             }
-            break;
 
-        default:
-            console.warn('Unknown action type:', action.action);
+            case 'book_meeting':
+                result = await meetings.propose({ topic: args.topic });
+                break;
+
+            default:
+                console.warn('Unknown action type:', name);
+                result = { success: false, error: `Unknown action type: ${name}` };
+        }
+    } catch (error) {
+        console.error('Action failed:', name, error);
+        result = { success: false, error: error.message };
+    }
+
+    eventBus.emit(SDKEvent.ACTION_EXECUTED, { action: name, params: args, result, source: 'agent' });
+    return result;
+}
+
+/**
+ * Scroll to a section by id, falling back to a section type like "pricing"
+ * @param {string} section - Section id or type
+ * @param {Object} pageContext - Current page context
+ * @returns {Object} Result of the action
+ */
+function scrollToSectionOrType(section, pageContext) {
+    const result = scrollToSection(section);
+    if (result.success) return result;
+
+    const element = findSectionByType(section, pageContext);
+    if (!element) return result;
+
+    element.scrollIntoView({ behavior: getScrollBehavior(), block: 'start' });
+    return { success: true, section };
+}
+
+/**
+ * Resolve a CSS selector, or a plain description like "signup button", to an element
+ * @param {string} selectorOrDescription - CSS selector or description
+ * @param {Object} pageContext - Current page context
+ * @returns {Element|null} Element or null
+ */
+function resolveElement(selectorOrDescription, pageContext) {
+    try {
+        const element = document.querySelector(selectorOrDescription);
+        if (element) return element;
+    } catch {
+        // Not a valid selector - treat it as a description
     }
+    return findElementByDescription(selectorOrDescription, pageContext);
+}
+
+/**
+ * Describe tool calls in plain text for conversation history
+ * @param {Array<Object>} toolCalls - Tool calls ({ name, arguments })
+ * @returns {string} Summary, e.g. "[actions: scroll(pricing), pulse_cta(.btn-primary)]"
+ */
+export function describeToolCalls(toolCalls = []) {
+    if (toolCalls.length === 0) return '';
+    const parts = toolCalls.map(call => {
+        const values = Object.values(call.arguments || {}).map(value => {
+            if (Array.isArray(value)) return value.join(' vs ');
+            if (value && typeof value === 'object') return Object.entries(value).map(([k, v]) => `${k}=${v}`).join(' ');
+            return String(value);
+        });
+        return `${call.name}(${values.join(', ')})`;
+    });
+    return `[actions: ${parts.join(', ')}]`;
 }
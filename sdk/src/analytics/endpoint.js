@@ -0,0 +1,50 @@
+/**
+ * Endpoint Analytics Adapter
+ * POSTs event batches as JSON ({ events }) to any HTTP collector
+ */
+
+export class EndpointAdapter {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('Analytics endpoint requires a url');
+        }
+        this.name = 'endpoint';
+        this.url = options.url;
+        this.headers = options.headers || {};
+    }
+
+    /**
+     * Deliver a batch
+     * @param {Array<Object>} events - Analytics events
+     * @returns {Promise<Object>} { status }
+     */
+    async send(events) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify({ events }),
+            keepalive: true
+        });
+
+        if (!response.ok) {
+            throw new Error(`Analytics endpoint responded ${response.status}`);
+        }
+        return { status: response.status };
+    }
+
+    /**
+     * Hand a batch to the browser while the page unloads
+     * Beacons can't carry custom headers, so endpoints that need them are left
+     * to the offline queue. The body is JSON sent as text/plain, which keeps
+     * cross-origin beacons free of a CORS preflight.
+     * @param {Array<Object>} events - Analytics events
+     * @returns {boolean} True when the browser queued the beacon
+     */
+    sendBeacon(events) {
+        if (typeof navigator.sendBeacon !== 'function' || Object.keys(this.headers).length > 0) {
+            return false;
+        }
+        const body = new Blob([JSON.stringify({ events })], { type: 'text/plain;charset=UTF-8' });
+        return navigator.sendBeacon(this.url, body);
+    }
+}
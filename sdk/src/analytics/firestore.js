@@ -0,0 +1,41 @@
+/**
+ * Firestore Analytics Adapter
+ * Writes each event as a document using the host app's Firebase instance
+ *
+ * Example (index.html):
+ *   import { db } from '/src/firebase.js';
+ *   Blitsum.init({ analytics: { adapter: { type: 'firestore', db, collection: 'analytics' } } })
+ */
+
+export class FirestoreAdapter {
+    constructor(options = {}) {
+        if (!options.db) {
+            throw new Error('Firestore analytics adapter requires a db (see src/firebase.js)');
+        }
+        this.name = 'firestore';
+        this.db = options.db;
+        this.collection = options.collection || 'analytics';
+    }
+
+    /**
+     * Deliver a batch in a single write
+     * @param {Array<Object>} events - Analytics events
+     * @returns {Promise<Object>} { count }
+     */
+    async send(events) {
+        // Loaded lazily so sites without Firestore don't pay for the SDK
+        const { collection, doc, writeBatch, serverTimestamp } = await import('firebase/firestore');
+
+        const batch = writeBatch(this.db);
+        events.forEach(event => {
+            // Event IDs as document IDs make a retried batch rewrite rather than duplicate;
+            // firestore.rules accepts that rewrite only when just receivedAt changes
+            batch.set(doc(collection(this.db, this.collection), event.id), {
+                ...event,
+                receivedAt: serverTimestamp()
+            });
+        });
+        await batch.commit();
+        return { count: events.length };
+    }
+}
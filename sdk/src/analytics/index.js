@@ -0,0 +1,456 @@
+/**
+ * Conversation Analytics
+ * Turns SDK events into typed analytics events (session_start, message_sent,
+ * stage_change, action_executed, cta_clicked, lead_captured, voice_session,
+ * handoff, meeting_booked, experiment_exposure, experiment_conversion, plus
+ * an engagement summary when the page is left), batches them, and delivers
+ * them to the configured endpoint or adapter.
+ * Failed batches wait in an IndexedDB queue and are retried; the last batch
+ * leaves via sendBeacon.
+ *
+ * Message text is only included with `transcripts: true` (the engagement
+ * event then carries the conversation); contact details never are.
+ *
+ * Example:
+ *   Blitsum.init({ analytics: { endpoint: 'https://collect.example.com/blitsum' } })
+ *   Blitsum.init({ analytics: { adapter: { type: 'firestore', db, collection: 'analytics' } } })
+ */
+
+import { eventBus, SDKEvent } from '../events.js';
+import { getAnalyticsConfig } from '../config.js';
+import { funnelEngine } from '../sales/funnel.js';
+import { sessionPersistence } from '../persistence.js';
+import { languageManager } from '../i18n.js';
+import { leadCapture } from '../leads/index.js';
+import { behaviorTracker } from '../utils/behaviorTracker.js';
+import { isTouchDevice } from '../utils/device.js';
+import { getVisitorId, generateId } from '../utils/visitor.js';
+import { EndpointAdapter } from './endpoint.js';
+import { FirestoreAdapter } from './firestore.js';
+import { OfflineQueue } from './queue.js';
+
+/**
+ * Analytics event types
+ */
+export const AnalyticsEvent = {
+    SESSION_START: 'session_start',
+    MESSAGE_SENT: 'message_sent',
+    STAGE_CHANGE: 'stage_change',
+    ACTION_EXECUTED: 'action_executed',
+    CTA_CLICKED: 'cta_clicked',
+    LEAD_CAPTURED: 'lead_captured',
+    VOICE_SESSION: 'voice_session',
+    HANDOFF: 'handoff',
+    MEETING_BOOKED: 'meeting_booked',
+    EXPERIMENT_EXPOSURE: 'experiment_exposure',
+    EXPERIMENT_CONVERSION: 'experiment_conversion',
+    ENGAGEMENT: 'engagement'
+};
+
+// Retry backoff for failed deliveries: 5s, 10s, 20s ... capped at 5 minutes
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+const adapterFactories = {
+    endpoint: (options) => new EndpointAdapter(options),
+    firestore: (options) => new FirestoreAdapter(options)
+};
+
+/**
+ * Register a custom analytics adapter factory
+ * @param {string} type - Adapter type used in `analytics.adapter.type`
+ * @param {Function} factory - (options) => adapter with an async `send(events)` method
+ */
+export function registerAnalyticsAdapter(type, factory) {
+    adapterFactories[type] = factory;
+}
+
+/**
+ * Create the adapter for the analytics config
+ * @param {Object} config - Analytics options
+ * @returns {Object|null} Adapter, or null when no destination is configured
+ */
+export function createAnalyticsAdapter({ endpoint, headers, adapter } = {}) {
+    if (adapter) {
+        if (typeof adapter.send === 'function') return adapter;
+        const factory = adapterFactories[adapter.type];
+        if (!factory) {
+            throw new Error(`Unknown analytics adapter: ${adapter.type}`);
+        }
+        return factory(adapter);
+    }
+    return endpoint ? new EndpointAdapter({ url: endpoint, headers }) : null;
+}
+
+/**
+ * Visible text of a clicked element, trimmed for reporting
+ */
+function describeElement(element) {
+    return (element?.textContent || element?.getAttribute?.('aria-label') || '').trim().replace(/\s+/g, ' ').slice(0, 80);
+}
+
+export class Analytics {
+    constructor() {
+        this.adapter = null;
+        this.queue = null;
+        this.buffer = [];
+        this.flushTimer = null;
+        this.retryTimer = null;
+        this.retryAttempt = 0;
+        this.sending = false;
+        this.voiceStartedAt = null;
+        this.voiceMessages = 0;
+        this.fallbackSessionId = null;
+        this.cleanup = [];
+        this.initialized = false;
+    }
+
+    /**
+     * Start reporting
+     * @param {Object} options - { restored } true when the session continues from an earlier page
+     */
+    init({ restored = false } = {}) {
+        if (this.initialized) return;
+
+        const config = getAnalyticsConfig();
+        if (!config.enabled) return;
+
+        try {
+            this.adapter = createAnalyticsAdapter(config);
+        } catch (error) {
+            console.error('[Analytics] Invalid config:', error);
+            return;
+        }
+        if (!this.adapter) {
+            console.log('[Analytics] No endpoint or adapter configured');
+            return;
+        }
+
+        this.initialized = true;
+        this.queue = config.offlineQueue ? new OfflineQueue({ maxSize: config.maxQueueSize }) : null;
+        this.attachListeners();
+        this.flushTimer = setInterval(() => this.flush(), config.flushInterval);
+
+        if (!restored) this.trackSessionStart();
+
+        // Deliver whatever earlier pages couldn't
+        this.drainQueue();
+        console.log(`[Analytics] Initialized (${this.adapter.name || 'custom'})`);
+    }
+
+    /**
+     * Map SDK and behavior events to analytics events
+     */
+    attachListeners() {
+        const offEvents = eventBus.on('*', (payload, eventName) => {
+            switch (eventName) {
+                case SDKEvent.MESSAGE:
+                    if (payload.role !== 'user') break;
+                    if (this.voiceStartedAt) this.voiceMessages++;
+                    this.track(AnalyticsEvent.MESSAGE_SENT, {
+                        source: payload.source || 'text',
+                        length: (payload.text || '').length,
+                        messagesSent: behaviorTracker.getBehavior().messagesSent
+                    });
+                    break;
+                case SDKEvent.STAGE_CHANGE:
+                    this.track(AnalyticsEvent.STAGE_CHANGE, {
+                        from: payload.from,
+                        to: payload.to,
+                        phase: payload.phase,
+                        reason: payload.reason
+                    });
+                    break;
+                case SDKEvent.ACTION_EXECUTED:
+                    this.track(AnalyticsEvent.ACTION_EXECUTED, {
+                        action: payload.action,
+                        source: payload.source,
+                        success: !!payload.result?.success
+                    });
+                    break;
+                case SDKEvent.LEAD_CAPTURED:
+                    this.track(AnalyticsEvent.LEAD_CAPTURED, {
+                        leadId: payload.lead?.id,
+                        source: payload.lead?.source,
+                        score: payload.lead?.qualification?.score,
+                        isQualified: !!payload.lead?.qualification?.isQualified,
+                        delivered: (payload.results || []).filter(r => r.success).length
+                    });
+                    break;
+                case SDKEvent.VOICE_START:
+                    this.voiceStartedAt = Date.now();
+                    this.voiceMessages = 0;
+                    break;
+                case SDKEvent.VOICE_STOP:
+                    if (!this.voiceStartedAt) break;
+                    this.track(AnalyticsEvent.VOICE_SESSION, {
+                        duration: Math.round((Date.now() - this.voiceStartedAt) / 1000),
+                        messages: this.voiceMessages
+                    });
+                    this.voiceStartedAt = null;
+                    break;
+                case SDKEvent.MEETING_BOOKED:
+                    this.track(AnalyticsEvent.MEETING_BOOKED, {
+                        leadId: payload.lead?.id,
+                        topic: payload.meeting.topic,
+                        duration: payload.meeting.duration,
+                        daysAhead: Math.round((new Date(payload.meeting.start) - Date.now()) / (24 * 60 * 60 * 1000)),
+                        score: payload.lead?.qualification?.score
+                    });
+                    break;
+                case SDKEvent.EXPERIMENT_EXPOSURE:
+                    this.track(AnalyticsEvent.EXPERIMENT_EXPOSURE, {
+                        experiment: payload.experiment,
+                        variant: payload.variant,
+                        target: payload.target,
+                        goal: payload.goal,
+                        baseline: payload.baseline
+                    });
+                    break;
+                case SDKEvent.EXPERIMENT_CONVERSION:
+                    this.track(AnalyticsEvent.EXPERIMENT_CONVERSION, {
+                        experiment: payload.experiment,
+                        variant: payload.variant,
+                        goal: payload.goal
+                    });
+                    break;
+                case SDKEvent.HANDOFF:
+                    // Offers, connections and how they ended; the return to idle isn't news
+                    if (payload.state === 'idle' || payload.state === payload.previous) break;
+                    this.track(AnalyticsEvent.HANDOFF, {
+                        state: payload.state,
+                        reason: payload.reason,
+                        agentsOnline: payload.agentsOnline
+                    });
+                    break;
+                case SDKEvent.RESET:
+                    // Persistence has already started the new session
+                    this.flush();
+                    this.fallbackSessionId = null;
+                    this.trackSessionStart();
+                    break;
+            }
+        });
+
+        const onBehavior = (type, data) => {
+            if (type !== 'ctaClick') return;
+            this.track(AnalyticsEvent.CTA_CLICKED, {
+                text: describeElement(data.element),
+                href: data.element?.getAttribute?.('href') || null
+            });
+        };
+        behaviorTracker.addListener(onBehavior);
+
+        // The page may be gone before a fetch completes
+        const onPageHide = () => {
+            this.track(AnalyticsEvent.ENGAGEMENT, this.getEngagement());
+            this.flushOnUnload();
+        };
+        const onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.flushOnUnload();
+        };
+        const onOnline = () => this.drainQueue();
+        window.addEventListener('pagehide', onPageHide);
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        window.addEventListener('online', onOnline);
+
+        this.cleanup = [
+            offEvents,
+            () => behaviorTracker.removeListener(onBehavior),
+            () => window.removeEventListener('pagehide', onPageHide),
+            () => document.removeEventListener('visibilitychange', onVisibilityChange),
+            () => window.removeEventListener('online', onOnline)
+        ];
+    }
+
+    /**
+     * Current session ID (persistence's, or a per-page one when persistence is off)
+     * @returns {string} Session ID
+     */
+    getSessionId() {
+        if (sessionPersistence.sessionId) return sessionPersistence.sessionId;
+        if (!this.fallbackSessionId) this.fallbackSessionId = generateId();
+        return this.fallbackSessionId;
+    }
+
+    /**
+     * Record the start of a conversation session
+     */
+    trackSessionStart() {
+        const params = new URLSearchParams(window.location.search);
+        const utm = {};
+        ['utm_source', 'utm_medium', 'utm_campaign'].forEach(key => {
+            if (params.get(key)) utm[key.slice(4)] = params.get(key);
+        });
+
+        this.track(AnalyticsEvent.SESSION_START, {
+            referrer: document.referrer || null,
+            landingPage: window.location.pathname,
+            language: languageManager.language,
+            touch: isTouchDevice(),
+            ...(Object.keys(utm).length > 0 ? { utm } : {})
+        });
+    }
+
+    /**
+     * Behavior, funnel and qualification summary for the page being left
+     * @returns {Object} Engagement properties (plus `transcript` with `transcripts: true`)
+     */
+    getEngagement() {
+        const behavior = behaviorTracker.getBehavior();
+        const summary = funnelEngine.getSummary();
+        const engagement = {
+            timeOnPage: behavior.timeOnPage,
+            scrollDepth: behavior.maxScrollDepth,
+            pricingViewed: behavior.pricingViewed,
+            ctaHovered: behavior.ctaHovered,
+            ctaClicked: behavior.ctaClicked,
+            planComparisons: behavior.planComparisons,
+            messagesSent: behavior.messagesSent,
+            exitIntent: behavior.exitIntentDetected,
+            funnel: summary.funnel,
+            phase: summary.phase,
+            stagesVisited: summary.stageHistory.length,
+            conversationDuration: summary.duration,
+            bantScore: behavior.messagesSent > 0 ? leadCapture.assessQualification().totalScore : null
+        };
+
+        if (getAnalyticsConfig().transcripts) {
+            engagement.transcript = sessionPersistence.getTranscript().map(({ role, text, source, timestamp }) => ({
+                role, text, source, timestamp
+            }));
+        }
+        return engagement;
+    }
+
+    /**
+     * Record an analytics event
+     * @param {string} type - AnalyticsEvent type (custom types are allowed)
+     * @param {Object} properties - Event properties
+     * @returns {Object|null} The event, or null when analytics is off
+     */
+    track(type, properties = {}) {
+        if (!this.initialized) return null;
+
+        const event = {
+            id: generateId(),
+            type,
+            timestamp: new Date().toISOString(),
+            visitorId: getVisitorId(),
+            sessionId: this.getSessionId(),
+            path: window.location.pathname,
+            stage: funnelEngine.currentStage,
+            properties
+        };
+        this.buffer.push(event);
+
+        if (this.buffer.length >= getAnalyticsConfig().batchSize) this.flush();
+        return event;
+    }
+
+    /**
+     * Send the buffered events; failed batches go to the offline queue
+     * @returns {Promise<boolean>} True when everything buffered was delivered
+     */
+    async flush() {
+        if (!this.initialized || this.buffer.length === 0) return true;
+
+        const batch = this.buffer.splice(0, getAnalyticsConfig().batchSize);
+        try {
+            await this.adapter.send(batch);
+        } catch (error) {
+            console.warn(`[Analytics] Delivery failed, queueing ${batch.length} events:`, error.message);
+            await this.enqueue(batch);
+            this.scheduleRetry();
+            return false;
+        }
+
+        this.retryAttempt = 0;
+        if (this.buffer.length > 0) return this.flush();
+        this.drainQueue();
+        return true;
+    }
+
+    /**
+     * Last-chance delivery while the page unloads or is hidden
+     * Uses sendBeacon where the adapter supports it, otherwise the offline queue.
+     */
+    flushOnUnload() {
+        if (!this.initialized || this.buffer.length === 0) return;
+
+        const batch = this.buffer.splice(0);
+        const beaconed = typeof this.adapter.sendBeacon === 'function' && this.adapter.sendBeacon(batch);
+        if (!beaconed) this.enqueue(batch);
+    }
+
+    /**
+     * Keep undelivered events for a later retry
+     * @param {Array<Object>} events - Analytics events
+     */
+    async enqueue(events) {
+        if (!this.queue) return;
+        try {
+            await this.queue.add(events);
+        } catch (error) {
+            console.warn('[Analytics] Could not queue events:', error);
+        }
+    }
+
+    /**
+     * Deliver queued events, oldest first, one batch at a time
+     */
+    async drainQueue() {
+        if (!this.initialized || !this.queue || this.sending) return;
+        this.sending = true;
+
+        try {
+            const { batchSize } = getAnalyticsConfig();
+            let next = await this.queue.peek(batchSize);
+            while (this.initialized && next.events.length > 0) {
+                await this.adapter.send(next.events);
+                await this.queue.remove(next.keys);
+                next = await this.queue.peek(batchSize);
+            }
+            this.retryAttempt = 0;
+        } catch (error) {
+            console.warn('[Analytics] Queued delivery failed:', error.message);
+            this.scheduleRetry();
+        } finally {
+            this.sending = false;
+        }
+    }
+
+    /**
+     * Retry the offline queue with exponential backoff
+     */
+    scheduleRetry() {
+        if (!this.queue || this.retryTimer) return;
+
+        const delay = Math.min(RETRY_BASE_DELAY * 2 ** this.retryAttempt, RETRY_MAX_DELAY);
+        this.retryAttempt++;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.drainQueue();
+        }, delay);
+    }
+
+    /**
+     * Flush what's left and stop reporting
+     */
+    destroy() {
+        if (!this.initialized) return;
+        this.flushOnUnload();
+        clearInterval(this.flushTimer);
+        clearTimeout(this.retryTimer);
+        this.flushTimer = null;
+        this.retryTimer = null;
+        this.cleanup.forEach(fn => fn());
+        this.cleanup = [];
+        this.initialized = false;
+    }
+}
+
+// Export singleton instance
+export const analytics = new Analytics();
+
+export { EndpointAdapter, FirestoreAdapter, OfflineQueue };
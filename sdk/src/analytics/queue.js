@@ -0,0 +1,142 @@
+/**
+ * Offline Analytics Queue
+ * Batches that could not be delivered wait in IndexedDB until the next
+ * flush, the browser coming back online, or the next page load. Falls back
+ * to memory (this page only) when IndexedDB is unavailable.
+ */
+
+const DB_NAME = 'blitsum';
+const DB_VERSION = 1;
+const STORE_NAME = 'analyticsQueue';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class OfflineQueue {
+    /**
+     * @param {Object} options - { maxSize } events kept before the oldest are dropped
+     */
+    constructor({ maxSize = 500 } = {}) {
+        this.maxSize = maxSize;
+        this.dbPromise = null;
+        this.memory = [];
+        this.nextMemoryKey = 1;
+    }
+
+    /**
+     * Open (once) the queue database
+     * @returns {Promise<IDBDatabase|null>} Database, or null to use memory
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (typeof indexedDB === 'undefined') {
+            this.dbPromise = Promise.resolve(null);
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise(resolve => {
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                        request.result.createObjectStore(STORE_NAME, { autoIncrement: true });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('[Analytics] IndexedDB unavailable, queueing in memory:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('[Analytics] IndexedDB unavailable, queueing in memory:', error);
+                resolve(null);
+            }
+        });
+        return this.dbPromise;
+    }
+
+    /**
+     * Add events to the end of the queue
+     * @param {Array<Object>} events - Analytics events
+     */
+    async add(events) {
+        const db = await this.open();
+        if (!db) {
+            events.forEach(event => this.memory.push({ key: this.nextMemoryKey++, event }));
+            this.memory = this.memory.slice(-this.maxSize);
+            return;
+        }
+
+        const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await Promise.all(events.map(event => promisify(store.add(event))));
+        await this.trim(db);
+    }
+
+    /**
+     * Drop the oldest events beyond maxSize
+     * @param {IDBDatabase} db - Queue database
+     */
+    async trim(db) {
+        const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        const overflow = (await promisify(store.count())) - this.maxSize;
+        if (overflow <= 0) return;
+
+        const keys = await promisify(store.getAllKeys(null, overflow));
+        await Promise.all(keys.map(key => promisify(store.delete(key))));
+    }
+
+    /**
+     * Read the oldest events without removing them
+     * @param {number} limit - Maximum number of events
+     * @returns {Promise<Object>} { keys, events } - pass keys to remove() once delivered
+     */
+    async peek(limit) {
+        const db = await this.open();
+        if (!db) {
+            const entries = this.memory.slice(0, limit);
+            return { keys: entries.map(entry => entry.key), events: entries.map(entry => entry.event) };
+        }
+
+        const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        const [keys, events] = await Promise.all([
+            promisify(store.getAllKeys(null, limit)),
+            promisify(store.getAll(null, limit))
+        ]);
+        return { keys, events };
+    }
+
+    /**
+     * Remove delivered events
+     * @param {Array<number>} keys - Keys from peek()
+     */
+    async remove(keys) {
+        const db = await this.open();
+        if (!db) {
+            this.memory = this.memory.filter(entry => !keys.includes(entry.key));
+            return;
+        }
+
+        const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await Promise.all(keys.map(key => promisify(store.delete(key))));
+    }
+
+    /**
+     * Number of queued events
+     * @returns {Promise<number>} Count
+     */
+    async size() {
+        const db = await this.open();
+        if (!db) return this.memory.length;
+        return promisify(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).count());
+    }
+}
@@ -1,14 +1,21 @@
 /**
- * Groq API Service
- * Handles communication with Groq API for AI responses with dynamic context-aware prompts
+ * Chat API Service
+ * Handles communication with the configured LLM provider for AI responses with dynamic context-aware prompts
  */
 
-import { conversationFlow, ConversationStage } from './sales/conversationFlow.js';
+import { funnelEngine } from './sales/funnel.js';
 import { behaviorTracker } from './utils/behaviorTracker.js';
-
-const GROQ_API_ENDPOINT = 'https://api.groq.com/openai/v1/chat/completions';
-// API Keys from environment or fallback
-const GROQ_API_KEY = (typeof import.meta !== 'undefined' && import.meta.env?.VITE_GROK_API_KEY);
+import { getProvider } from './providers/index.js';
+import { getAgentTools } from './tools.js';
+import { executeToolCalls, describeToolCalls } from './agent.js';
+import { getBehaviorFlag, getPipelineMode, getMeetingsConfig } from './config.js';
+import { salesExecutive } from './sales/index.js';
+import { contentRetriever, formatPassages } from './retrieval/index.js';
+import { siteIndex } from './site/index.js';
+import { describeFormsForPrompt } from './forms.js';
+import { languageManager } from './i18n.js';
+import { getScrollBehavior } from './utils/motion.js';
+import { experiments, ExperimentTarget } from './experiments/index.js';
 
 // Conversation history for multi-turn conversations
 let conversationHistory = [];
@@ -16,7 +23,7 @@ const MAX_HISTORY_LENGTH = 10; // Keep last 10 messages
 let isVoiceMode = false; // Track if in voice mode
 
 /**
- * Send a message to Groq API and get AI response with page context
+ * Send a message to the LLM provider and get AI response with page context
  * @param {string} userMessage - The user's message
  * @param {Object} pageContext - Current page context (from extractPageContext)
  * @param {Object} options - Additional options (voiceMode, etc.)
@@ -30,13 +37,23 @@ export async function sendMessage(userMessage, pageContext = {}, options = {}) {
         isVoiceMode = options.voiceMode || false;
 
         // Advance conversation stage
-        conversationFlow.advanceStage(userMessage, conversationHistory);
+        funnelEngine.advanceStage(userMessage, conversationHistory);
 
         // Track message sent
         behaviorTracker.trackMessageSent();
 
+        // Full sales pipeline: BANT, personalization and closing guidance for this turn
+        let salesResult = null;
+        if (getPipelineMode() === 'sales') {
+            salesExecutive.syncHistory(conversationHistory);
+            salesResult = await salesExecutive.processMessage(userMessage, pageContext, behaviorTracker.getBehavior());
+        }
+
+        // Pull the passages relevant to this question instead of the first N of everything
+        const passages = await contentRetriever.retrieve(buildRetrievalQuery(userMessage), pageContext);
+
         // Build dynamic system prompt based on page content and conversation stage
-        const systemPrompt = buildSystemPrompt(pageContext);
+        const systemPrompt = buildSystemPrompt(pageContext, salesResult, passages);
 
         // Add user message to history
         conversationHistory.push({
@@ -49,91 +66,92 @@ export async function sendMessage(userMessage, pageContext = {}, options = {}) {
             conversationHistory = conversationHistory.slice(-MAX_HISTORY_LENGTH * 2);
         }
 
-        // Build messages array
-        const messages = [
-            {
-                role: 'system',
-                content: systemPrompt
-            },
-            ...conversationHistory
-        ];
-
-        const response = await fetch(GROQ_API_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${GROQ_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'llama-3.3-70b-versatile',
-                messages: messages,
-                temperature: 0.7,
-                max_tokens: 250,
-                stream: true // Enable streaming
-            })
+        // Stream the completion from the configured provider
+        const provider = getProvider();
+        const toolCalls = [];
+        const aiResponse = await provider.complete({
+            system: systemPrompt,
+            messages: conversationHistory,
+            tools: getAgentTools(),
+            onChunk,
+            onToolCall: (toolCall) => toolCalls.push(toolCall)
         });
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error?.message || `API error: ${response.status}`);
+        // Add AI response to history. An empty turn (no text, no tool calls) takes the
+        // visitor's message back out: providers reject empty assistant content.
+        const assistantContent = aiResponse || describeToolCalls(toolCalls);
+        if (assistantContent) {
+            conversationHistory.push({
+                role: 'assistant',
+                content: assistantContent
+            });
+        } else {
+            conversationHistory.pop();
         }
 
-        // Handle streaming response
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder("utf-8");
-        let aiResponse = "";
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value);
-            const lines = chunk.split("\n");
-
-            for (const line of lines) {
-                if (line.trim() === "") continue;
-                if (line.trim() === "data: [DONE]") continue;
-
-                if (line.startsWith("data: ")) {
-                    try {
-                        const json = JSON.parse(line.slice(6));
-                        const content = json.choices[0]?.delta?.content || "";
-                        if (content) {
-                            aiResponse += content;
-                            if (onChunk) onChunk(content);
-                        }
-                    } catch (e) {
-                        console.error("Error parsing stream chunk", e);
-                    }
-                }
+        // The model's own tool calls win; otherwise fall back to the pipeline's navigation
+        let actionPlan = toolCalls;
+        if (actionPlan.length === 0 && getBehaviorFlag('autoNavigate')) {
+            if (salesResult) {
+                actionPlan = salesExecutive.getActionPlan(salesResult.recommendedActions);
+            } else {
+                // Auto-navigate if AI is talking about specific sections (unless disabled via behavior.autoNavigate)
+                autoNavigateToRelevantSection(userMessage, aiResponse, pageContext);
             }
         }
 
-        // Add AI response to history
-        conversationHistory.push({
-            role: 'assistant',
-            content: aiResponse
-        });
-
-        // Auto-navigate if AI is talking about specific sections
-        autoNavigateToRelevantSection(userMessage, aiResponse);
+        if (actionPlan.length > 0) {
+            // Run actions in order without holding up the reply
+            executeToolCalls(actionPlan, pageContext).catch(error => {
+                console.error('[API] Tool execution failed:', error);
+            });
+        }
 
         return aiResponse;
     } catch (error) {
-        console.error('Groq API Error:', error);
+        console.error('LLM Provider Error:', error);
         throw new Error('Failed to get AI response. Please try again.');
     }
 }
 
+/**
+ * Build the sales guidance block from a SalesExecutiveAI turn
+ * @param {Object} salesResult - Result of salesExecutive.processMessage()
+ * @returns {string} Prompt section
+ */
+function buildSalesGuidance(salesResult) {
+    let guidance = `SALES GUIDANCE:\n${salesResult.salesPrompt}\n`;
+
+    const recommendedPlan = salesResult.personalization?.recommendedPlan;
+    if (recommendedPlan) {
+        guidance += `\nRECOMMENDED PLAN FOR THIS VISITOR: ${recommendedPlan.name} (${recommendedPlan.price}) - steer toward it when discussing pricing.\n`;
+    }
+
+    return guidance;
+}
+
+/**
+ * Build the retrieval query, folding in the previous question so follow-ups
+ * like "and the other one?" still find the right passages
+ * @param {string} userMessage - Latest visitor message
+ * @returns {string} Query
+ */
+function buildRetrievalQuery(userMessage) {
+    const previous = [...conversationHistory].reverse().find(msg => msg.role === 'user');
+    return previous ? `${userMessage} ${previous.content}` : userMessage;
+}
+
 /**
  * Build dynamic system prompt based on extracted page context
  * @param {Object} pageContext - Extracted page context
+ * @param {Object|null} salesResult - Sales pipeline result (null in the legacy pipeline)
+ * @param {Array<Object>} passages - Retrieved content passages
  * @returns {string} System prompt
  */
-function buildSystemPrompt(pageContext) {
+function buildSystemPrompt(pageContext, salesResult = null, passages = []) {
     const siteName = pageContext.content?.metadata?.siteName || 'this website';
     const currentSection = pageContext.currentSection || 'the page';
-    const currentStage = conversationFlow.currentStage;
+    const currentStage = funnelEngine.currentStage;
     const behavior = behaviorTracker.getBehavior();
 
     let prompt = `You are an elite AI sales assistant for ${siteName}, helping visitors and guiding them toward conversion.
@@ -152,6 +170,8 @@ PERSONALITY:
 - Always end with a question or clear next step
 - Push toward conversion naturally
 
+${languageManager.getPromptInstruction()}
+
 CURRENT CONTEXT:
 User is viewing: ${currentSection}
 Page: ${pageContext.title || 'Website'}
@@ -159,7 +179,7 @@ Time on page: ${behavior.timeOnPage}s
 Pricing viewed: ${behavior.pricingViewed ? 'Yes' : 'No'}
 CTA interactions: ${behavior.ctaHovered} hovers, ${behavior.ctaClicked ? 'clicked' : 'not clicked'}
 
-${conversationFlow.getStagePrompt(currentStage)}
+${salesResult ? buildSalesGuidance(salesResult) : funnelEngine.getStagePrompt(currentStage)}
 
 ${isVoiceMode ? `
 VOICE MODE SPECIFIC:
@@ -191,50 +211,31 @@ CONVERSION TACTICS:
 - Authority: "Featured in TechCrunch"
 `;
 
+    // Instructions from the visitor's systemPrompt experiment variant (none for the control)
+    const promptVariant = experiments.getTreatment(ExperimentTarget.SYSTEM_PROMPT);
+    if (typeof promptVariant === 'string' && promptVariant.trim()) {
+        prompt += `\nADDITIONAL INSTRUCTIONS:\n${promptVariant.trim()}\n`;
+    }
+
     // Add page summary if available
     if (pageContext.summary) {
         prompt += `\nPage Summary: ${pageContext.summary}\n`;
     }
 
-    // Add pricing information if available
+    // Plan names and prices are short and always useful; details come from retrieval
     if (pageContext.content?.pricing && pageContext.content.pricing.length > 0) {
         prompt += `\nPRICING PLANS (GROUND TRUTH - Use this exact information):\n`;
         pageContext.content.pricing.forEach(plan => {
             prompt += `- ${plan.plan}: ${plan.price}`;
             if (plan.popular) prompt += ` (Most Popular)`;
             prompt += `\n`;
-            if (plan.features && plan.features.length > 0) {
-                plan.features.slice(0, 5).forEach(feature => {
-                    prompt += `  • ${feature}\n`;
-                });
-            }
         });
     }
 
-    // Add features if available
-    if (pageContext.content?.features && pageContext.content.features.length > 0) {
-        prompt += `\nFEATURES (GROUND TRUTH):\n`;
-        pageContext.content.features.slice(0, 8).forEach(feature => {
-            prompt += `- ${feature.name}: ${feature.description}\n`;
-        });
-    }
-
-    // Add FAQs if available
-    if (pageContext.content?.faqs && pageContext.content.faqs.length > 0) {
-        prompt += `\nFREQUENTLY ASKED QUESTIONS:\n`;
-        pageContext.content.faqs.slice(0, 5).forEach(faq => {
-            prompt += `Q: ${faq.question}\nA: ${faq.answer}\n\n`;
-        });
-    }
-
-    // Add products if available
-    if (pageContext.content?.products && pageContext.content.products.length > 0) {
-        prompt += `\nPRODUCTS/SERVICES:\n`;
-        pageContext.content.products.slice(0, 5).forEach(product => {
-            prompt += `- ${product.name}`;
-            if (product.price) prompt += ` (${product.price})`;
-            prompt += `: ${product.description}\n`;
-        });
+    // Passages most relevant to the visitor's question (features, FAQs, products, plan details, docs)
+    const relevantContent = formatPassages(passages);
+    if (relevantContent) {
+        prompt += `\nRELEVANT CONTENT (GROUND TRUTH):\n${relevantContent}\n`;
     }
 
     // Add CTAs if available
@@ -246,6 +247,15 @@ CONVERSION TACTICS:
         });
     }
 
+    // Other pages the visitor can be pointed to
+    const otherPages = siteIndex.getOtherPages(pageContext.url);
+    if (otherPages.length > 0) {
+        prompt += `\nOTHER PAGES ON THIS SITE:\n`;
+        otherPages.forEach(page => {
+            prompt += `- ${page.path}: ${page.title || page.path}\n`;
+        });
+    }
+
     // Add page structure for navigation
     if (pageContext.structure?.sections && pageContext.structure.sections.length > 0) {
         prompt += `\nPAGE SECTIONS:\n`;
@@ -258,28 +268,42 @@ CONVERSION TACTICS:
         });
     }
 
+    // Forms the agent can fill for the visitor
+    const forms = describeFormsForPrompt();
+    if (forms.length > 0) {
+        prompt += `\nFORMS ON THIS PAGE:\n`;
+        forms.forEach(form => {
+            prompt += `- ${form}\n`;
+        });
+    }
+
+    const meetings = getMeetingsConfig();
+    const canBookMeetings = meetings.enabled && !!meetings.provider;
+
     // Add action capabilities
     prompt += `\nACTION CAPABILITIES:
-You can perform actions by responding with JSON on a new line:
-- {"action": "scroll", "section": "section-id"} - Navigate to a section
-- {"action": "highlight", "element": ".css-selector"} - Highlight an element
-- {"action": "pulse_cta", "element": ".btn-primary"} - Animate a CTA button
+You have tools to act on the page: scroll, highlight, pulse_cta, compare, read, click and focus.
+Use goto_page to take the visitor to another page of the site (and a section on it).
+Use show_card to put the pricing plans, a plan comparison or the page's call-to-action buttons in the chat as a card.
+${forms.length > 0 ? `Use fill_form when the visitor wants to sign up or join - it fills a form from FORMS ON THIS PAGE with details they gave you and asks them to confirm. Ask for any required detail they haven't given first.\n` : ''}${canBookMeetings ? `Use book_meeting when the visitor wants a demo or a call with the team, and for enterprise buyers ready for next steps - it shows open times to pick from. Never make up times or say a call is booked before they pick one and confirm.\n` : ''}Call them alongside your reply when showing the visitor something helps. You may call several in sequence.
+Clicks and page changes may ask the visitor to confirm first, so say what you're about to do rather than that it's done.
 
 CRITICAL RULES:
 1. ONLY use information from the GROUND TRUTH sections above
 2. NEVER make up pricing, features, or other details
-3. If asked about something not in the context, say "I can see on this page..." and reference what IS available
+3. If the answer isn't in the content above, say you don't have that detail and offer what IS available
+   - Content marked "on page /path" is from another page: answer from it and offer to take them there (goto_page)
 4. Keep responses under 80 words
 5. Always be helpful and guide users to relevant information
-6. Use actions to help users navigate when appropriate
-
-RESPONSE FORMAT:
-- First: Your conversational response (concise!)
-- Optional: Action JSON on a new line if you want to navigate/highlight
+6. Use tools to help users navigate when appropriate
+7. Always include a short conversational reply - never respond with tool calls alone
+8. Never write tool calls or JSON in your reply text
+9. You may use simple markdown: **bold**, short lists and [links](/path) - no headings, tables or HTML
 
 Example:
-"Great question! Our Pro plan is $199/mo and includes unlimited messages, full voice integration, and API access. It's our most popular choice. Want to see all the details?
-{"action": "scroll", "section": "pricing"}"
+Visitor: "How much is Pro?"
+Reply: "Our Pro plan is $199/mo and includes unlimited messages, full voice integration, and API access. It's our most popular choice. Want to see all the details?"
+Tool calls: scroll({"section": "pricing"}), pulse_cta({"selector": ".btn-primary"})
 `;
 
     return prompt;
@@ -292,6 +316,30 @@ export function clearConversationHistory() {
     conversationHistory = [];
 }
 
+/**
+ * Replace conversation history (used when restoring a persisted session)
+ * @param {Array} history - Messages ({ role, content })
+ */
+export function restoreConversationHistory(history = []) {
+    conversationHistory = history
+        .filter(msg => msg && (msg.role === 'user' || msg.role === 'assistant') && typeof msg.content === 'string')
+        .slice(-MAX_HISTORY_LENGTH * 2);
+}
+
+/**
+ * Add a message produced outside a model turn (e.g. a form submission result)
+ * so the model knows about it on the next turn
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - Message text
+ */
+export function appendToConversationHistory(role, content) {
+    if (!content) return;
+    conversationHistory.push({ role, content });
+    if (conversationHistory.length > MAX_HISTORY_LENGTH * 2) {
+        conversationHistory = conversationHistory.slice(-MAX_HISTORY_LENGTH * 2);
+    }
+}
+
 /**
  * Get current conversation history
  * @returns {Array} Conversation history
@@ -337,8 +385,9 @@ export function formatPageContext(pageContext) {
  * Auto-navigate to relevant section based on conversation topic
  * @param {string} userMessage - User's message
  * @param {string} aiResponse - AI's response
+ * @param {Object} pageContext - Page context (configured sections are preferred targets)
  */
-function autoNavigateToRelevantSection(userMessage, aiResponse) {
+function autoNavigateToRelevantSection(userMessage, aiResponse, pageContext = {}) {
     // Combine messages to detect topic
     const combinedText = (userMessage + ' ' + aiResponse).toLowerCase();
 
@@ -368,15 +417,18 @@ function autoNavigateToRelevantSection(userMessage, aiResponse) {
     if (targetSection && maxMatches >= 2) {
         console.log(`[Auto-Navigation] Navigating to ${targetSection} section (${maxMatches} keyword matches)`);
 
-        // Find and scroll to the section
-        const sectionElement = document.getElementById(targetSection) ||
+        // Find and scroll to the section (sections declared in Blitsum.init win)
+        const configuredSection = (pageContext.structure?.sections || [])
+            .find(section => section.source === 'config' && section.type === targetSection);
+        const sectionElement = (configuredSection && document.getElementById(configuredSection.id)) ||
+            document.getElementById(targetSection) ||
             document.querySelector(`[data-section="${targetSection}"]`) ||
-            document.querySelector(`section:has(h2:contains("${targetSection}"))`);
+            findSectionByHeading(targetSection);
 
         if (sectionElement) {
             setTimeout(() => {
                 sectionElement.scrollIntoView({
-                    behavior: 'smooth',
+                    behavior: getScrollBehavior(),
                     block: 'start'
                 });
                 console.log(`[Auto-Navigation] Scrolled to ${targetSection}`);
@@ -386,3 +438,19 @@ function autoNavigateToRelevantSection(userMessage, aiResponse) {
         }
     }
 }
+
+/**
+ * Find a section whose heading mentions the given keyword
+ * @param {string} keyword - Section keyword
+ * @returns {Element|null} Section element or null
+ */
+function findSectionByHeading(keyword) {
+    const sections = document.querySelectorAll('section');
+    for (const section of sections) {
+        const heading = section.querySelector('h1, h2, h3');
+        if (heading && heading.textContent.toLowerCase().includes(keyword)) {
+            return section;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,247 @@
+/**
+ * Rich Cards
+ * Pricing plans, plan comparisons and call-to-action buttons shown in the
+ * chat (`show_card` tool). Cards are built only from what extractPageContext
+ * found on the page (or configured pricing), never from model text, so a
+ * card can't show a price the page doesn't have.
+ *
+ * Card buttons are the visitor's own action: they go through the action
+ * policy as 'navigation' actions, like a typed "click sign up".
+ *
+ * Meeting cards (open times from `book_meeting`) come from the availability
+ * provider instead; the notch makes their slots pickable.
+ */
+
+import { scrollToSection, clickElement } from './actions.js';
+import { pageNavigator } from './pageNavigation.js';
+import { actionPolicy } from './policy.js';
+import { t, languageManager } from './i18n.js';
+import { findElementByDescription } from './utils/elementFinder.js';
+import { toSafeUrl } from './utils/markdown.js';
+import { formatSlotTime, getLocalTimeZone } from './meetings/schedule.js';
+
+export const CARD_TYPES = ['pricing', 'comparison', 'cta'];
+
+const MAX_PLAN_FEATURES = 4;
+const MAX_COMPARISON_ROWS = 8;
+const MAX_BUTTONS = 3;
+
+/**
+ * Keep the entries whose label matches one of the requested names
+ * Falls back to everything when nothing was requested or nothing matched.
+ * @param {Array<Object>} entries - Plans or CTAs
+ * @param {Array<string>} names - Requested names
+ * @param {Function} getLabel - Label of an entry
+ * @returns {Array<Object>} Selected entries
+ */
+function selectEntries(entries, names = [], getLabel) {
+    const wanted = (names || []).map(name => String(name).toLowerCase().trim()).filter(Boolean);
+    if (wanted.length === 0) return entries;
+
+    const matched = entries.filter(entry => {
+        const label = (getLabel(entry) || '').toLowerCase();
+        return wanted.some(name => label.includes(name) || name.includes(label));
+    });
+    return matched.length > 0 ? matched : entries;
+}
+
+/**
+ * Build card data from the page
+ * @param {string} type - 'pricing', 'comparison' or 'cta'
+ * @param {Array<string>} items - Plan names or button labels to include (all when empty)
+ * @param {Object} pageContext - Page context from extractPageContext
+ * @returns {Object|null} Card ({ type, title, ... }) or null when the page has nothing for it
+ */
+export function buildCard(type, items = [], pageContext = {}) {
+    const content = pageContext.content || {};
+    const plans = (content.pricing || pageContext.pricing || []).filter(plan => plan.plan);
+
+    switch (type) {
+        case 'pricing': {
+            const selected = selectEntries(plans, items, plan => plan.plan);
+            if (selected.length === 0) return null;
+            return {
+                type,
+                title: t('cardPricing'),
+                plans: selected.map(plan => ({
+                    name: plan.plan,
+                    price: plan.price,
+                    period: plan.period || null,
+                    features: (plan.features || []).slice(0, MAX_PLAN_FEATURES),
+                    popular: !!plan.popular
+                }))
+            };
+        }
+
+        case 'comparison': {
+            const selected = selectEntries(plans, items, plan => plan.plan);
+            if (selected.length < 2) return null;
+
+            const features = [...new Set(selected.flatMap(plan => plan.features || []))].slice(0, MAX_COMPARISON_ROWS);
+            const hasFeature = (plan, feature) => (plan.features || []).some(f => f.toLowerCase() === feature.toLowerCase());
+
+            return {
+                type,
+                title: t('cardComparison'),
+                columns: selected.map(plan => plan.plan),
+                rows: [
+                    { label: t('cardPrice'), values: selected.map(plan => [plan.price, plan.period].filter(Boolean).join(' / ')) },
+                    ...features.map(feature => ({
+                        label: feature,
+                        values: selected.map(plan => (hasFeature(plan, feature) ? '✓' : '—'))
+                    }))
+                ]
+            };
+        }
+
+        case 'cta': {
+            const ctas = selectEntries(content.ctas || [], items, cta => cta.text).slice(0, MAX_BUTTONS);
+            if (ctas.length === 0) return null;
+            return {
+                type,
+                title: t('cardCta'),
+                buttons: ctas.map(cta => ({ text: cta.text, href: cta.href || null }))
+            };
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Run a card button for the visitor
+ * @param {Object} button - { text, href }
+ * @returns {Promise<Object>} Action result
+ */
+export function runCardButton({ text, href }) {
+    const safeUrl = href ? toSafeUrl(href) : null;
+
+    if (href && !safeUrl) {
+        return Promise.resolve({ success: false, error: 'Unsupported link' });
+    }
+
+    if (safeUrl?.startsWith('#')) {
+        const section = safeUrl.slice(1);
+        return actionPolicy.guard({
+            action: 'scroll',
+            params: { section },
+            element: document.getElementById(section),
+            source: 'navigation',
+            run: () => scrollToSection(section)
+        });
+    }
+
+    if (safeUrl) {
+        const url = new URL(safeUrl, window.location.origin);
+        if (url.origin !== window.location.origin) {
+            window.open(url.href, '_blank', 'noopener');
+            return Promise.resolve({ success: true, href: url.href });
+        }
+        const page = `${url.pathname}${url.search}`;
+        return actionPolicy.guard({
+            action: 'goto_page',
+            params: { page },
+            source: 'navigation',
+            run: () => pageNavigator.goToPage(page, { section: url.hash.slice(1) || null })
+        });
+    }
+
+    // A button without a link - press the real one on the page
+    return actionPolicy.guard({
+        action: 'click',
+        params: { target: text },
+        element: findElementByDescription(text),
+        source: 'navigation',
+        run: () => clickElement(text)
+    });
+}
+
+/**
+ * Create an element with a class and text
+ */
+function createText(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * Render a card
+ * Everything is set as text: plan names and prices come from the host page.
+ * @param {Object} card - Card from buildCard (or a meeting card)
+ * @param {Object} options - { onButton(button) } for CTA buttons; { onSlot(slot), timeZone } for meeting slots (shown disabled without onSlot)
+ * @returns {HTMLElement} Card element
+ */
+export function renderCard(card, { onButton = runCardButton, onSlot = null, timeZone = getLocalTimeZone() } = {}) {
+    const element = document.createElement('div');
+    element.className = `card card-${card.type}`;
+    element.appendChild(createText('div', 'card-title', card.title));
+
+    if (card.type === 'pricing') {
+        const list = document.createElement('div');
+        list.className = 'card-plans';
+        card.plans.forEach(plan => {
+            const item = document.createElement('div');
+            item.className = plan.popular ? 'card-plan popular' : 'card-plan';
+            const header = document.createElement('div');
+            header.className = 'card-plan-header';
+            header.appendChild(createText('span', 'card-plan-name', plan.name));
+            if (plan.popular) header.appendChild(createText('span', 'card-badge', t('cardPopular')));
+            item.appendChild(header);
+            item.appendChild(createText('div', 'card-plan-price', [plan.price, plan.period].filter(Boolean).join(' / ')));
+            if (plan.features.length > 0) {
+                const features = document.createElement('ul');
+                plan.features.forEach(feature => features.appendChild(createText('li', null, feature)));
+                item.appendChild(features);
+            }
+            list.appendChild(item);
+        });
+        element.appendChild(list);
+    }
+
+    if (card.type === 'comparison') {
+        const table = document.createElement('table');
+        const head = document.createElement('tr');
+        head.appendChild(document.createElement('th'));
+        card.columns.forEach(column => head.appendChild(createText('th', null, column)));
+        table.appendChild(head);
+        card.rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.appendChild(createText('th', null, row.label));
+            row.values.forEach(value => tr.appendChild(createText('td', null, value)));
+            table.appendChild(tr);
+        });
+        element.appendChild(table);
+    }
+
+    if (card.type === 'cta') {
+        const actions = document.createElement('div');
+        actions.className = 'card-actions';
+        card.buttons.forEach(button => {
+            const cta = createText('button', 'lead-form-submit', button.text);
+            cta.type = 'button';
+            cta.addEventListener('click', () => onButton(button));
+            actions.appendChild(cta);
+        });
+        element.appendChild(actions);
+    }
+
+    if (card.type === 'meeting') {
+        const slots = document.createElement('div');
+        slots.className = 'card-slots';
+        slots.setAttribute('role', 'group');
+        slots.setAttribute('aria-label', t('meetingSlots'));
+        card.slots.forEach(slot => {
+            const button = createText('button', 'card-slot', formatSlotTime(slot.start, timeZone, languageManager.language));
+            button.type = 'button';
+            if (onSlot) button.addEventListener('click', () => onSlot(slot));
+            else button.disabled = true;
+            slots.appendChild(button);
+        });
+        element.appendChild(slots);
+    }
+
+    return element;
+}
@@ -0,0 +1,454 @@
+/**
+ * SDK Configuration
+ * Typed accessors for the options passed to Blitsum.init
+ */
+
+import { Store } from './store.js';
+
+/**
+ * Default behavior flags
+ */
+export const DEFAULT_BEHAVIOR = {
+    proactive: true,
+    autoNavigate: true,
+    voiceEnabled: true
+};
+
+/**
+ * Get the raw init config
+ * @returns {Object} Config object
+ */
+export function getConfig() {
+    return Store.getState().config || {};
+}
+
+/**
+ * Get a behavior flag, falling back to the default when not configured
+ * @param {string} name - Flag name (proactive, autoNavigate, voiceEnabled)
+ * @returns {boolean} Flag value
+ */
+export function getBehaviorFlag(name) {
+    const behavior = getConfig().behavior || {};
+    return behavior[name] !== undefined ? !!behavior[name] : DEFAULT_BEHAVIOR[name];
+}
+
+/**
+ * Chat pipelines selectable via `init({ pipeline })`
+ * - sales: every turn runs through SalesExecutiveAI (BANT, personalization, closing)
+ * - legacy: stage prompt from the funnel engine only
+ */
+export const PIPELINES = ['sales', 'legacy'];
+
+/**
+ * Get the configured chat pipeline
+ * @returns {string} 'sales' (default) or 'legacy'
+ */
+export function getPipelineMode() {
+    const pipeline = getConfig().pipeline;
+    return PIPELINES.includes(pipeline) ? pipeline : 'sales';
+}
+
+/**
+ * Get configured pricing plans normalized to the extractor's shape
+ * Accepts `name` as an alias for `plan`
+ * @returns {Array<Object>} Pricing plans
+ */
+export function getConfiguredPricing() {
+    const pricing = getConfig().pricing;
+    if (!Array.isArray(pricing)) return [];
+
+    return pricing
+        .filter(plan => plan && (plan.plan || plan.name))
+        .map(plan => ({
+            plan: plan.plan || plan.name,
+            price: plan.price || 'Custom',
+            priceValue: plan.priceValue ?? null,
+            currency: plan.currency || null,
+            period: plan.period || null,
+            features: plan.features || [],
+            popular: !!plan.popular,
+            source: 'config'
+        }));
+}
+
+/**
+ * Get configured page sections
+ * @returns {Array<Object>} Sections ({ id, heading, type })
+ */
+export function getConfiguredSections() {
+    const sections = getConfig().sections;
+    if (!Array.isArray(sections)) return [];
+
+    return sections
+        .filter(section => section && section.id)
+        .map(section => ({
+            id: section.id,
+            type: section.type || 'section',
+            heading: section.heading || null,
+            textPreview: section.description || null,
+            source: 'config'
+        }));
+}
+
+/**
+ * Default session persistence options
+ */
+export const DEFAULT_PERSISTENCE = {
+    enabled: true,
+    ttlMinutes: 30,
+    storage: 'local'
+};
+
+/**
+ * Get session persistence options merged over the defaults
+ * `persistence: false` disables persistence entirely
+ * @returns {Object} Persistence options ({ enabled, ttlMinutes, storage })
+ */
+export function getPersistenceConfig() {
+    const persistence = getConfig().persistence;
+    if (persistence === false) return { ...DEFAULT_PERSISTENCE, enabled: false };
+    return { ...DEFAULT_PERSISTENCE, ...(persistence || {}) };
+}
+
+/**
+ * Default lead capture options
+ */
+export const DEFAULT_LEADS = {
+    enabled: true,
+    sinks: [],
+    offerForm: true,
+    offerAtStages: ['closing'],
+    minScore: 0.6
+};
+
+/**
+ * Get lead capture options merged over the defaults
+ * `leads: false` disables lead capture entirely
+ * @returns {Object} Lead options ({ enabled, sinks, offerForm, offerAtStages, minScore })
+ */
+export function getLeadConfig() {
+    const leads = getConfig().leads;
+    if (leads === false) return { ...DEFAULT_LEADS, enabled: false };
+    return { ...DEFAULT_LEADS, ...(leads || {}) };
+}
+
+/**
+ * Default retrieval options
+ */
+export const DEFAULT_RETRIEVAL = {
+    enabled: true,
+    topK: 8,
+    maxChars: 3500,
+    documents: [],
+    embeddings: null,
+    semanticWeight: 0.6
+};
+
+/**
+ * Get retrieval options merged over the defaults
+ * `retrieval: false` turns off ranking (passages are then taken in page order)
+ * @returns {Object} Retrieval options ({ enabled, topK, maxChars, documents, embeddings, semanticWeight })
+ */
+export function getRetrievalConfig() {
+    const retrieval = getConfig().retrieval;
+    if (retrieval === false) return { ...DEFAULT_RETRIEVAL, enabled: false };
+    return { ...DEFAULT_RETRIEVAL, ...(retrieval || {}) };
+}
+
+/**
+ * Default site index options
+ */
+export const DEFAULT_SITE_INDEX = {
+    enabled: true,
+    url: null,
+    crawl: false,
+    strategy: 'fetch',
+    maxPages: 30,
+    delayMs: 250,
+    exclude: [],
+    refreshHours: 24
+};
+
+/**
+ * Get site index options merged over the defaults
+ * `siteIndex: false` disables cross-page knowledge entirely
+ * @returns {Object} Site index options ({ enabled, url, crawl, strategy, maxPages, delayMs, exclude, refreshHours })
+ */
+export function getSiteIndexConfig() {
+    const siteIndex = getConfig().siteIndex;
+    if (siteIndex === false) return { ...DEFAULT_SITE_INDEX, enabled: false };
+    return { ...DEFAULT_SITE_INDEX, ...(siteIndex || {}) };
+}
+
+/**
+ * Default form filling options
+ */
+export const DEFAULT_FORMS = {
+    enabled: true,
+    exclude: []
+};
+
+/**
+ * Get form filling options merged over the defaults
+ * `forms: false` removes the fill_form action entirely
+ * @returns {Object} Form options ({ enabled, exclude })
+ */
+export function getFormsConfig() {
+    const forms = getConfig().forms;
+    if (forms === false) return { ...DEFAULT_FORMS, enabled: false };
+    return { ...DEFAULT_FORMS, ...(forms || {}) };
+}
+
+/**
+ * Default action policy - risky controls are off-limits and clicks or page
+ * changes proposed by the model wait for the visitor's go-ahead
+ */
+export const DEFAULT_ACTION_POLICY = {
+    enabled: true,
+    actions: {},
+    allowSelectors: [],
+    denySelectors: [],
+    denyText: [
+        'delete', 'remove account', 'close account', 'deactivate', 'unsubscribe',
+        'cancel subscription', 'buy now', 'purchase', 'place order', 'pay now',
+        'checkout', 'log out', 'sign out'
+    ],
+    confirm: ['click', 'goto_page'],
+    maxActionsPerTurn: 6,
+    auditLimit: 200
+};
+
+/**
+ * Get action policy options merged over the defaults
+ * `actionPolicy: false` lifts every restriction (actions are still audited)
+ * @returns {Object} Policy options ({ enabled, actions, allowSelectors, denySelectors, denyText, confirm, maxActionsPerTurn, auditLimit })
+ */
+export function getActionPolicyConfig() {
+    const policy = getConfig().actionPolicy;
+    if (policy === false) return { ...DEFAULT_ACTION_POLICY, enabled: false };
+    return { ...DEFAULT_ACTION_POLICY, ...(policy || {}) };
+}
+
+/**
+ * Default language options
+ */
+export const DEFAULT_LANGUAGE = {
+    enabled: true,
+    supported: ['en', 'es', 'de', 'hi'],
+    default: 'en',
+    detect: true,
+    locales: {},
+    murfVoices: {},
+    strings: {}
+};
+
+/**
+ * Get language options merged over the defaults
+ * `language: false` keeps the widget in English with no detection
+ * @returns {Object} Language options ({ enabled, supported, default, detect, locales, murfVoices, strings })
+ */
+export function getLanguageConfig() {
+    const language = getConfig().language;
+    if (language === false) return { ...DEFAULT_LANGUAGE, enabled: false, detect: false, supported: ['en'] };
+    return { ...DEFAULT_LANGUAGE, ...(language || {}) };
+}
+
+/**
+ * Default theme options
+ */
+export const DEFAULT_THEME = {
+    mode: 'dark',
+    position: 'bottom-center',
+    colors: {},
+    lightColors: {},
+    darkColors: {},
+    radius: null,
+    fontFamily: null,
+    offset: null,
+    logo: null
+};
+
+/**
+ * Get theme options merged over the defaults
+ * @returns {Object} Theme options ({ mode, position, colors, lightColors, darkColors, radius, fontFamily, offset, logo })
+ */
+export function getThemeConfig() {
+    return { ...DEFAULT_THEME, ...(getConfig().theme || {}) };
+}
+
+/**
+ * Default accessibility options
+ */
+export const DEFAULT_ACCESSIBILITY = {
+    hotkey: 'alt+b',
+    announce: true
+};
+
+/**
+ * Get accessibility options merged over the defaults
+ * `hotkey: false` turns the keyboard shortcut off
+ * @returns {Object} Accessibility options ({ hotkey, announce })
+ */
+export function getAccessibilityConfig() {
+    return { ...DEFAULT_ACCESSIBILITY, ...(getConfig().accessibility || {}) };
+}
+
+/**
+ * Default mobile options
+ * `enabled: 'auto'` turns mobile mode on for touch devices and narrow viewports
+ */
+export const DEFAULT_MOBILE = {
+    enabled: 'auto',
+    breakpoint: 640,
+    swipeToDismiss: true,
+    backButtonIntent: false
+};
+
+/**
+ * Get mobile options merged over the defaults
+ * `mobile: false` keeps the desktop layout everywhere
+ * @returns {Object} Mobile options ({ enabled, breakpoint, swipeToDismiss, backButtonIntent })
+ */
+export function getMobileConfig() {
+    const mobile = getConfig().mobile;
+    if (mobile === false) return { ...DEFAULT_MOBILE, enabled: false };
+    return { ...DEFAULT_MOBILE, ...(mobile || {}) };
+}
+
+/**
+ * Default analytics options
+ * Events go to `endpoint` (POSTed as { events }) or to `adapter`
+ * ({ type: 'firestore', db, collection } or any object with `send(events)`).
+ * `transcripts: true` adds the conversation text to the engagement event.
+ */
+export const DEFAULT_ANALYTICS = {
+    enabled: true,
+    endpoint: null,
+    headers: {},
+    adapter: null,
+    transcripts: false,
+    batchSize: 20,
+    flushInterval: 10000,
+    offlineQueue: true,
+    maxQueueSize: 500
+};
+
+/**
+ * Get analytics options merged over the defaults
+ * `analytics: false` disables event reporting entirely
+ * @returns {Object} Analytics options ({ enabled, endpoint, headers, adapter, transcripts, batchSize, flushInterval, offlineQueue, maxQueueSize })
+ */
+export function getAnalyticsConfig() {
+    const analytics = getConfig().analytics;
+    if (analytics === false) return { ...DEFAULT_ANALYTICS, enabled: false };
+    return { ...DEFAULT_ANALYTICS, ...(analytics || {}) };
+}
+
+/**
+ * Default live-agent handoff options
+ * Handoff is only offered once `url` points at a handoff server (sdk/server/handoff.js).
+ * Triggers: `enterprise` (enterprise-sized visitor), `objections` (the closing
+ * technique falls back to a summary close after repeated objections) and
+ * `request` (the visitor asks for a person).
+ */
+export const DEFAULT_HANDOFF = {
+    enabled: true,
+    url: null,
+    triggers: {
+        enterprise: true,
+        objections: true,
+        request: true
+    }
+};
+
+/**
+ * Get handoff options merged over the defaults
+ * `handoff: false` disables live-agent handoff entirely
+ * @returns {Object} Handoff options ({ enabled, url, triggers })
+ */
+export function getHandoffConfig() {
+    const handoff = getConfig().handoff;
+    if (handoff === false) return { ...DEFAULT_HANDOFF, enabled: false };
+    return {
+        ...DEFAULT_HANDOFF,
+        ...(handoff || {}),
+        triggers: { ...DEFAULT_HANDOFF.triggers, ...(handoff?.triggers || {}) }
+    };
+}
+
+/**
+ * Default meeting booking options
+ * `book_meeting` is offered once `provider` is set: `{ type: 'static', schedule | slots }`,
+ * `{ type: 'ics', url, schedule }` or `{ type: 'endpoint', url }` (see meetings/).
+ * `duration` and `minNotice` are minutes, `days` is how far ahead to look.
+ */
+export const DEFAULT_MEETINGS = {
+    enabled: true,
+    provider: null,
+    title: 'Product demo',
+    duration: 30,
+    days: 14,
+    minNotice: 120,
+    maxSlots: 6
+};
+
+/**
+ * Get meeting booking options merged over the defaults
+ * `meetings: false` turns booking off
+ * @returns {Object} Meeting options ({ enabled, provider, title, duration, days, minNotice, maxSlots })
+ */
+export function getMeetingsConfig() {
+    const meetings = getConfig().meetings;
+    if (meetings === false) return { ...DEFAULT_MEETINGS, enabled: false };
+    return { ...DEFAULT_MEETINGS, ...(meetings || {}) };
+}
+
+/**
+ * Default experiment options
+ * `list` holds the experiments: `{ id, target, variants: [{ id, weight, value }], traffic, goals }`.
+ * Built-in targets: `systemPrompt`, `closing`, `proactive` and `position` (see experiments/).
+ * `init({ experiments: [...] })` is shorthand for `{ list: [...] }`.
+ */
+export const DEFAULT_EXPERIMENTS = {
+    enabled: true,
+    list: [],
+    previewParam: 'blitsum_experiment'
+};
+
+/**
+ * Get experiment options merged over the defaults
+ * `experiments: false` turns every experiment off (all visitors get the built-in behavior)
+ * @returns {Object} Experiment options ({ enabled, list, previewParam })
+ */
+export function getExperimentsConfig() {
+    const experiments = getConfig().experiments;
+    if (experiments === false) return { ...DEFAULT_EXPERIMENTS, enabled: false };
+    if (Array.isArray(experiments)) return { ...DEFAULT_EXPERIMENTS, list: experiments };
+    return { ...DEFAULT_EXPERIMENTS, ...(experiments || {}) };
+}
+
+/**
+ * Default proactive trigger options
+ * `list` holds declarative triggers (see sales/triggerRules.js). `maxPerSession`
+ * caps proactive messages across all triggers; `quietHours` applies to
+ * triggers without their own. `init({ triggers: [...] })` is shorthand for `{ list: [...] }`.
+ * Proactive messages still need `behavior.proactive`.
+ */
+export const DEFAULT_TRIGGERS = {
+    enabled: true,
+    list: [],
+    maxPerSession: 3,
+    quietHours: null
+};
+
+/**
+ * Get proactive trigger options merged over the defaults
+ * `triggers: false` turns the configured triggers off
+ * @returns {Object} Trigger options ({ enabled, list, maxPerSession, quietHours })
+ */
+export function getTriggersConfig() {
+    const triggers = getConfig().triggers;
+    if (triggers === false) return { ...DEFAULT_TRIGGERS, enabled: false };
+    if (Array.isArray(triggers)) return { ...DEFAULT_TRIGGERS, list: triggers };
+    return { ...DEFAULT_TRIGGERS, ...(triggers || {}) };
+}
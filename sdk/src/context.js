@@ -37,6 +37,8 @@ import {
     setupDOMChangeMonitoring
 } from './utils/cache.js';
 
+import { getConfig, getConfiguredPricing, getConfiguredSections } from './config.js';
+
 // Initialize DOM change monitoring for cache invalidation
 let domObserver = null;
 if (typeof window !== 'undefined') {
@@ -92,6 +94,9 @@ export function extractPageContext() {
         extractionTime: 0 // Will be set below
     };
 
+    // Site-owner config is authoritative over DOM heuristics
+    applySiteConfig(context);
+
     const endTime = performance.now();
     context.extractionTime = Math.round(endTime - startTime);
 
@@ -103,6 +108,42 @@ export function extractPageContext() {
     return context;
 }
 
+/**
+ * Merge the declarative Blitsum.init config into an extracted context
+ * Configured pricing replaces extracted plans; configured sections override
+ * extracted sections with the same id and are added otherwise
+ * @param {Object} context - Extracted page context (mutated)
+ * @returns {Object} The same context
+ */
+export function applySiteConfig(context) {
+    const config = getConfig();
+
+    if (config.siteName) {
+        context.content.metadata.siteName = config.siteName;
+    }
+
+    if (config.description) {
+        context.content.metadata.description = config.description;
+        if (!context.summary) context.summary = config.description;
+    }
+
+    const pricing = getConfiguredPricing();
+    if (pricing.length > 0) {
+        context.content.pricing = pricing;
+    }
+
+    const sections = getConfiguredSections();
+    if (sections.length > 0) {
+        const configuredIds = new Set(sections.map(section => section.id));
+        context.structure.sections = [
+            ...sections,
+            ...context.structure.sections.filter(section => !configuredIds.has(section.id))
+        ];
+    }
+
+    return context;
+}
+
 /**
  * Extract all content (alternative comprehensive extraction)
  * @returns {Object} All extracted content
@@ -111,6 +152,33 @@ export function extractAllContent() {
     return extractPageContext();
 }
 
+/**
+ * Extract a snapshot of any document, not just the live page (used by the site crawler)
+ * Same shape as extractPageContext() without the viewport and scroll fields
+ * @param {Document} doc - Parsed or rendered document
+ * @param {string} url - URL the document was loaded from
+ * @returns {Object} Page snapshot
+ */
+export function extractDocumentContent(doc, url = doc.baseURI) {
+    return {
+        url,
+        title: doc.title,
+        structure: getPageStructure(doc),
+        content: {
+            pricing: extractPricingTables(doc),
+            features: extractFeatureLists(doc),
+            faqs: extractFAQs(doc),
+            products: extractProducts(doc),
+            ctas: extractCTAs(doc),
+            metadata: extractMetadata(doc)
+        },
+        keywords: extractPageKeywords(doc),
+        summary: extractPageSummary(doc),
+        links: extractLinks(doc),
+        extractedAt: new Date().toISOString()
+    };
+}
+
 /**
  * Detect which section the user is currently viewing
  * @returns {string} Section ID or description
@@ -144,11 +212,12 @@ function getCurrentSection() {
 
 /**
  * Extract pricing tables and plans from the page
+ * @param {Document} doc - Document to read (defaults to the live page)
  * @returns {Array<Object>} Array of pricing plans
  */
-export function extractPricingTables() {
+export function extractPricingTables(doc = document) {
     const pricingPlans = [];
-    const elements = getVisibleElements();
+    const elements = getVisibleElements(doc);
 
     // Find pricing containers
     const pricingContainers = elements.filter(el => isPricingElement(el));
@@ -260,11 +329,12 @@ function extractPricingPlan(element) {
 
 /**
  * Extract feature lists from the page
+ * @param {Document} doc - Document to read (defaults to the live page)
  * @returns {Array<Object>} Array of features
  */
-export function extractFeatureLists() {
+export function extractFeatureLists(doc = document) {
     const features = [];
-    const elements = getVisibleElements();
+    const elements = getVisibleElements(doc);
 
     // Find feature containers
     const featureContainers = elements.filter(el => isFeatureList(el));
@@ -325,11 +395,12 @@ function extractFeature(element) {
 
 /**
  * Extract FAQ content from the page
+ * @param {Document} doc - Document to read (defaults to the live page)
  * @returns {Array<Object>} Array of Q&A pairs
  */
-export function extractFAQs() {
+export function extractFAQs(doc = document) {
     const faqs = [];
-    const elements = getVisibleElements();
+    const elements = getVisibleElements(doc);
 
     // Find FAQ containers
     const faqContainers = elements.filter(el => isFAQ(el));
@@ -371,11 +442,12 @@ export function extractFAQs() {
 
 /**
  * Extract product/service cards from the page
+ * @param {Document} doc - Document to read (defaults to the live page)
  * @returns {Array<Object>} Array of products
  */
-export function extractProducts() {
+export function extractProducts(doc = document) {
     const products = [];
-    const elements = getVisibleElements();
+    const elements = getVisibleElements(doc);
 
     // Find product cards
     const productCards = elements.filter(el => isProductCard(el));
@@ -427,11 +499,12 @@ function extractProduct(element) {
 
 /**
  * Extract Call-to-Action buttons from the page
+ * @param {Document} doc - Document to read (defaults to the live page)
  * @returns {Array<Object>} Array of CTAs
  */
-export function extractCTAs() {
+export function extractCTAs(doc = document) {
     const ctas = [];
-    const elements = getVisibleElements();
+    const elements = getVisibleElements(doc);
 
     // Find CTA elements
     const ctaElements = elements.filter(el => isCTA(el));
@@ -454,9 +527,10 @@ export function extractCTAs() {
 
 /**
  * Extract metadata from the page (Schema, Open Graph, etc.)
+ * @param {Document} doc - Document to read (defaults to the live page)
  * @returns {Object} Metadata object
  */
-export function extractMetadata() {
+export function extractMetadata(doc = document) {
     const metadata = {
         siteName: null,
         description: null,
@@ -465,7 +539,7 @@ export function extractMetadata() {
     };
 
     // Extract Open Graph tags
-    const ogTags = document.querySelectorAll('meta[property^="og:"]');
+    const ogTags = doc.querySelectorAll('meta[property^="og:"]');
     ogTags.forEach(tag => {
         const property = tag.getAttribute('property').replace('og:', '');
         const content = tag.getAttribute('content');
@@ -474,16 +548,16 @@ export function extractMetadata() {
 
     // Extract site name
     metadata.siteName = metadata.ogTags.site_name ||
-        document.querySelector('meta[name="application-name"]')?.content ||
-        document.title.split('|')[0].trim();
+        doc.querySelector('meta[name="application-name"]')?.content ||
+        doc.title.split('|')[0].trim();
 
     // Extract description
     metadata.description = metadata.ogTags.description ||
-        document.querySelector('meta[name="description"]')?.content ||
+        doc.querySelector('meta[name="description"]')?.content ||
         '';
 
     // Extract JSON-LD schema
-    const schemaScripts = document.querySelectorAll('script[type="application/ld+json"]');
+    const schemaScripts = doc.querySelectorAll('script[type="application/ld+json"]');
     schemaScripts.forEach(script => {
         try {
             const schema = JSON.parse(script.textContent);
@@ -498,22 +572,23 @@ export function extractMetadata() {
 
 /**
  * Extract page keywords
+ * @param {Document} doc - Document to read (defaults to the live page)
  * @returns {Array<string>} Array of keywords
  */
-function extractPageKeywords() {
+function extractPageKeywords(doc = document) {
     // Combine text from important elements
     const importantText = [];
 
     // Title and headings
-    importantText.push(document.title);
-    document.querySelectorAll('h1, h2, h3').forEach(h => {
+    importantText.push(doc.title);
+    doc.querySelectorAll('h1, h2, h3').forEach(h => {
         if (isElementVisible(h)) {
             importantText.push(extractTextContent(h));
         }
     });
 
     // Meta description
-    const metaDesc = document.querySelector('meta[name="description"]');
+    const metaDesc = doc.querySelector('meta[name="description"]');
     if (metaDesc) {
         importantText.push(metaDesc.content);
     }
@@ -524,17 +599,18 @@ function extractPageKeywords() {
 
 /**
  * Extract page summary
+ * @param {Document} doc - Document to read (defaults to the live page)
  * @returns {string} Page summary
  */
-function extractPageSummary() {
+function extractPageSummary(doc = document) {
     // Try to get from meta description first
-    const metaDesc = document.querySelector('meta[name="description"]');
+    const metaDesc = doc.querySelector('meta[name="description"]');
     if (metaDesc && metaDesc.content) {
         return metaDesc.content;
     }
 
     // Try to get from first paragraph in main content
-    const main = document.querySelector('main, article, [role="main"]');
+    const main = doc.querySelector('main, article, [role="main"]');
     if (main) {
         const firstP = main.querySelector('p');
         if (firstP) {
@@ -543,7 +619,7 @@ function extractPageSummary() {
     }
 
     // Fallback: use first visible paragraph
-    const paragraphs = document.querySelectorAll('p');
+    const paragraphs = doc.querySelectorAll('p');
     for (const p of paragraphs) {
         if (isElementVisible(p)) {
             const text = extractTextContent(p);
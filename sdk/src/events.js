@@ -0,0 +1,107 @@
+/**
+ * Event Bus
+ * Public, subscribable SDK events exposed through window.Blitsum.on()
+ */
+
+/**
+ * Event names emitted by the SDK
+ */
+export const SDKEvent = {
+    READY: 'ready',
+    OPEN: 'open',
+    CLOSE: 'close',
+    MESSAGE: 'message',
+    STAGE_CHANGE: 'stageChange',
+    LANGUAGE_CHANGE: 'languageChange',
+    ACTION_EXECUTED: 'actionExecuted',
+    ACTION_BLOCKED: 'actionBlocked',
+    ACTION_CONFIRM: 'actionConfirm',
+    LEAD_CAPTURED: 'leadCaptured',
+    FORM_PREVIEW: 'formPreview',
+    FORM_SUBMITTED: 'formSubmitted',
+    CARD: 'card',
+    HANDOFF: 'handoff',
+    HANDOFF_TYPING: 'handoffTyping',
+    MEETING_BOOKED: 'meetingBooked',
+    EXPERIMENT_EXPOSURE: 'experimentExposure',
+    EXPERIMENT_CONVERSION: 'experimentConversion',
+    VOICE_START: 'voiceStart',
+    VOICE_STOP: 'voiceStop',
+    RESET: 'reset',
+    ERROR: 'error'
+};
+
+export class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event ('*' receives every event)
+     * @param {string} event - Event name
+     * @param {Function} callback - Called with (payload, eventName)
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {Function} callback - Listener
+     * @returns {Function} Unsubscribe function
+     */
+    once(event, callback) {
+        const unsubscribe = this.on(event, (payload, name) => {
+            unsubscribe();
+            callback(payload, name);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Listener to remove
+     */
+    off(event, callback) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        this.listeners.set(event, listeners.filter(l => l !== callback));
+    }
+
+    /**
+     * Emit an event to its listeners and to wildcard listeners
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     */
+    emit(event, payload = {}) {
+        const targets = [
+            ...(this.listeners.get(event) || []),
+            ...(this.listeners.get('*') || [])
+        ];
+
+        targets.forEach(callback => {
+            try {
+                callback(payload, event);
+            } catch (error) {
+                console.error(`[Events] Listener error for ${event}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Remove all listeners
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+// Export singleton instance
+export const eventBus = new EventBus();
@@ -0,0 +1,328 @@
+/**
+ * Experiments
+ * A/B tests declared in config. Each visitor is bucketed deterministically
+ * (a hash of the experiment and visitor IDs), keeps their variant once they
+ * have seen it, and is logged as exposed the first time the variant is
+ * actually used - a closing experiment only counts visitors who reached a
+ * close. Conversions are logged once per visitor and goal, for visitors
+ * already exposed. Both go out as `experimentExposure` /
+ * `experimentConversion` SDK events and `experiment_exposure` /
+ * `experiment_conversion` analytics events, which results.js turns into
+ * conversion rates with confidence intervals (the `/dashboard` shows them).
+ *
+ * Built-in targets and their variant values:
+ *   systemPrompt  Text added to the system prompt, e.g. "Lead with ROI numbers."
+ *   closing       { technique } to force a closing technique and/or { statement }:
+ *                 a ClosingOptimizer variant (A-E) or the statement itself
+ *   proactive     Proactive message copy: a string, or { [triggerId]: string }
+ *   position      Notch position ('bottom-center' | 'bottom-right' | 'top')
+ * Any other target is for the host page, via Blitsum.getVariant(id).
+ * A variant without a value keeps the built-in behavior (the control).
+ *
+ * Goals are analytics event names: lead_captured (default), meeting_booked,
+ * form_submitted, cta_clicked, handoff, or anything the host reports with
+ * Blitsum.convert(goal). The first goal is the primary one; the first
+ * variant is the baseline.
+ *
+ * Example:
+ *   Blitsum.init({ experiments: [{
+ *       id: 'close-2026-10',
+ *       target: 'closing',
+ *       variants: [{ id: 'control' }, { id: 'trial', value: { technique: 'trial' } }],
+ *       goals: ['lead_captured', 'meeting_booked']
+ *   }] })
+ *
+ * Changing an experiment's variants or weights moves visitors who haven't
+ * seen it yet; start a new experiment ID instead of editing a running one.
+ * `?blitsum_experiment=close-2026-10:trial` previews a variant without
+ * logging anything.
+ */
+
+import { eventBus, SDKEvent } from '../events.js';
+import { getExperimentsConfig } from '../config.js';
+import { behaviorTracker } from '../utils/behaviorTracker.js';
+import { getVisitorId } from '../utils/visitor.js';
+
+/**
+ * Parts of the SDK an experiment can change
+ */
+export const ExperimentTarget = {
+    SYSTEM_PROMPT: 'systemPrompt',
+    CLOSING: 'closing',
+    PROACTIVE: 'proactive',
+    POSITION: 'position'
+};
+
+/**
+ * Goals the SDK reports by itself
+ */
+export const ExperimentGoal = {
+    LEAD_CAPTURED: 'lead_captured',
+    MEETING_BOOKED: 'meeting_booked',
+    FORM_SUBMITTED: 'form_submitted',
+    CTA_CLICKED: 'cta_clicked',
+    HANDOFF: 'handoff'
+};
+
+const STORAGE_KEY = 'blitsum_experiments';
+
+/**
+ * Hash a string to a number in [0, 1) (32-bit FNV-1a)
+ * @param {string} text - Input
+ * @returns {number} Stable pseudo-random number
+ */
+export function hashToUnit(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 4294967296;
+}
+
+/**
+ * Bucket a visitor into one of an experiment's variants
+ * Enrollment and variant use separate hashes, so raising `traffic` keeps
+ * everyone already enrolled in the same variant.
+ * @param {Object} experiment - Normalized experiment
+ * @param {string} visitorId - Visitor ID
+ * @returns {Object|null} Variant, or null when the visitor is outside `traffic`
+ */
+export function assignVariant(experiment, visitorId) {
+    if (hashToUnit(`${experiment.id}:traffic:${visitorId}`) >= experiment.traffic) return null;
+
+    const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = hashToUnit(`${experiment.id}:${visitorId}`) * total;
+    return experiment.variants.find(variant => (point -= variant.weight) < 0) || experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Fill in defaults and drop experiments that can't run
+ * @param {Object} definition - Experiment from config
+ * @returns {Object|null} { id, target, traffic, goals, variants } or null when invalid
+ */
+function normalizeExperiment(definition = {}) {
+    const { id, target, enabled = true, traffic = 1, goals = [ExperimentGoal.LEAD_CAPTURED] } = definition;
+    const variants = (definition.variants || [])
+        .filter(variant => variant?.id)
+        .map(variant => ({ id: String(variant.id), weight: Math.max(0, Number(variant.weight ?? 1) || 0), value: variant.value }));
+
+    if (!id || !target) {
+        console.warn('[Experiments] Skipping an experiment without id or target');
+        return null;
+    }
+    if (variants.length < 2 || !variants.some(variant => variant.weight > 0)) {
+        console.warn(`[Experiments] Skipping ${id}: needs at least two variants`);
+        return null;
+    }
+    if (!enabled) return null;
+
+    return {
+        id: String(id),
+        target,
+        traffic: Math.min(1, Math.max(0, Number(traffic) || 0)),
+        goals: [].concat(goals).map(String),
+        variants
+    };
+}
+
+export class ExperimentManager {
+    constructor() {
+        this.memoryLedger = {};
+        this.definitions = null;
+        this.running = [];
+        this.previews = null;
+        this.cleanup = [];
+        this.initialized = false;
+    }
+
+    /**
+     * Start recording conversions for the goals the SDK reports
+     */
+    init() {
+        if (this.initialized || !getExperimentsConfig().enabled) return;
+
+        const offEvents = eventBus.on('*', (payload, eventName) => {
+            switch (eventName) {
+                case SDKEvent.LEAD_CAPTURED:
+                    this.convert(ExperimentGoal.LEAD_CAPTURED);
+                    break;
+                case SDKEvent.MEETING_BOOKED:
+                    this.convert(ExperimentGoal.MEETING_BOOKED);
+                    break;
+                case SDKEvent.FORM_SUBMITTED:
+                    if (payload.success) this.convert(ExperimentGoal.FORM_SUBMITTED);
+                    break;
+                case SDKEvent.HANDOFF:
+                    if (payload.state === 'live') this.convert(ExperimentGoal.HANDOFF);
+                    break;
+            }
+        });
+        const onBehavior = (type) => {
+            if (type === 'ctaClick') this.convert(ExperimentGoal.CTA_CLICKED);
+        };
+        behaviorTracker.addListener(onBehavior);
+
+        this.cleanup = [offEvents, () => behaviorTracker.removeListener(onBehavior)];
+        this.initialized = true;
+        console.log(`[Experiments] Initialized (${this.getExperiments().length} running)`);
+    }
+
+    /**
+     * Running experiments (at most one per built-in target, so their effects don't mix)
+     * @returns {Array<Object>} Normalized experiments
+     */
+    getExperiments() {
+        const { enabled, list } = getExperimentsConfig();
+        if (!enabled || !Array.isArray(list)) return [];
+        if (list === this.definitions) return this.running;
+
+        const builtInTargets = Object.values(ExperimentTarget);
+        const claimed = new Set();
+        this.definitions = list;
+        this.running = list.map(normalizeExperiment).filter(experiment => {
+            if (!experiment || !builtInTargets.includes(experiment.target)) return !!experiment;
+            if (claimed.has(experiment.target)) {
+                console.warn(`[Experiments] Skipping ${experiment.id}: another experiment already targets ${experiment.target}`);
+                return false;
+            }
+            claimed.add(experiment.target);
+            return true;
+        });
+        return this.running;
+    }
+
+    /**
+     * Variants the visitor has been exposed to, with the goals they reached
+     * @returns {Object} { [experimentId]: { variant, exposedAt, goals } }
+     */
+    loadLedger() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch {
+            return this.memoryLedger;
+        }
+    }
+
+    /**
+     * @param {Object} ledger - From loadLedger
+     */
+    saveLedger(ledger) {
+        this.memoryLedger = ledger;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(ledger));
+        } catch {
+            // Kept in memory for this page only
+        }
+    }
+
+    /**
+     * Variants forced with `?blitsum_experiment=id:variant` (comma-separated)
+     * @returns {Object} { [experimentId]: variantId }
+     */
+    getPreviews() {
+        if (this.previews) return this.previews;
+
+        this.previews = {};
+        const param = new URLSearchParams(window.location.search).get(getExperimentsConfig().previewParam);
+        (param || '').split(',').forEach(pair => {
+            const [experimentId, variantId] = pair.split(':');
+            if (experimentId && variantId) this.previews[experimentId] = variantId;
+        });
+        return this.previews;
+    }
+
+    /**
+     * The visitor's variant of an experiment; logs the exposure the first time
+     * @param {Object} experiment - Normalized experiment
+     * @returns {Object|null} Variant, or null when the visitor isn't enrolled
+     */
+    expose(experiment) {
+        const preview = this.getPreviews()[experiment.id];
+        if (preview) return experiment.variants.find(variant => variant.id === preview) || null;
+
+        const ledger = this.loadLedger();
+        const seen = ledger[experiment.id] && experiment.variants.find(variant => variant.id === ledger[experiment.id].variant);
+        if (seen) return seen;
+
+        // Before the widget mounts nothing is reporting yet; log the exposure on a later use
+        const variant = assignVariant(experiment, getVisitorId());
+        if (!variant || !this.initialized) return variant;
+
+        ledger[experiment.id] = { variant: variant.id, exposedAt: new Date().toISOString(), goals: [] };
+        this.saveLedger(ledger);
+        eventBus.emit(SDKEvent.EXPERIMENT_EXPOSURE, {
+            experiment: experiment.id,
+            variant: variant.id,
+            target: experiment.target,
+            goal: experiment.goals[0],
+            baseline: experiment.variants[0].id
+        });
+        console.log(`[Experiments] ${experiment.id}: ${variant.id}`);
+        return variant;
+    }
+
+    /**
+     * Value of the visitor's variant for a built-in target
+     * @param {string} target - ExperimentTarget
+     * @returns {*} Variant value, or undefined for the control and when nothing targets it
+     */
+    getTreatment(target) {
+        const experiment = this.getExperiments().find(e => e.target === target);
+        return experiment ? this.expose(experiment)?.value : undefined;
+    }
+
+    /**
+     * The visitor's variant ID of an experiment (logs the exposure)
+     * @param {string} experimentId - Experiment ID
+     * @returns {string|null} Variant ID, or null when not running or not enrolled
+     */
+    getVariant(experimentId) {
+        const experiment = this.getExperiments().find(e => e.id === experimentId);
+        return experiment ? this.expose(experiment)?.id ?? null : null;
+    }
+
+    /**
+     * Record a goal for every exposed experiment that counts it (once per visitor)
+     * @param {string} goal - Goal name, e.g. "lead_captured" or a host goal like "signup"
+     * @returns {Array<Object>} Conversions recorded ({ experiment, variant, goal })
+     */
+    convert(goal) {
+        const ledger = this.loadLedger();
+        const conversions = this.getExperiments()
+            .filter(experiment => experiment.goals.includes(goal))
+            .filter(experiment => ledger[experiment.id] && !ledger[experiment.id].goals.includes(goal))
+            .map(experiment => {
+                ledger[experiment.id].goals.push(goal);
+                return { experiment: experiment.id, variant: ledger[experiment.id].variant, goal };
+            });
+
+        if (conversions.length === 0) return conversions;
+        this.saveLedger(ledger);
+        conversions.forEach(conversion => eventBus.emit(SDKEvent.EXPERIMENT_CONVERSION, conversion));
+        return conversions;
+    }
+
+    /**
+     * Variants the visitor has been exposed to
+     * @returns {Object} { [experimentId]: variantId }
+     */
+    getAssignments() {
+        return Object.fromEntries(Object.entries(this.loadLedger()).map(([id, entry]) => [id, entry.variant]));
+    }
+
+    /**
+     * Stop recording conversions
+     */
+    destroy() {
+        this.cleanup.forEach(fn => fn());
+        this.cleanup = [];
+        this.previews = null;
+        this.initialized = false;
+    }
+}
+
+// Export singleton instance
+export const experiments = new ExperimentManager();
+
+export { computeExperimentResults } from './results.js';
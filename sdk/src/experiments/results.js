@@ -0,0 +1,173 @@
+/**
+ * Experiment Results
+ * Conversion rate per variant from `experiment_exposure` and
+ * `experiment_conversion` analytics events, with a Wilson score interval for
+ * each rate and a two-proportion z-test against the baseline (first)
+ * variant. Visitors count once per experiment, in the variant they were
+ * first exposed to. No SDK dependencies, so the dashboard imports it as is.
+ *
+ * Example:
+ *   computeExperimentResults(events)
+ *   // [{ id: 'close-2026-10', goal: 'lead_captured', variants: [
+ *   //     { id: 'control', visitors: 412, conversions: 37, rate: 0.09, interval: [0.066, 0.121], ... },
+ *   //     { id: 'trial', visitors: 398, conversions: 58, rate: 0.146, lift: 0.62, pValue: 0.013, significant: true }
+ *   // ] }]
+ */
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ * @param {number} z - z-score
+ * @returns {number} P(Z <= z)
+ */
+export function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * z-score for a two-sided confidence level (1.96 for 0.95)
+ * @param {number} confidence - e.g. 0.95
+ * @returns {number} z-score
+ */
+export function zForConfidence(confidence = 0.95) {
+    const target = 1 - (1 - confidence) / 2;
+    let low = 0;
+    let high = 10;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (normalCdf(mid) < target) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Wilson score interval for a conversion rate (stays sensible for small samples and 0%)
+ * @param {number} conversions - Converted visitors
+ * @param {number} visitors - Exposed visitors
+ * @param {number} confidence - e.g. 0.95
+ * @returns {Array<number>} [low, high]
+ */
+export function wilsonInterval(conversions, visitors, confidence = 0.95) {
+    if (visitors === 0) return [0, 1];
+
+    const z = zForConfidence(confidence);
+    const rate = conversions / visitors;
+    const denominator = 1 + (z * z) / visitors;
+    const center = (rate + (z * z) / (2 * visitors)) / denominator;
+    const margin = (z * Math.sqrt((rate * (1 - rate)) / visitors + (z * z) / (4 * visitors * visitors))) / denominator;
+    return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+/**
+ * Two-sided p-value of a pooled two-proportion z-test
+ * @param {Object} a - Baseline { conversions, visitors }
+ * @param {Object} b - Variant { conversions, visitors }
+ * @returns {number} p-value (1 when there's nothing to compare)
+ */
+export function twoProportionPValue(a, b) {
+    if (a.visitors === 0 || b.visitors === 0) return 1;
+
+    const pooled = (a.conversions + b.conversions) / (a.visitors + b.visitors);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.visitors + 1 / b.visitors));
+    if (standardError === 0) return 1;
+
+    const z = (b.conversions / b.visitors - a.conversions / a.visitors) / standardError;
+    return Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+}
+
+/**
+ * Results for every experiment found in a set of analytics events
+ * @param {Array<Object>} events - Analytics events (any order, any other types)
+ * @param {Object} options - { confidence } (default 0.95)
+ * @returns {Array<Object>} Experiments, most recently active first:
+ *   { id, target, goal, goals, baseline, visitors, lastExposure, variants: [{ id, visitors,
+ *     conversions, rate, interval, goals, lift, pValue, significant }] }
+ */
+export function computeExperimentResults(events = [], { confidence = 0.95 } = {}) {
+    const experiments = new Map();
+    const sorted = events
+        .filter(event => event.type === 'experiment_exposure' || event.type === 'experiment_conversion')
+        .sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+
+    const getExperiment = (id) => {
+        if (!experiments.has(id)) {
+            experiments.set(id, { id, target: null, goal: null, baseline: null, lastExposure: null, assignments: new Map(), converted: new Map() });
+        }
+        return experiments.get(id);
+    };
+
+    sorted.forEach(({ type, visitorId, timestamp, properties = {} }) => {
+        if (!properties.experiment || !visitorId) return;
+        const experiment = getExperiment(properties.experiment);
+
+        if (type === 'experiment_exposure') {
+            experiment.target = properties.target || experiment.target;
+            experiment.goal = properties.goal || experiment.goal;
+            experiment.baseline = properties.baseline || experiment.baseline;
+            experiment.lastExposure = timestamp;
+            if (!experiment.assignments.has(visitorId)) experiment.assignments.set(visitorId, properties.variant);
+            return;
+        }
+
+        // Conversions count for the variant the visitor was exposed to, once per goal
+        if (!properties.goal) return;
+        if (!experiment.converted.has(properties.goal)) experiment.converted.set(properties.goal, new Set());
+        experiment.converted.get(properties.goal).add(visitorId);
+    });
+
+    return [...experiments.values()]
+        .filter(experiment => experiment.assignments.size > 0)
+        .map(experiment => {
+            const goals = [...experiment.converted.keys()];
+            const goal = experiment.goal || goals[0] || null;
+            const variantIds = [...new Set(experiment.assignments.values())];
+            const baseline = variantIds.includes(experiment.baseline) ? experiment.baseline : [...variantIds].sort()[0];
+
+            const variants = variantIds.map(id => {
+                const visitors = [...experiment.assignments].filter(([, variant]) => variant === id).map(([visitorId]) => visitorId);
+                const byGoal = {};
+                experiment.converted.forEach((converted, name) => {
+                    byGoal[name] = visitors.filter(visitorId => converted.has(visitorId)).length;
+                });
+                const conversions = goal ? byGoal[goal] || 0 : 0;
+                return {
+                    id,
+                    visitors: visitors.length,
+                    conversions,
+                    rate: visitors.length > 0 ? conversions / visitors.length : 0,
+                    interval: wilsonInterval(conversions, visitors.length, confidence),
+                    goals: byGoal
+                };
+            });
+
+            const base = variants.find(variant => variant.id === baseline);
+            variants.forEach(variant => {
+                if (variant === base) {
+                    Object.assign(variant, { lift: null, pValue: null, significant: false });
+                    return;
+                }
+                const pValue = twoProportionPValue(base, variant);
+                Object.assign(variant, {
+                    lift: base.rate > 0 ? (variant.rate - base.rate) / base.rate : null,
+                    pValue,
+                    significant: pValue < 1 - confidence
+                });
+            });
+
+            return {
+                id: experiment.id,
+                target: experiment.target,
+                goal,
+                goals,
+                baseline,
+                visitors: experiment.assignments.size,
+                lastExposure: experiment.lastExposure,
+                variants: [base, ...variants.filter(variant => variant !== base).sort((a, b) => (a.id < b.id ? -1 : 1))]
+            };
+        })
+        .sort((a, b) => (a.lastExposure < b.lastExposure ? 1 : -1));
+}
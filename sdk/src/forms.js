@@ -0,0 +1,440 @@
+/**
+ * Form Filling
+ * Lets the assistant complete forms on the page (e.g. a waitlist signup) with
+ * details the visitor already gave in chat. Nothing is submitted without the
+ * visitor's say-so: `fill_form` only fills the fields and emits a preview,
+ * the notch shows it with Submit / Cancel, and only `confirm()` submits.
+ *
+ * Password, payment, file, hidden and checkbox/radio fields are never touched,
+ * and forms matching `forms.exclude` are skipped entirely:
+ *   Blitsum.init({ forms: { exclude: ['#checkout-form'] } })
+ */
+
+import { getFormsConfig } from './config.js';
+import { eventBus, SDKEvent } from './events.js';
+import { highlightElement } from './actions.js';
+import { leadCapture } from './leads/index.js';
+import { getScrollBehavior } from './utils/motion.js';
+
+// Field types the agent may type into
+const FILLABLE_TYPES = new Set(['text', 'email', 'tel', 'url', 'number', 'search', 'textarea', 'select-one']);
+
+// Never filled, whatever the label says
+const SENSITIVE_AUTOCOMPLETE = /^(cc-|new-password|current-password|one-time-code)/;
+const SENSITIVE_LABEL = /password|card number|credit card|cvc|cvv|iban|ssn|social security/i;
+
+// Canonical keys, checked in order ("company size" is team size, "company name" is company)
+const FIELD_KEYS = [
+    { key: 'email', type: 'email', autocomplete: /^email$/, label: /e-?mail/i },
+    { key: 'teamSize', label: /team size|company size|employees|headcount|how many (people|seats|users)|number of (people|seats|users)|seats/i },
+    { key: 'company', autocomplete: /^organization$/, label: /company|organi[sz]ation|business|employer/i },
+    { key: 'name', autocomplete: /^(name|given-name|family-name)$/, label: /\bname\b/i }
+];
+
+// How long to watch for the site's own error messages after submitting
+const RESULT_TIMEOUT = 3000;
+const RESULT_POLL_INTERVAL = 250;
+
+/**
+ * Find the visible text that labels a field
+ * @param {Element} field - Input, textarea or select
+ * @returns {string} Label text (may be empty)
+ */
+function getFieldLabel(field) {
+    const labelledBy = field.getAttribute('aria-labelledby');
+    if (labelledBy) {
+        const text = labelledBy.split(/\s+/)
+            .map(id => document.getElementById(id)?.textContent || '')
+            .join(' ')
+            .trim();
+        if (text) return text;
+    }
+
+    if (field.getAttribute('aria-label')) return field.getAttribute('aria-label').trim();
+
+    const label = (field.id && field.form?.querySelector(`label[for="${CSS.escape(field.id)}"]`)) ||
+        field.closest('label');
+    if (label?.textContent.trim()) return label.textContent.trim().replace(/\s*\*$/, '');
+
+    return (field.placeholder || field.name || '').trim();
+}
+
+/**
+ * Work out which visitor detail a field asks for
+ * @param {Element} field - Field element
+ * @param {string} label - Field label
+ * @returns {string|null} Canonical key ('email', 'teamSize', 'company', 'name') or null
+ */
+function getFieldKey(field, label) {
+    const autocomplete = (field.getAttribute('autocomplete') || '').toLowerCase();
+    const text = `${label} ${field.name || ''}`;
+
+    const match = FIELD_KEYS.find(({ type, autocomplete: auto, label: pattern }) =>
+        (type && field.type === type) ||
+        (auto && auto.test(autocomplete)) ||
+        pattern.test(text));
+    return match ? match.key : null;
+}
+
+/**
+ * Whether the agent may put a value in this field
+ * @param {Element} field - Field element
+ * @param {string} label - Field label
+ * @returns {boolean} True when fillable
+ */
+function isFillable(field, label) {
+    if (field.disabled || field.readOnly) return false;
+    if (!FILLABLE_TYPES.has(field.type)) return false;
+    if (SENSITIVE_AUTOCOMPLETE.test(field.getAttribute('autocomplete') || '')) return false;
+    return !SENSITIVE_LABEL.test(label);
+}
+
+/**
+ * Describe a form for matching and for the prompt
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Object} { element, id, title, submitLabel, fields }
+ */
+function describeForm(form) {
+    // Use the form's own id, or the id of the block it sits in (e.g. #waitlist-form)
+    const id = form.id || form.parentElement?.closest('[id]')?.id || '';
+    const submit = getSubmitButton(form);
+    const heading = form.getAttribute('aria-label') ||
+        form.querySelector('legend, h1, h2, h3, h4')?.textContent ||
+        '';
+
+    const fields = [...form.elements]
+        .filter(field => /^(INPUT|TEXTAREA|SELECT)$/.test(field.tagName))
+        .map(field => {
+            const label = getFieldLabel(field);
+            return {
+                element: field,
+                label,
+                key: getFieldKey(field, label),
+                required: field.required || field.getAttribute('aria-required') === 'true',
+                fillable: isFillable(field, label)
+            };
+        })
+        .filter(field => field.element.type !== 'hidden' && field.element.type !== 'submit');
+
+    return {
+        element: form,
+        id,
+        title: heading.trim(),
+        submitLabel: (submit?.textContent || submit?.value || '').trim(),
+        fields
+    };
+}
+
+/**
+ * Find the button that submits a form
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Element|null} Submit button
+ */
+function getSubmitButton(form) {
+    return form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+}
+
+/**
+ * List the forms the agent may fill (search boxes and excluded forms are left out)
+ * @returns {Array<Object>} Form descriptions
+ */
+export function detectForms() {
+    const { enabled, exclude } = getFormsConfig();
+    if (!enabled) return [];
+
+    return [...document.forms]
+        .filter(form => form.getAttribute('role') !== 'search' && !exclude.some(selector => form.matches(selector)))
+        .map(describeForm)
+        .filter(form => form.fields.some(field => field.fillable));
+}
+
+/**
+ * Pick the form the model asked for
+ * @param {string} target - Form id, selector or description ("waitlist"); empty for the best guess
+ * @returns {Object|null} Form description
+ */
+export function findForm(target = '') {
+    const forms = detectForms();
+    const query = target.trim().replace(/^#/, '').toLowerCase();
+
+    if (query) {
+        try {
+            const element = document.querySelector(target);
+            const form = element && (element.tagName === 'FORM' ? element : element.querySelector('form'));
+            const match = forms.find(candidate => candidate.element === form);
+            if (match) return match;
+        } catch {
+            // Not a valid selector - match by description below
+        }
+
+        const words = query.split(/[^a-z0-9]+/).filter(word => word.length > 2 && word !== 'form');
+        const scored = forms
+            .map(form => {
+                const haystack = `${form.id} ${form.title} ${form.submitLabel}`.toLowerCase();
+                return { form, score: words.filter(word => haystack.includes(word)).length };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score);
+        if (scored.length > 0) return scored[0].form;
+    }
+
+    // No usable target: prefer a form that asks for an email (a signup)
+    return forms.find(form => form.fields.some(field => field.key === 'email')) || forms[0] || null;
+}
+
+/**
+ * Normalize a value key from the model ("team_size", "Team size") for matching
+ */
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Choose a <select> option for a value, including numeric ranges like "11-50" or "500+"
+ * @param {HTMLSelectElement} select - Select element
+ * @param {string} value - Desired value
+ * @returns {string|null} Option value, or null when nothing fits
+ */
+function matchOption(select, value) {
+    const wanted = String(value).trim().toLowerCase();
+    const options = [...select.options].filter(option => !option.disabled && option.value !== '');
+
+    const exact = options.find(option =>
+        option.value.toLowerCase() === wanted || option.textContent.trim().toLowerCase() === wanted);
+    if (exact) return exact.value;
+
+    const number = Number(wanted.replace(/,/g, ''));
+    if (!Number.isNaN(number)) {
+        const inRange = options.find(option => {
+            const text = option.textContent.replace(/,/g, '');
+            const range = text.match(/(\d+)\s*[-–]\s*(\d+)/);
+            if (range) return number >= Number(range[1]) && number <= Number(range[2]);
+            const open = text.match(/(\d+)\s*\+/);
+            return open ? number >= Number(open[1]) : false;
+        });
+        if (inRange) return inRange.value;
+    }
+
+    const partial = options.find(option => option.textContent.toLowerCase().includes(wanted));
+    return partial ? partial.value : null;
+}
+
+/**
+ * Set a field's value so framework-controlled inputs (React, Vue) notice
+ * @param {Element} field - Field element
+ * @param {string} value - Value
+ */
+function setFieldValue(field, value) {
+    const prototype = field.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype
+        : field.tagName === 'SELECT' ? HTMLSelectElement.prototype
+            : HTMLInputElement.prototype;
+
+    // React tracks the last value it saw; the native setter bypasses its override
+    Object.getOwnPropertyDescriptor(prototype, 'value').set.call(field, value);
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Find error messages the site shows for a form (role="alert", aria-invalid, aria-errormessage)
+ * @param {Object} form - Form description
+ * @returns {Array<string>} Messages
+ */
+function findSiteErrors(form) {
+    const scope = form.id ? document.getElementById(form.id) || form.element : form.element;
+    const messages = [...scope.querySelectorAll('[role="alert"], [aria-live="assertive"]')]
+        .map(element => element.textContent.trim());
+
+    form.fields.forEach(field => {
+        if (field.element.getAttribute('aria-invalid') !== 'true') return;
+        const errorId = field.element.getAttribute('aria-errormessage');
+        const text = errorId ? document.getElementById(errorId)?.textContent.trim() : '';
+        messages.push(text || `${field.label || 'A field'} is invalid`);
+    });
+
+    return [...new Set(messages.filter(Boolean))];
+}
+
+export class FormFiller {
+    constructor() {
+        this.pending = null;
+    }
+
+    /**
+     * Fill a form with the visitor's details and ask for confirmation
+     * @param {string} target - Form id, selector or description
+     * @param {Object} values - Values from the model, by canonical key or field label
+     * @returns {Object} Result of the action
+     */
+    prepare(target = '', values = {}) {
+        const form = findForm(target);
+        if (!form) {
+            return { success: false, error: target ? `Could not find a form matching: ${target}` : 'No fillable form on this page' };
+        }
+
+        const explicit = new Map(Object.entries(values || {}).map(([key, value]) => [normalizeKey(key), value]));
+        const known = { ...leadCapture.contact };
+
+        const entries = [];
+        const missing = [];
+        form.fields.forEach(field => {
+            const value = (field.key && explicit.get(normalizeKey(field.key))) ||
+                explicit.get(normalizeKey(field.label)) ||
+                explicit.get(normalizeKey(field.element.name || '')) ||
+                (field.key && known[field.key]);
+
+            const resolved = !value || !field.fillable ? null
+                : field.element.tagName === 'SELECT' ? matchOption(field.element, value)
+                    : String(value).trim();
+
+            if (resolved) {
+                entries.push({ field, value: resolved, original: field.element.value });
+            } else if (field.required && !field.element.value) {
+                missing.push(field.label || field.element.name || 'a field');
+            }
+        });
+
+        if (entries.length === 0) {
+            return { success: false, error: 'None of the visitor\'s details match this form yet', missing };
+        }
+
+        // Replace any earlier, unconfirmed preview
+        if (this.pending) this.cancel();
+
+        entries.forEach(({ field, value }) => setFieldValue(field.element, value));
+        form.element.scrollIntoView({ behavior: getScrollBehavior(), block: 'center' });
+        highlightElement(form.element);
+
+        this.pending = { form, entries, missing };
+
+        const preview = {
+            formId: form.id,
+            title: form.title || form.submitLabel || 'this form',
+            submitLabel: form.submitLabel || 'Submit',
+            fields: entries.map(({ field, value }) => ({
+                label: field.label || field.element.name,
+                value: field.element.tagName === 'SELECT'
+                    ? field.element.selectedOptions[0]?.textContent.trim() || value
+                    : value
+            })),
+            missing
+        };
+        eventBus.emit(SDKEvent.FORM_PREVIEW, preview);
+        console.log(`[Forms] Filled ${entries.length} field(s) in ${form.id || 'form'}, waiting for confirmation`);
+
+        return { success: true, pending: true, form: form.id, fields: preview.fields.length, missing };
+    }
+
+    /**
+     * Submit the pending form - call only on the visitor's explicit confirmation
+     * @returns {Promise<Object>} { success, errors }
+     */
+    async confirm() {
+        const pending = this.pending;
+        if (!pending) return { success: false, errors: ['There is nothing waiting to be submitted'] };
+        this.pending = null;
+
+        const { form, entries } = pending;
+        if (!form.element.isConnected) {
+            return { success: false, errors: ['The form is no longer on the page'] };
+        }
+
+        // Re-apply in case the page re-rendered the fields since the preview
+        entries.forEach(({ field, value }) => {
+            if (field.element.value !== value) setFieldValue(field.element, value);
+        });
+
+        if (!form.element.checkValidity()) {
+            form.element.reportValidity();
+            const errors = form.fields
+                .filter(field => !field.element.validity.valid)
+                .map(field => `${field.label || field.element.name}: ${field.element.validationMessage}`);
+            return this.finish(form, { success: false, errors });
+        }
+
+        const submit = getSubmitButton(form.element);
+        if (typeof form.element.requestSubmit === 'function') {
+            form.element.requestSubmit(submit || undefined);
+        } else if (submit) {
+            submit.click();
+        } else {
+            form.element.submit();
+        }
+
+        const errors = await this.waitForSiteErrors(form);
+        return this.finish(form, { success: errors.length === 0, errors });
+    }
+
+    /**
+     * Watch briefly for the site's own validation or server errors
+     * @param {Object} form - Form description
+     * @returns {Promise<Array<string>>} Error messages (empty when none appeared)
+     */
+    waitForSiteErrors(form) {
+        const startedAt = Date.now();
+        return new Promise(resolve => {
+            const check = () => {
+                const errors = form.element.isConnected ? findSiteErrors(form) : [];
+                if (errors.length > 0 || Date.now() - startedAt >= RESULT_TIMEOUT) {
+                    resolve(errors);
+                } else {
+                    setTimeout(check, RESULT_POLL_INTERVAL);
+                }
+            };
+            setTimeout(check, RESULT_POLL_INTERVAL);
+        });
+    }
+
+    /**
+     * Log and announce the outcome of a submission
+     */
+    finish(form, result) {
+        if (result.success) {
+            console.log(`[Forms] Submitted ${form.id || 'form'}`);
+        } else {
+            console.warn(`[Forms] Submission of ${form.id || 'form'} failed:`, result.errors);
+        }
+        eventBus.emit(SDKEvent.FORM_SUBMITTED, { formId: form.id, ...result });
+        return result;
+    }
+
+    /**
+     * Drop the pending fill and put back what the fields held before
+     */
+    cancel() {
+        if (!this.pending) return;
+        this.pending.entries.forEach(({ field, value, original }) => {
+            if (field.element.isConnected && field.element.value === value) {
+                setFieldValue(field.element, original);
+            }
+        });
+        console.log('[Forms] Fill cancelled');
+        this.pending = null;
+    }
+
+    /**
+     * Whether a filled form is waiting for confirmation
+     * @returns {boolean} True when pending
+     */
+    hasPending() {
+        return !!this.pending;
+    }
+}
+
+/**
+ * Summarize fillable forms for the system prompt
+ * @returns {Array<string>} Lines like '#waitlist-form ("Join Waitlist"): email'
+ */
+export function describeFormsForPrompt() {
+    return detectForms().map(form => {
+        const fields = form.fields
+            .filter(field => field.fillable)
+            .map(field => `${field.key || field.label}${field.required ? ' (required)' : ''}`);
+        const name = form.id ? `#${form.id}` : form.title || 'form';
+        const label = form.submitLabel ? ` ("${form.submitLabel}")` : '';
+        return `${name}${label}: ${fields.join(', ')}`;
+    });
+}
+
+// Export singleton instance
+export const formFiller = new FormFiller();
@@ -0,0 +1,99 @@
+/**
+ * Handoff Channel
+ * Thin WebSocket wrapper speaking the handoff server's JSON protocol:
+ * every frame is `{ type, ...payload }` in both directions.
+ */
+
+// How long to wait for the server before giving up on a connection
+const CONNECT_TIMEOUT = 5000;
+
+export class HandoffChannel {
+    /**
+     * @param {string} url - Handoff server WebSocket URL, e.g. ws://localhost:8788/ws
+     * @param {Object} handlers - { onMessage(message), onClose() }
+     */
+    constructor(url, { onMessage = () => {}, onClose = () => {} } = {}) {
+        this.url = url;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.socket = null;
+    }
+
+    /**
+     * Open the connection
+     * @returns {Promise<void>} Resolves once the socket is open
+     */
+    connect() {
+        if (this.isOpen()) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const socket = new WebSocket(this.url);
+            this.socket = socket;
+
+            const timeout = setTimeout(() => {
+                if (settled) return;
+                settled = true;
+                socket.close();
+                reject(new Error('Handoff server did not respond'));
+            }, CONNECT_TIMEOUT);
+
+            socket.addEventListener('open', () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeout);
+                resolve();
+            });
+
+            socket.addEventListener('message', (event) => {
+                try {
+                    this.onMessage(JSON.parse(event.data));
+                } catch (error) {
+                    console.warn('[Handoff] Ignoring malformed message:', error);
+                }
+            });
+
+            socket.addEventListener('close', () => {
+                clearTimeout(timeout);
+                // close() detaches the socket first, so only unexpected drops reach onClose
+                const unexpected = this.socket === socket;
+                if (unexpected) this.socket = null;
+                if (!settled) {
+                    settled = true;
+                    reject(new Error('Handoff server unavailable'));
+                    return;
+                }
+                if (unexpected) this.onClose();
+            });
+        });
+    }
+
+    /**
+     * Whether the socket is open
+     * @returns {boolean} True when messages can be sent
+     */
+    isOpen() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Send a protocol message
+     * @param {string} type - Message type
+     * @param {Object} payload - Message fields
+     * @returns {boolean} False when the socket isn't open
+     */
+    send(type, payload = {}) {
+        if (!this.isOpen()) return false;
+        this.socket.send(JSON.stringify({ type, ...payload }));
+        return true;
+    }
+
+    /**
+     * Close without triggering onClose
+     */
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+    }
+}
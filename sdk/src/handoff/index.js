@@ -0,0 +1,399 @@
+/**
+ * Live-Agent Handoff
+ * Lets a sales rep take over a hot conversation. The assistant offers a
+ * person when the visitor looks like an enterprise buyer, keeps objecting
+ * (the closing technique falls back to a summary close), or simply asks for
+ * one. Accepting opens a WebSocket to the handoff server, which passes the
+ * transcript, visitor profile and qualification to the reps online. While a
+ * rep is connected the visitor's messages go to them instead of the model;
+ * when nobody is online the visitor can leave a message instead.
+ *
+ * States: idle -> offered -> waiting -> live -> ended (back to idle),
+ * plus unavailable (leave a message) and lost (connection dropped).
+ *
+ * Example:
+ *   Blitsum.init({ handoff: { url: 'ws://localhost:8788/ws' } })
+ */
+
+import { eventBus, SDKEvent } from '../events.js';
+import { getHandoffConfig } from '../config.js';
+import { getConversationHistory, appendToConversationHistory } from '../api.js';
+import { sessionPersistence } from '../persistence.js';
+import { funnelEngine } from '../sales/funnel.js';
+import { ClosingStatements, ClosingTechniques } from '../sales/closing.js';
+import { UserProfileBuilder } from '../sales/personalization.js';
+import { leadCapture, LEAD_NOT_DELIVERED } from '../leads/index.js';
+import { behaviorTracker } from '../utils/behaviorTracker.js';
+import { getVisitorId } from '../utils/visitor.js';
+import { HandoffChannel } from './channel.js';
+
+const HUMAN_REQUEST_PATTERN = /\b(?:talk|speak|chat)\s+(?:to|with)\s+(?:a\s+|an\s+|the\s+|your\s+)?(?:human|person|someone|somebody|agent|rep|representative|sales|team)\b|\b(?:live agent|real person|human agent)\b/i;
+
+// Visitor typing state is sent at most this often, and cleared after this long idle
+const TYPING_THROTTLE = 2000;
+const TYPING_IDLE = 3000;
+
+export class HandoffManager {
+    constructor() {
+        this.state = 'idle';
+        this.reason = null;
+        this.agent = null;
+        this.agentsOnline = null;
+        this.offered = false;
+        this.channel = null;
+        this.unsubscribe = null;
+        this.typingSentAt = 0;
+        this.typingTimeout = null;
+    }
+
+    /**
+     * Watch the conversation for escalation triggers
+     */
+    init() {
+        const { enabled, url } = getHandoffConfig();
+        if (this.unsubscribe || !enabled || !url) return;
+
+        this.unsubscribe = eventBus.on(SDKEvent.MESSAGE, ({ role, source }) => {
+            // Check after each model reply, so the offer follows the answer
+            if (role !== 'assistant' || !['text', 'voice'].includes(source)) return;
+            if (this.state !== 'idle' || this.offered) return;
+
+            const reason = this.getEscalationReason();
+            if (reason) this.offer(reason);
+        });
+        console.log('[Handoff] Initialized');
+    }
+
+    /**
+     * Whether handoff is configured
+     * @returns {boolean} True when a handoff server URL is set
+     */
+    isEnabled() {
+        const { enabled, url } = getHandoffConfig();
+        return enabled && !!url;
+    }
+
+    /**
+     * Whether a rep has the conversation (or is about to)
+     * @returns {boolean} True while waiting for or chatting with a rep
+     */
+    isActive() {
+        return this.state === 'waiting' || this.state === 'live';
+    }
+
+    /**
+     * Whether the visitor is asking for a person ("can I talk to a human?")
+     * @param {string} text - Visitor message
+     * @returns {boolean} True when handoff should start right away
+     */
+    isHumanRequest(text = '') {
+        return this.isEnabled() && getHandoffConfig().triggers.request && HUMAN_REQUEST_PATTERN.test(text);
+    }
+
+    /**
+     * Check the configured triggers against the conversation so far
+     * @returns {string|null} 'enterprise', 'objections' or null
+     */
+    getEscalationReason() {
+        const { triggers } = getHandoffConfig();
+        const profile = this.buildProfile();
+
+        if (triggers.enterprise && profile.companySize === 'enterprise') return 'enterprise';
+
+        if (triggers.objections) {
+            const technique = ClosingStatements.selectTechnique({
+                bantScore: leadCapture.assessQualification().totalScore,
+                objections: profile.objections,
+                userProfile: profile
+            });
+            if (technique === ClosingTechniques.SUMMARY) return 'objections';
+        }
+        return null;
+    }
+
+    /**
+     * Visitor profile from the conversation and on-page behavior
+     * @returns {Object} Profile from UserProfileBuilder
+     */
+    buildProfile() {
+        return new UserProfileBuilder().build(getConversationHistory(), behaviorTracker.getBehavior());
+    }
+
+    /**
+     * Move to a new state and tell the UI
+     * @param {string} state - New state
+     * @param {Object} details - Extra payload fields
+     */
+    setState(state, details = {}) {
+        const previous = this.state;
+        this.state = state;
+        eventBus.emit(SDKEvent.HANDOFF, {
+            state,
+            previous,
+            reason: this.reason,
+            agent: this.agent,
+            agentsOnline: this.agentsOnline,
+            ...details
+        });
+    }
+
+    /**
+     * Connect (once) and learn how many reps are online
+     * @returns {Promise<boolean>} False when the server can't be reached
+     */
+    async connect() {
+        if (this.channel?.isOpen()) return true;
+
+        this.channel = new HandoffChannel(getHandoffConfig().url, {
+            onMessage: (message) => this.handleMessage(message),
+            onClose: () => this.handleDisconnect()
+        });
+
+        try {
+            await this.channel.connect();
+        } catch (error) {
+            console.warn('[Handoff] Server unavailable:', error.message);
+            this.agentsOnline = 0;
+            return false;
+        }
+
+        // The server answers hello with presence
+        const presence = new Promise(resolve => {
+            this.onPresence = resolve;
+        });
+        this.channel.send('hello', {
+            visitorId: getVisitorId(),
+            sessionId: sessionPersistence.sessionId
+        });
+        await Promise.race([presence, new Promise(resolve => setTimeout(resolve, 2000))]);
+        this.onPresence = null;
+        return true;
+    }
+
+    /**
+     * Offer the visitor a person (or a message form when nobody is online)
+     * @param {string} reason - Why the offer is made
+     */
+    async offer(reason) {
+        if (this.state !== 'idle') return;
+        this.offered = true;
+        this.reason = reason;
+
+        await this.connect();
+        if (this.state !== 'idle') return;
+        this.setState('offered');
+    }
+
+    /**
+     * Start the handoff: request a rep, or fall back to leaving a message
+     * @param {string} reason - 'requested', 'api' or the offer's reason
+     * @returns {Promise<string>} Resulting state
+     */
+    async request(reason = this.reason || 'requested') {
+        if (!this.isEnabled()) return this.state;
+        if (this.isActive()) return this.state;
+        this.reason = reason;
+
+        const connected = await this.connect();
+        if (!connected || !this.agentsOnline) {
+            this.setState('unavailable');
+            return this.state;
+        }
+
+        const bant = leadCapture.assessQualification();
+        this.channel.send('handoff_request', {
+            reason,
+            visitorId: getVisitorId(),
+            sessionId: sessionPersistence.sessionId,
+            stage: funnelEngine.currentStage,
+            page: { url: window.location.href, title: document.title },
+            contact: leadCapture.toJSON().contact,
+            qualification: {
+                score: bant.totalScore,
+                isQualified: bant.isQualified,
+                recommendation: bant.recommendation.action
+            },
+            profile: this.buildProfile(),
+            transcript: sessionPersistence.getTranscript().map(({ role, text, source, timestamp }) => ({
+                role, text, source, timestamp
+            }))
+        });
+        this.setState('waiting');
+        return this.state;
+    }
+
+    /**
+     * Visitor declined the offer
+     */
+    decline() {
+        if (this.state !== 'offered') return;
+        this.setState('idle');
+    }
+
+    /**
+     * Send a visitor message to the rep
+     * @param {string} text - Message text
+     */
+    sendMessage(text) {
+        if (!this.isActive()) return;
+        this.stopTyping();
+        this.channel.send('message', { text });
+        // Kept in the model's history so it can pick up where the rep left off
+        appendToConversationHistory('user', text);
+        eventBus.emit(SDKEvent.MESSAGE, { role: 'user', text, source: 'handoff' });
+    }
+
+    /**
+     * Note that the visitor is typing (throttled; clears itself when they stop)
+     */
+    noteTyping() {
+        if (this.state !== 'live') return;
+
+        const now = Date.now();
+        if (now - this.typingSentAt > TYPING_THROTTLE) {
+            this.typingSentAt = now;
+            this.channel.send('typing', { typing: true });
+        }
+        clearTimeout(this.typingTimeout);
+        this.typingTimeout = setTimeout(() => this.stopTyping(), TYPING_IDLE);
+    }
+
+    /**
+     * Clear the visitor's typing state
+     */
+    stopTyping() {
+        clearTimeout(this.typingTimeout);
+        if (!this.typingSentAt) return;
+        this.typingSentAt = 0;
+        this.channel?.send('typing', { typing: false });
+    }
+
+    /**
+     * Leave a message for the team when nobody is online
+     * The contact goes through lead capture (source 'handoff') so it reaches the CRM sinks.
+     * @param {Object} message - { name, email, text }
+     * @returns {Promise<void>} Rejects when the email is invalid, or when neither the lead sinks nor the handoff server got it
+     */
+    async leaveMessage({ name, email, text }) {
+        let leadError = null;
+        try {
+            await leadCapture.submit({ name, email }, 'handoff');
+        } catch (error) {
+            if (error.code !== LEAD_NOT_DELIVERED) throw error;
+            leadError = error;
+        }
+
+        const sent = this.channel?.send('leave_message', {
+            contact: { name, email },
+            text,
+            visitorId: getVisitorId(),
+            sessionId: sessionPersistence.sessionId,
+            page: { url: window.location.href, title: document.title }
+        });
+        if (leadError && !sent) throw leadError;
+        this.setState('idle');
+    }
+
+    /**
+     * Visitor ends the conversation with the rep
+     */
+    end() {
+        if (!this.isActive()) return;
+        this.stopTyping();
+        this.channel.send('end');
+        this.finish('ended');
+    }
+
+    /**
+     * Leave live mode and hand the conversation back to the assistant
+     * @param {string} state - 'ended' or 'lost'
+     */
+    finish(state) {
+        this.setState(state);
+        this.agent = null;
+        this.reason = null;
+        this.setState('idle');
+    }
+
+    /**
+     * Handle a message from the handoff server
+     * @param {Object} message - { type, ... }
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'presence':
+                this.agentsOnline = message.agentsOnline || 0;
+                if (this.onPresence) this.onPresence();
+                else if (this.state === 'offered') this.setState('offered');
+                break;
+            case 'unavailable':
+                if (this.state === 'waiting') this.setState('unavailable');
+                break;
+            case 'agent_joined':
+                this.agent = message.agent || null;
+                this.setState('live');
+                break;
+            case 'agent_message':
+                if (!this.isActive() || !message.text) break;
+                if (this.state === 'waiting') {
+                    this.agent = message.agent || this.agent;
+                    this.setState('live');
+                }
+                appendToConversationHistory('assistant', message.text);
+                eventBus.emit(SDKEvent.HANDOFF_TYPING, { typing: false, agent: this.agent });
+                eventBus.emit(SDKEvent.MESSAGE, {
+                    role: 'assistant',
+                    text: message.text,
+                    source: 'agent',
+                    agent: message.agent?.name || this.agent?.name || null
+                });
+                break;
+            case 'agent_typing':
+                if (this.state === 'live') eventBus.emit(SDKEvent.HANDOFF_TYPING, { typing: !!message.typing, agent: this.agent });
+                break;
+            case 'agent_left':
+                if (this.isActive()) this.finish('ended');
+                break;
+        }
+    }
+
+    /**
+     * The server went away
+     */
+    handleDisconnect() {
+        this.channel = null;
+        this.agentsOnline = 0;
+        if (this.isActive()) this.finish('lost');
+        else if (this.state === 'offered') this.setState('offered');
+    }
+
+    /**
+     * Close the channel and forget the handoff (used by Blitsum.reset)
+     */
+    reset() {
+        clearTimeout(this.typingTimeout);
+        if (this.isActive()) this.channel?.send('end');
+        this.channel?.close();
+        this.channel = null;
+        this.state = 'idle';
+        this.reason = null;
+        this.agent = null;
+        this.agentsOnline = null;
+        this.offered = false;
+        this.typingSentAt = 0;
+    }
+
+    /**
+     * Stop watching the conversation and disconnect
+     */
+    destroy() {
+        this.reset();
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+    }
+}
+
+// Export singleton instance
+export const handoff = new HandoffManager();
+
+export { HandoffChannel };
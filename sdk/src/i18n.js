@@ -0,0 +1,592 @@
+/**
+ * Languages
+ * Tracks the visitor's language and applies it everywhere: speech
+ * recognition locale, TTS voice (Murf or browser), the reply language in the
+ * system prompt and the widget's own strings.
+ *
+ * The starting language comes from `<html lang>` (or `language.default`);
+ * after that each visitor message is checked and a confident switch to
+ * another supported language wins. Only languages in `language.supported`
+ * are ever used.
+ *
+ * Example:
+ *   Blitsum.init({ language: {
+ *       supported: ['en', 'es', 'de'],
+ *       murfVoices: { de: 'en-US-natalie' },   // multi-native voice speaking German
+ *       strings: { es: { askAI: 'Pregúntanos' } }
+ *   } })
+ */
+
+import { getLanguageConfig } from './config.js';
+import { eventBus, SDKEvent } from './events.js';
+import { detectLanguage } from './utils/textProcessor.js';
+
+/**
+ * Built-in languages: speech locale, default Murf voice and widget strings
+ */
+export const LANGUAGES = {
+    en: {
+        name: 'English',
+        locale: 'en-US',
+        murfVoice: 'en-US-ken',
+        strings: {
+            askAI: 'Ask AI',
+            placeholder: 'Ask Blitsum...',
+            listening: 'Listening...',
+            userSpeaking: "You're speaking...",
+            processing: 'Processing...',
+            aiSpeaking: 'AI is speaking...',
+            error: 'Sorry, I encountered an error. Please try again.',
+            leadFormTitle: 'Want a tailored follow-up? Leave your details.',
+            namePlaceholder: 'Name',
+            emailPlaceholder: 'Work email',
+            companyPlaceholder: 'Company',
+            send: 'Send',
+            yes: 'Yes',
+            no: 'No',
+            cancel: 'Cancel',
+            thanks: "Thanks! We'll be in touch shortly.",
+            thanksNamed: "Thanks, {name}! We'll be in touch shortly.",
+            leadFailed: "Sorry, we couldn't send your details just now. Please try again.",
+            formPreviewTitle: "I've filled in {form}. Submit it with these details?",
+            formMissing: 'Still needed on the page: {fields}',
+            submitting: 'Submitting...',
+            formSubmitted: "Done - that's submitted. Anything else I can help with?",
+            formRejected: "The form wasn't accepted: {errors}. Can you give me the right details?",
+            formCancelled: "No problem - I've cleared what I filled in and nothing was sent.",
+            confirmAction: 'Okay if I {action}?',
+            actionFailed: "Sorry, that didn't work: {error}.",
+            actionDeclined: "Okay, I'll leave that for now.",
+            voiceUnsupported: 'Voice mode is not supported in your browser or microphone access was denied.',
+            transcriptTitle: 'Conversation',
+            showTranscript: 'Show conversation',
+            hideTranscript: 'Hide conversation',
+            transcriptEmpty: 'No messages yet.',
+            cardPricing: 'Plans',
+            cardComparison: 'Compare plans',
+            cardCta: 'Next steps',
+            cardPrice: 'Price',
+            cardPopular: 'Popular',
+            cardMeeting: 'Book a call',
+            meetingSlots: 'Available times',
+            meetingTimezone: 'Time zone',
+            meetingConfirmTitle: 'Book the call on {time}?',
+            meetingBook: 'Book call',
+            meetingBack: 'Other times',
+            meetingBooked: "You're booked for {time}. The invite is on its way to {email}.",
+            meetingRequested: "Thanks! I've passed on {time} to the team - they'll confirm by email at {email}.",
+            meetingNotSent: "Sorry, I couldn't send the booking just now. Please try again.",
+            meetingSlotGone: 'That time is no longer available. Please pick another.',
+            meetingEmailInvalid: 'Please enter a valid email address.',
+            meetingNoSlots: 'There are no open times in the next {days} days.',
+            meetingSlotsFailed: "Sorry, I couldn't load the open times just now.",
+            assistantLabel: 'Chat assistant',
+            messageLabel: 'Message',
+            sendMessage: 'Send message',
+            startVoice: 'Start voice mode',
+            stopVoice: 'Stop voice mode',
+            handoffOffer: 'Would you like to talk to someone from our team?',
+            handoffAgentsOnline: '{count} online now',
+            handoffNoAgents: "No one is online right now - leave a message and we'll get back to you.",
+            handoffAccept: 'Talk to a person',
+            handoffTeam: 'Our team',
+            handoffWaiting: 'Connecting you with the team…',
+            handoffConnected: "You're chatting with {name}",
+            handoffTyping: '{name} is typing…',
+            handoffEnd: 'End chat',
+            handoffEnded: "Your chat with {name} has ended. I'm here if you need anything else.",
+            handoffLost: "The connection to the team dropped. I'm here to help in the meantime.",
+            leaveMessage: 'Leave a message',
+            handoffMessagePlaceholder: 'Your message',
+            handoffMessageSent: 'Thanks! Someone from the team will get back to you.',
+            navUnclear: "I'm not sure what you'd like to see. Could you be more specific?",
+            navPage: 'Taking you to the {page} page.',
+            navSection: "Here's the {target} section.",
+            navComparing: 'Comparing {items}.',
+            navComparison: "Here's the comparison.",
+            navInfo: "Here's information about {target}.",
+            navClicked: "I've clicked on {target} for you.",
+            navShown: "Here's the {target}.",
+            navDone: "I've navigated to {target}.",
+            navBlocked: "Sorry, I'm not able to do that on this site.",
+            navNotFound: 'I couldn\'t find "{target}". {available}',
+            navCanShow: 'I can show you: {items}.',
+            navAskPage: 'Try asking about what you see on the page.',
+            navTrouble: 'I had trouble navigating to "{target}". Could you try being more specific?',
+            topicPricing: 'pricing',
+            topicFeatures: 'features',
+            topicSignup: 'sign-up',
+            topicContact: 'contact',
+            topicAbout: 'about us',
+            topicFaq: 'FAQ'
+        }
+    },
+    es: {
+        name: 'Spanish',
+        locale: 'es-ES',
+        murfVoice: 'es-ES-elvira',
+        strings: {
+            askAI: 'Pregunta a la IA',
+            placeholder: 'Pregunta a Blitsum...',
+            listening: 'Escuchando...',
+            userSpeaking: 'Estás hablando...',
+            processing: 'Procesando...',
+            aiSpeaking: 'La IA está hablando...',
+            error: 'Lo siento, ha ocurrido un error. Inténtalo de nuevo.',
+            leadFormTitle: '¿Quieres un seguimiento personalizado? Déjanos tus datos.',
+            namePlaceholder: 'Nombre',
+            emailPlaceholder: 'Correo de trabajo',
+            companyPlaceholder: 'Empresa',
+            send: 'Enviar',
+            yes: 'Sí',
+            no: 'No',
+            cancel: 'Cancelar',
+            thanks: '¡Gracias! Nos pondremos en contacto pronto.',
+            thanksNamed: '¡Gracias, {name}! Nos pondremos en contacto pronto.',
+            leadFailed: 'Lo sentimos, no pudimos enviar tus datos. Inténtalo de nuevo.',
+            formPreviewTitle: 'He rellenado {form}. ¿Lo envío con estos datos?',
+            formMissing: 'Aún falta en la página: {fields}',
+            submitting: 'Enviando...',
+            formSubmitted: 'Listo, ya está enviado. ¿Te ayudo con algo más?',
+            formRejected: 'El formulario no se aceptó: {errors}. ¿Me das los datos correctos?',
+            formCancelled: 'Sin problema: he borrado lo que rellené y no se ha enviado nada.',
+            confirmAction: '¿Continúo? ({action})',
+            actionFailed: 'Lo siento, no ha funcionado: {error}.',
+            actionDeclined: 'De acuerdo, lo dejo por ahora.',
+            voiceUnsupported: 'El modo de voz no es compatible con tu navegador o se denegó el acceso al micrófono.',
+            transcriptTitle: 'Conversación',
+            showTranscript: 'Mostrar conversación',
+            hideTranscript: 'Ocultar conversación',
+            transcriptEmpty: 'Aún no hay mensajes.',
+            cardPricing: 'Planes',
+            cardComparison: 'Comparar planes',
+            cardCta: 'Siguientes pasos',
+            cardPrice: 'Precio',
+            cardPopular: 'Popular',
+            cardMeeting: 'Reserva una llamada',
+            meetingSlots: 'Horarios disponibles',
+            meetingTimezone: 'Zona horaria',
+            meetingConfirmTitle: '¿Reservar la llamada del {time}?',
+            meetingBook: 'Reservar llamada',
+            meetingBack: 'Otros horarios',
+            meetingBooked: 'Tu llamada está reservada para el {time}. Enviamos la invitación a {email}.',
+            meetingRequested: '¡Gracias! Pasé el {time} al equipo; te confirmarán por correo en {email}.',
+            meetingNotSent: 'Lo siento, no pude enviar la reserva. Inténtalo de nuevo.',
+            meetingSlotGone: 'Ese horario ya no está disponible. Elige otro.',
+            meetingEmailInvalid: 'Introduce una dirección de correo válida.',
+            meetingNoSlots: 'No hay horarios libres en los próximos {days} días.',
+            meetingSlotsFailed: 'Lo siento, no pude cargar los horarios libres.',
+            assistantLabel: 'Asistente de chat',
+            messageLabel: 'Mensaje',
+            sendMessage: 'Enviar mensaje',
+            startVoice: 'Activar el modo de voz',
+            stopVoice: 'Detener el modo de voz',
+            handoffOffer: '¿Quieres hablar con alguien de nuestro equipo?',
+            handoffAgentsOnline: '{count} en línea ahora',
+            handoffNoAgents: 'Ahora no hay nadie disponible. Déjanos un mensaje y te responderemos.',
+            handoffAccept: 'Hablar con una persona',
+            handoffTeam: 'Nuestro equipo',
+            handoffWaiting: 'Te estamos conectando con el equipo…',
+            handoffConnected: 'Estás hablando con {name}',
+            handoffTyping: '{name} está escribiendo…',
+            handoffEnd: 'Terminar chat',
+            handoffEnded: 'Tu chat con {name} ha terminado. Aquí estoy si necesitas algo más.',
+            handoffLost: 'Se perdió la conexión con el equipo. Mientras tanto, aquí estoy para ayudarte.',
+            leaveMessage: 'Dejar un mensaje',
+            handoffMessagePlaceholder: 'Tu mensaje',
+            handoffMessageSent: '¡Gracias! Alguien del equipo te responderá pronto.',
+            navUnclear: 'No estoy seguro de qué quieres ver. ¿Puedes ser más específico?',
+            navPage: 'Te llevo a la página {page}.',
+            navSection: 'Aquí está la sección de {target}.',
+            navComparing: 'Comparando {items}.',
+            navComparison: 'Aquí está la comparación.',
+            navInfo: 'Aquí tienes información sobre {target}.',
+            navClicked: 'He hecho clic en {target} por ti.',
+            navShown: 'Aquí está: {target}.',
+            navDone: 'Te he llevado a {target}.',
+            navBlocked: 'Lo siento, no puedo hacer eso en este sitio.',
+            navNotFound: 'No encontré "{target}". {available}',
+            navCanShow: 'Puedo mostrarte: {items}.',
+            navAskPage: 'Pregúntame por lo que ves en la página.',
+            navTrouble: 'Tuve problemas para llegar a "{target}". ¿Puedes ser más específico?',
+            topicPricing: 'precios',
+            topicFeatures: 'funciones',
+            topicSignup: 'registro',
+            topicContact: 'contacto',
+            topicAbout: 'sobre nosotros',
+            topicFaq: 'preguntas frecuentes'
+        }
+    },
+    de: {
+        name: 'German',
+        locale: 'de-DE',
+        murfVoice: 'de-DE-matthias',
+        strings: {
+            askAI: 'KI fragen',
+            placeholder: 'Frag Blitsum...',
+            listening: 'Hört zu...',
+            userSpeaking: 'Du sprichst...',
+            processing: 'Wird verarbeitet...',
+            aiSpeaking: 'KI spricht...',
+            error: 'Entschuldigung, ein Fehler ist aufgetreten. Bitte versuche es erneut.',
+            leadFormTitle: 'Möchtest du ein persönliches Follow-up? Hinterlass deine Daten.',
+            namePlaceholder: 'Name',
+            emailPlaceholder: 'Geschäftliche E-Mail',
+            companyPlaceholder: 'Unternehmen',
+            send: 'Senden',
+            yes: 'Ja',
+            no: 'Nein',
+            cancel: 'Abbrechen',
+            thanks: 'Danke! Wir melden uns in Kürze.',
+            thanksNamed: 'Danke, {name}! Wir melden uns in Kürze.',
+            leadFailed: 'Deine Daten konnten gerade nicht gesendet werden. Bitte versuch es erneut.',
+            formPreviewTitle: 'Ich habe {form} ausgefüllt. Mit diesen Angaben absenden?',
+            formMissing: 'Auf der Seite fehlt noch: {fields}',
+            submitting: 'Wird gesendet...',
+            formSubmitted: 'Erledigt, ist abgeschickt. Kann ich sonst noch helfen?',
+            formRejected: 'Das Formular wurde nicht angenommen: {errors}. Kannst du mir die richtigen Angaben geben?',
+            formCancelled: 'Kein Problem, ich habe alles wieder geleert und nichts gesendet.',
+            confirmAction: 'Soll ich fortfahren? ({action})',
+            actionFailed: 'Das hat leider nicht geklappt: {error}.',
+            actionDeclined: 'Okay, dann lasse ich das erst mal.',
+            voiceUnsupported: 'Der Sprachmodus wird von deinem Browser nicht unterstützt oder der Mikrofonzugriff wurde verweigert.',
+            transcriptTitle: 'Unterhaltung',
+            showTranscript: 'Unterhaltung anzeigen',
+            hideTranscript: 'Unterhaltung ausblenden',
+            transcriptEmpty: 'Noch keine Nachrichten.',
+            cardPricing: 'Tarife',
+            cardComparison: 'Tarife vergleichen',
+            cardCta: 'Nächste Schritte',
+            cardPrice: 'Preis',
+            cardPopular: 'Beliebt',
+            cardMeeting: 'Gespräch buchen',
+            meetingSlots: 'Freie Termine',
+            meetingTimezone: 'Zeitzone',
+            meetingConfirmTitle: 'Gespräch am {time} buchen?',
+            meetingBook: 'Gespräch buchen',
+            meetingBack: 'Andere Zeiten',
+            meetingBooked: 'Dein Gespräch ist für {time} gebucht. Die Einladung geht an {email}.',
+            meetingRequested: 'Danke! Ich habe {time} ans Team weitergegeben - die Bestätigung kommt per E-Mail an {email}.',
+            meetingNotSent: 'Die Buchung konnte gerade nicht gesendet werden. Bitte versuch es erneut.',
+            meetingSlotGone: 'Dieser Termin ist nicht mehr frei. Bitte wähl einen anderen.',
+            meetingEmailInvalid: 'Bitte gib eine gültige E-Mail-Adresse ein.',
+            meetingNoSlots: 'In den nächsten {days} Tagen gibt es keine freien Termine.',
+            meetingSlotsFailed: 'Die freien Termine konnten gerade nicht geladen werden.',
+            assistantLabel: 'Chat-Assistent',
+            messageLabel: 'Nachricht',
+            sendMessage: 'Nachricht senden',
+            startVoice: 'Sprachmodus starten',
+            stopVoice: 'Sprachmodus beenden',
+            handoffOffer: 'Möchtest du mit jemandem aus unserem Team sprechen?',
+            handoffAgentsOnline: '{count} gerade online',
+            handoffNoAgents: 'Gerade ist niemand online. Hinterlass eine Nachricht, wir melden uns.',
+            handoffAccept: 'Mit einer Person sprechen',
+            handoffTeam: 'Unser Team',
+            handoffWaiting: 'Wir verbinden dich mit dem Team…',
+            handoffConnected: 'Du chattest mit {name}',
+            handoffTyping: '{name} schreibt…',
+            handoffEnd: 'Chat beenden',
+            handoffEnded: 'Dein Chat mit {name} ist beendet. Ich bin da, falls du noch etwas brauchst.',
+            handoffLost: 'Die Verbindung zum Team wurde unterbrochen. Bis dahin helfe ich gern weiter.',
+            leaveMessage: 'Nachricht hinterlassen',
+            handoffMessagePlaceholder: 'Deine Nachricht',
+            handoffMessageSent: 'Danke! Jemand aus dem Team meldet sich bei dir.',
+            navUnclear: 'Ich bin nicht sicher, was du sehen möchtest. Kannst du es genauer sagen?',
+            navPage: 'Ich bringe dich zur Seite {page}.',
+            navSection: 'Hier ist der Bereich {target}.',
+            navComparing: 'Vergleich: {items}.',
+            navComparison: 'Hier ist der Vergleich.',
+            navInfo: 'Hier sind Informationen zu {target}.',
+            navClicked: 'Ich habe für dich auf {target} geklickt.',
+            navShown: 'Hier ist {target}.',
+            navDone: 'Ich habe dich zu {target} gebracht.',
+            navBlocked: 'Das kann ich auf dieser Website leider nicht tun.',
+            navNotFound: 'Ich konnte "{target}" nicht finden. {available}',
+            navCanShow: 'Ich kann dir zeigen: {items}.',
+            navAskPage: 'Frag mich nach dem, was du auf der Seite siehst.',
+            navTrouble: 'Ich konnte "{target}" nicht ansteuern. Kannst du es genauer sagen?',
+            topicPricing: 'Preise',
+            topicFeatures: 'Funktionen',
+            topicSignup: 'Registrierung',
+            topicContact: 'Kontakt',
+            topicAbout: 'Über uns',
+            topicFaq: 'FAQ'
+        }
+    },
+    hi: {
+        name: 'Hindi',
+        locale: 'hi-IN',
+        murfVoice: 'hi-IN-kabir',
+        strings: {
+            askAI: 'AI से पूछें',
+            placeholder: 'Blitsum से पूछें...',
+            listening: 'सुन रहा है...',
+            userSpeaking: 'आप बोल रहे हैं...',
+            processing: 'प्रोसेस हो रहा है...',
+            aiSpeaking: 'AI बोल रहा है...',
+            error: 'क्षमा करें, कोई त्रुटि हुई। कृपया फिर से प्रयास करें।',
+            leadFormTitle: 'व्यक्तिगत फ़ॉलो-अप चाहिए? अपनी जानकारी दें।',
+            namePlaceholder: 'नाम',
+            emailPlaceholder: 'कार्य ईमेल',
+            companyPlaceholder: 'कंपनी',
+            send: 'भेजें',
+            yes: 'हाँ',
+            no: 'नहीं',
+            cancel: 'रद्द करें',
+            thanks: 'धन्यवाद! हम जल्द ही संपर्क करेंगे।',
+            thanksNamed: 'धन्यवाद, {name}! हम जल्द ही संपर्क करेंगे।',
+            leadFailed: 'क्षमा करें, आपकी जानकारी अभी नहीं भेजी जा सकी। कृपया फिर से प्रयास करें।',
+            formPreviewTitle: 'मैंने {form} भर दिया है। क्या इन विवरणों के साथ भेज दूँ?',
+            formMissing: 'पेज पर अभी भी ज़रूरी: {fields}',
+            submitting: 'भेजा जा रहा है...',
+            formSubmitted: 'हो गया, फ़ॉर्म भेज दिया गया। और किसी चीज़ में मदद करूँ?',
+            formRejected: 'फ़ॉर्म स्वीकार नहीं हुआ: {errors}। क्या आप सही जानकारी दे सकते हैं?',
+            formCancelled: 'कोई बात नहीं, मैंने भरी हुई जानकारी हटा दी है और कुछ नहीं भेजा गया।',
+            confirmAction: 'क्या मैं आगे बढ़ूँ? ({action})',
+            actionFailed: 'क्षमा करें, यह काम नहीं हुआ: {error}।',
+            actionDeclined: 'ठीक है, अभी के लिए छोड़ देता हूँ।',
+            voiceUnsupported: 'आपके ब्राउज़र में वॉइस मोड समर्थित नहीं है या माइक्रोफ़ोन की अनुमति नहीं दी गई।',
+            transcriptTitle: 'बातचीत',
+            showTranscript: 'बातचीत दिखाएँ',
+            hideTranscript: 'बातचीत छिपाएँ',
+            transcriptEmpty: 'अभी तक कोई संदेश नहीं।',
+            cardPricing: 'प्लान',
+            cardComparison: 'प्लान की तुलना',
+            cardCta: 'अगले कदम',
+            cardPrice: 'कीमत',
+            cardPopular: 'लोकप्रिय',
+            cardMeeting: 'कॉल बुक करें',
+            meetingSlots: 'उपलब्ध समय',
+            meetingTimezone: 'समय क्षेत्र',
+            meetingConfirmTitle: '{time} पर कॉल बुक करें?',
+            meetingBook: 'कॉल बुक करें',
+            meetingBack: 'दूसरे समय',
+            meetingBooked: 'आपकी कॉल {time} पर बुक हो गई है। आमंत्रण {email} पर भेजा जा रहा है।',
+            meetingRequested: 'धन्यवाद! मैंने {time} टीम को भेज दिया है - वे {email} पर ईमेल से पुष्टि करेंगे।',
+            meetingNotSent: 'क्षमा करें, बुकिंग अभी नहीं भेजी जा सकी। कृपया फिर से प्रयास करें।',
+            meetingSlotGone: 'यह समय अब उपलब्ध नहीं है। कृपया कोई दूसरा समय चुनें।',
+            meetingEmailInvalid: 'कृपया एक मान्य ईमेल पता दर्ज करें।',
+            meetingNoSlots: 'अगले {days} दिनों में कोई खाली समय नहीं है।',
+            meetingSlotsFailed: 'क्षमा करें, खाली समय अभी लोड नहीं हो सके।',
+            assistantLabel: 'चैट सहायक',
+            messageLabel: 'संदेश',
+            sendMessage: 'संदेश भेजें',
+            startVoice: 'वॉइस मोड शुरू करें',
+            stopVoice: 'वॉइस मोड बंद करें',
+            handoffOffer: 'क्या आप हमारी टीम के किसी सदस्य से बात करना चाहेंगे?',
+            handoffAgentsOnline: 'अभी {count} ऑनलाइन',
+            handoffNoAgents: 'अभी कोई ऑनलाइन नहीं है - संदेश छोड़ें, हम आपसे संपर्क करेंगे।',
+            handoffAccept: 'किसी व्यक्ति से बात करें',
+            handoffTeam: 'हमारी टीम',
+            handoffWaiting: 'आपको टीम से जोड़ा जा रहा है…',
+            handoffConnected: 'आप {name} से चैट कर रहे हैं',
+            handoffTyping: '{name} लिख रहे हैं…',
+            handoffEnd: 'चैट समाप्त करें',
+            handoffEnded: '{name} के साथ आपकी चैट समाप्त हो गई। कुछ और चाहिए तो मैं यहाँ हूँ।',
+            handoffLost: 'टीम से कनेक्शन टूट गया। तब तक मैं मदद के लिए यहाँ हूँ।',
+            leaveMessage: 'संदेश छोड़ें',
+            handoffMessagePlaceholder: 'आपका संदेश',
+            handoffMessageSent: 'धन्यवाद! टीम का कोई सदस्य जल्द आपसे संपर्क करेगा।',
+            navUnclear: 'मुझे पक्का नहीं पता कि आप क्या देखना चाहते हैं। क्या आप थोड़ा और स्पष्ट बता सकते हैं?',
+            navPage: 'आपको {page} पेज पर ले जा रहा हूँ।',
+            navSection: 'यह रहा {target} सेक्शन।',
+            navComparing: '{items} की तुलना।',
+            navComparison: 'यह रही तुलना।',
+            navInfo: 'यह रही {target} के बारे में जानकारी।',
+            navClicked: 'मैंने आपके लिए {target} पर क्लिक कर दिया है।',
+            navShown: 'यह रहा {target}।',
+            navDone: 'मैं आपको {target} पर ले आया हूँ।',
+            navBlocked: 'क्षमा करें, मैं इस साइट पर ऐसा नहीं कर सकता।',
+            navNotFound: 'मुझे "{target}" नहीं मिला। {available}',
+            navCanShow: 'मैं आपको दिखा सकता हूँ: {items}।',
+            navAskPage: 'पेज पर जो दिख रहा है उसके बारे में पूछकर देखें।',
+            navTrouble: '"{target}" तक पहुँचने में दिक्कत हुई। क्या आप थोड़ा और स्पष्ट बता सकते हैं?',
+            topicPricing: 'कीमतें',
+            topicFeatures: 'फ़ीचर्स',
+            topicSignup: 'साइन-अप',
+            topicContact: 'संपर्क',
+            topicAbout: 'हमारे बारे में',
+            topicFaq: 'अक्सर पूछे जाने वाले सवाल'
+        }
+    }
+};
+
+/**
+ * Reduce a language tag ("es-MX", "de") to its primary code
+ * @param {string} tag - BCP 47 tag
+ * @returns {string} Lowercase primary code (empty when missing)
+ */
+export function toLanguageCode(tag = '') {
+    return String(tag).trim().toLowerCase().split(/[-_]/)[0];
+}
+
+export class LanguageManager {
+    constructor() {
+        this.language = 'en';
+        // 'page', 'default', 'message' or 'api' - visitor choices outrank the page's lang
+        this.source = 'default';
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Pick the starting language and watch visitor messages
+     */
+    init() {
+        const config = getLanguageConfig();
+        const pageLanguage = toLanguageCode(document.documentElement.lang);
+
+        if (this.source !== 'message' && this.source !== 'api') {
+            if (this.isSupported(pageLanguage)) {
+                this.apply(pageLanguage, 'page');
+            } else {
+                this.apply(this.isSupported(config.default) ? config.default : config.supported[0] || 'en', 'default');
+            }
+        }
+
+        if (this.unsubscribe || !config.enabled || !config.detect) return;
+
+        this.unsubscribe = eventBus.on(SDKEvent.MESSAGE, ({ role, text }) => {
+            if (role === 'user') this.detectFromMessage(text);
+        });
+        console.log(`[Language] Initialized (${this.language})`);
+    }
+
+    /**
+     * Whether a language may be used on this site
+     * @param {string} code - Language code
+     * @returns {boolean} True when supported and built in or given strings
+     */
+    isSupported(code) {
+        const config = getLanguageConfig();
+        if (!code || !config.enabled) return code === 'en';
+        return config.supported.includes(code) && !!(LANGUAGES[code] || config.strings[code]);
+    }
+
+    /**
+     * Switch to the language of a visitor message when it's clear enough
+     * @param {string} text - Visitor message
+     * @returns {string} Current language code
+     */
+    detectFromMessage(text) {
+        const detected = detectLanguage(text);
+        if (detected !== 'unknown' && detected !== this.language && this.isSupported(detected)) {
+            this.apply(detected, 'message');
+        }
+        return this.language;
+    }
+
+    /**
+     * Set the language explicitly (Blitsum.setLanguage)
+     * @param {string} tag - Language code or tag, e.g. "de" or "de-AT"
+     * @returns {boolean} True when the language is supported
+     */
+    setLanguage(tag) {
+        const code = toLanguageCode(tag);
+        if (!this.isSupported(code)) {
+            console.warn(`[Language] Unsupported language: ${tag}`);
+            return false;
+        }
+        this.apply(code, 'api');
+        return true;
+    }
+
+    /**
+     * Change the current language and tell listeners
+     */
+    apply(code, source) {
+        const previous = this.language;
+        this.language = code;
+        this.source = source;
+        if (previous !== code) {
+            console.log(`[Language] ${previous} -> ${code} (${source})`);
+            eventBus.emit(SDKEvent.LANGUAGE_CHANGE, { language: code, previous, source });
+        }
+    }
+
+    /**
+     * Speech locale for recognition and browser TTS, e.g. "es-ES"
+     * @returns {string} Locale
+     */
+    getLocale() {
+        const { locales } = getLanguageConfig();
+        return locales[this.language] || LANGUAGES[this.language]?.locale || this.language;
+    }
+
+    /**
+     * Murf voice settings for the current language. A voice from another
+     * locale is used as a multi-native voice speaking this language.
+     * @returns {Object} { voiceId, multiNativeLocale? }
+     */
+    getMurfVoice() {
+        const { murfVoices } = getLanguageConfig();
+        const voiceId = murfVoices[this.language] || LANGUAGES[this.language]?.murfVoice || LANGUAGES.en.murfVoice;
+        const locale = this.getLocale();
+        return voiceId.toLowerCase().startsWith(locale.toLowerCase())
+            ? { voiceId }
+            : { voiceId, multiNativeLocale: locale };
+    }
+
+    /**
+     * Instruction for the system prompt
+     * @returns {string} Prompt line
+     */
+    getPromptInstruction() {
+        const name = LANGUAGES[this.language]?.name || this.language;
+        if (this.language === 'en') return 'LANGUAGE: Reply in English.';
+        return `LANGUAGE: Reply in ${name}, the visitor's language, even when the page content is in another language. Keep product and plan names and prices exactly as written.`;
+    }
+
+    /**
+     * Widget string in the current language (site overrides first, then English)
+     * @param {string} key - String key, e.g. "placeholder"
+     * @param {Object} [values] - Values for {placeholders} in the string
+     * @returns {string} Text
+     */
+    t(key, values = {}) {
+        const { strings } = getLanguageConfig();
+        const text = strings[this.language]?.[key] ||
+            LANGUAGES[this.language]?.strings[key] ||
+            strings.en?.[key] ||
+            LANGUAGES.en.strings[key] ||
+            key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+    }
+
+    /**
+     * Serializable snapshot for session persistence
+     */
+    toJSON() {
+        return { language: this.language, source: this.source };
+    }
+
+    /**
+     * Restore a visitor's choice from a previous page
+     */
+    restore(snapshot = {}) {
+        if ((snapshot.source === 'message' || snapshot.source === 'api') && this.isSupported(snapshot.language)) {
+            this.language = snapshot.language;
+            this.source = snapshot.source;
+        }
+    }
+
+    /**
+     * Stop watching messages
+     */
+    destroy() {
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+    }
+}
+
+// Export singleton instance
+export const languageManager = new LanguageManager();
+
+/**
+ * Shorthand for languageManager.t()
+ * @param {string} key - String key
+ * @param {Object} [values] - Values for {placeholders}
+ * @returns {string} Text in the current language
+ */
+export function t(key, values) {
+    return languageManager.t(key, values);
+}
@@ -1,14 +1,167 @@
 import { createUI } from './ui.js';
 import { Store } from './store.js';
+import { eventBus, SDKEvent } from './events.js';
+import { getConversationHistory } from './api.js';
+import { funnelEngine } from './sales/funnel.js';
+import { sessionPersistence } from './persistence.js';
+import { getVisitorId } from './utils/visitor.js';
+import { leadCapture } from './leads/index.js';
+import { analytics } from './analytics/index.js';
+import { handoff } from './handoff/index.js';
+import { experiments } from './experiments/index.js';
+import { CRAWLER_FRAME_NAME } from './site/index.js';
+import { setRouterAdapter } from './pageNavigation.js';
+import { actionPolicy } from './policy.js';
+import { languageManager } from './i18n.js';
+
+/**
+ * Public JavaScript API
+ * Methods called before the UI has mounted are queued and replayed once
+ * the controller is available, so host pages can call them right after init().
+ */
+
+let controller = null;
+const pendingCalls = [];
+
+function mount() {
+    controller = createUI();
+    while (pendingCalls.length > 0) {
+        const { method, args, resolve, reject } = pendingCalls.shift();
+        Promise.resolve()
+            .then(() => controller[method](...args))
+            .then(resolve, reject);
+    }
+    eventBus.emit(SDKEvent.READY, { config: Store.getState().config });
+    // DOM event too, for host code that may run before window.Blitsum exists
+    window.dispatchEvent(new CustomEvent('blitsum:ready'));
+}
+
+function callController(method, ...args) {
+    if (controller) {
+        return Promise.resolve(controller[method](...args));
+    }
+    return new Promise((resolve, reject) => {
+        pendingCalls.push({ method, args, resolve, reject });
+    });
+}
 
 window.Blitsum = {
     init: (config = {}) => {
+        // Pages rendered by the site crawler's hidden frame don't get a widget
+        if (window.name === CRAWLER_FRAME_NAME) return;
+
         console.log('Blitsum SDK Initialized', config);
         Store.setState({ config });
         if (document.readyState === 'complete' || document.readyState === 'interactive') {
-            createUI();
+            mount();
         } else {
-            window.addEventListener('DOMContentLoaded', createUI);
+            window.addEventListener('DOMContentLoaded', mount, { once: true });
         }
-    }
+    },
+
+    open: () => callController('open'),
+    close: () => callController('close'),
+
+    /**
+     * Send a message as if the visitor typed it
+     * @param {string} text - Message text
+     * @returns {Promise<string>} Assistant reply
+     */
+    send: (text) => callController('send', text),
+
+    startVoice: () => callController('startVoice'),
+    stopVoice: () => callController('stopVoice'),
+    reset: () => callController('reset'),
+
+    destroy: () => {
+        pendingCalls.length = 0;
+        if (controller) {
+            controller.destroy();
+            controller = null;
+        }
+    },
+
+    /**
+     * Snapshot of the widget state
+     * @returns {Object} Store state plus current stage (with history), conversation history, transcript and experiment variants
+     */
+    getState: () => ({
+        ...Store.getState(),
+        stage: funnelEngine.currentStage,
+        stageHistory: [...funnelEngine.stageHistory],
+        language: languageManager.language,
+        history: getConversationHistory(),
+        transcript: sessionPersistence.getTranscript(),
+        visitorId: getVisitorId(),
+        sessionId: sessionPersistence.sessionId,
+        experiments: experiments.getAssignments()
+    }),
+
+    /**
+     * Capture a lead collected outside the widget (e.g. the host page's own form)
+     * @param {Object} contact - { email, name, company }
+     * @returns {Promise<Object|null>} { lead, results } from the configured sinks; rejects when none accepted it
+     */
+    captureLead: (contact) => leadCapture.submit(contact, 'api'),
+
+    /**
+     * Report a custom analytics event alongside the built-in ones
+     * @param {string} type - Event type, e.g. "demo_booked"
+     * @param {Object} properties - Event properties
+     * @returns {Object|null} The event, or null when analytics is off
+     */
+    track: (type, properties) => analytics.track(type, properties),
+
+    /**
+     * The visitor's variant of an experiment from `init({ experiments })`, e.g. for host page copy
+     * @param {string} experimentId - Experiment ID
+     * @returns {string|null} Variant ID (logged as an exposure), or null when the visitor isn't enrolled
+     */
+    getVariant: (experimentId) => experiments.getVariant(experimentId),
+
+    /**
+     * Report an experiment goal the SDK can't see, e.g. "signup" on the host's thank-you page
+     * @param {string} goal - Goal listed in an experiment's `goals`
+     * @returns {Array<Object>} Conversions recorded ({ experiment, variant, goal })
+     */
+    convert: (goal) => experiments.convert(goal),
+
+    /**
+     * Show open times for a call with the team (needs `meetings: { provider }`)
+     * @param {string} topic - What the call is about, e.g. "Enterprise demo"
+     * @returns {Promise<Object>} { success, slots } or { success: false, error }
+     */
+    bookMeeting: (topic) => callController('bookMeeting', topic),
+
+    /**
+     * Hand the conversation to a person from the sales team (needs `handoff: { url }`)
+     * @returns {Promise<string>} Handoff state: 'waiting', or 'unavailable' when nobody is online
+     */
+    handoff: () => handoff.request('api'),
+
+    /**
+     * Let goto_page use the host app's router instead of full page loads
+     * @param {Object|null} adapter - { navigate(path) }, e.g. wrapping React Router's navigate()
+     * @returns {Function} Unregister function
+     */
+    setRouter: (adapter) => setRouterAdapter(adapter),
+
+    /**
+     * Every action the agent ran, was blocked from, or asked the visitor about
+     * @returns {Array<Object>} Audit entries ({ at, action, params, target, source, status, reason })
+     */
+    getAuditLog: () => actionPolicy.getAuditLog(),
+
+    /**
+     * Switch the conversation, voice and widget language
+     * @param {string} language - Supported language code or tag, e.g. "es" or "de-DE"
+     * @returns {boolean} False when the language isn't in `language.supported`
+     */
+    setLanguage: (language) => languageManager.setLanguage(language),
+
+    on: (event, handler) => eventBus.on(event, handler),
+    once: (event, handler) => eventBus.once(event, handler),
+    off: (event, handler) => eventBus.off(event, handler),
+
+    events: SDKEvent
 };
@@ -0,0 +1,35 @@
+/**
+ * Firestore Lead Sink
+ * Writes leads to a Firestore collection using the host app's Firebase instance
+ *
+ * Example (index.html):
+ *   import { db } from '/src/firebase.js';
+ *   Blitsum.init({ leads: { sinks: [{ type: 'firestore', db, collection: 'leads' }] } })
+ */
+
+export class FirestoreSink {
+    constructor(options = {}) {
+        if (!options.db) {
+            throw new Error('Firestore sink requires a db (see src/firebase.js)');
+        }
+        this.name = 'firestore';
+        this.db = options.db;
+        this.collection = options.collection || 'leads';
+    }
+
+    /**
+     * Deliver a lead
+     * @param {Object} lead - Lead record from LeadCapture.buildLead()
+     * @returns {Promise<Object>} { id } of the created document
+     */
+    async send(lead) {
+        // Loaded lazily so sites without Firestore don't pay for the SDK
+        const { collection, addDoc, serverTimestamp } = await import('firebase/firestore');
+
+        const docRef = await addDoc(collection(this.db, this.collection), {
+            ...lead,
+            timestamp: serverTimestamp()
+        });
+        return { id: docRef.id };
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * HubSpot Lead Sink
+ * Submits leads through the HubSpot Forms API, which accepts browser
+ * submissions without a private app token
+ */
+
+const FORMS_ENDPOINT = 'https://api.hsforms.com/submissions/v3/integration/submit';
+
+/**
+ * Split a full name into first and last name
+ * @param {string} name - Full name
+ * @returns {Object} { firstName, lastName }
+ */
+export function splitName(name = '') {
+    const parts = name.trim().split(/\s+/).filter(Boolean);
+    return {
+        firstName: parts[0] || '',
+        lastName: parts.slice(1).join(' ')
+    };
+}
+
+/**
+ * Read the HubSpot tracking cookie so the submission joins the visitor's timeline
+ * @returns {string|null} hubspotutk value
+ */
+function getHubSpotUserToken() {
+    const match = document.cookie.match(/(?:^|;\s*)hubspotutk=([^;]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Map a lead to a HubSpot Forms API submission
+ * @param {Object} lead - Lead record
+ * @returns {Object} HubSpot payload ({ fields, context })
+ */
+export function toHubSpotPayload(lead) {
+    const { firstName, lastName } = splitName(lead.contact.name);
+    const fields = [
+        { name: 'email', value: lead.contact.email },
+        { name: 'firstname', value: firstName },
+        { name: 'lastname', value: lastName },
+        { name: 'company', value: lead.contact.company || '' },
+        { name: 'message', value: lead.summary }
+    ].filter(field => field.value);
+
+    const context = {
+        pageUri: lead.page.url,
+        pageName: lead.page.title
+    };
+    const hutk = getHubSpotUserToken();
+    if (hutk) context.hutk = hutk;
+
+    return { fields, context };
+}
+
+export class HubSpotSink {
+    constructor(options = {}) {
+        if (!options.endpoint && !(options.portalId && options.formGuid)) {
+            throw new Error('HubSpot sink requires portalId and formGuid (or an endpoint)');
+        }
+        this.name = 'hubspot';
+        this.endpoint = options.endpoint || `${FORMS_ENDPOINT}/${options.portalId}/${options.formGuid}`;
+    }
+
+    /**
+     * Deliver a lead
+     * @param {Object} lead - Lead record from LeadCapture.buildLead()
+     * @returns {Promise<Object>} { status }
+     */
+    async send(lead) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(toHubSpotPayload(lead))
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.message || `HubSpot responded ${response.status}`);
+        }
+        return { status: response.status };
+    }
+}
@@ -0,0 +1,330 @@
+/**
+ * Lead Capture
+ * Collects contact details (conversationally or via the inline form), attaches
+ * the BANT qualification, visitor profile and transcript summary, and delivers
+ * the lead to the sinks configured in `init({ leads: { sinks } })`.
+ *
+ * Example:
+ *   Blitsum.init({ leads: { sinks: [
+ *       { type: 'webhook', url: 'https://hooks.example.com/lead' },
+ *       { type: 'hubspot', portalId: '123', formGuid: 'abc' }
+ *   ] } })
+ */
+
+import { eventBus, SDKEvent } from '../events.js';
+import { getLeadConfig } from '../config.js';
+import { getConversationHistory } from '../api.js';
+import { funnelEngine } from '../sales/funnel.js';
+import { BANTFramework } from '../sales/methodology.js';
+import { UserProfileBuilder } from '../sales/personalization.js';
+import { behaviorTracker } from '../utils/behaviorTracker.js';
+import { getVisitorId, generateId } from '../utils/visitor.js';
+import { WebhookSink } from './webhook.js';
+import { FirestoreSink } from './firestore.js';
+import { HubSpotSink } from './hubspot.js';
+import { SalesforceSink } from './salesforce.js';
+
+export const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const NAME_PATTERN = /(?:[Mm]y name is|[Ii]'m|[Ii] am|[Tt]his is|[Cc]all me)\s+([A-Z][a-zA-Z'-]+(?:\s+[A-Z][a-zA-Z'-]+)?)/;
+const COMPANY_PATTERN = /(?:work (?:at|for)|[Ff]rom|company is|company's called|founder of|CEO of)\s+([A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*){0,3})/;
+// error.code when no sink took the lead (none configured, or all failed)
+export const LEAD_NOT_DELIVERED = 'lead_not_delivered';
+
+const TEAM_SIZE_PATTERN = /(?:team of\s+(\d[\d,]*)|(\d[\d,]*)\s*\+?\s*(?:people|employees|engineers|developers|staff|seats|reps|agents)\b)/i;
+
+const sinkFactories = {
+    webhook: (options) => new WebhookSink(options),
+    firestore: (options) => new FirestoreSink(options),
+    hubspot: (options) => new HubSpotSink(options),
+    salesforce: (options) => new SalesforceSink(options)
+};
+
+/**
+ * Register a custom lead sink factory
+ * @param {string} type - Sink type used in `leads.sinks[].type`
+ * @param {Function} factory - (options) => sink with an async `send(lead)` method
+ */
+export function registerLeadSink(type, factory) {
+    sinkFactories[type] = factory;
+}
+
+/**
+ * Create a sink from a config entry (objects that already have `send()` are used as-is)
+ * @param {Object} sinkConfig - { type, ...options }
+ * @returns {Object} Sink instance
+ */
+export function createLeadSink(sinkConfig = {}) {
+    if (typeof sinkConfig.send === 'function') return sinkConfig;
+
+    const factory = sinkFactories[sinkConfig.type];
+    if (!factory) {
+        throw new Error(`Unknown lead sink: ${sinkConfig.type}`);
+    }
+    return factory(sinkConfig);
+}
+
+export class LeadCapture {
+    constructor() {
+        this.contact = { email: null, name: null, company: null, teamSize: null };
+        this.captured = false;
+        this.capturedEmail = null;
+        this.formOffered = false;
+        this.pendingCapture = false;
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Start listening to visitor messages for contact details
+     */
+    init() {
+        if (this.unsubscribe || !getLeadConfig().enabled) return;
+
+        this.unsubscribe = eventBus.on(SDKEvent.MESSAGE, ({ role, text }) => {
+            if (role === 'user') {
+                const hadEmail = !!this.contact.email;
+                this.extractContactDetails(text);
+
+                // An email typed into the chat is consent enough to send the lead
+                if (!hadEmail && this.contact.email) this.pendingCapture = true;
+                return;
+            }
+
+            // Submit after the reply so the message with the email is part of the summary
+            if (this.pendingCapture) {
+                this.pendingCapture = false;
+                this.submit({}, 'conversation').catch(error => {
+                    console.error('[Leads] Conversational capture failed:', error);
+                });
+            }
+        });
+        console.log('[Leads] Initialized');
+    }
+
+    /**
+     * Pull email, name, company and team size out of a visitor message
+     * @param {string} text - Visitor message
+     * @returns {Object} Contact details found so far
+     */
+    extractContactDetails(text = '') {
+        const email = text.match(EMAIL_PATTERN);
+        if (email) this.contact.email = email[0].toLowerCase();
+
+        const name = text.match(NAME_PATTERN);
+        if (name && !this.contact.name) this.contact.name = name[1];
+
+        const company = text.match(COMPANY_PATTERN);
+        if (company && !this.contact.company) this.contact.company = company[1].replace(/[.,]$/, '');
+
+        // Latest mention wins, so "actually we're 40 people" corrects an earlier number
+        const teamSize = text.match(TEAM_SIZE_PATTERN);
+        if (teamSize) this.contact.teamSize = (teamSize[1] || teamSize[2]).replace(/,/g, '');
+
+        return { ...this.contact };
+    }
+
+    /**
+     * Assess BANT from the visitor's messages so far
+     * @returns {Object} BANT assessment
+     */
+    assessQualification() {
+        const userMessages = getConversationHistory()
+            .filter(msg => msg.role === 'user')
+            .map(msg => msg.content);
+        return BANTFramework.assess({ messages: userMessages });
+    }
+
+    /**
+     * Summarize the conversation for CRM notes
+     * @param {Array<Object>} history - Conversation history
+     * @param {Object} bant - BANT assessment
+     * @param {Object} profile - Visitor profile
+     * @returns {string} Plain-text summary
+     */
+    buildSummary(history, bant, profile) {
+        const lines = [
+            `Stage: ${funnelEngine.currentStage}`,
+            `BANT score: ${Math.round(bant.totalScore * 100)}% (${bant.isQualified ? 'qualified' : 'not yet qualified'})`
+        ];
+        if (profile.interests.length > 0) lines.push(`Interests: ${profile.interests.join(', ')}`);
+        if (profile.painPoints.length > 0) lines.push(`Pain points: ${profile.painPoints.join(', ')}`);
+        if (profile.objections.length > 0) lines.push(`Objections: ${profile.objections.join(', ')}`);
+
+        const recentQuestions = history
+            .filter(msg => msg.role === 'user')
+            .slice(-3)
+            .map(msg => `"${msg.content.slice(0, 140)}"`);
+        if (recentQuestions.length > 0) lines.push(`Visitor said: ${recentQuestions.join(' | ')}`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Assemble the lead record sent to every sink
+     * @param {string} source - How the contact was collected ('conversation', 'form', 'api')
+     * @returns {Object} Lead record
+     */
+    buildLead(source) {
+        const history = getConversationHistory();
+        const bant = this.assessQualification();
+        const profile = new UserProfileBuilder().build(history, behaviorTracker.getBehavior());
+
+        return {
+            id: generateId(),
+            visitorId: getVisitorId(),
+            source,
+            contact: { ...this.contact },
+            stage: funnelEngine.currentStage,
+            qualification: {
+                score: bant.totalScore,
+                isQualified: bant.isQualified,
+                budget: bant.budget.level,
+                authority: bant.authority.level,
+                need: bant.need.level,
+                timeline: bant.timeline.level,
+                recommendation: bant.recommendation.action
+            },
+            profile: {
+                type: profile.type,
+                companySize: profile.companySize,
+                industry: profile.industry,
+                urgency: profile.urgency,
+                budget: profile.budget,
+                painPoints: profile.painPoints,
+                interests: profile.interests,
+                objections: profile.objections,
+                confidence: profile.confidence
+            },
+            summary: this.buildSummary(history, bant, profile),
+            messageCount: history.length,
+            page: { url: window.location.href, title: document.title },
+            capturedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Capture a lead and deliver it to all configured sinks
+     * @param {Object} contact - Contact fields to merge ({ email, name, company, teamSize })
+     * @param {string} source - 'conversation', 'form', 'handoff', 'meeting' or 'api'
+     * @param {Object} details - Extra fields for the lead record, e.g. { meeting }
+     * @returns {Promise<Object|null>} { lead, results } or null when skipped
+     * @throws {Error} On an invalid email, or with code LEAD_NOT_DELIVERED when no sink accepted the lead
+     */
+    async submit(contact = {}, source = 'api', details = {}) {
+        const { enabled, sinks } = getLeadConfig();
+        if (!enabled) return null;
+
+        Object.entries(contact).forEach(([key, value]) => {
+            if (value && key in this.contact) this.contact[key] = String(value).trim();
+        });
+
+        if (!this.contact.email || !EMAIL_PATTERN.test(this.contact.email)) {
+            throw new Error('A valid email address is required');
+        }
+
+        // Don't resend the same lead on every page of the funnel (a form or a booking is new information)
+        if (this.captured && this.capturedEmail === this.contact.email && source !== 'form' && source !== 'meeting') {
+            return null;
+        }
+
+        const lead = { ...this.buildLead(source), ...details };
+        const deliveries = sinks.map(async (sinkConfig) => {
+            const sink = createLeadSink(sinkConfig);
+            const response = await sink.send(lead);
+            return { sink: sink.name || sinkConfig.type, success: true, response };
+        });
+
+        const settled = await Promise.allSettled(deliveries);
+        const results = settled.map((outcome, i) => outcome.status === 'fulfilled'
+            ? outcome.value
+            : { sink: sinks[i].type || 'custom', success: false, error: outcome.reason?.message });
+
+        results.filter(r => !r.success).forEach(r => {
+            console.error(`[Leads] ${r.sink} sink failed:`, r.error);
+        });
+
+        // Only a delivered lead counts; otherwise the visitor can try again
+        if (!results.some(r => r.success)) {
+            const error = new Error(sinks.length === 0 ? 'No lead sinks are configured' : 'No lead sink accepted the lead');
+            error.code = LEAD_NOT_DELIVERED;
+            throw error;
+        }
+
+        this.captured = true;
+        this.capturedEmail = this.contact.email;
+        console.log(`[Leads] Captured lead ${lead.id} via ${source} (${results.filter(r => r.success).length}/${results.length} sinks)`);
+
+        eventBus.emit(SDKEvent.LEAD_CAPTURED, { lead, results });
+        return { lead, results };
+    }
+
+    /**
+     * Whether the inline form should be offered after the latest reply
+     * @returns {boolean} True once the visitor looks qualified and hasn't shared an email
+     */
+    shouldOfferForm() {
+        const { enabled, sinks, offerForm, offerAtStages, minScore } = getLeadConfig();
+        // Without sinks there's nowhere for the details to go
+        if (!enabled || !offerForm || sinks.length === 0 || this.captured || this.formOffered || this.contact.email) {
+            return false;
+        }
+
+        // Matches stage IDs or phases, so custom funnels' closing stages count too
+        if (offerAtStages.includes(funnelEngine.currentStage) || offerAtStages.includes(funnelEngine.getPhase())) return true;
+
+        const userMessageCount = getConversationHistory().filter(msg => msg.role === 'user').length;
+        return userMessageCount >= 2 && this.assessQualification().totalScore >= minScore;
+    }
+
+    /**
+     * Record that the form has been shown so it isn't offered again
+     */
+    markFormOffered() {
+        this.formOffered = true;
+    }
+
+    /**
+     * Serializable snapshot for session persistence
+     */
+    toJSON() {
+        return {
+            contact: { ...this.contact },
+            captured: this.captured,
+            capturedEmail: this.capturedEmail,
+            formOffered: this.formOffered
+        };
+    }
+
+    /**
+     * Restore a snapshot produced by toJSON()
+     */
+    restore(snapshot = {}) {
+        this.contact = { ...this.contact, ...(snapshot.contact || {}) };
+        this.captured = !!snapshot.captured;
+        this.capturedEmail = snapshot.capturedEmail || null;
+        this.formOffered = !!snapshot.formOffered;
+    }
+
+    /**
+     * Forget collected details (used by Blitsum.reset)
+     */
+    reset() {
+        this.contact = { email: null, name: null, company: null, teamSize: null };
+        this.captured = false;
+        this.capturedEmail = null;
+        this.formOffered = false;
+        this.pendingCapture = false;
+    }
+
+    /**
+     * Stop listening to messages
+     */
+    destroy() {
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+    }
+}
+
+// Export singleton instance
+export const leadCapture = new LeadCapture();
+
+export { WebhookSink, FirestoreSink, HubSpotSink, SalesforceSink };
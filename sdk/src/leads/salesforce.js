@@ -0,0 +1,76 @@
+/**
+ * Salesforce Lead Sink
+ * Posts leads to Salesforce Web-to-Lead, or as JSON to your own endpoint
+ * (e.g. an Apex REST service) when `endpoint` is set
+ */
+
+import { splitName } from './hubspot.js';
+
+const WEB_TO_LEAD_ENDPOINT = 'https://webto.salesforce.com/servlet/servlet.WebToLead?encoding=UTF-8';
+
+/**
+ * Map a lead to Salesforce Lead fields
+ * @param {Object} lead - Lead record
+ * @param {string} leadSource - Value for the LeadSource picklist
+ * @returns {Object} Salesforce-shaped lead
+ */
+export function toSalesforcePayload(lead, leadSource = 'Website Chat') {
+    const { firstName, lastName } = splitName(lead.contact.name);
+    return {
+        FirstName: firstName,
+        // LastName and Company are required on the Lead object
+        LastName: lastName || firstName || '[not provided]',
+        Email: lead.contact.email,
+        Company: lead.contact.company || '[not provided]',
+        LeadSource: leadSource,
+        Rating: lead.qualification.isQualified ? 'Hot' : 'Warm',
+        Description: lead.summary
+    };
+}
+
+export class SalesforceSink {
+    constructor(options = {}) {
+        if (!options.endpoint && !options.oid) {
+            throw new Error('Salesforce sink requires an oid (Web-to-Lead) or an endpoint');
+        }
+        this.name = 'salesforce';
+        this.endpoint = options.endpoint || null;
+        this.oid = options.oid || null;
+        this.leadSource = options.leadSource || 'Website Chat';
+        this.headers = options.headers || {};
+    }
+
+    /**
+     * Deliver a lead
+     * @param {Object} lead - Lead record from LeadCapture.buildLead()
+     * @returns {Promise<Object>} { status }
+     */
+    async send(lead) {
+        const payload = toSalesforcePayload(lead, this.leadSource);
+
+        if (this.endpoint) {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.headers },
+                body: JSON.stringify(payload)
+            });
+            if (!response.ok) {
+                throw new Error(`Salesforce endpoint responded ${response.status}`);
+            }
+            return { status: response.status };
+        }
+
+        // Web-to-Lead expects form fields and sends no CORS headers, so the response is opaque
+        const form = new URLSearchParams({
+            oid: this.oid,
+            first_name: payload.FirstName,
+            last_name: payload.LastName,
+            email: payload.Email,
+            company: payload.Company,
+            lead_source: payload.LeadSource,
+            description: payload.Description
+        });
+        await fetch(WEB_TO_LEAD_ENDPOINT, { method: 'POST', mode: 'no-cors', body: form });
+        return { status: 'sent' };
+    }
+}
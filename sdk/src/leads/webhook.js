@@ -0,0 +1,37 @@
+/**
+ * Webhook Lead Sink
+ * POSTs the lead as JSON to any HTTP endpoint (Zapier, Make, your own backend)
+ */
+
+export class WebhookSink {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('Webhook sink requires a url');
+        }
+        this.name = 'webhook';
+        this.url = options.url;
+        this.headers = options.headers || {};
+        // Optional (lead) => body for endpoints that expect a custom shape
+        this.transform = options.transform || null;
+    }
+
+    /**
+     * Deliver a lead
+     * @param {Object} lead - Lead record from LeadCapture.buildLead()
+     * @returns {Promise<Object>} { status }
+     */
+    async send(lead) {
+        const body = this.transform ? this.transform(lead) : lead;
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(body),
+            keepalive: true
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook responded ${response.status}`);
+        }
+        return { status: response.status };
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Endpoint Availability Provider
+ * Asks a scheduling backend for open times and books through it, so a slot
+ * can't be taken twice. `npm run meetings` starts a local mock backend
+ * (sdk/server/meetings.js) that speaks this protocol:
+ *
+ *   GET  {url}/slots?from=ISO&to=ISO&duration=30  -> { slots: [{ start, end }] }
+ *   POST {url}/bookings { start, end, ... }         -> { id } (409 when taken)
+ *
+ * Example:
+ *   { type: 'endpoint', url: 'http://localhost:8789' }
+ */
+
+export class EndpointProvider {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('Endpoint availability provider requires a url');
+        }
+        this.name = 'endpoint';
+        this.url = options.url.replace(/\/$/, '');
+        this.headers = options.headers || {};
+    }
+
+    /**
+     * Open slots in a time range
+     * @param {Object} range - { from: Date, to: Date, duration: minutes }
+     * @returns {Promise<Array<Object>>} Slots ({ start, end } ISO strings)
+     */
+    async getSlots({ from, to, duration }) {
+        const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString(), duration: String(duration) });
+        const response = await fetch(`${this.url}/slots?${params}`, { headers: this.headers });
+        if (!response.ok) {
+            throw new Error(`Availability endpoint responded ${response.status}`);
+        }
+        const data = await response.json();
+        return Array.isArray(data.slots) ? data.slots : [];
+    }
+
+    /**
+     * Reserve a slot
+     * @param {Object} meeting - Meeting from MeetingScheduler.book()
+     * @returns {Promise<Object>} Backend response ({ id })
+     */
+    async book(meeting) {
+        const response = await fetch(`${this.url}/bookings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(meeting)
+        });
+        if (response.status === 409) {
+            throw new Error('That time was just taken');
+        }
+        if (!response.ok) {
+            throw new Error(`Booking endpoint responded ${response.status}`);
+        }
+        return response.json();
+    }
+}
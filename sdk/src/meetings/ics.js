@@ -0,0 +1,275 @@
+/**
+ * ICS Availability Provider
+ * Reads the team's calendar from an ICS feed (Google, Outlook and Apple all
+ * publish one) and offers the slots in the working-hours schedule that don't
+ * overlap an event. Cancelled events and events marked "free"
+ * (TRANSP:TRANSPARENT) don't block time. Recurring events (RRULE) are expanded
+ * over the requested range for FREQ=DAILY and FREQ=WEEKLY with INTERVAL,
+ * BYDAY, UNTIL and COUNT, minus EXDATEs and moved or cancelled instances
+ * (RECURRENCE-ID). A feed with any other recurrence is refused rather than
+ * shown with times the team isn't free.
+ *
+ * The feed must be readable from the browser (CORS), e.g. through the relay.
+ *
+ * Example:
+ *   { type: 'ics', url: 'https://calendar.example.com/team.ics', schedule: { timezone: 'America/New_York' } }
+ */
+
+import { DEFAULT_SCHEDULE, generateScheduleSlots, removeBusySlots, zonedTimeToDate, getZonedParts, isValidTimeZone } from './schedule.js';
+
+// Refetch the feed at most this often
+const CACHE_TTL = 5 * 60 * 1000;
+
+const DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const DURATION_PATTERN = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'UNTIL', 'COUNT', 'BYDAY', 'WKST'];
+// Properties that can appear more than once in an event
+const LIST_PROPERTIES = ['EXDATE'];
+
+/**
+ * Parse an ICS date or date-time value
+ * @param {string} value - e.g. 20261103T150000Z, 20261103T100000 or 20261103
+ * @param {string} timeZone - TZID of the value, or the calendar's zone for floating times
+ * @returns {Date|null} Instant, or null when unreadable
+ */
+function parseIcsDate(value, timeZone) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) return null;
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+    if (utc) return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    return zonedTimeToDate({ year: Number(year), month: Number(month), day: Number(day), hour: Number(hour), minute: Number(minute) }, timeZone);
+}
+
+/**
+ * Length of an ICS DURATION value
+ * @param {string} value - e.g. PT30M, P1D
+ * @returns {number} Milliseconds (0 when unreadable)
+ */
+function parseIcsDuration(value = '') {
+    const match = DURATION_PATTERN.exec(value);
+    if (!match) return 0;
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part) || 0);
+    return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+/**
+ * Read the VEVENTs of an ICS calendar
+ * @param {string} text - ICS file contents
+ * @returns {Array<Object>} Events keyed by property name ({ value, tzid }; lists for EXDATE)
+ */
+function parseIcsEvents(text) {
+    // Long lines are folded onto continuation lines starting with a space or tab
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let event = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (event) events.push(event);
+            event = null;
+            return;
+        }
+        if (!event) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const [rawName, ...params] = line.slice(0, separator).split(';');
+        const name = rawName.toUpperCase();
+        const tzid = params.find(param => param.startsWith('TZID='))?.slice(5).replace(/"/g, '');
+        const entry = { value: line.slice(separator + 1).trim(), tzid };
+        if (LIST_PROPERTIES.includes(name)) {
+            event[name] = [...(event[name] || []), entry];
+        } else {
+            event[name] = entry;
+        }
+    });
+
+    return events;
+}
+
+/**
+ * Busy time ranges from an ICS calendar
+ * @param {string} text - ICS file contents
+ * @param {string} defaultTimeZone - Zone for floating times and all-day events
+ * @param {Object} range - { from, to } Dates recurring events are expanded over (default: the next 60 days)
+ * @returns {Array<Object>} Busy ranges ({ start, end } Dates)
+ * @throws {Error} When an event recurs in a way that can't be expanded
+ */
+export function parseIcsBusy(text, defaultTimeZone = 'UTC', range = {}) {
+    const from = range.from || new Date();
+    const to = range.to || new Date(from.getTime() + 60 * DAY);
+    const events = parseIcsEvents(text);
+    const zone = (entry) => (isValidTimeZone(entry.tzid) ? entry.tzid : defaultTimeZone);
+
+    // Instances of a series that were moved or cancelled are listed as their own events
+    const overridden = new Map();
+    events.filter(event => event.UID && event['RECURRENCE-ID']).forEach(event => {
+        const instant = parseIcsDate(event['RECURRENCE-ID'].value, zone(event['RECURRENCE-ID']));
+        if (!instant) return;
+        if (!overridden.has(event.UID.value)) overridden.set(event.UID.value, new Set());
+        overridden.get(event.UID.value).add(instant.getTime());
+    });
+
+    const busy = [];
+    events.forEach(event => {
+        const first = toBusyRange(event, defaultTimeZone);
+        if (!first) return;
+        if (!event.RRULE || event['RECURRENCE-ID']) {
+            busy.push(first);
+            return;
+        }
+
+        const skipped = new Set(overridden.get(event.UID?.value) || []);
+        (event.EXDATE || []).forEach(entry => {
+            entry.value.split(',').forEach(value => {
+                const instant = parseIcsDate(value.trim(), zone(entry));
+                if (instant) skipped.add(instant.getTime());
+            });
+        });
+        expandRecurrence(event, first, zone(event.DTSTART), { from, to })
+            .filter(occurrence => !skipped.has(occurrence.start.getTime()))
+            .forEach(occurrence => busy.push(occurrence));
+    });
+
+    return busy;
+}
+
+/**
+ * Turn a parsed VEVENT into a busy range
+ * @returns {Object|null} { start, end } or null when the event doesn't block time
+ */
+function toBusyRange(event, defaultTimeZone) {
+    if (!event.DTSTART) return null;
+    if (event.STATUS?.value === 'CANCELLED' || event.TRANSP?.value === 'TRANSPARENT') return null;
+
+    const zone = (entry) => (isValidTimeZone(entry.tzid) ? entry.tzid : defaultTimeZone);
+    const start = parseIcsDate(event.DTSTART.value, zone(event.DTSTART));
+    if (!start) return null;
+
+    let end = event.DTEND ? parseIcsDate(event.DTEND.value, zone(event.DTEND)) : null;
+    if (!end && event.DURATION) end = new Date(start.getTime() + parseIcsDuration(event.DURATION.value));
+    // An all-day event without an end covers its day
+    if (!end) end = new Date(start.getTime() + (event.DTSTART.value.length === 8 ? DAY : 0));
+
+    return end > start ? { start, end } : null;
+}
+
+/**
+ * Occurrences of a DAILY or WEEKLY series that overlap a range
+ * Days are stepped on the calendar of the event's zone, so the wall-clock time
+ * stays put across DST changes.
+ * @param {Object} event - Parsed VEVENT with an RRULE
+ * @param {Object} first - First occurrence ({ start, end })
+ * @param {string} timeZone - Zone of DTSTART (UTC for times ending in Z)
+ * @param {Object} range - { from, to } Dates
+ * @returns {Array<Object>} Busy ranges ({ start, end } Dates)
+ * @throws {Error} On a recurrence rule other than the supported subset
+ */
+function expandRecurrence(event, first, timeZone, { from, to }) {
+    const rule = Object.fromEntries(event.RRULE.value.split(';').map(part => {
+        const [key, value = ''] = part.split('=');
+        return [key.toUpperCase(), value.toUpperCase()];
+    }));
+    const byDay = rule.BYDAY ? rule.BYDAY.split(',') : null;
+    const supported = ['DAILY', 'WEEKLY'].includes(rule.FREQ) &&
+        Object.keys(rule).every(key => SUPPORTED_RULE_PARTS.includes(key)) &&
+        (!byDay || byDay.every(day => WEEKDAYS.includes(day)));
+    if (!supported) {
+        throw new Error(`Calendar feed has a recurring event this provider can't expand (RRULE:${event.RRULE.value})`);
+    }
+
+    const zone = event.DTSTART.value.endsWith('Z') ? 'UTC' : timeZone;
+    const local = getZonedParts(first.start, zone);
+    const duration = first.end - first.start;
+    const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+    const count = Number(rule.COUNT) || Infinity;
+    // A date-only UNTIL includes that whole day
+    const untilDate = rule.UNTIL ? parseIcsDate(rule.UNTIL, zone) : null;
+    const until = untilDate && rule.UNTIL.length === 8 ? new Date(untilDate.getTime() + DAY - 1) : untilDate;
+    const weekdays = byDay ? byDay.map(day => WEEKDAYS.indexOf(day)) : null;
+    const weekStart = WEEKDAYS.indexOf(rule.WKST || 'MO');
+
+    // Whole days since the epoch, for calendar arithmetic without time zones
+    const firstDay = Date.UTC(local.year, local.month - 1, local.day) / DAY;
+    const firstWeek = Math.floor((firstDay - ((new Date(firstDay * DAY).getUTCDay() - weekStart + 7) % 7)) / 7);
+    const lastDay = Math.min(to.getTime(), until ? until.getTime() : Infinity) / DAY + 1;
+    const earliest = from.getTime() - duration - DAY;
+
+    const occurrences = [];
+    let seen = 0;
+    for (let day = firstDay; day <= lastDay && seen < count; day++) {
+        const weekday = new Date(day * DAY).getUTCDay();
+        const week = Math.floor((day - ((weekday - weekStart + 7) % 7)) / 7);
+        const matches = rule.FREQ === 'DAILY'
+            ? (day - firstDay) % interval === 0 && (!weekdays || weekdays.includes(weekday))
+            : (week - firstWeek) % interval === 0 && (weekdays || [new Date(firstDay * DAY).getUTCDay()]).includes(weekday);
+        if (!matches) continue;
+        seen++;
+
+        // Only turn days near the range into instants (that's the costly part)
+        if (day * DAY < earliest) continue;
+        const date = new Date(day * DAY);
+        const start = zonedTimeToDate({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour: local.hour, minute: local.minute }, zone);
+        if (until && start > until) break;
+        if (start < to && start.getTime() + duration > from.getTime()) {
+            occurrences.push({ start, end: new Date(start.getTime() + duration) });
+        }
+    }
+    return occurrences;
+}
+
+export class IcsProvider {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('ICS availability provider requires a url');
+        }
+        this.name = 'ics';
+        this.url = options.url;
+        this.schedule = { ...DEFAULT_SCHEDULE, ...(options.schedule || {}) };
+        this.feed = null;
+        this.fetchedAt = 0;
+    }
+
+    /**
+     * Calendar feed text (cached for a few minutes)
+     * @returns {Promise<string>} ICS contents
+     */
+    async getFeed() {
+        if (this.feed !== null && Date.now() - this.fetchedAt < CACHE_TTL) return this.feed;
+
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Calendar feed responded ${response.status}`);
+        }
+        this.feed = await response.text();
+        this.fetchedAt = Date.now();
+        return this.feed;
+    }
+
+    /**
+     * Busy ranges from the feed, with recurring events expanded over a range
+     * @param {Object} range - { from, to } Dates
+     * @returns {Promise<Array<Object>>} Busy ranges
+     */
+    async getBusy(range) {
+        return parseIcsBusy(await this.getFeed(), this.schedule.timezone, range);
+    }
+
+    /**
+     * Open slots in a time range
+     * @param {Object} range - { from: Date, to: Date, duration: minutes }
+     * @returns {Promise<Array<Object>>} Slots ({ start, end } ISO strings)
+     */
+    async getSlots(range) {
+        const busy = await this.getBusy(range);
+        return removeBusySlots(generateScheduleSlots(this.schedule, range), busy);
+    }
+}
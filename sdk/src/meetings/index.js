@@ -0,0 +1,229 @@
+/**
+ * Meeting Booking
+ * The `book_meeting` path for buyers who want a call rather than a
+ * self-serve trial. Open times come from a pluggable availability provider
+ * (a static schedule, an ICS feed or a scheduling endpoint); the visitor
+ * picks one in a slot-picker card, confirms their email and time zone, and
+ * the booking is reported as a `meetingBooked` event carrying the lead
+ * (BANT score, profile, summary) and delivered to the lead sinks.
+ *
+ * Example:
+ *   Blitsum.init({ meetings: { provider: { type: 'static', schedule: { timezone: 'America/New_York' } } } })
+ *   Blitsum.on('meetingBooked', ({ meeting, lead }) => crm.createEvent(meeting, lead))
+ */
+
+import { eventBus, SDKEvent } from '../events.js';
+import { getMeetingsConfig, getLeadConfig } from '../config.js';
+import { t } from '../i18n.js';
+import { leadCapture, EMAIL_PATTERN, LEAD_NOT_DELIVERED } from '../leads/index.js';
+import { getVisitorId, generateId } from '../utils/visitor.js';
+import { isValidTimeZone } from './schedule.js';
+import { StaticProvider } from './static.js';
+import { IcsProvider } from './ics.js';
+import { EndpointProvider } from './endpoint.js';
+
+// Spread the proposed times over a few days instead of one morning
+const MAX_SLOTS_PER_DAY = 2;
+
+const providerFactories = {
+    static: (options) => new StaticProvider(options),
+    ics: (options) => new IcsProvider(options),
+    endpoint: (options) => new EndpointProvider(options)
+};
+
+/**
+ * Register a custom availability provider factory
+ * @param {string} type - Provider type used in `meetings.provider.type`
+ * @param {Function} factory - (options) => provider with `getSlots(range)` and optionally `book(meeting)`
+ */
+export function registerAvailabilityProvider(type, factory) {
+    providerFactories[type] = factory;
+}
+
+/**
+ * Create a provider from config (objects that already have `getSlots()` are used as-is)
+ * @param {Object} providerConfig - { type, ...options }
+ * @returns {Object} Provider instance
+ */
+export function createAvailabilityProvider(providerConfig = {}) {
+    if (typeof providerConfig.getSlots === 'function') return providerConfig;
+
+    const factory = providerFactories[providerConfig.type];
+    if (!factory) {
+        throw new Error(`Unknown availability provider: ${providerConfig.type}`);
+    }
+    return factory(providerConfig);
+}
+
+/**
+ * Pick the slots to propose: future, unique, earliest first, a few per day
+ * @param {Array<Object>} slots - Slots from the provider
+ * @param {Date} from - Earliest allowed start
+ * @param {number} max - How many to keep
+ * @returns {Array<Object>} Slots ({ start, end })
+ */
+function pickSlots(slots, from, max) {
+    const seen = new Set();
+    const perDay = new Map();
+
+    return slots
+        .filter(slot => slot?.start && new Date(slot.start) >= from)
+        .sort((a, b) => new Date(a.start) - new Date(b.start))
+        .filter(slot => {
+            const day = slot.start.slice(0, 10);
+            if (seen.has(slot.start) || (perDay.get(day) || 0) >= MAX_SLOTS_PER_DAY) return false;
+            seen.add(slot.start);
+            perDay.set(day, (perDay.get(day) || 0) + 1);
+            return true;
+        })
+        .slice(0, max)
+        .map(({ start, end }) => ({ start, end }));
+}
+
+export class MeetingScheduler {
+    constructor() {
+        this.provider = null;
+        this.providerConfig = null;
+        this.offer = null;
+    }
+
+    /**
+     * Whether booking is configured
+     * @returns {boolean} True when a provider is set
+     */
+    isEnabled() {
+        const { enabled, provider } = getMeetingsConfig();
+        return enabled && !!provider;
+    }
+
+    /**
+     * Provider for the current config (kept between calls so feeds stay cached)
+     * @returns {Object} Availability provider
+     */
+    getProvider() {
+        const { provider } = getMeetingsConfig();
+        if (!this.provider || this.providerConfig !== provider) {
+            this.provider = createAvailabilityProvider(provider);
+            this.providerConfig = provider;
+        }
+        return this.provider;
+    }
+
+    /**
+     * Whether a booking reaches the team: a provider that reserves slots, or lead sinks
+     * @returns {boolean} True when there is somewhere to send it
+     */
+    hasDestination() {
+        const { enabled, sinks } = getLeadConfig();
+        return typeof this.getProvider().book === 'function' || (enabled && sinks.length > 0);
+    }
+
+    /**
+     * Look up open times and show them as a slot-picker card
+     * @param {Object} options - { topic } e.g. "Enterprise demo"
+     * @returns {Promise<Object>} Action result ({ success, slots } or { success: false, error })
+     */
+    async propose({ topic } = {}) {
+        if (!this.isEnabled()) return { success: false, error: 'Meeting booking is not set up' };
+        if (!this.hasDestination()) {
+            console.warn('[Meetings] The provider can\'t reserve slots and there are no lead sinks; not offering times');
+            return { success: false, error: 'Meeting booking is not set up' };
+        }
+
+        const { title, duration, days, minNotice, maxSlots } = getMeetingsConfig();
+        const from = new Date(Date.now() + minNotice * 60000);
+        const to = new Date(Date.now() + days * 24 * 60 * 60000);
+
+        let slots;
+        try {
+            slots = await this.getProvider().getSlots({ from, to, duration });
+        } catch (error) {
+            console.error('[Meetings] Could not load availability:', error);
+            return { success: false, error: t('meetingSlotsFailed') };
+        }
+
+        const open = pickSlots(slots, from, maxSlots);
+        if (open.length === 0) {
+            return { success: false, error: t('meetingNoSlots', { days }) };
+        }
+
+        this.offer = { id: generateId(), topic: topic || title, duration, slots: open };
+        eventBus.emit(SDKEvent.CARD, { type: 'meeting', title: t('cardMeeting'), ...this.offer });
+        return { success: true, slots: open.length };
+    }
+
+    /**
+     * Book one of the proposed slots
+     * Providers with a backend reserve the slot (`confirmed: true`). Otherwise
+     * (static schedules, ICS feeds) nothing holds the time, so the booking is a
+     * request the team confirms, and it fails unless a lead sink accepts it.
+     * @param {Object} booking - { start, email, name, timezone }
+     * @returns {Promise<Object>} The meeting; rejects on a bad email, a slot that's gone or an undelivered request
+     */
+    async book({ start, email, name, timezone }) {
+        const slot = this.offer?.slots.find(s => s.start === start);
+        if (!slot) {
+            throw new Error(t('meetingSlotGone'));
+        }
+
+        const contact = { email: String(email || '').trim(), name: String(name || '').trim() };
+        if (!EMAIL_PATTERN.test(contact.email)) {
+            throw new Error(t('meetingEmailInvalid'));
+        }
+
+        const meeting = {
+            id: generateId(),
+            topic: this.offer.topic,
+            start: slot.start,
+            end: slot.end,
+            duration: this.offer.duration,
+            timezone: isValidTimeZone(timezone) ? timezone : 'UTC',
+            attendee: contact,
+            visitorId: getVisitorId(),
+            page: { url: window.location.href, title: document.title },
+            bookedAt: new Date().toISOString()
+        };
+
+        // Providers with a backend reserve the slot (and may refuse it)
+        const provider = this.getProvider();
+        meeting.confirmed = typeof provider.book === 'function';
+        if (meeting.confirmed) {
+            const confirmation = await provider.book(meeting);
+            if (confirmation?.id) meeting.providerId = confirmation.id;
+        }
+
+        // The booking is a lead too. A reserved slot stands even if a sink fails;
+        // an unreserved one exists only if a sink got it.
+        let captured = null;
+        try {
+            captured = await leadCapture.submit(contact, 'meeting', { meeting });
+        } catch (error) {
+            if (!meeting.confirmed && error.code === LEAD_NOT_DELIVERED) {
+                console.error('[Meetings] Booking request not delivered:', error.message);
+                throw new Error(t('meetingNotSent'));
+            }
+            console.warn('[Meetings] Lead delivery failed:', error.message);
+        }
+        if (!meeting.confirmed && !captured) {
+            throw new Error(t('meetingNotSent'));
+        }
+        this.offer = null;
+        const lead = captured?.lead || leadCapture.buildLead('meeting');
+
+        eventBus.emit(SDKEvent.MEETING_BOOKED, { meeting, lead });
+        console.log(`[Meetings] ${meeting.confirmed ? 'Booked' : 'Requested'} ${meeting.start} for ${contact.email}`);
+        return meeting;
+    }
+
+    /**
+     * Forget the proposed slots
+     */
+    reset() {
+        this.offer = null;
+    }
+}
+
+// Export singleton instance
+export const meetings = new MeetingScheduler();
+
+export { StaticProvider, IcsProvider, EndpointProvider };
@@ -0,0 +1,180 @@
+/**
+ * Meeting Schedule
+ * Time-zone math for meeting slots, and slot generation from a weekly
+ * schedule ("weekdays 9-17 in Europe/Berlin"). Shared by the static and ICS
+ * providers and the local mock calendar server, so it has no browser or
+ * SDK dependencies.
+ */
+
+/**
+ * Default working hours for generated slots
+ * `days` are weekdays (0 = Sunday), `start`/`end` are HH:MM in `timezone`.
+ */
+export const DEFAULT_SCHEDULE = {
+    days: [1, 2, 3, 4, 5],
+    start: '09:00',
+    end: '17:00',
+    timezone: 'UTC'
+};
+
+// Upper bound on how far ahead slots are generated
+const MAX_DAYS = 60;
+
+/**
+ * Calendar date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute }
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find(part => part.type === type).value);
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute') };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (e.g. 120 for CEST)
+ */
+function getOffset(date, timeZone) {
+    const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const instant = Math.floor(date.getTime() / 60000) * 60000;
+    return (wallClock - instant) / 60000;
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone
+ * @param {Object} parts - { year, month, day, hour, minute }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getOffset(new Date(wallClock), timeZone);
+    // Re-check once: the first guess can land on the other side of a DST change
+    const corrected = getOffset(new Date(wallClock - offset * 60000), timeZone);
+    return new Date(wallClock - corrected * 60000);
+}
+
+/**
+ * Whether a string is a time zone this runtime knows
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} True when usable with Intl
+ */
+export function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const parseClock = (value) => {
+    const [hour, minute = 0] = String(value).split(':').map(Number);
+    return hour * 60 + minute;
+};
+
+/**
+ * Generate slots from a weekly schedule
+ * @param {Object} schedule - { days, start, end, timezone }
+ * @param {Object} range - { from: Date, to: Date, duration: minutes }
+ * @returns {Array<Object>} Slots ({ start, end } ISO strings), earliest first
+ */
+export function generateScheduleSlots(schedule = {}, { from, to, duration }) {
+    const { days, start, end, timezone } = { ...DEFAULT_SCHEDULE, ...schedule };
+    const timeZone = isValidTimeZone(timezone) ? timezone : 'UTC';
+    const dayStart = parseClock(start);
+    const dayEnd = parseClock(end);
+    const first = getZonedParts(from, timeZone);
+    const slots = [];
+
+    for (let offset = 0; offset <= MAX_DAYS; offset++) {
+        // Calendar arithmetic in UTC, so the weekday doesn't depend on the runtime's zone
+        const date = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+        if (!days.includes(date.getUTCDay())) continue;
+
+        for (let minutes = dayStart; minutes + duration <= dayEnd; minutes += duration) {
+            const slotStart = zonedTimeToDate({
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate(),
+                hour: Math.floor(minutes / 60),
+                minute: minutes % 60
+            }, timeZone);
+            const slotEnd = new Date(slotStart.getTime() + duration * 60000);
+
+            if (slotStart >= to) return slots;
+            if (slotStart < from) continue;
+            slots.push({ start: slotStart.toISOString(), end: slotEnd.toISOString() });
+        }
+    }
+    return slots;
+}
+
+/**
+ * Remove slots that overlap busy time
+ * @param {Array<Object>} slots - Slots ({ start, end })
+ * @param {Array<Object>} busy - Busy ranges ({ start, end } Dates or ISO strings)
+ * @returns {Array<Object>} Free slots
+ */
+export function removeBusySlots(slots, busy = []) {
+    const ranges = busy.map(range => [new Date(range.start).getTime(), new Date(range.end).getTime()]);
+    return slots.filter(slot => {
+        const start = new Date(slot.start).getTime();
+        const end = new Date(slot.end).getTime();
+        return !ranges.some(([busyStart, busyEnd]) => start < busyEnd && end > busyStart);
+    });
+}
+
+/**
+ * The visitor's time zone
+ * @returns {string} IANA time zone (UTC when the runtime doesn't say)
+ */
+export function getLocalTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch {
+        return 'UTC';
+    }
+}
+
+/**
+ * Time zones to choose from
+ * @param {string} current - Zone that must be in the list
+ * @returns {Array<string>} IANA time zones
+ */
+export function listTimeZones(current = 'UTC') {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return zones.includes(current) ? zones : [current, ...zones];
+}
+
+/**
+ * Format a slot start for display, e.g. "Tue, Nov 3, 3:00 PM"
+ * @param {string} start - ISO start time
+ * @param {string} timeZone - Zone to show it in
+ * @param {string} locale - BCP 47 language
+ * @returns {string} Formatted time
+ */
+export function formatSlotTime(start, timeZone, locale = 'en') {
+    return new Intl.DateTimeFormat(locale, {
+        timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    }).format(new Date(start));
+}
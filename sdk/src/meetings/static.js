@@ -0,0 +1,40 @@
+/**
+ * Static Availability Provider
+ * Open times straight from config: a weekly schedule, a fixed list of
+ * slots, or both (the list is added to the schedule).
+ *
+ * Example:
+ *   { type: 'static', schedule: { days: [1, 2, 3, 4, 5], start: '10:00', end: '16:00', timezone: 'Europe/Berlin' } }
+ *   { type: 'static', slots: ['2026-11-03T15:00:00Z', { start: '2026-11-04T09:30:00Z', end: '2026-11-04T10:00:00Z' }] }
+ */
+
+import { generateScheduleSlots } from './schedule.js';
+
+export class StaticProvider {
+    constructor(options = {}) {
+        if (!options.schedule && !options.slots) {
+            throw new Error('Static availability provider requires a schedule or slots');
+        }
+        this.name = 'static';
+        this.schedule = options.schedule || null;
+        this.slots = options.slots || [];
+    }
+
+    /**
+     * Open slots in a time range
+     * @param {Object} range - { from: Date, to: Date, duration: minutes }
+     * @returns {Promise<Array<Object>>} Slots ({ start, end } ISO strings)
+     */
+    async getSlots({ from, to, duration }) {
+        const listed = this.slots.map(slot => {
+            const start = new Date(typeof slot === 'string' ? slot : slot.start);
+            const end = slot.end ? new Date(slot.end) : new Date(start.getTime() + duration * 60000);
+            return { start, end };
+        })
+            .filter(({ start, end }) => !isNaN(start) && !isNaN(end) && start >= from && start < to)
+            .map(({ start, end }) => ({ start: start.toISOString(), end: end.toISOString() }));
+
+        const scheduled = this.schedule ? generateScheduleSlots(this.schedule, { from, to, duration }) : [];
+        return [...scheduled, ...listed];
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Mobile Mode
+ * Touch interaction model for phones: the notch opens on tap (there is no
+ * hover), the transcript becomes a bottom sheet, the notch rides above the
+ * on-screen keyboard, and a swipe toward the screen edge dismisses it.
+ * Exit intent on touch devices comes from behaviorTracker (fast scroll-up,
+ * tab/app switch) plus the opt-in back-button guard here.
+ *
+ * Example:
+ *   Blitsum.init({ mobile: { breakpoint: 768, backButtonIntent: true } })
+ *   Blitsum.init({ mobile: false })   // desktop layout everywhere
+ *
+ * Host pages should use `<meta name="viewport" content="..., viewport-fit=cover">`
+ * so the safe-area insets are available.
+ */
+
+import { getMobileConfig } from './config.js';
+import { behaviorTracker } from './utils/behaviorTracker.js';
+import { isTouchDevice, isSmallViewport } from './utils/device.js';
+
+// How far a finger has to travel toward the edge to dismiss
+const SWIPE_DISMISS_DISTANCE = 60;
+
+const BACK_GUARD_KEY = 'blitsumBackGuard';
+
+/**
+ * Whether the widget should use the mobile layout
+ * @returns {boolean} True for touch devices / narrow viewports (or when forced on)
+ */
+export function isMobileMode() {
+    const { enabled, breakpoint } = getMobileConfig();
+    if (enabled === 'auto') return isTouchDevice() || isSmallViewport(breakpoint);
+    return !!enabled;
+}
+
+/**
+ * Track how much of the layout viewport the on-screen keyboard covers
+ * Exposed to the styles as --blitsum-keyboard-inset on the host.
+ * @param {HTMLElement} host - Shadow host
+ * @returns {Function} Stop watching
+ */
+export function watchKeyboardInset(host) {
+    const viewport = window.visualViewport;
+    if (!viewport) return () => {};
+
+    const update = () => {
+        const inset = Math.max(0, window.innerHeight - viewport.height - viewport.offsetTop);
+        host.style.setProperty('--blitsum-keyboard-inset', `${Math.round(inset)}px`);
+    };
+
+    viewport.addEventListener('resize', update);
+    viewport.addEventListener('scroll', update);
+    update();
+
+    return () => {
+        viewport.removeEventListener('resize', update);
+        viewport.removeEventListener('scroll', update);
+        host.style.removeProperty('--blitsum-keyboard-inset');
+    };
+}
+
+/**
+ * Call onDismiss when the visitor swipes an element toward the screen edge
+ * @param {HTMLElement} element - Element to watch
+ * @param {Object} options
+ * @param {string} [options.direction] - 'down' (bottom layouts) or 'up' (top layout)
+ * @param {Function} [options.canStart] - Return false to ignore a touch (e.g. inside a scrolled list)
+ * @param {Function} options.onDismiss - Called on a completed swipe
+ * @returns {Function} Stop watching
+ */
+export function onSwipeDismiss(element, { direction = 'down', canStart = () => true, onDismiss }) {
+    let start = null;
+
+    const onTouchStart = (e) => {
+        start = e.touches.length === 1 && canStart(e)
+            ? { x: e.touches[0].clientX, y: e.touches[0].clientY }
+            : null;
+    };
+
+    const onTouchEnd = (e) => {
+        if (!start) return;
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - start.x;
+        const dy = touch.clientY - start.y;
+        const distance = direction === 'up' ? -dy : dy;
+        start = null;
+
+        // Mostly vertical, far enough toward the edge
+        if (distance >= SWIPE_DISMISS_DISTANCE && Math.abs(dx) < distance) onDismiss();
+    };
+
+    element.addEventListener('touchstart', onTouchStart, { passive: true });
+    element.addEventListener('touchend', onTouchEnd, { passive: true });
+
+    return () => {
+        element.removeEventListener('touchstart', onTouchStart);
+        element.removeEventListener('touchend', onTouchEnd);
+    };
+}
+
+/**
+ * Treat the first Back press as exit intent (mobile.backButtonIntent)
+ * Adds one history entry for the current URL after the visitor first touches
+ * the page; Back lands on the same page and is reported to behaviorTracker.
+ * Off by default because it changes what the host's Back button does once.
+ * @returns {Function} Stop watching
+ */
+export function watchBackButtonIntent() {
+    if (!getMobileConfig().backButtonIntent || !isMobileMode()) return () => {};
+
+    let armed = false;
+
+    const onPopState = (e) => {
+        if (!armed || e.state?.[BACK_GUARD_KEY]) return;
+        armed = false;
+        window.removeEventListener('popstate', onPopState);
+        behaviorTracker.recordExitIntent('back');
+    };
+
+    // Browsers skip history entries added without a user gesture
+    const arm = () => {
+        window.history.pushState({ ...(window.history.state || {}), [BACK_GUARD_KEY]: true }, '');
+        armed = true;
+        window.addEventListener('popstate', onPopState);
+    };
+    window.addEventListener('touchstart', arm, { once: true, passive: true });
+
+    return () => {
+        window.removeEventListener('touchstart', arm);
+        window.removeEventListener('popstate', onPopState);
+    };
+}
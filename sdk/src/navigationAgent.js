@@ -12,6 +12,29 @@ import {
     clickElement,
     focusElement
 } from './actions.js';
+import { eventBus, SDKEvent } from './events.js';
+import { pageNavigator, resolvePage } from './pageNavigation.js';
+import { actionPolicy } from './policy.js';
+import { getScrollBehavior } from './utils/motion.js';
+import { t } from './i18n.js';
+
+// Minimum resolvePage score (a path or title match) before leaving the current page
+const MIN_PAGE_SCORE = 2;
+
+// String keys for the section names the intent parser targets
+const TOPIC_KEYS = {
+    pricing: 'topicPricing',
+    features: 'topicFeatures',
+    signup: 'topicSignup',
+    contact: 'topicContact',
+    about: 'topicAbout',
+    faq: 'topicFaq'
+};
+
+/**
+ * A target for the visitor: known sections in their language, anything else as said
+ */
+const describeTarget = (target) => (TOPIC_KEYS[target] ? t(TOPIC_KEYS[target]) : target);
 
 export class NavigationAgent {
     constructor(pageContext = {}) {
@@ -46,7 +69,7 @@ export class NavigationAgent {
             return {
                 success: false,
                 error: 'Could not understand navigation request',
-                suggestion: 'Try being more specific about what you want to see'
+                response: t('navUnclear')
             };
         }
 
@@ -58,6 +81,7 @@ export class NavigationAgent {
             return {
                 success: false,
                 error: 'Could not create action plan',
+                response: t('navUnclear'),
                 intent
             };
         }
@@ -94,7 +118,8 @@ export class NavigationAgent {
                 actions.push({
                     type: 'navigate',
                     target: intent.target,
-                    entities: intent.entities
+                    entities: intent.entities,
+                    query: intent.originalInput
                 });
                 break;
 
@@ -182,8 +207,22 @@ export class NavigationAgent {
             this.currentAction = action;
 
             try {
-                const result = await this.executeAction(action);
+                const result = await actionPolicy.guard({
+                    action: action.type,
+                    params: action,
+                    element: this.getActionTarget(action),
+                    source: 'navigation',
+                    run: () => this.executeAction(action)
+                });
                 results.push(result);
+                if (!result.blocked) {
+                    eventBus.emit(SDKEvent.ACTION_EXECUTED, {
+                        action: action.type,
+                        params: action,
+                        result: { success: result.success, error: result.error },
+                        source: 'navigation'
+                    });
+                }
 
                 // Wait between actions for smooth UX
                 if (actionPlan.length > 1) {
@@ -208,6 +247,16 @@ export class NavigationAgent {
         };
     }
 
+    /**
+     * Find the element an action will touch, so the policy can check it first
+     * @param {Object} action - Planned action
+     * @returns {Element|null} Target element
+     */
+    getActionTarget(action) {
+        if (!['read', 'click', 'focus'].includes(action.type) || !action.target) return null;
+        return findElementByDescription(action.target, this.pageContext);
+    }
+
     /**
      * Execute a single action
      * @param {Object} action - Action to execute
@@ -235,6 +284,9 @@ export class NavigationAgent {
             case 'focus':
                 return this.executeFocus(action);
 
+            case 'goto_page':
+                return this.executeGotoPage(action);
+
             default:
                 throw new Error(`Unknown action type: ${action.type}`);
         }
@@ -244,16 +296,33 @@ export class NavigationAgent {
      * Execute navigate action
      */
     executeNavigate(action) {
-        // Try to find section by type first
-        const section = findSectionByType(action.target, this.pageContext);
+        // "the about page" asks for another page, not a section of this one
+        const wantsPage = /\bpages?\b/i.test(action.query || '');
+
+        if (!wantsPage) {
+            // Try to find section by type first
+            const section = findSectionByType(action.target, this.pageContext);
+
+            if (section) {
+                section.scrollIntoView({ behavior: getScrollBehavior(), block: 'center' });
+                return {
+                    success: true,
+                    action: 'navigate',
+                    target: action.target
+                };
+            }
+        }
 
-        if (section) {
-            section.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            return {
-                success: true,
-                action: 'navigate',
-                target: action.target
-            };
+        // Not on this page (or a page was asked for) - look for it elsewhere on the site
+        const page = resolvePage(action.query || action.target, this.pageContext);
+        if (page && !page.isCurrent && page.score >= MIN_PAGE_SCORE) {
+            // Leaving the page is its own action as far as the policy is concerned
+            return actionPolicy.guard({
+                action: 'goto_page',
+                params: { page: page.path },
+                source: 'navigation',
+                run: () => this.executeGotoPage({ type: 'goto_page', page: page.path })
+            });
         }
 
         // Fallback to navigateToElement
@@ -264,6 +333,17 @@ export class NavigationAgent {
         return navigateToElement(targetDescription, this.pageContext);
     }
 
+    /**
+     * Execute goto_page action (another page of the site)
+     */
+    executeGotoPage(action) {
+        const result = pageNavigator.goToPage(action.page, {
+            section: action.section,
+            pageContext: this.pageContext
+        });
+        return { ...result, action: 'goto_page' };
+    }
+
     /**
      * Execute compare action
      */
@@ -332,15 +412,15 @@ export class NavigationAgent {
                 break;
 
             case 'click':
-                response = `I've clicked on ${intent.entities[0] || intent.target} for you.`;
+                response = t('navClicked', { target: intent.entities[0] || describeTarget(intent.target) });
                 break;
 
             case 'highlight':
-                response = `Here's the ${intent.entities[0] || intent.target}.`;
+                response = t('navShown', { target: intent.entities[0] || describeTarget(intent.target) });
                 break;
 
             default:
-                response = `I've navigated to ${intent.target}.`;
+                response = t('navDone', { target: describeTarget(intent.target) });
         }
 
         return {
@@ -355,16 +435,12 @@ export class NavigationAgent {
      * Generate navigation response
      */
     generateNavigateResponse(intent, result) {
-        const templates = {
-            pricing: "Here's our pricing information.",
-            features: "Here are our features.",
-            signup: "Here's where you can sign up.",
-            contact: "Here's how to contact us.",
-            about: "Here's information about us.",
-            faq: "Here are our frequently asked questions."
-        };
+        const pageResult = result.results.find(r => r.action === 'goto_page');
+        if (pageResult && pageResult.method !== 'none') {
+            return t('navPage', { page: pageResult.title });
+        }
 
-        return templates[intent.target] || `Here's the ${intent.target} section.`;
+        return t('navSection', { target: describeTarget(intent.target) });
     }
 
     /**
@@ -372,9 +448,9 @@ export class NavigationAgent {
      */
     generateCompareResponse(intent, result) {
         if (intent.entities.length >= 2) {
-            return `Comparing ${intent.entities.join(' and ')}.`;
+            return t('navComparing', { items: intent.entities.join(', ') });
         }
-        return `Here's the comparison.`;
+        return t('navComparison');
     }
 
     /**
@@ -387,7 +463,7 @@ export class NavigationAgent {
             const summary = readResult.content.substring(0, 200);
             return summary + (readResult.content.length > 200 ? '...' : '');
         }
-        return `Here's information about ${intent.target}.`;
+        return t('navInfo', { target: describeTarget(intent.target) });
     }
 
     /**
@@ -396,13 +472,17 @@ export class NavigationAgent {
     generateErrorResponse(intent, result) {
         const failedAction = result.results.find(r => !r.success);
 
+        if (failedAction?.blocked) {
+            return t('navBlocked');
+        }
+
         if (failedAction && failedAction.error) {
             // Provide helpful alternatives
             const available = this.listAvailableElements();
-            return `I couldn't find "${intent.target}". ${available}`;
+            return t('navNotFound', { target: describeTarget(intent.target), available });
         }
 
-        return `I had trouble navigating to "${intent.target}". Could you try being more specific?`;
+        return t('navTrouble', { target: describeTarget(intent.target) });
     }
 
     /**
@@ -412,20 +492,20 @@ export class NavigationAgent {
         const available = [];
 
         if (this.pageContext.pricing && this.pageContext.pricing.length > 0) {
-            available.push('pricing');
+            available.push(t('topicPricing'));
         }
         if (this.pageContext.features && this.pageContext.features.length > 0) {
-            available.push('features');
+            available.push(t('topicFeatures'));
         }
         if (this.pageContext.ctas && this.pageContext.ctas.length > 0) {
-            available.push('signup options');
+            available.push(t('topicSignup'));
         }
 
         if (available.length > 0) {
-            return `I can show you: ${available.join(', ')}.`;
+            return t('navCanShow', { items: available.join(', ') });
         }
 
-        return 'Try asking about what you see on the page.';
+        return t('navAskPage');
     }
 
     /**
@@ -0,0 +1,304 @@
+/**
+ * Page Navigation
+ * Moves the visitor to another page of the site ("take me to the about page")
+ * and finishes the job on arrival: the requested section is scrolled to and
+ * highlighted once the new page has rendered.
+ *
+ * Targets are resolved against the site index and the links found on the
+ * current page. Single-page apps register a router adapter so navigation
+ * doesn't reload the page:
+ *   Blitsum.setRouter({ navigate: (path) => reactRouterNavigate(path) })
+ * or pass it up front with `init({ router })`. Without an adapter the SDK
+ * falls back to a full page load.
+ */
+
+import { getConfig } from './config.js';
+import { extractPageContext } from './context.js';
+import { highlightElement } from './actions.js';
+import { siteIndex } from './site/index.js';
+import { onRouteChange } from './utils/routeWatcher.js';
+import { findElementByDescription, findSectionByType } from './utils/elementFinder.js';
+import { getScrollBehavior } from './utils/motion.js';
+
+const INTENT_KEY = 'blitsum_nav_intent';
+
+// An intent older than this belongs to some earlier visit
+const INTENT_TTL = 30 * 1000;
+
+// Client-rendered pages need a moment before the target section exists
+const LANDING_RETRY_INTERVAL = 200;
+const LANDING_MAX_WAIT = 4000;
+
+// Let the reply render (and the session save) before a full page load
+const RELOAD_DELAY = 800;
+
+// Words that say "a page" rather than name one
+const FILLER_WORDS = new Set([
+    'take', 'me', 'to', 'the', 'go', 'navigate', 'open', 'bring', 'show', 'a', 'an',
+    'page', 'pages', 'section', 'please', 'can', 'you', 'i', 'want', 'see', 'our', 'your', 'on', 'of'
+]);
+
+let routerAdapter = null;
+
+/**
+ * Register the host app's router so navigation stays client-side
+ * @param {Object|null} adapter - { navigate(path) } or null to fall back to full page loads
+ * @returns {Function} Unregister function
+ */
+export function setRouterAdapter(adapter) {
+    if (adapter && typeof adapter.navigate !== 'function') {
+        throw new Error('Router adapter needs a navigate(path) function');
+    }
+    routerAdapter = adapter;
+    return () => {
+        if (routerAdapter === adapter) routerAdapter = null;
+    };
+}
+
+/**
+ * Get the active router adapter (registered, or from init config)
+ * @returns {Object|null} Adapter
+ */
+function getRouterAdapter() {
+    return routerAdapter || getConfig().router || null;
+}
+
+/**
+ * Normalize a path for comparison (no trailing slash, no query or hash)
+ * @param {string} pathOrUrl - Path or URL
+ * @returns {string} Path
+ */
+export function normalizePath(pathOrUrl) {
+    const { pathname } = new URL(pathOrUrl, window.location.origin);
+    return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+}
+
+/**
+ * Split text into lowercase words, minus filler
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+function toWords(text = '') {
+    return text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word && !FILLER_WORDS.has(word));
+}
+
+/**
+ * Whether two words match, allowing simple plurals ("doc" / "docs")
+ */
+function wordsMatch(a, b) {
+    return a === b || a === `${b}s` || b === `${a}s`;
+}
+
+/**
+ * Collect navigable pages from the site index and same-origin links on this page
+ * @param {Object} pageContext - Current page context
+ * @returns {Array<Object>} Candidates ({ path, title, keywords })
+ */
+function getCandidatePages(pageContext = {}) {
+    const candidates = new Map();
+
+    siteIndex.getPages().forEach(page => {
+        candidates.set(page.path, {
+            path: page.path,
+            // "Pricing | Acme" -> "Pricing"
+            title: (page.title || '').split(/\s[|\-–]\s/)[0],
+            keywords: [...(page.keywords || []), ...(page.structure?.sections || []).map(s => s.heading || '')]
+        });
+    });
+
+    (pageContext.links || []).forEach(link => {
+        if (link.isExternal || !link.href) return;
+        const url = new URL(link.href, window.location.origin);
+        if (url.origin !== window.location.origin) return;
+
+        const path = normalizePath(url.href);
+        const existing = candidates.get(path);
+        if (existing) {
+            existing.keywords.push(link.text || '');
+        } else {
+            candidates.set(path, { path, title: link.text || '', keywords: [] });
+        }
+    });
+
+    return [...candidates.values()];
+}
+
+/**
+ * Resolve a target like "pricing page", "docs" or "/about" to a page
+ * @param {string} target - Page description or path
+ * @param {Object} pageContext - Current page context
+ * @returns {Object|null} { path, title, score, isCurrent } or null when nothing matches
+ */
+export function resolvePage(target = '', pageContext = {}) {
+    const trimmed = target.trim();
+    if (!trimmed) return null;
+
+    const currentPath = normalizePath(window.location.href);
+    const candidates = getCandidatePages(pageContext);
+
+    // An explicit path always wins
+    if (trimmed.startsWith('/')) {
+        const path = normalizePath(trimmed);
+        const known = candidates.find(candidate => candidate.path === path);
+        return { path, title: known?.title || path, score: 1, isCurrent: path === currentPath };
+    }
+
+    const words = toWords(trimmed);
+    if (words.length === 0) return null;
+
+    // "home" / "homepage" mean the root
+    if (words.some(word => word === 'home' || word === 'homepage')) {
+        return { path: '/', title: 'Home', score: 1, isCurrent: currentPath === '/' };
+    }
+
+    let best = null;
+    candidates.forEach(candidate => {
+        const pathWords = toWords(candidate.path.replace(/\//g, ' '));
+        const titleWords = toWords(candidate.title);
+        const keywordWords = toWords(candidate.keywords.join(' '));
+
+        let score = 0;
+        words.forEach(word => {
+            if (pathWords.some(w => wordsMatch(w, word))) score += 3;
+            else if (titleWords.some(w => wordsMatch(w, word))) score += 2;
+            else if (keywordWords.some(w => wordsMatch(w, word))) score += 0.5;
+        });
+
+        if (score > 0 && (!best || score > best.score)) {
+            best = { path: candidate.path, title: candidate.title || candidate.path, score, isCurrent: candidate.path === currentPath };
+        }
+    });
+
+    return best;
+}
+
+export class PageNavigator {
+    constructor() {
+        this.unsubscribeRoute = null;
+        this.landingTimer = null;
+    }
+
+    /**
+     * Finish any navigation started on a previous page, and watch SPA route changes
+     */
+    init() {
+        if (this.unsubscribeRoute) return;
+        this.unsubscribeRoute = onRouteChange(() => this.completePendingIntent());
+        this.completePendingIntent();
+    }
+
+    /**
+     * Navigate to another page, remembering which section to show on arrival
+     * @param {string} target - Page description or path
+     * @param {Object} options - { section, pageContext }
+     * @returns {Object} Result of the action
+     */
+    goToPage(target, options = {}) {
+        const { section = null, pageContext = extractPageContext() } = options;
+        const page = resolvePage(target, pageContext);
+
+        if (!page) {
+            return { success: false, error: `Could not find a page matching: ${target}` };
+        }
+
+        // Already here - just show the section
+        if (page.isCurrent) {
+            if (section) this.showSection(section);
+            return { success: true, path: page.path, title: page.title, method: 'none' };
+        }
+
+        this.saveIntent({ path: page.path, section, createdAt: Date.now() });
+
+        const router = getRouterAdapter();
+        if (router) {
+            router.navigate(page.path);
+            console.log(`[Navigation] Routed to ${page.path}`);
+            return { success: true, path: page.path, title: page.title, method: 'router' };
+        }
+
+        console.log(`[Navigation] Loading ${page.path}`);
+        setTimeout(() => window.location.assign(page.path), RELOAD_DELAY);
+        return { success: true, path: page.path, title: page.title, method: 'reload' };
+    }
+
+    /**
+     * Scroll to and highlight the section a pending intent asked for
+     */
+    completePendingIntent() {
+        const intent = this.loadIntent();
+        if (!intent || normalizePath(window.location.href) !== intent.path) return;
+
+        this.clearIntent();
+        if (intent.section) this.showSection(intent.section);
+    }
+
+    /**
+     * Scroll to a section once it has rendered
+     * @param {string} section - Section id, type or description
+     */
+    showSection(section) {
+        clearTimeout(this.landingTimer);
+        const startedAt = Date.now();
+
+        const attempt = () => {
+            const pageContext = extractPageContext();
+            const element = document.getElementById(section) ||
+                findSectionByType(section, pageContext) ||
+                findElementByDescription(section, pageContext);
+
+            if (element) {
+                element.scrollIntoView({ behavior: getScrollBehavior(), block: 'start' });
+                highlightElement(element);
+                return;
+            }
+
+            if (Date.now() - startedAt < LANDING_MAX_WAIT) {
+                this.landingTimer = setTimeout(attempt, LANDING_RETRY_INTERVAL);
+            } else {
+                console.warn(`[Navigation] Section not found after navigation: ${section}`);
+            }
+        };
+
+        attempt();
+    }
+
+    saveIntent(intent) {
+        try {
+            window.sessionStorage.setItem(INTENT_KEY, JSON.stringify(intent));
+        } catch {
+            // Storage unavailable - the visitor still lands on the page
+        }
+    }
+
+    loadIntent() {
+        try {
+            const intent = JSON.parse(window.sessionStorage.getItem(INTENT_KEY));
+            if (intent && Date.now() - intent.createdAt < INTENT_TTL) return intent;
+            if (intent) this.clearIntent();
+        } catch {
+            // Missing or corrupt
+        }
+        return null;
+    }
+
+    clearIntent() {
+        try {
+            window.sessionStorage.removeItem(INTENT_KEY);
+        } catch {
+            // Storage unavailable
+        }
+    }
+
+    /**
+     * Stop watching route changes
+     */
+    destroy() {
+        if (this.unsubscribeRoute) this.unsubscribeRoute();
+        clearTimeout(this.landingTimer);
+        this.unsubscribeRoute = null;
+        this.landingTimer = null;
+    }
+}
+
+// Export singleton instance
+export const pageNavigator = new PageNavigator();
@@ -0,0 +1,266 @@
+/**
+ * Session Persistence
+ * Keeps the conversation alive across page loads and SPA route changes:
+ * history, funnel stage, behavior counters, lead details, language and the rendered transcript are
+ * saved per visitor with a sliding TTL and restored on the next page.
+ */
+
+import { Store } from './store.js';
+import { eventBus, SDKEvent } from './events.js';
+import { getPersistenceConfig } from './config.js';
+import { getConversationHistory, restoreConversationHistory } from './api.js';
+import { funnelEngine } from './sales/funnel.js';
+import { behaviorTracker } from './utils/behaviorTracker.js';
+import { getVisitorId, generateId } from './utils/visitor.js';
+import { onRouteChange } from './utils/routeWatcher.js';
+import { leadCapture } from './leads/index.js';
+import { languageManager } from './i18n.js';
+import { engagementTriggers } from './sales/engagementTriggers.js';
+
+const SESSION_KEY = 'blitsum_session';
+const SESSION_VERSION = 1;
+const MAX_TRANSCRIPT_LENGTH = 50;
+const BEHAVIOR_SAVE_DELAY = 2000;
+
+export class SessionPersistence {
+    constructor() {
+        this.sessionId = null;
+        this.createdAt = null;
+        this.transcript = [];
+        this.cleanup = [];
+        this.behaviorSaveTimeout = null;
+        this.initialized = false;
+    }
+
+    /**
+     * Resolve the configured Web Storage area
+     * @returns {Storage|null} Storage, or null when unavailable (private mode, SSR)
+     */
+    getStorage() {
+        try {
+            const { storage } = getPersistenceConfig();
+            return storage === 'session' ? window.sessionStorage : window.localStorage;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Read the saved session if it belongs to this visitor and has not expired
+     * @returns {Object|null} Saved session
+     */
+    load() {
+        const storage = this.getStorage();
+        if (!storage) return null;
+
+        try {
+            const raw = storage.getItem(SESSION_KEY);
+            if (!raw) return null;
+
+            const session = JSON.parse(raw);
+            const isStale = session.version !== SESSION_VERSION ||
+                session.visitorId !== getVisitorId() ||
+                !session.expiresAt || session.expiresAt < Date.now();
+
+            if (isStale) {
+                storage.removeItem(SESSION_KEY);
+                return null;
+            }
+            return session;
+        } catch (error) {
+            console.warn('[Persistence] Discarding unreadable session:', error);
+            storage.removeItem(SESSION_KEY);
+            return null;
+        }
+    }
+
+    /**
+     * Restore saved state into the SDK modules and start saving on change
+     * @returns {Object|null} Restored session (null when starting fresh)
+     */
+    init() {
+        if (this.initialized) return null;
+
+        if (!getPersistenceConfig().enabled) {
+            console.log('[Persistence] Disabled by config');
+            return null;
+        }
+        this.initialized = true;
+
+        const session = this.load();
+        if (session) {
+            this.sessionId = session.sessionId;
+            this.createdAt = session.createdAt;
+            this.transcript = Array.isArray(session.transcript) ? session.transcript : [];
+
+            restoreConversationHistory(session.history || []);
+            funnelEngine.restore(session.flow || {});
+            behaviorTracker.restore(session.behavior || {});
+            leadCapture.restore(session.lead || {});
+            languageManager.restore(session.language || {});
+            engagementTriggers.restore(session.triggers || {});
+            console.log(`[Persistence] Restored session ${this.sessionId} (${this.transcript.length} messages, stage: ${funnelEngine.currentStage})`);
+        } else {
+            this.startNewSession();
+        }
+
+        this.attachListeners();
+        this.save();
+        return session;
+    }
+
+    /**
+     * Begin a fresh session ID and empty transcript
+     */
+    startNewSession() {
+        this.sessionId = generateId();
+        this.createdAt = Date.now();
+        this.transcript = [];
+    }
+
+    /**
+     * Save whenever the conversation changes, the visitor leaves, or the route changes
+     */
+    attachListeners() {
+        const offEvents = eventBus.on('*', (payload, eventName) => {
+            switch (eventName) {
+                case SDKEvent.MESSAGE:
+                    this.recordMessage(payload);
+                    this.save();
+                    break;
+                case SDKEvent.CARD:
+                    this.recordMessage({ role: 'assistant', text: payload.title, source: 'card', card: payload });
+                    this.save();
+                    break;
+                case SDKEvent.STAGE_CHANGE:
+                case SDKEvent.LEAD_CAPTURED:
+                case SDKEvent.LANGUAGE_CHANGE:
+                case SDKEvent.OPEN:
+                case SDKEvent.CLOSE:
+                    this.save();
+                    break;
+                case SDKEvent.RESET:
+                    this.clear();
+                    break;
+            }
+        });
+
+        // Behavior changes are frequent (scroll, hover), so batch them
+        const onBehavior = () => {
+            clearTimeout(this.behaviorSaveTimeout);
+            this.behaviorSaveTimeout = setTimeout(() => this.save(), BEHAVIOR_SAVE_DELAY);
+        };
+        behaviorTracker.addListener(onBehavior);
+
+        const onPageHide = () => this.save();
+        const onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.save();
+        };
+        window.addEventListener('pagehide', onPageHide);
+        document.addEventListener('visibilitychange', onVisibilityChange);
+
+        const offRoute = onRouteChange(({ to }) => {
+            console.log('[Persistence] Route changed to', to);
+            this.save();
+        });
+
+        this.cleanup = [
+            offEvents,
+            offRoute,
+            () => behaviorTracker.removeListener(onBehavior),
+            () => window.removeEventListener('pagehide', onPageHide),
+            () => document.removeEventListener('visibilitychange', onVisibilityChange)
+        ];
+    }
+
+    /**
+     * Append a rendered message (or card) to the transcript
+     * @param {Object} message - MESSAGE event payload ({ role, text, source }), plus `card` for cards
+     */
+    recordMessage({ role, text, source, card }) {
+        if (!text) return;
+
+        this.transcript.push({
+            role,
+            text,
+            source,
+            ...(card ? { card } : {}),
+            path: window.location.pathname,
+            timestamp: Date.now()
+        });
+
+        if (this.transcript.length > MAX_TRANSCRIPT_LENGTH) {
+            this.transcript = this.transcript.slice(-MAX_TRANSCRIPT_LENGTH);
+        }
+    }
+
+    /**
+     * Write the current session, extending its TTL
+     */
+    save() {
+        if (!this.initialized || !this.sessionId) return;
+
+        const storage = this.getStorage();
+        if (!storage) return;
+
+        const { ttlMinutes } = getPersistenceConfig();
+        const now = Date.now();
+
+        const session = {
+            version: SESSION_VERSION,
+            visitorId: getVisitorId(),
+            sessionId: this.sessionId,
+            createdAt: this.createdAt,
+            updatedAt: now,
+            expiresAt: now + ttlMinutes * 60 * 1000,
+            path: window.location.pathname,
+            history: getConversationHistory(),
+            flow: funnelEngine.toJSON(),
+            behavior: behaviorTracker.getBehavior(),
+            transcript: this.transcript,
+            lead: leadCapture.toJSON(),
+            language: languageManager.toJSON(),
+            triggers: engagementTriggers.toJSON(),
+            ui: { isOpen: !!Store.getState().isOpen }
+        };
+
+        try {
+            storage.setItem(SESSION_KEY, JSON.stringify(session));
+        } catch (error) {
+            console.warn('[Persistence] Failed to save session:', error);
+        }
+    }
+
+    /**
+     * Drop the saved session and start a new one
+     */
+    clear() {
+        const storage = this.getStorage();
+        if (storage) storage.removeItem(SESSION_KEY);
+        this.startNewSession();
+        this.save();
+    }
+
+    /**
+     * Get the rendered transcript
+     * @returns {Array<Object>} Messages ({ role, text, source, card, path, timestamp })
+     */
+    getTranscript() {
+        return [...this.transcript];
+    }
+
+    /**
+     * Save one last time and detach listeners
+     */
+    destroy() {
+        if (!this.initialized) return;
+        clearTimeout(this.behaviorSaveTimeout);
+        this.save();
+        this.cleanup.forEach(fn => fn());
+        this.cleanup = [];
+        this.initialized = false;
+    }
+}
+
+// Export singleton instance
+export const sessionPersistence = new SessionPersistence();
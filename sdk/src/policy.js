@@ -0,0 +1,264 @@
+/**
+ * Action Policy
+ * Guardrails between the agent and the host page. Every action - from the
+ * model's tool calls or the visitor's typed commands - goes through
+ * `actionPolicy.guard()`, which can block it (action type turned off,
+ * denied or not-allowed selector, risky button text, too many actions in one
+ * turn), hold it for the visitor's confirmation, or run it. Each outcome is
+ * written to an audit log (`Blitsum.getAuditLog()`).
+ *
+ * Example:
+ *   Blitsum.init({ actionPolicy: {
+ *       actions: { click: false },
+ *       denySelectors: ['#account-settings', '.danger-zone'],
+ *       allowSelectors: ['main'],
+ *       confirm: ['click', 'goto_page'],
+ *       maxActionsPerTurn: 4
+ *   } })
+ *
+ * Form submission always needs the visitor's confirmation (see forms.js).
+ */
+
+import { getActionPolicyConfig } from './config.js';
+import { eventBus, SDKEvent } from './events.js';
+import { generateId } from './utils/visitor.js';
+
+// Unanswered confirmations lapse after this long
+const CONFIRMATION_TTL = 2 * 60 * 1000;
+
+// Only visitor-facing controls are checked against denyText
+const TEXT_CHECKED_ACTIONS = new Set(['click', 'fill_form']);
+
+/**
+ * Short, log-friendly description of an element
+ * @param {Element|null} element - Element
+ * @returns {string|null} e.g. 'button "Get Started"'
+ */
+function describeElement(element) {
+    if (!element) return null;
+    const text = (element.textContent || element.value || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+    const id = element.id ? `#${element.id}` : '';
+    return `${element.tagName.toLowerCase()}${id}${text ? ` "${text}"` : ''}`;
+}
+
+/**
+ * Whether an element or one of its ancestors matches any selector
+ * @param {Element} element - Element
+ * @param {Array<string>} selectors - CSS selectors
+ * @returns {boolean} True on a match
+ */
+function matchesAny(element, selectors) {
+    return selectors.some(selector => {
+        try {
+            return !!element.closest(selector);
+        } catch {
+            console.warn('[Policy] Invalid selector in actionPolicy:', selector);
+            return false;
+        }
+    });
+}
+
+export class ActionPolicy {
+    constructor() {
+        this.auditLog = [];
+        this.pending = new Map();
+        this.turnActions = 0;
+    }
+
+    /**
+     * Start counting actions for a new turn
+     */
+    beginTurn() {
+        this.turnActions = 0;
+    }
+
+    /**
+     * Decide what happens to an action
+     * @param {string} action - Action type ('click', 'scroll', ...)
+     * @param {Element|null} element - Element the action will touch, when known
+     * @param {string} source - 'agent' (model tool call) or 'navigation' (visitor command)
+     * @returns {Object} { allowed, reason, needsConfirmation }
+     */
+    evaluate(action, element, source) {
+        const config = getActionPolicyConfig();
+        if (!config.enabled) return { allowed: true, needsConfirmation: false };
+
+        if (config.actions[action] === false) {
+            return { allowed: false, reason: `The ${action} action is turned off on this site` };
+        }
+
+        if (source === 'agent' && this.turnActions >= config.maxActionsPerTurn) {
+            return { allowed: false, reason: `More than ${config.maxActionsPerTurn} actions in one turn` };
+        }
+
+        if (element) {
+            if (matchesAny(element, config.denySelectors)) {
+                return { allowed: false, reason: 'Target is on the deny list' };
+            }
+            if (config.allowSelectors.length > 0 && !matchesAny(element, config.allowSelectors)) {
+                return { allowed: false, reason: 'Target is outside the allowed areas' };
+            }
+
+            const text = `${element.textContent || ''} ${element.getAttribute('aria-label') || ''} ${element.value || ''}`.toLowerCase();
+            const deniedText = TEXT_CHECKED_ACTIONS.has(action) && config.denyText.find(phrase => text.includes(phrase.toLowerCase()));
+            if (deniedText) {
+                return { allowed: false, reason: `Won't act on "${deniedText}" controls` };
+            }
+        }
+
+        // A typed command ("click sign up") is already the visitor's explicit request
+        const needsConfirmation = source === 'agent' && config.confirm.includes(action);
+        return { allowed: true, needsConfirmation };
+    }
+
+    /**
+     * Run an action if the policy allows it
+     * @param {Object} request
+     * @param {string} request.action - Action type
+     * @param {Object} request.params - Action parameters
+     * @param {Element|null} [request.element] - Element the action will touch
+     * @param {string} request.source - 'agent' or 'navigation'
+     * @param {Function} request.run - Performs the action, returns (a promise of) its result
+     * @returns {Promise<Object>} Action result, or { success: false, blocked | pending } when it didn't run
+     */
+    async guard({ action, params = {}, element = null, source, run }) {
+        const decision = this.evaluate(action, element, source);
+        const target = describeElement(element);
+
+        if (!decision.allowed) {
+            this.record({ action, params, target, source, status: 'blocked', reason: decision.reason });
+            console.warn(`[Policy] Blocked ${action}:`, decision.reason);
+            eventBus.emit(SDKEvent.ACTION_BLOCKED, { action, params, target, reason: decision.reason, source });
+            return { success: false, blocked: true, error: decision.reason };
+        }
+
+        if (source === 'agent') this.turnActions++;
+
+        if (decision.needsConfirmation) {
+            const id = generateId();
+            this.pending.set(id, { action, params, target, source, run, createdAt: Date.now() });
+            this.record({ action, params, target, source, status: 'pending' });
+            eventBus.emit(SDKEvent.ACTION_CONFIRM, { id, action, params, target, description: this.describe(action, params, element) });
+            return { success: false, pending: true, confirmationId: id, error: 'Waiting for the visitor to confirm' };
+        }
+
+        return this.execute({ action, params, target, source, run });
+    }
+
+    /**
+     * Run an action and log the outcome
+     */
+    async execute({ action, params, target, source, run }) {
+        let result;
+        try {
+            result = await run();
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        this.record({
+            action,
+            params,
+            target,
+            source,
+            status: result?.success === false ? 'failed' : 'executed',
+            reason: result?.error
+        });
+        return result;
+    }
+
+    /**
+     * Run an action the visitor confirmed
+     * @param {string} id - Confirmation id from the actionConfirm event
+     * @returns {Promise<Object>} Action result
+     */
+    async approve(id) {
+        const pending = this.takePending(id);
+        if (!pending) return { success: false, error: 'That request has expired' };
+
+        this.record({ ...pending, status: 'approved' });
+        return this.execute(pending);
+    }
+
+    /**
+     * Drop an action the visitor turned down
+     * @param {string} id - Confirmation id
+     */
+    decline(id) {
+        const pending = this.takePending(id);
+        if (pending) this.record({ ...pending, status: 'declined' });
+    }
+
+    /**
+     * Remove and return a pending action that hasn't lapsed
+     */
+    takePending(id) {
+        const pending = this.pending.get(id);
+        this.pending.delete(id);
+        if (!pending) return null;
+        if (Date.now() - pending.createdAt > CONFIRMATION_TTL) {
+            this.record({ ...pending, status: 'expired' });
+            return null;
+        }
+        return pending;
+    }
+
+    /**
+     * Plain-language description for the confirmation prompt
+     * @param {string} action - Action type
+     * @param {Object} params - Action parameters
+     * @param {Element|null} element - Target element
+     * @returns {string} e.g. 'click "Start free trial"'
+     */
+    describe(action, params, element) {
+        const text = (element?.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+        switch (action) {
+            case 'click':
+                return `click "${text || params.target}"`;
+            case 'goto_page':
+                return `go to ${params.page}`;
+            default:
+                return text ? `${action} "${text}"` : action;
+        }
+    }
+
+    /**
+     * Append to the audit log, keeping it within auditLimit
+     * @param {Object} entry - { action, params, target, source, status, reason }
+     */
+    record({ action, params, target, source, status, reason }) {
+        this.auditLog.push({
+            at: new Date().toISOString(),
+            action,
+            params: { ...params },
+            target: target || null,
+            source,
+            status,
+            reason: reason || null
+        });
+
+        const { auditLimit } = getActionPolicyConfig();
+        if (this.auditLog.length > auditLimit) {
+            this.auditLog = this.auditLog.slice(-auditLimit);
+        }
+    }
+
+    /**
+     * Every executed, blocked, confirmed or declined action, oldest first
+     * @returns {Array<Object>} Audit entries
+     */
+    getAuditLog() {
+        return [...this.auditLog];
+    }
+
+    /**
+     * Forget pending confirmations (used by Blitsum.reset); the audit log is kept
+     */
+    reset() {
+        this.pending.clear();
+        this.turnActions = 0;
+    }
+}
+
+// Export singleton instance
+export const actionPolicy = new ActionPolicy();
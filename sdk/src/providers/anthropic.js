@@ -0,0 +1,142 @@
+/**
+ * Anthropic-Style Provider
+ * Speaks the Messages API: top-level system prompt and typed stream events
+ */
+
+import { assertResponseOk, readEventStream, parseEventData } from './stream.js';
+import { parseToolArguments } from '../tools.js';
+
+const DEFAULT_ENDPOINT = 'https://api.anthropic.com/v1/messages';
+const DEFAULT_MODEL = 'claude-3-5-haiku-latest';
+const API_VERSION = '2023-06-01';
+const ENV_API_KEY = (typeof import.meta !== 'undefined' && import.meta.env?.VITE_ANTHROPIC_API_KEY);
+
+export class AnthropicProvider {
+    constructor(options = {}) {
+        this.name = 'anthropic';
+        this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : ENV_API_KEY;
+        this.model = options.model || DEFAULT_MODEL;
+        this.temperature = options.temperature ?? 0.7;
+        this.maxTokens = options.maxTokens ?? 250;
+        this.headers = options.headers || {};
+        this.getHeaders = options.getHeaders || null;
+        this.fetch = options.fetch || null;
+    }
+
+    /**
+     * Build the fetch request for a message stream
+     * @param {Object} params - { system, messages, tools }
+     * @returns {Object} { url, init }
+     */
+    buildRequest({ system, messages, tools = [] }) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'anthropic-version': API_VERSION,
+            ...this.headers
+        };
+        if (this.apiKey) {
+            headers['x-api-key'] = this.apiKey;
+            // Required by Anthropic for requests made straight from a browser
+            headers['anthropic-dangerous-direct-browser-access'] = 'true';
+        }
+
+        const body = {
+            model: this.model,
+            system,
+            messages,
+            temperature: this.temperature,
+            max_tokens: this.maxTokens,
+            stream: true
+        };
+
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            }));
+        }
+
+        return {
+            url: this.endpoint,
+            init: {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body)
+            }
+        };
+    }
+
+    /**
+     * Extract the text delta from a single stream event
+     * @param {Object} json - Parsed SSE payload
+     * @returns {string} Text delta (may be empty)
+     */
+    parseStreamEvent(json) {
+        if (json.type === 'error') {
+            throw new Error(json.error?.message || 'Anthropic stream error');
+        }
+
+        if (json.type === 'content_block_delta' && json.delta?.type === 'text_delta') {
+            return json.delta.text || '';
+        }
+
+        return '';
+    }
+
+    /**
+     * Accumulate tool_use content blocks (input JSON arrives as partial_json deltas)
+     * @param {Object} json - Parsed SSE payload
+     * @param {Map<number, Object>} pending - Tool calls being assembled, keyed by block index
+     */
+    collectToolCalls(json, pending) {
+        if (json.type === 'content_block_start' && json.content_block?.type === 'tool_use') {
+            pending.set(json.index, {
+                id: json.content_block.id,
+                name: json.content_block.name,
+                arguments: ''
+            });
+        } else if (json.type === 'content_block_delta' && json.delta?.type === 'input_json_delta') {
+            const call = pending.get(json.index);
+            if (call) call.arguments += json.delta.partial_json || '';
+        }
+    }
+
+    /**
+     * Stream a completion
+     * Tool calls are reported through onToolCall, in order, once the stream ends
+     * @param {Object} params - { system, messages, tools, onChunk, onToolCall, signal }
+     * @returns {Promise<string>} Full response text
+     */
+    async complete({ system, messages, tools, onChunk, onToolCall, signal }) {
+        const { url, init } = this.buildRequest({ system, messages, tools });
+        if (this.getHeaders) {
+            init.headers = { ...init.headers, ...(await this.getHeaders()) };
+        }
+        const response = await (this.fetch || fetch)(url, { ...init, signal });
+        await assertResponseOk(response);
+
+        let text = '';
+        const pendingToolCalls = new Map();
+        await readEventStream(response, ({ data }) => {
+            const json = parseEventData(data);
+            if (!json) return;
+
+            const content = this.parseStreamEvent(json);
+            if (content) {
+                text += content;
+                if (onChunk) onChunk(content);
+            }
+            this.collectToolCalls(json, pendingToolCalls);
+        });
+
+        if (onToolCall) {
+            [...pendingToolCalls.entries()]
+                .sort(([a], [b]) => a - b)
+                .forEach(([, call]) => onToolCall({ id: call.id, name: call.name, arguments: parseToolArguments(call.arguments) }));
+        }
+
+        return text;
+    }
+}
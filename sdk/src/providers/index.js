@@ -0,0 +1,81 @@
+/**
+ * LLM Provider Registry
+ * Selects the chat backend from the `llm` block passed to Blitsum.init
+ *
+ * Example:
+ *   Blitsum.init({ llm: { provider: 'anthropic', apiKey: '...', model: 'claude-3-5-haiku-latest' } })
+ *   Blitsum.init({ proxyUrl: 'https://relay.example.com', llm: { provider: 'openai' } })
+ */
+
+import { Store } from '../store.js';
+import { OpenAIProvider } from './openai.js';
+import { AnthropicProvider } from './anthropic.js';
+import { MockProvider } from './mock.js';
+import { getProxyUrl, proxyFetch } from '../proxy.js';
+
+const providerFactories = {
+    openai: (options) => new OpenAIProvider(options),
+    anthropic: (options) => new AnthropicProvider(options),
+    mock: (options) => new MockProvider(options)
+};
+
+let cachedConfig = null;
+let cachedProvider = null;
+let cachedProxyUrl = null;
+
+/**
+ * Register a custom provider factory
+ * @param {string} name - Provider name used in `llm.provider`
+ * @param {Function} factory - (options) => provider with a `complete()` method
+ */
+export function registerProvider(name, factory) {
+    providerFactories[name] = factory;
+    cachedConfig = null;
+}
+
+/**
+ * Create a provider instance from an llm config block
+ * @param {Object} llmConfig - { provider, endpoint, apiKey, model, temperature, maxTokens, ... }
+ * @returns {Object} Provider instance
+ */
+export function createProvider(llmConfig = {}) {
+    const name = llmConfig.provider || 'openai';
+    const factory = providerFactories[name];
+
+    if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    // In proxy mode the relay holds the upstream key; the browser only sends a session token
+    const proxyUrl = getProxyUrl();
+    if (proxyUrl && name !== 'mock') {
+        return factory({
+            ...llmConfig,
+            endpoint: `${proxyUrl}/chat`,
+            apiKey: null,
+            fetch: proxyFetch
+        });
+    }
+
+    return factory(llmConfig);
+}
+
+/**
+ * Get the provider for the current SDK config (memoized per config object)
+ * @returns {Object} Provider instance
+ */
+export function getProvider() {
+    const config = Store.getState().config || {};
+    const llmConfig = config.llm;
+
+    if (llmConfig !== cachedConfig || config.proxyUrl !== cachedProxyUrl || !cachedProvider) {
+        cachedProvider = createProvider(llmConfig || {});
+        cachedConfig = llmConfig;
+        cachedProxyUrl = config.proxyUrl;
+        console.log(`[Providers] Using ${cachedProvider.name} provider`);
+    }
+
+    return cachedProvider;
+}
+
+export { OpenAIProvider, AnthropicProvider, MockProvider };
@@ -0,0 +1,130 @@
+/**
+ * Mock Provider
+ * Deterministic offline provider for tests and demos - never touches the network
+ */
+
+import { readEventStream, parseEventData } from './stream.js';
+
+const DEFAULT_RESPONSES = [
+    {
+        match: /\b(price|pricing|cost|plan|how much)\b/i,
+        reply: "Happy to help with pricing! Our plans are listed in the pricing section - which one fits your team size best?",
+        toolCalls: [{ name: 'scroll', arguments: { section: 'pricing' } }]
+    },
+    {
+        match: /\b(feature|features|what can|what does)\b/i,
+        reply: "Great question! I can walk you through the key features on this page. What problem are you hoping to solve?"
+    },
+    {
+        match: /\b(hi|hello|hey)\b/i,
+        reply: "Hi there! Welcome. What brings you here today?"
+    }
+];
+
+const DEFAULT_FALLBACK = "Thanks for your message! I'm running in offline demo mode. What would you like to know about this page?";
+
+export class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.responses = options.responses || DEFAULT_RESPONSES;
+        this.fallback = options.fallback || DEFAULT_FALLBACK;
+        this.chunkDelay = options.chunkDelay ?? 15;
+    }
+
+    /**
+     * Pick the canned reply for the latest user message
+     * @param {Array<Object>} messages - Conversation messages
+     * @returns {Object} { reply, toolCalls }
+     */
+    resolveReply(messages) {
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        const userText = lastUser?.content || '';
+
+        for (const response of this.responses) {
+            const matches = response.match instanceof RegExp
+                ? response.match.test(userText)
+                : userText.toLowerCase().includes(String(response.match).toLowerCase());
+
+            if (matches) {
+                return {
+                    reply: typeof response.reply === 'function' ? response.reply(userText) : response.reply,
+                    toolCalls: response.toolCalls || []
+                };
+            }
+        }
+
+        return {
+            reply: typeof this.fallback === 'function' ? this.fallback(userText) : this.fallback,
+            toolCalls: []
+        };
+    }
+
+    /**
+     * Build a streaming Response that emits the reply word by word as SSE
+     * @param {string} reply - Full reply text
+     * @param {AbortSignal} signal - Optional abort signal
+     * @returns {Response} Streaming response
+     */
+    buildStream(reply, signal) {
+        const encoder = new TextEncoder();
+        const words = reply.match(/\S+\s*/g) || [];
+        const delay = this.chunkDelay;
+
+        const body = new ReadableStream({
+            async start(controller) {
+                for (const word of words) {
+                    if (signal?.aborted) break;
+                    if (delay > 0) {
+                        await new Promise(resolve => setTimeout(resolve, delay));
+                    }
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify({ text: word })}\n\n`));
+                }
+                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                controller.close();
+            }
+        });
+
+        return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+    }
+
+    /**
+     * Extract the text delta from a single stream event
+     * @param {Object} json - Parsed SSE payload
+     * @returns {string} Text delta
+     */
+    parseStreamEvent(json) {
+        return json.text || '';
+    }
+
+    /**
+     * Stream a completion
+     * Canned toolCalls are only reported when the caller declared that tool
+     * @param {Object} params - { system, messages, tools, onChunk, onToolCall, signal }
+     * @returns {Promise<string>} Full response text
+     */
+    async complete({ messages, tools = [], onChunk, onToolCall, signal }) {
+        const { reply, toolCalls } = this.resolveReply(messages);
+        const response = this.buildStream(reply, signal);
+
+        let text = '';
+        await readEventStream(response, ({ data }) => {
+            const json = parseEventData(data);
+            if (!json) return;
+
+            const content = this.parseStreamEvent(json);
+            if (content) {
+                text += content;
+                if (onChunk) onChunk(content);
+            }
+        });
+
+        if (onToolCall) {
+            const declared = new Set(tools.map(tool => tool.name));
+            toolCalls
+                .filter(call => declared.has(call.name))
+                .forEach((call, index) => onToolCall({ id: `mock_tool_${index}`, name: call.name, arguments: call.arguments || {} }));
+        }
+
+        return text;
+    }
+}
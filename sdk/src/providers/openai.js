@@ -0,0 +1,139 @@
+/**
+ * OpenAI-Compatible Provider
+ * Works with any /chat/completions endpoint (Groq, OpenAI, Together, vLLM, etc.)
+ */
+
+import { assertResponseOk, readEventStream, parseEventData } from './stream.js';
+import { parseToolArguments } from '../tools.js';
+
+const DEFAULT_ENDPOINT = 'https://api.groq.com/openai/v1/chat/completions';
+const DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+const ENV_API_KEY = (typeof import.meta !== 'undefined' && import.meta.env?.VITE_GROK_API_KEY);
+
+export class OpenAIProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : ENV_API_KEY;
+        this.model = options.model || DEFAULT_MODEL;
+        this.temperature = options.temperature ?? 0.7;
+        this.maxTokens = options.maxTokens ?? 250;
+        this.headers = options.headers || {};
+        this.getHeaders = options.getHeaders || null;
+        this.fetch = options.fetch || null;
+    }
+
+    /**
+     * Build the fetch request for a chat completion
+     * @param {Object} params - { system, messages, tools }
+     * @returns {Object} { url, init }
+     */
+    buildRequest({ system, messages, tools = [] }) {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...this.headers
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: this.model,
+            messages: [
+                { role: 'system', content: system },
+                ...messages
+            ],
+            temperature: this.temperature,
+            max_tokens: this.maxTokens,
+            stream: true
+        };
+
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }));
+            body.tool_choice = 'auto';
+        }
+
+        return {
+            url: this.endpoint,
+            init: {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body)
+            }
+        };
+    }
+
+    /**
+     * Extract the text delta from a single stream event
+     * @param {Object} json - Parsed SSE payload
+     * @returns {string} Text delta (may be empty)
+     */
+    parseStreamEvent(json) {
+        return json.choices?.[0]?.delta?.content || '';
+    }
+
+    /**
+     * Accumulate streamed tool-call fragments (arguments arrive in pieces, keyed by index)
+     * @param {Object} json - Parsed SSE payload
+     * @param {Array<Object>} pending - Tool calls being assembled ({ id, name, arguments })
+     */
+    collectToolCalls(json, pending) {
+        const deltas = json.choices?.[0]?.delta?.tool_calls;
+        if (!Array.isArray(deltas)) return;
+
+        deltas.forEach(delta => {
+            const index = delta.index ?? pending.length;
+            if (!pending[index]) {
+                pending[index] = { id: delta.id || null, name: '', arguments: '' };
+            }
+            const call = pending[index];
+            if (delta.id) call.id = delta.id;
+            if (delta.function?.name) call.name += delta.function.name;
+            if (delta.function?.arguments) call.arguments += delta.function.arguments;
+        });
+    }
+
+    /**
+     * Stream a completion
+     * Tool calls are reported through onToolCall, in order, once the stream ends
+     * @param {Object} params - { system, messages, tools, onChunk, onToolCall, signal }
+     * @returns {Promise<string>} Full response text
+     */
+    async complete({ system, messages, tools, onChunk, onToolCall, signal }) {
+        const { url, init } = this.buildRequest({ system, messages, tools });
+        if (this.getHeaders) {
+            init.headers = { ...init.headers, ...(await this.getHeaders()) };
+        }
+        const response = await (this.fetch || fetch)(url, { ...init, signal });
+        await assertResponseOk(response);
+
+        let text = '';
+        const pendingToolCalls = [];
+        await readEventStream(response, ({ data }) => {
+            const json = parseEventData(data);
+            if (!json) return;
+
+            const content = this.parseStreamEvent(json);
+            if (content) {
+                text += content;
+                if (onChunk) onChunk(content);
+            }
+            this.collectToolCalls(json, pendingToolCalls);
+        });
+
+        if (onToolCall) {
+            pendingToolCalls
+                .filter(call => call && call.name)
+                .forEach(call => onToolCall({ id: call.id, name: call.name, arguments: parseToolArguments(call.arguments) }));
+        }
+
+        return text;
+    }
+}
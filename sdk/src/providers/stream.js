@@ -0,0 +1,73 @@
+/**
+ * Stream Utilities
+ * Shared helpers for reading Server-Sent Event streams from LLM providers
+ */
+
+/**
+ * Throw a descriptive error if the provider returned a non-2xx response
+ * @param {Response} response - Fetch response
+ */
+export async function assertResponseOk(response) {
+    if (response.ok) return;
+
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error?.message || `API error: ${response.status}`);
+}
+
+/**
+ * Read an SSE response body and invoke a callback for every event
+ * Buffers partial lines so events split across network chunks are not lost
+ * @param {Response} response - Streaming fetch response
+ * @param {Function} onEvent - Called with ({ event, data }) for each event
+ */
+export async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+    let eventName = null;
+
+    const processLine = (line) => {
+        const trimmed = line.trim();
+        if (trimmed === '') {
+            eventName = null;
+            return;
+        }
+
+        if (trimmed.startsWith('event:')) {
+            eventName = trimmed.slice(6).trim();
+            return;
+        }
+
+        if (trimmed.startsWith('data:')) {
+            const data = trimmed.slice(5).trim();
+            if (data === '[DONE]') return;
+            onEvent({ event: eventName, data });
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(processLine);
+    }
+
+    if (buffer) processLine(buffer);
+}
+
+/**
+ * Parse an SSE data payload as JSON, logging instead of throwing on bad input
+ * @param {string} data - Raw data payload
+ * @returns {Object|null} Parsed JSON or null
+ */
+export function parseEventData(data) {
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        console.error('Error parsing stream chunk', e);
+        return null;
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Relay Client
+ * Talks to the bundled Node relay (sdk/server/relay.js) when `proxyUrl` is configured,
+ * so provider credentials never ship to the browser
+ */
+
+import { Store } from './store.js';
+
+// Refresh tokens slightly before they expire
+const TOKEN_REFRESH_MARGIN = 30 * 1000;
+
+let session = null;
+let pendingSession = null;
+
+/**
+ * Get the configured relay URL (without trailing slash)
+ * @returns {string|null} Relay base URL or null when proxy mode is off
+ */
+export function getProxyUrl() {
+    const proxyUrl = Store.getState().config?.proxyUrl;
+    return proxyUrl ? proxyUrl.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Check whether proxy mode is enabled
+ * @returns {boolean} True if requests go through the relay
+ */
+export function isProxyMode() {
+    return !!getProxyUrl();
+}
+
+/**
+ * Get a valid short-lived session token, requesting a new one when needed
+ * @returns {Promise<string>} Session token
+ */
+export async function getSessionToken() {
+    if (session && session.expiresAt - TOKEN_REFRESH_MARGIN > Date.now()) {
+        return session.token;
+    }
+
+    if (!pendingSession) {
+        pendingSession = requestSession().finally(() => {
+            pendingSession = null;
+        });
+    }
+
+    session = await pendingSession;
+    return session.token;
+}
+
+/**
+ * Request a new session from the relay
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+async function requestSession() {
+    const response = await fetch(`${getProxyUrl()}/session`, { method: 'POST' });
+
+    if (!response.ok) {
+        throw new Error(`Relay session error: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Build auth headers for relay requests
+ * @returns {Promise<Object>} Headers object
+ */
+export async function getProxyHeaders() {
+    const token = await getSessionToken();
+    return { 'Authorization': `Bearer ${token}` };
+}
+
+/**
+ * fetch() for relay routes: adds the session token, and when the relay rejects
+ * it (e.g. it restarted with a new RELAY_SECRET) gets a new one and retries once
+ * @param {string} url - Relay URL
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>} Response
+ */
+export async function proxyFetch(url, init = {}) {
+    const send = async () => fetch(url, { ...init, headers: { ...init.headers, ...(await getProxyHeaders()) } });
+
+    const response = await send();
+    if (response.status !== 401) return response;
+
+    clearProxySession();
+    return send();
+}
+
+/**
+ * Get a short-lived Murf token minted by the relay
+ * @returns {Promise<string>} Murf auth token
+ */
+export async function fetchMurfToken() {
+    const response = await proxyFetch(`${getProxyUrl()}/voice/murf-token`, { method: 'POST' });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error?.message || `Relay voice token error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.token;
+}
+
+/**
+ * Forget the cached session (e.g. after a 401)
+ */
+export function clearProxySession() {
+    session = null;
+}
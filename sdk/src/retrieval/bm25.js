@@ -0,0 +1,92 @@
+/**
+ * BM25 Index
+ * Lexical ranking for passages - no network, no model, good at exact terms
+ * like plan names, prices and product vocabulary
+ */
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from',
+    'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so',
+    'that', 'the', 'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where',
+    'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Lowercase, split on non-word characters, drop stopwords and plural "s"
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text = '') {
+    return text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}$]+/u)
+        .filter(term => term && !STOPWORDS.has(term))
+        .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+export class BM25Index {
+    /**
+     * @param {Object} options - { k1, b } tuning parameters
+     */
+    constructor(options = {}) {
+        this.k1 = options.k1 ?? 1.2;
+        this.b = options.b ?? 0.75;
+        this.documents = [];
+        this.documentFrequency = new Map();
+        this.averageLength = 0;
+    }
+
+    /**
+     * Index a set of chunks, replacing anything indexed before
+     * @param {Array<Object>} chunks - Chunks with a `text` field
+     */
+    build(chunks = []) {
+        this.documentFrequency = new Map();
+        this.documents = chunks.map(chunk => {
+            const terms = tokenize(`${chunk.title || ''} ${chunk.text}`);
+            const frequencies = new Map();
+            terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+            frequencies.forEach((_, term) => {
+                this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+            });
+            return { chunk, length: terms.length, frequencies };
+        });
+
+        const totalLength = this.documents.reduce((sum, doc) => sum + doc.length, 0);
+        this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+    }
+
+    /**
+     * Inverse document frequency of a term
+     * @param {string} term - Term
+     * @returns {number} IDF (always positive)
+     */
+    idf(term) {
+        const n = this.documentFrequency.get(term) || 0;
+        return Math.log(1 + (this.documents.length - n + 0.5) / (n + 0.5));
+    }
+
+    /**
+     * Score every indexed chunk against a query
+     * @param {string} query - Query text
+     * @returns {Array<Object>} { chunk, score } for chunks with a positive score, best first
+     */
+    search(query) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0 || this.documents.length === 0) return [];
+
+        return this.documents
+            .map(doc => {
+                let score = 0;
+                terms.forEach(term => {
+                    const frequency = doc.frequencies.get(term);
+                    if (!frequency) return;
+                    const norm = 1 - this.b + this.b * (doc.length / (this.averageLength || 1));
+                    score += this.idf(term) * (frequency * (this.k1 + 1)) / (frequency + this.k1 * norm);
+                });
+                return { chunk: doc.chunk, score };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Content Chunker
+ * Turns an extracted page context (and any extra documents) into small,
+ * self-contained passages the retriever can score independently
+ */
+
+// Passages longer than this are split on sentence boundaries
+const MAX_CHUNK_CHARS = 600;
+
+// Containers that wrap the whole page and would duplicate every section
+const WRAPPER_SECTION_TYPES = ['main', 'article'];
+
+/**
+ * Split long text into windows of whole sentences
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Maximum characters per window
+ * @returns {Array<string>} Windows
+ */
+export function splitText(text = '', maxChars = MAX_CHUNK_CHARS) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxChars) return clean ? [clean] : [];
+
+    const sentences = clean.match(/[^.!?]+[.!?]+(?:\s|$)|[^.!?]+$/g) || [clean];
+    const windows = [];
+    let current = '';
+
+    sentences.forEach(sentence => {
+        const piece = sentence.trim();
+        if (current && current.length + piece.length + 1 > maxChars) {
+            windows.push(current);
+            current = '';
+        }
+        // A single run-on sentence still has to fit
+        if (piece.length > maxChars) {
+            for (let i = 0; i < piece.length; i += maxChars) {
+                windows.push(piece.slice(i, i + maxChars));
+            }
+            return;
+        }
+        current = current ? `${current} ${piece}` : piece;
+    });
+
+    if (current) windows.push(current);
+    return windows;
+}
+
+/**
+ * Build chunks for one piece of content, splitting it when it is long
+ * @param {string} type - Content type (pricing, feature, faq, ...)
+ * @param {string} title - Short label shown with the passage
+ * @param {string} text - Passage text
+ * @param {Object} meta - Extra fields (section, url, ...)
+ * @returns {Array<Object>} Chunks
+ */
+function createChunks(type, title, text, meta = {}) {
+    return splitText(text).map((window, part) => ({
+        id: `${type}:${title}:${part}`,
+        type,
+        title,
+        text: window,
+        ...meta
+    }));
+}
+
+/**
+ * Chunk an extracted page context
+ * @param {Object} pageContext - Output of extractPageContext()
+ * @returns {Array<Object>} Chunks ({ id, type, title, text, section?, url? })
+ */
+export function chunkPageContext(pageContext = {}) {
+    const content = pageContext.content || {};
+    const url = pageContext.url;
+    const chunks = [];
+
+    if (pageContext.summary) {
+        chunks.push(...createChunks('summary', pageContext.title || 'Page', pageContext.summary, { url }));
+    }
+
+    (content.pricing || []).forEach(plan => {
+        let text = `${plan.plan} plan: ${plan.price}.`;
+        if (plan.popular) text += ' Most popular plan.';
+        if (plan.features?.length > 0) text += ` Includes: ${plan.features.join('; ')}.`;
+        chunks.push(...createChunks('pricing', plan.plan, text, { section: 'pricing', url }));
+    });
+
+    (content.features || []).forEach(feature => {
+        const text = feature.description ? `${feature.name}: ${feature.description}` : feature.name;
+        chunks.push(...createChunks('feature', feature.name, text, { section: 'features', url }));
+    });
+
+    (content.faqs || []).forEach(faq => {
+        chunks.push(...createChunks('faq', faq.question, `Q: ${faq.question} A: ${faq.answer}`, { section: 'faq', url }));
+    });
+
+    (content.products || []).forEach(product => {
+        let text = product.name;
+        if (product.price) text += ` (${product.price})`;
+        if (product.description) text += `: ${product.description}`;
+        chunks.push(...createChunks('product', product.name, text, { url }));
+    });
+
+    const sections = pageContext.structure?.sections || [];
+    const hasSections = sections.some(section => !WRAPPER_SECTION_TYPES.includes(section.type));
+    sections.forEach(section => {
+        if (hasSections && WRAPPER_SECTION_TYPES.includes(section.type)) return;
+        const text = section.text || section.textPreview;
+        if (!text) return;
+        chunks.push(...createChunks('section', section.heading || section.id || 'Section', text, {
+            section: section.id,
+            url
+        }));
+    });
+
+    return dedupeChunks(chunks);
+}
+
+/**
+ * Chunk extra documents passed via `init({ retrieval: { documents } })`
+ * @param {Array<Object|string>} documents - { title, text, url } or plain strings
+ * @returns {Array<Object>} Chunks
+ */
+export function chunkDocuments(documents = []) {
+    const chunks = [];
+
+    documents.forEach((doc, i) => {
+        const { title = `Document ${i + 1}`, text = '', url } = typeof doc === 'string' ? { text: doc } : doc;
+        // Paragraphs are natural passage boundaries in long-form docs
+        text.split(/\n\s*\n/).forEach(paragraph => {
+            chunks.push(...createChunks('document', title, paragraph, { url }));
+        });
+    });
+
+    return dedupeChunks(chunks);
+}
+
+/**
+ * Drop chunks with identical text and make ids unique
+ * @param {Array<Object>} chunks - Chunks
+ * @returns {Array<Object>} Unique chunks
+ */
+function dedupeChunks(chunks) {
+    const seenText = new Set();
+    const seenIds = new Map();
+
+    return chunks.filter(chunk => {
+        const key = chunk.text.toLowerCase();
+        if (seenText.has(key)) return false;
+        seenText.add(key);
+
+        const count = seenIds.get(chunk.id) || 0;
+        seenIds.set(chunk.id, count + 1);
+        if (count > 0) chunk.id = `${chunk.id}#${count}`;
+        return true;
+    });
+}
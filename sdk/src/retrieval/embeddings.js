@@ -0,0 +1,120 @@
+/**
+ * Embeddings Client
+ * Optional semantic scoring on top of BM25. Talks to any OpenAI-compatible
+ * /embeddings endpoint (or the relay's /embeddings route in proxy mode), or
+ * to a host-supplied `embed(texts)` function.
+ *
+ * Example:
+ *   Blitsum.init({ retrieval: { embeddings: { apiKey: '...', model: 'text-embedding-3-small' } } })
+ *   Blitsum.init({ retrieval: { embeddings: { embed: async (texts) => myModel.embed(texts) } } })
+ */
+
+import { assertResponseOk } from '../providers/stream.js';
+import { getProxyUrl, proxyFetch } from '../proxy.js';
+
+const DEFAULT_ENDPOINT = 'https://api.openai.com/v1/embeddings';
+const DEFAULT_MODEL = 'text-embedding-3-small';
+
+// Keep request bodies small; long pages are embedded over several calls
+const BATCH_SIZE = 64;
+
+export class EmbeddingClient {
+    constructor(options = {}) {
+        this.embedFn = typeof options.embed === 'function' ? options.embed : null;
+        this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+        this.apiKey = options.apiKey || null;
+        this.model = options.model || DEFAULT_MODEL;
+        this.headers = options.headers || {};
+        this.getHeaders = options.getHeaders || null;
+        this.fetch = options.fetch || null;
+        // Vectors keyed by text, so re-indexing an unchanged page costs nothing
+        this.cache = new Map();
+    }
+
+    /**
+     * Embed texts, reusing cached vectors
+     * @param {Array<string>} texts - Texts to embed
+     * @returns {Promise<Array<Array<number>>>} One vector per text
+     */
+    async embed(texts) {
+        const missing = [...new Set(texts.filter(text => !this.cache.has(text)))];
+
+        for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+            const batch = missing.slice(i, i + BATCH_SIZE);
+            const vectors = await this.request(batch);
+            batch.forEach((text, j) => this.cache.set(text, vectors[j]));
+        }
+
+        return texts.map(text => this.cache.get(text));
+    }
+
+    /**
+     * Fetch vectors for one batch
+     * @param {Array<string>} batch - Texts
+     * @returns {Promise<Array<Array<number>>>} Vectors in input order
+     */
+    async request(batch) {
+        if (this.embedFn) {
+            return this.embedFn(batch);
+        }
+
+        const headers = {
+            'Content-Type': 'application/json',
+            ...this.headers,
+            ...(this.getHeaders ? await this.getHeaders() : {})
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await (this.fetch || fetch)(this.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model: this.model, input: batch })
+        });
+        await assertResponseOk(response);
+
+        const json = await response.json();
+        return [...json.data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+}
+
+/**
+ * Create an embedding client from the `retrieval.embeddings` config block
+ * @param {Object} options - { endpoint, apiKey, model, embed }
+ * @returns {EmbeddingClient} Client
+ */
+export function createEmbeddingClient(options = {}) {
+    // In proxy mode the relay holds the upstream key
+    const proxyUrl = getProxyUrl();
+    if (proxyUrl && !options.embed) {
+        return new EmbeddingClient({
+            ...options,
+            endpoint: `${proxyUrl}/embeddings`,
+            apiKey: null,
+            fetch: proxyFetch
+        });
+    }
+
+    return new EmbeddingClient(options);
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} Similarity in [-1, 1] (0 for empty vectors)
+ */
+export function cosineSimilarity(a = [], b = []) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
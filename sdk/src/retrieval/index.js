@@ -0,0 +1,189 @@
+/**
+ * Content Retrieval
+ * Picks the passages of the page, the rest of the site (when a site index is
+ * loaded) and any extra documents most relevant to the visitor's question, so
+ * long pricing and FAQ pages aren't cut off at a fixed number of items before
+ * the model sees them.
+ *
+ * Ranking is BM25 by default; when `retrieval.embeddings` is configured the
+ * BM25 and cosine scores are blended (`semanticWeight`).
+ *
+ * Example:
+ *   Blitsum.init({ retrieval: {
+ *       topK: 6,
+ *       documents: [{ title: 'Refund policy', text: '...', url: '/refunds' }],
+ *       embeddings: { apiKey: '...' }
+ *   } })
+ */
+
+import { getRetrievalConfig } from '../config.js';
+import { chunkPageContext, chunkDocuments } from './chunker.js';
+import { BM25Index } from './bm25.js';
+import { createEmbeddingClient, cosineSimilarity } from './embeddings.js';
+import { siteIndex } from '../site/index.js';
+
+export class ContentRetriever {
+    constructor() {
+        this.index = new BM25Index();
+        this.chunks = [];
+        // The current page's own chunks, in page order
+        this.pageChunks = [];
+        this.indexKey = null;
+        this.documentsSource = undefined;
+        this.embeddingsSource = undefined;
+        this.embedder = null;
+    }
+
+    /**
+     * (Re)build the index when the page context or configured documents change
+     * @param {Object} pageContext - Output of extractPageContext()
+     */
+    ensureIndex(pageContext = {}) {
+        const { documents, embeddings } = getRetrievalConfig();
+        const indexKey = `${pageContext.url || ''}|${pageContext.extractedAt || ''}|${siteIndex.index?.hash || ''}`;
+
+        if (embeddings !== this.embeddingsSource) {
+            this.embeddingsSource = embeddings;
+            this.embedder = embeddings ? createEmbeddingClient(embeddings) : null;
+        }
+
+        if (indexKey === this.indexKey && documents === this.documentsSource) return;
+
+        this.pageChunks = chunkPageContext(pageContext);
+        this.chunks = [
+            ...this.pageChunks,
+            ...this.chunkSitePages(pageContext),
+            ...chunkDocuments(documents)
+        ];
+        this.index.build(this.chunks);
+        this.indexKey = indexKey;
+        this.documentsSource = documents;
+        console.log(`[Retrieval] Indexed ${this.chunks.length} passages`);
+    }
+
+    /**
+     * Chunk the other pages in the site index, tagged with their path
+     * @param {Object} pageContext - Current page context (its own index entry is skipped)
+     * @returns {Array<Object>} Chunks
+     */
+    chunkSitePages(pageContext) {
+        return siteIndex.getOtherPages(pageContext.url)
+            .flatMap(page => chunkPageContext(page).map(chunk => ({
+                ...chunk,
+                id: `${page.path}|${chunk.id}`,
+                page: page.path
+            })));
+    }
+
+    /**
+     * Find the passages most relevant to a query
+     * @param {string} query - Visitor question (plus recent context)
+     * @param {Object} pageContext - Output of extractPageContext()
+     * @returns {Promise<Array<Object>>} Chunks with a `score`, best first, within the char budget
+     */
+    async retrieve(query, pageContext = {}) {
+        const { enabled, topK, maxChars, semanticWeight } = getRetrievalConfig();
+        this.ensureIndex(pageContext);
+
+        // Disabled: keep page order and only cap by size
+        if (!enabled) {
+            return this.fitBudget(this.chunks.map(chunk => ({ ...chunk, score: 0 })), Infinity, maxChars);
+        }
+
+        let results = this.index.search(query).map(({ chunk, score }) => ({ ...chunk, score }));
+
+        if (this.embedder) {
+            try {
+                results = await this.rerankWithEmbeddings(query, results, semanticWeight);
+            } catch (error) {
+                console.warn('[Retrieval] Embeddings failed, using BM25 only:', error.message);
+            }
+        }
+
+        // Generic questions ("what is this?") match nothing; the top of the page beats no context
+        if (results.length === 0) {
+            return this.fitBudget(this.pageChunks.map(chunk => ({ ...chunk, score: 0 })), Infinity, maxChars);
+        }
+
+        return this.fitBudget(results, topK, maxChars);
+    }
+
+    /**
+     * Blend normalized BM25 scores with embedding similarity over all chunks,
+     * so paraphrased questions can still match passages with no shared terms
+     * @param {string} query - Query
+     * @param {Array<Object>} lexicalResults - BM25 results
+     * @param {number} weight - Share of the semantic score (0..1)
+     * @returns {Promise<Array<Object>>} Re-ranked chunks
+     */
+    async rerankWithEmbeddings(query, lexicalResults, weight) {
+        const [queryVector, ...chunkVectors] = await this.embedder.embed([
+            query,
+            ...this.chunks.map(chunk => chunk.text)
+        ]);
+
+        const maxLexical = lexicalResults[0]?.score || 1;
+        const lexicalById = new Map(lexicalResults.map(result => [result.id, result.score / maxLexical]));
+
+        return this.chunks
+            .map((chunk, i) => {
+                const semantic = Math.max(0, cosineSimilarity(queryVector, chunkVectors[i]));
+                const lexical = lexicalById.get(chunk.id) || 0;
+                return { ...chunk, score: (1 - weight) * lexical + weight * semantic };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Take the best results that fit the prompt budget
+     * @param {Array<Object>} results - Ranked chunks
+     * @param {number} topK - Maximum passages
+     * @param {number} maxChars - Maximum total characters
+     * @returns {Array<Object>} Selected chunks
+     */
+    fitBudget(results, topK, maxChars) {
+        const selected = [];
+        let used = 0;
+
+        for (const result of results) {
+            if (selected.length >= topK) break;
+            if (used + result.text.length > maxChars) continue;
+            selected.push(result);
+            used += result.text.length;
+        }
+
+        return selected;
+    }
+
+    /**
+     * Drop the index (e.g. after the page content changes)
+     */
+    reset() {
+        this.chunks = [];
+        this.indexKey = null;
+        this.documentsSource = undefined;
+        this.index.build([]);
+    }
+}
+
+/**
+ * Format retrieved passages for the system prompt
+ * @param {Array<Object>} passages - Retrieved chunks
+ * @returns {string} Prompt section (empty when nothing was retrieved)
+ */
+export function formatPassages(passages = []) {
+    if (passages.length === 0) return '';
+
+    return passages
+        .map(passage => {
+            let source = '';
+            if (passage.page) source = ` (on page ${passage.page})`;
+            else if (passage.type === 'document' && passage.url) source = ` (${passage.url})`;
+            return `[${passage.type}: ${passage.title}${source}]\n${passage.text}`;
+        })
+        .join('\n\n');
+}
+
+// Export singleton instance
+export const contentRetriever = new ContentRetriever();
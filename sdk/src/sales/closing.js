@@ -14,7 +14,8 @@ export const ClosingTechniques = {
     DIRECT: 'direct',
     SUMMARY: 'summary',
     TAKEAWAY: 'takeaway',
-    PUPPY_DOG: 'puppy_dog'
+    PUPPY_DOG: 'puppy_dog',
+    DEMO: 'demo'
 };
 
 /**
@@ -23,6 +24,8 @@ export const ClosingTechniques = {
 export class ClosingStatements {
     /**
      * Generate the best closing statement based on context
+     * A closing experiment variant can force the technique (`context.technique`)
+     * and the statement (`context.statement`: ClosingOptimizer variant A-E or the text itself).
      * @param {Object} context - Sales context
      * @returns {Object} Closing statement with technique
      */
@@ -36,10 +39,14 @@ export class ClosingStatements {
         } = context;
 
         // Select best technique based on context
-        const technique = this.selectTechnique(context);
+        const forced = Object.values(ClosingTechniques).includes(context.technique) &&
+            (context.technique !== ClosingTechniques.DEMO || context.canBookMeeting);
+        const technique = forced ? context.technique : this.selectTechnique(context);
 
         // Generate statement
-        const statement = this.generateStatement(technique, context);
+        const statement = context.statement
+            ? ClosingOptimizer.getVariantForTesting(context.statement, context.statement)
+            : this.generateStatement(technique, context);
 
         return {
             technique,
@@ -53,7 +60,12 @@ export class ClosingStatements {
      * Select best closing technique
      */
     static selectTechnique(context) {
-        const { bantScore, objections, userProfile } = context;
+        const { bantScore, objections, userProfile, canBookMeeting } = context;
+
+        // Enterprise buyers want a call, not a self-serve trial = Demo close
+        if (canBookMeeting && userProfile?.companySize === 'enterprise') {
+            return ClosingTechniques.DEMO;
+        }
 
         // High BANT score + no objections = Direct close
         if (bantScore >= 0.8 && objections.length === 0) {
@@ -95,7 +107,8 @@ export class ClosingStatements {
             [ClosingTechniques.DIRECT]: this.directClose(recommendedPlan),
             [ClosingTechniques.SUMMARY]: this.summaryClose(context),
             [ClosingTechniques.TAKEAWAY]: this.takeawayClose(recommendedPlan),
-            [ClosingTechniques.PUPPY_DOG]: this.puppyDogClose(recommendedPlan)
+            [ClosingTechniques.PUPPY_DOG]: this.puppyDogClose(recommendedPlan),
+            [ClosingTechniques.DEMO]: this.demoClose(recommendedPlan)
         };
 
         return statements[technique];
@@ -194,6 +207,17 @@ export class ClosingStatements {
         return "Here's what I suggest: Try it free for 14 days, no credit card required. If it doesn't blow you away, just walk away. But I think you'll love it. Want to give it a shot?";
     }
 
+    /**
+     * Demo Close - Book a call with the team
+     */
+    static demoClose(plan) {
+        if (!plan) {
+            return "Teams your size usually want to see it on their own setup first. Shall I find a time for a 30-minute call with our team?";
+        }
+
+        return `For a rollout your size, the ${plan.name} plan is the one to look at - and it's easiest to walk through on a quick call. Shall I find a time that works for you?`;
+    }
+
     /**
      * Get recommended plan
      */
@@ -225,6 +249,16 @@ export class ClosingStatements {
     static getRecommendedActions(technique, pageContext) {
         const actions = [];
 
+        // Demo close: open times instead of the signup button
+        if (technique === ClosingTechniques.DEMO) {
+            actions.push({
+                type: 'book_meeting',
+                target: 'demo',
+                description: 'Offer times for a call'
+            });
+            return actions;
+        }
+
         // Always scroll to pricing
         actions.push({
             type: 'navigate',
@@ -264,7 +298,8 @@ export class ClosingStatements {
             [ClosingTechniques.DIRECT]: "It takes just 2 minutes to set up.",
             [ClosingTechniques.SUMMARY]: "Any final questions before we proceed?",
             [ClosingTechniques.TAKEAWAY]: "What would make this a definite yes for you?",
-            [ClosingTechniques.PUPPY_DOG]: "No risk, all reward. Let's do it!"
+            [ClosingTechniques.PUPPY_DOG]: "No risk, all reward. Let's do it!",
+            [ClosingTechniques.DEMO]: "I'll put a few open times right here in the chat."
         };
 
         return followUps[technique] || "Ready when you are!";
@@ -340,9 +375,12 @@ export class ClosingOptimizer {
     }
 
     /**
-     * A/B test closing statements
+     * Closing statement for a closing experiment variant
+     * @param {string} variantId - A-E
+     * @param {string} fallback - Statement for other IDs (defaults to variant A)
+     * @returns {string} Closing statement
      */
-    static getVariantForTesting(variantId) {
+    static getVariantForTesting(variantId, fallback = null) {
         const variants = {
             A: ULTIMATE_CLOSE.statement,
             B: ULTIMATE_CLOSE.variations.highUrgency,
@@ -351,6 +389,6 @@ export class ClosingOptimizer {
             E: "I think this is perfect for you. Shall we set up your account?"
         };
 
-        return variants[variantId] || variants.A;
+        return variants[variantId] || fallback || variants.A;
     }
 }
@@ -1,28 +1,45 @@
 /**
  * Engagement Triggers
  * Detects behavioral signals and triggers proactive engagement
+ * Triggers come from `init({ triggers })` (see triggerRules.js) or addTrigger().
  */
 
 import { behaviorTracker } from '../utils/behaviorTracker.js';
+import { funnelEngine } from './funnel.js';
+import { Store } from '../store.js';
+import { getTriggersConfig } from '../config.js';
+import { languageManager } from '../i18n.js';
+import { experiments, ExperimentTarget } from '../experiments/index.js';
+import { compileTriggerRule, isQuietTime, renderTriggerMessage } from './triggerRules.js';
+
+const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+// How long an exit-intent signal counts as `exitIntentDetected` for triggers (seconds)
+const EXIT_INTENT_WINDOW = 10;
 
 export class EngagementTriggers {
     constructor() {
         this.triggers = new Map();
         this.firedTriggers = new Set();
+        // Proactive messages shown this session and when each trigger last fired
+        // (kept across pages by persistence, so caps and cooldowns span the session)
+        this.fireCounts = new Map();
+        this.lastFiredAt = new Map();
+        this.totalFired = 0;
         this.listeners = [];
         this.initialized = false;
+        this.cleanup = [];
 
         // Define trigger configurations
         this.defineTriggers();
     }
 
     /**
-     * Define all engagement triggers
-     * All automatic triggers disabled - AI only responds to user-initiated interactions
+     * Define built-in engagement triggers
+     * There are none - sites declare their own in init({ triggers }), loaded on init()
      */
     defineTriggers() {
-        // All automatic engagement triggers have been disabled
-        // The AI will only respond when users actively engage via chat or voice
+        // Without configured triggers the AI only responds when users engage via chat or voice
     }
 
     /**
@@ -31,8 +48,20 @@ export class EngagementTriggers {
     addTrigger(id, config) {
         this.triggers.set(id, {
             id,
-            ...config,
-            lastFired: 0
+            ...config
+        });
+    }
+
+    /**
+     * Add the triggers declared in init({ triggers })
+     */
+    loadConfiguredTriggers() {
+        const { enabled, list } = getTriggersConfig();
+        if (!enabled) return;
+
+        (Array.isArray(list) ? list : []).forEach(rule => {
+            const trigger = compileTriggerRule(rule);
+            if (trigger) this.addTrigger(trigger.id, trigger);
         });
     }
 
@@ -42,20 +71,28 @@ export class EngagementTriggers {
     init() {
         if (this.initialized) return;
 
+        this.loadConfiguredTriggers();
+
         // Initialize behavior tracker
         behaviorTracker.init();
 
         // Listen to behavior changes
-        behaviorTracker.addListener((event, data, behavior) => {
+        const onBehavior = (event, data, behavior) => {
             this.checkTriggers(behavior);
-        });
+        };
+        behaviorTracker.addListener(onBehavior);
 
         // Periodic check for time-based triggers
-        setInterval(() => {
+        const interval = setInterval(() => {
             const behavior = behaviorTracker.getBehavior();
             this.checkTriggers(behavior);
         }, 5000); // Check every 5 seconds
 
+        this.cleanup = [
+            () => behaviorTracker.removeListener(onBehavior),
+            () => clearInterval(interval)
+        ];
+
         // Mark as visited
         localStorage.setItem('blitsum_visited', 'true');
 
@@ -68,17 +105,25 @@ export class EngagementTriggers {
      */
     checkTriggers(behavior) {
         const now = Date.now();
+        const { maxPerSession, quietHours } = getTriggersConfig();
+
+        // Don't interrupt a conversation the visitor already has open
+        if (Store.getState().isOpen || this.totalFired >= maxPerSession) return;
+
+        const facts = this.getFacts(behavior);
 
         // Sort triggers by priority
         const sortedTriggers = Array.from(this.triggers.values()).sort((a, b) => {
-            const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-            return priorityOrder[a.priority] - priorityOrder[b.priority];
+            return (PRIORITY_ORDER[a.priority] ?? PRIORITY_ORDER.medium) - (PRIORITY_ORDER[b.priority] ?? PRIORITY_ORDER.medium);
         });
 
         for (const trigger of sortedTriggers) {
+            if ((this.fireCounts.get(trigger.id) || 0) >= (trigger.maxPerSession ?? Infinity)) continue;
+            if (isQuietTime(trigger.quietHours === undefined ? quietHours : trigger.quietHours, new Date(now))) continue;
+
             // Skip if already fired and within cooldown
             if (this.firedTriggers.has(trigger.id)) {
-                const timeSinceFired = now - trigger.lastFired;
+                const timeSinceFired = now - (this.lastFiredAt.get(trigger.id) || 0);
                 if (timeSinceFired < trigger.cooldown) {
                     continue;
                 }
@@ -86,7 +131,7 @@ export class EngagementTriggers {
 
             // Check condition
             try {
-                const shouldFire = trigger.condition(behavior, behaviorTracker);
+                const shouldFire = trigger.condition(behavior, behaviorTracker, facts);
 
                 if (shouldFire) {
                     // Fire trigger after delay
@@ -96,7 +141,9 @@ export class EngagementTriggers {
 
                     // Mark as fired
                     this.firedTriggers.add(trigger.id);
-                    trigger.lastFired = now;
+                    this.lastFiredAt.set(trigger.id, now);
+                    this.fireCounts.set(trigger.id, (this.fireCounts.get(trigger.id) || 0) + 1);
+                    this.totalFired++;
 
                     // Only fire one trigger at a time (highest priority wins)
                     break;
@@ -107,16 +154,45 @@ export class EngagementTriggers {
         }
     }
 
+    /**
+     * What trigger conditions can test: the tracked behavior plus inactivity, path and stage
+     * The tracker's exit-intent flag is sticky, so for triggers it means a signal in the
+     * last few seconds; otherwise the 5-second poll would re-fire it every cooldown.
+     */
+    getFacts(behavior = behaviorTracker.getBehavior()) {
+        const exitIntentAge = behaviorTracker.getExitIntentAge();
+        return {
+            ...behavior,
+            exitIntentDetected: exitIntentAge <= EXIT_INTENT_WINDOW,
+            exitIntentAge,
+            inactivity: behaviorTracker.getInactivityDuration(),
+            url: window.location.pathname,
+            stage: funnelEngine.currentStage
+        };
+    }
+
     /**
      * Fire a trigger
      */
     fireTrigger(trigger) {
         console.log(`[EngagementTriggers] Firing trigger: ${trigger.id}`, trigger);
 
+        // Copy from a proactive experiment variant wins over the trigger's own
+        const copy = experiments.getTreatment(ExperimentTarget.PROACTIVE);
+        const template = typeof copy === 'string' ? copy : copy?.[trigger.id] || trigger.message;
+        const facts = this.getFacts();
+        const message = renderTriggerMessage(template, {
+            ...facts,
+            page: document.title,
+            path: facts.url,
+            minutes: Math.max(1, Math.round(facts.timeOnPage / 60))
+        }, languageManager.language);
+        const fired = { ...trigger, message };
+
         // Notify listeners
         this.listeners.forEach(callback => {
             try {
-                callback(trigger);
+                callback(fired);
             } catch (error) {
                 console.error('[EngagementTriggers] Listener error:', error);
             }
@@ -142,9 +218,42 @@ export class EngagementTriggers {
      */
     reset() {
         this.firedTriggers.clear();
-        this.triggers.forEach(trigger => {
-            trigger.lastFired = 0;
-        });
+        this.fireCounts.clear();
+        this.lastFiredAt.clear();
+        this.totalFired = 0;
+    }
+
+    /**
+     * Stop checking triggers until init() is called again
+     * Trigger definitions are reloaded by the next init()
+     */
+    destroy() {
+        this.cleanup.forEach(fn => fn());
+        this.cleanup = [];
+        this.triggers.clear();
+        this.defineTriggers();
+        this.initialized = false;
+    }
+
+    /**
+     * Serializable snapshot for session persistence
+     */
+    toJSON() {
+        return {
+            counts: Object.fromEntries(this.fireCounts),
+            lastFired: Object.fromEntries(this.lastFiredAt),
+            total: this.totalFired
+        };
+    }
+
+    /**
+     * Restore a snapshot produced by toJSON()
+     */
+    restore(snapshot = {}) {
+        this.fireCounts = new Map(Object.entries(snapshot.counts || {}));
+        this.lastFiredAt = new Map(Object.entries(snapshot.lastFired || {}).filter(([, at]) => typeof at === 'number'));
+        this.lastFiredAt.forEach((at, id) => this.firedTriggers.add(id));
+        this.totalFired = Number(snapshot.total) || 0;
     }
 
     /**
@@ -165,7 +274,8 @@ export class EngagementTriggers {
         this.triggers.forEach((trigger, id) => {
             status[id] = {
                 fired: this.firedTriggers.has(id),
-                lastFired: trigger.lastFired,
+                lastFired: this.lastFiredAt.get(id) || 0,
+                count: this.fireCounts.get(id) || 0,
                 priority: trigger.priority
             };
         });
@@ -0,0 +1,329 @@
+/**
+ * Funnel Engine
+ * Single source of truth for the conversation's sales stage. Stages,
+ * transition signals, objectives and prompts come from a declarative funnel
+ * definition (see funnels.js), selected with `init({ funnel })`.
+ */
+
+import { eventBus, SDKEvent } from '../events.js';
+import { getConfig } from '../config.js';
+import { FUNNEL_PRESETS, SELF_SERVE_FUNNEL, ConversationStage } from './funnels.js';
+
+const DEFAULT_TACTICS = {
+    objective: 'Guide the visitor to the next step',
+    approach: 'Answer clearly, then ask a question',
+    responseLength: 'medium',
+    questionRatio: 0.4
+};
+
+/**
+ * Escape a phrase for use inside a RegExp
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate and fill defaults on a funnel definition
+ * @param {Object} definition - Funnel definition
+ * @returns {Object} Normalized funnel
+ */
+export function normalizeFunnel(definition) {
+    if (!definition || !Array.isArray(definition.stages) || definition.stages.length === 0) {
+        throw new Error('Funnel definition needs a non-empty stages array');
+    }
+
+    const ids = new Set();
+    const stages = definition.stages.map((stage, order) => {
+        if (!stage.id) throw new Error(`Funnel stage ${order} is missing an id`);
+        if (ids.has(stage.id)) throw new Error(`Duplicate funnel stage: ${stage.id}`);
+        ids.add(stage.id);
+
+        return {
+            label: stage.id,
+            phase: stage.id,
+            signals: [],
+            priority: 0,
+            minMessages: 0,
+            sticky: false,
+            objectives: { primary: '', secondary: '', tactics: [] },
+            ...stage,
+            tactics: { ...DEFAULT_TACTICS, ...(stage.tactics || {}) },
+            order,
+            // Word-boundary matchers so "but" doesn't fire on "button"
+            matchers: (stage.signals || []).map(signal => ({
+                signal,
+                pattern: new RegExp(`\\b${escapeRegExp(signal.toLowerCase())}`)
+            }))
+        };
+    });
+
+    const initialStage = definition.initialStage || stages[0].id;
+    if (!ids.has(initialStage)) {
+        throw new Error(`Unknown initial stage: ${initialStage}`);
+    }
+
+    const progression = (definition.progression || []).filter(rule => ids.has(rule.stage));
+
+    return { id: definition.id || 'custom', initialStage, stages, progression };
+}
+
+export class FunnelEngine {
+    constructor() {
+        this.funnelSource = undefined;
+        this.funnel = normalizeFunnel(SELF_SERVE_FUNNEL);
+        this.currentStage = this.funnel.initialStage;
+        this.stageHistory = [this.createHistoryEntry(this.currentStage, null, 'start')];
+        this.stageData = {};
+        this.conversationStartTime = Date.now();
+    }
+
+    /**
+     * Resolve the funnel from config (memoized per config value)
+     * Accepts a preset name ('self-serve', 'demo-booking') or a definition object
+     * @returns {Object} Normalized funnel
+     */
+    getFunnel() {
+        const source = getConfig().funnel;
+        if (source === this.funnelSource) return this.funnel;
+
+        this.funnelSource = source;
+        try {
+            const definition = typeof source === 'string' ? FUNNEL_PRESETS[source] : source;
+            if (source && !definition) throw new Error(`Unknown funnel preset: ${source}`);
+            this.funnel = normalizeFunnel(definition || SELF_SERVE_FUNNEL);
+        } catch (error) {
+            console.error('[Funnel] Invalid funnel config, using default:', error.message);
+            this.funnel = normalizeFunnel(SELF_SERVE_FUNNEL);
+        }
+
+        // A stage from a different funnel means nothing here - start over
+        if (!this.funnel.stages.some(stage => stage.id === this.currentStage)) {
+            this.currentStage = this.funnel.initialStage;
+            this.stageHistory = [this.createHistoryEntry(this.currentStage, null, 'start')];
+        }
+
+        console.log(`[Funnel] Using ${this.funnel.id} funnel`);
+        return this.funnel;
+    }
+
+    /**
+     * Look up a stage definition
+     * @param {string} stageId - Stage ID (defaults to the current stage)
+     * @returns {Object|null} Stage definition
+     */
+    getStage(stageId = this.currentStage) {
+        return this.getFunnel().stages.find(stage => stage.id === stageId) || null;
+    }
+
+    /**
+     * Get the canonical sales phase of a stage (discovery ... closing)
+     * @param {string} stageId - Stage ID (defaults to the current stage)
+     * @returns {string} Phase
+     */
+    getPhase(stageId = this.currentStage) {
+        return this.getStage(stageId)?.phase || 'discovery';
+    }
+
+    createHistoryEntry(stage, from, reason) {
+        return { stage, from, reason, timestamp: Date.now() };
+    }
+
+    /**
+     * Detect the stage for a visitor message
+     * @param {string} userMessage - Latest visitor message
+     * @param {Array<Object>} conversationHistory - History before this message
+     * @returns {Object} { stage, reason }
+     */
+    detectStage(userMessage, conversationHistory = []) {
+        const funnel = this.getFunnel();
+        const message = userMessage.toLowerCase();
+        const messageCount = conversationHistory.filter(m => m.role === 'user').length;
+
+        // Signals first, strongest stage wins
+        const candidates = [...funnel.stages].sort((a, b) => b.priority - a.priority);
+        for (const stage of candidates) {
+            if (messageCount < stage.minMessages) continue;
+            const match = stage.matchers.find(({ pattern }) => pattern.test(message));
+            if (match) {
+                return { stage: stage.id, reason: `signal: "${match.signal}"` };
+            }
+        }
+
+        // Otherwise progress by conversation length, never backwards or out of a sticky stage
+        const current = this.getStage();
+        if (current?.sticky) {
+            return { stage: this.currentStage, reason: 'sticky' };
+        }
+
+        const rule = funnel.progression.find(r => r.upTo === undefined || messageCount <= r.upTo);
+        const target = rule && this.getStage(rule.stage);
+        if (target && (!current || target.order > current.order)) {
+            return { stage: target.id, reason: `progression: ${messageCount} messages` };
+        }
+
+        return { stage: this.currentStage, reason: 'unchanged' };
+    }
+
+    /**
+     * Advance the stage from a visitor message
+     * @returns {string} Current stage
+     */
+    advanceStage(userMessage, conversationHistory) {
+        const { stage, reason } = this.detectStage(userMessage, conversationHistory);
+        this.setStage(stage, reason);
+        return this.currentStage;
+    }
+
+    /**
+     * Move to a stage explicitly (e.g. after a booking or lead capture)
+     * @param {string} stageId - Target stage
+     * @param {string} reason - Why the stage changed
+     * @returns {boolean} True if the stage changed
+     */
+    setStage(stageId, reason = 'manual') {
+        if (stageId === this.currentStage) return false;
+        if (!this.getStage(stageId)) {
+            console.warn(`[Funnel] Unknown stage: ${stageId}`);
+            return false;
+        }
+
+        const previousStage = this.currentStage;
+        this.currentStage = stageId;
+        this.stageHistory.push(this.createHistoryEntry(stageId, previousStage, reason));
+        console.log(`[Funnel] ${previousStage} -> ${stageId} (${reason})`);
+
+        eventBus.emit(SDKEvent.STAGE_CHANGE, {
+            from: previousStage,
+            to: stageId,
+            phase: this.getPhase(stageId),
+            reason
+        });
+        return true;
+    }
+
+    /**
+     * Get stage objectives
+     */
+    getStageObjectives(stage = this.currentStage) {
+        return (this.getStage(stage) || this.getStage(this.getFunnel().initialStage)).objectives;
+    }
+
+    /**
+     * Get stage tactics (objective, approach, responseLength, questionRatio)
+     */
+    getStageTactics(stage = this.currentStage) {
+        return this.getStage(stage)?.tactics || DEFAULT_TACTICS;
+    }
+
+    /**
+     * Get stage-specific prompt guidance (generated from objectives when not declared)
+     */
+    getStagePrompt(stage = this.currentStage) {
+        const definition = this.getStage(stage) || this.getStage(this.getFunnel().initialStage);
+        if (definition.prompt) return definition.prompt;
+
+        const { primary, secondary, tactics = [] } = definition.objectives;
+        let prompt = `\nCURRENT STAGE: ${definition.label}\n\nOBJECTIVES:\n`;
+        if (primary) prompt += `- ${primary}\n`;
+        if (secondary) prompt += `- ${secondary}\n`;
+        if (tactics.length > 0) {
+            prompt += `\nRESPONSE GUIDELINES:\n`;
+            tactics.forEach(tactic => {
+                prompt += `- ${tactic}\n`;
+            });
+        }
+        return prompt;
+    }
+
+    /**
+     * Get next stage in funnel order
+     */
+    getNextStage() {
+        const { stages } = this.getFunnel();
+        const current = this.getStage();
+        const next = stages.find(stage => stage.order > (current?.order ?? -1) && stage.phase !== 'objection');
+        return next ? next.id : this.currentStage;
+    }
+
+    /**
+     * Store stage-specific data
+     */
+    setStageData(key, value) {
+        if (!this.stageData[this.currentStage]) {
+            this.stageData[this.currentStage] = {};
+        }
+        this.stageData[this.currentStage][key] = value;
+    }
+
+    /**
+     * Get stage-specific data
+     */
+    getStageData(key, stage = this.currentStage) {
+        return this.stageData[stage]?.[key];
+    }
+
+    /**
+     * Get conversation duration
+     */
+    getConversationDuration() {
+        return Math.floor((Date.now() - this.conversationStartTime) / 1000);
+    }
+
+    /**
+     * Get conversation summary
+     */
+    getSummary() {
+        return {
+            funnel: this.getFunnel().id,
+            currentStage: this.currentStage,
+            phase: this.getPhase(),
+            stageHistory: this.stageHistory,
+            duration: this.getConversationDuration(),
+            stageData: this.stageData
+        };
+    }
+
+    /**
+     * Serializable snapshot for session persistence
+     */
+    toJSON() {
+        return {
+            funnel: this.getFunnel().id,
+            currentStage: this.currentStage,
+            stageHistory: [...this.stageHistory],
+            stageData: this.stageData,
+            conversationStartTime: this.conversationStartTime
+        };
+    }
+
+    /**
+     * Restore a snapshot produced by toJSON()
+     * Snapshots from another funnel (or unknown stages) are ignored
+     */
+    restore(snapshot = {}) {
+        if (snapshot.funnel !== this.getFunnel().id || !this.getStage(snapshot.currentStage)) return;
+
+        this.currentStage = snapshot.currentStage;
+        this.stageHistory = Array.isArray(snapshot.stageHistory)
+            ? snapshot.stageHistory.filter(entry => entry && this.getStage(entry.stage))
+            : [this.createHistoryEntry(snapshot.currentStage, null, 'restored')];
+        this.stageData = snapshot.stageData || {};
+        this.conversationStartTime = snapshot.conversationStartTime || Date.now();
+    }
+
+    /**
+     * Reset to the funnel's initial stage
+     */
+    reset() {
+        this.currentStage = this.getFunnel().initialStage;
+        this.stageHistory = [this.createHistoryEntry(this.currentStage, null, 'start')];
+        this.stageData = {};
+        this.conversationStartTime = Date.now();
+    }
+}
+
+// Export singleton instance
+export const funnelEngine = new FunnelEngine();
+
+export { ConversationStage };
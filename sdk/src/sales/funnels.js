@@ -0,0 +1,402 @@
+/**
+ * Funnel Definitions
+ * Declarative sales funnels for the stage engine (sales/funnel.js).
+ * Pick a preset with `init({ funnel: 'demo-booking' })` or pass your own
+ * definition object with the same shape.
+ *
+ * Stage fields:
+ * - id / label: Stage identifier and display name
+ * - phase: Canonical sales phase (discovery, qualification, presentation,
+ *   objection, closing) used by BANT/SPIN and closing logic; defaults to id
+ * - signals: Phrases in the visitor's message that move the conversation here
+ * - priority: Which stage wins when several match (higher first)
+ * - minMessages: Visitor messages required before signals count
+ * - sticky: Message-count progression never moves out of this stage
+ * - objectives, tactics, prompt: Guidance injected into the system prompt
+ *   (prompt is generated from objectives when omitted)
+ */
+
+/**
+ * Stage IDs of the default self-serve funnel
+ */
+export const ConversationStage = {
+    GREETING: 'greeting',
+    DISCOVERY: 'discovery',
+    QUALIFICATION: 'qualification',
+    PRESENTATION: 'presentation',
+    OBJECTION: 'objection',
+    CLOSING: 'closing',
+    COMPLETED: 'completed'
+};
+
+const DISCOVERY_TACTICS = {
+    objective: 'Build rapport and understand needs',
+    approach: 'Ask open-ended questions, listen actively',
+    responseLength: 'short',
+    questionRatio: 0.7 // 70% questions
+};
+
+const QUALIFICATION_TACTICS = {
+    objective: 'Assess BANT criteria',
+    approach: 'Qualify naturally through conversation',
+    responseLength: 'medium',
+    questionRatio: 0.5
+};
+
+const PRESENTATION_TACTICS = {
+    objective: 'Show relevant value',
+    approach: 'Focus on benefits, provide proof',
+    responseLength: 'medium',
+    questionRatio: 0.3
+};
+
+const OBJECTION_TACTICS = {
+    objective: 'Address concerns',
+    approach: 'Acknowledge, reframe, provide evidence',
+    responseLength: 'medium',
+    questionRatio: 0.4
+};
+
+const CLOSING_TACTICS = {
+    objective: 'Ask for commitment',
+    approach: 'Remove friction, create urgency',
+    responseLength: 'short',
+    questionRatio: 0.2
+};
+
+const OBJECTION_SIGNALS = ['but', 'however', 'expensive', 'not sure', 'concern', 'worried', 'doubt', 'hesitant'];
+const QUALIFICATION_SIGNALS = ['price', 'cost', 'how much', 'budget', 'when', 'timeline', 'team size'];
+const DISCOVERY_SIGNALS = ['what', 'tell me', 'explain', 'help', 'looking for', 'need'];
+
+/**
+ * Self-serve signup funnel (default)
+ */
+export const SELF_SERVE_FUNNEL = {
+    id: 'self-serve',
+    initialStage: ConversationStage.GREETING,
+    stages: [
+        {
+            id: ConversationStage.GREETING,
+            label: 'Greeting',
+            phase: 'discovery',
+            objectives: {
+                primary: 'Build rapport and establish trust',
+                secondary: 'Understand why they\'re here',
+                tactics: ['Be warm and welcoming', 'Ask open-ended question', 'Show genuine interest']
+            },
+            tactics: DISCOVERY_TACTICS,
+            prompt: `
+CURRENT STAGE: Greeting
+
+OBJECTIVES:
+- Build rapport
+- Establish trust
+- Understand their intent
+
+RESPONSE GUIDELINES:
+- Be warm and welcoming
+- Keep it brief (1-2 sentences)
+- End with an open-ended question
+- Don't pitch yet
+
+EXAMPLE RESPONSES:
+- "Hi! Welcome. What brings you here today?"
+- "Hello! I'm here to help. What are you looking for?"
+- "Hey there! How can I assist you today?"
+`
+        },
+        {
+            id: ConversationStage.DISCOVERY,
+            label: 'Discovery',
+            signals: DISCOVERY_SIGNALS,
+            priority: 1,
+            objectives: {
+                primary: 'Understand their situation and pain points',
+                secondary: 'Identify their needs',
+                tactics: ['Ask about current challenges', 'Listen actively', 'Identify pain points', 'Avoid pitching']
+            },
+            tactics: DISCOVERY_TACTICS,
+            prompt: `
+CURRENT STAGE: Discovery
+
+OBJECTIVES:
+- Understand their situation
+- Identify pain points
+- Qualify interest level
+
+RESPONSE GUIDELINES:
+- Ask open-ended questions
+- Listen more than you talk
+- Show genuine curiosity
+- Avoid pitching too early
+
+EXAMPLE QUESTIONS:
+- "What challenges are you facing with [their current solution]?"
+- "How are you currently handling [problem area]?"
+- "What would an ideal solution look like for you?"
+- "What's the biggest pain point you're trying to solve?"
+`
+        },
+        {
+            id: ConversationStage.QUALIFICATION,
+            label: 'Qualification',
+            signals: QUALIFICATION_SIGNALS,
+            priority: 3,
+            objectives: {
+                primary: 'Assess BANT (Budget, Authority, Need, Timeline)',
+                secondary: 'Determine if they\'re a good fit',
+                tactics: ['Ask about timeline', 'Gauge budget level', 'Identify decision-makers', 'Assess urgency']
+            },
+            tactics: QUALIFICATION_TACTICS,
+            prompt: `
+CURRENT STAGE: Qualification
+
+OBJECTIVES:
+- Assess BANT criteria
+- Determine fit
+- Gauge urgency
+
+RESPONSE GUIDELINES:
+- Ask qualifying questions naturally
+- Don't interrogate
+- Position questions as helping them
+- Listen for buying signals
+
+EXAMPLE QUESTIONS:
+- "What's your timeline for implementing a solution?"
+- "Who else is involved in this decision?"
+- "What's your budget range for this?"
+- "What happens if you don't solve this problem soon?"
+`
+        },
+        {
+            id: ConversationStage.PRESENTATION,
+            label: 'Presentation',
+            signals: ['features', 'how does', 'show me', 'demo', 'capabilities', 'what can'],
+            priority: 2,
+            objectives: {
+                primary: 'Show relevant features and value',
+                secondary: 'Create desire',
+                tactics: ['Focus on benefits not features', 'Use their words', 'Provide proof', 'Show don\'t tell']
+            },
+            tactics: PRESENTATION_TACTICS,
+            prompt: `
+CURRENT STAGE: Presentation
+
+OBJECTIVES:
+- Show relevant features
+- Demonstrate value
+- Provide social proof
+
+RESPONSE GUIDELINES:
+- Focus on benefits, not features
+- Use their words back to them
+- Show, don't just tell (use actions)
+- Provide specific examples
+
+RESPONSE STRUCTURE:
+1. Acknowledge their need
+2. Present relevant solution
+3. Show proof/example
+4. Check understanding
+
+EXAMPLE:
+"I hear you - speed is critical. Our AI delivers responses in under 200ms, 10x faster than traditional chatbots. Companies like [example] saw 40% higher engagement. Want to see it in action?"
+`
+        },
+        {
+            id: ConversationStage.OBJECTION,
+            label: 'Objection Handling',
+            signals: OBJECTION_SIGNALS,
+            priority: 4,
+            sticky: true,
+            objectives: {
+                primary: 'Address concerns and remove barriers',
+                secondary: 'Build confidence',
+                tactics: ['Acknowledge concern', 'Reframe objection', 'Provide evidence', 'Offer alternatives']
+            },
+            tactics: OBJECTION_TACTICS,
+            prompt: `
+CURRENT STAGE: Objection Handling
+
+OBJECTIVES:
+- Address concerns
+- Remove barriers
+- Build confidence
+
+RESPONSE FRAMEWORK:
+1. Acknowledge: "I understand [concern]"
+2. Reframe: "Let's look at [alternative perspective]"
+3. Evidence: "Customers typically see [proof point]"
+4. Alternative: "We also have [option]"
+
+COMMON OBJECTIONS:
+- Price: Reframe as ROI, offer starter plan
+- Timing: Create urgency, offer low-risk trial
+- Authority: Facilitate decision process
+- Competitor: Differentiate, show unique value
+- Skepticism: Provide proof, risk reversal
+`
+        },
+        {
+            id: ConversationStage.CLOSING,
+            label: 'Closing',
+            signals: ['sign up', 'get started', 'buy', 'purchase', 'trial', 'subscribe', 'join'],
+            priority: 5,
+            sticky: true,
+            objectives: {
+                primary: 'Ask for commitment',
+                secondary: 'Make it easy to say yes',
+                tactics: ['Create urgency', 'Remove friction', 'Assumptive close', 'Direct ask']
+            },
+            tactics: CLOSING_TACTICS,
+            prompt: `
+CURRENT STAGE: Closing
+
+OBJECTIVES:
+- Ask for commitment
+- Remove final barriers
+- Make it easy to say yes
+
+CLOSING TECHNIQUES:
+1. Assumptive: "Which plan works best - Starter or Pro?"
+2. Alternative: "Monthly or annual billing?"
+3. Urgency: "20% discount ends Friday"
+4. Trial: "Does this address your concerns?"
+5. Direct: "Ready to get started?"
+
+RESPONSE GUIDELINES:
+- Be confident but not pushy
+- Create urgency
+- Remove friction
+- Use actions (pulse CTA, highlight plan)
+
+EXAMPLE:
+"Perfect! You'll get [benefits]. We can have you set up in 5 minutes with our free trial - no credit card needed. Ready to start?"
+`
+        },
+        {
+            id: ConversationStage.COMPLETED,
+            label: 'Completed',
+            phase: 'closing',
+            sticky: true,
+            objectives: {
+                primary: 'Ensure smooth onboarding',
+                secondary: 'Set expectations',
+                tactics: ['Confirm next steps', 'Provide resources', 'Thank them']
+            },
+            tactics: {
+                objective: 'Ensure smooth onboarding',
+                approach: 'Confirm next steps and thank them',
+                responseLength: 'short',
+                questionRatio: 0.2
+            }
+        }
+    ],
+    // Without a signal, move forward by how many messages the visitor has sent
+    progression: [
+        { upTo: 0, stage: ConversationStage.GREETING },
+        { upTo: 1, stage: ConversationStage.DISCOVERY },
+        { upTo: 2, stage: ConversationStage.QUALIFICATION },
+        { stage: ConversationStage.PRESENTATION }
+    ]
+};
+
+/**
+ * Demo-booking funnel for sales-led products: qualify, pitch the demo, book a call
+ */
+export const DEMO_BOOKING_FUNNEL = {
+    id: 'demo-booking',
+    initialStage: 'greeting',
+    stages: [
+        {
+            id: 'greeting',
+            label: 'Greeting',
+            phase: 'discovery',
+            objectives: {
+                primary: 'Build rapport and learn what brought them here',
+                secondary: 'Find out their role and company',
+                tactics: ['Be warm and welcoming', 'Ask what they are working on']
+            },
+            tactics: DISCOVERY_TACTICS
+        },
+        {
+            id: 'discovery',
+            label: 'Discovery',
+            signals: DISCOVERY_SIGNALS,
+            priority: 1,
+            objectives: {
+                primary: 'Understand their current process and pain points',
+                secondary: 'Identify who else is involved',
+                tactics: ['Ask about current tools', 'Quantify the pain', 'Avoid pitching']
+            },
+            tactics: DISCOVERY_TACTICS
+        },
+        {
+            id: 'qualification',
+            label: 'Qualification',
+            signals: [...QUALIFICATION_SIGNALS, 'team', 'seats', 'enterprise'],
+            priority: 3,
+            objectives: {
+                primary: 'Confirm fit for a sales conversation (team size, budget, timeline)',
+                secondary: 'Identify the decision-maker',
+                tactics: ['Ask about team size', 'Ask about timeline', 'Ask who signs off']
+            },
+            tactics: QUALIFICATION_TACTICS
+        },
+        {
+            id: 'demo_pitch',
+            label: 'Demo Pitch',
+            phase: 'presentation',
+            signals: ['features', 'how does', 'show me', 'capabilities', 'integrat', 'security'],
+            priority: 2,
+            objectives: {
+                primary: 'Show the value a live demo will cover for them',
+                secondary: 'Tie their pain points to outcomes',
+                tactics: ['Reference their words', 'Preview what the demo will show', 'Offer a call']
+            },
+            tactics: PRESENTATION_TACTICS
+        },
+        {
+            id: 'objection',
+            label: 'Objection Handling',
+            signals: OBJECTION_SIGNALS,
+            priority: 4,
+            sticky: true,
+            objectives: {
+                primary: 'Address concerns without pressure',
+                secondary: 'Keep the door open to a call',
+                tactics: ['Acknowledge concern', 'Provide evidence', 'Offer a shorter intro call']
+            },
+            tactics: OBJECTION_TACTICS
+        },
+        {
+            id: 'booking',
+            label: 'Book a Demo',
+            phase: 'closing',
+            signals: ['book', 'demo', 'schedule', 'call', 'meeting', 'talk to sales', 'contact sales'],
+            priority: 5,
+            sticky: true,
+            objectives: {
+                primary: 'Get a demo on the calendar',
+                secondary: 'Collect their work email',
+                tactics: ['Offer two concrete time slots', 'Ask for their work email', 'Confirm who will attend']
+            },
+            tactics: CLOSING_TACTICS
+        }
+    ],
+    progression: [
+        { upTo: 0, stage: 'greeting' },
+        { upTo: 1, stage: 'discovery' },
+        { upTo: 3, stage: 'qualification' },
+        { stage: 'demo_pitch' }
+    ]
+};
+
+/**
+ * Built-in funnels selectable by name
+ */
+export const FUNNEL_PRESETS = {
+    'self-serve': SELF_SERVE_FUNNEL,
+    'demo-booking': DEMO_BOOKING_FUNNEL
+};
@@ -6,6 +6,42 @@
 import { SalesMethodology, BANTFramework, SPINFramework } from './methodology.js';
 import { ClosingStatements, ULTIMATE_CLOSE, ClosingOptimizer } from './closing.js';
 import { BestPersonalizationStrategy, PersonalizationEngine, PersonalizationRules } from './personalization.js';
+import { getMeetingsConfig } from '../config.js';
+import { experiments, ExperimentTarget } from '../experiments/index.js';
+
+/**
+ * Normalize an extracted page context (context.js) to the shape the sales
+ * modules read: top-level `pricing` with `name`, plus `features`/`testimonials`
+ * @param {Object} pageContext - Page context from extractPageContext()
+ * @returns {Object} Sales context
+ */
+export function toSalesContext(pageContext = {}) {
+    const content = pageContext.content || {};
+    const pricing = pageContext.pricing || content.pricing || [];
+
+    return {
+        ...pageContext,
+        pricing: pricing.map(plan => ({ ...plan, name: plan.name || plan.plan })),
+        features: pageContext.features || content.features || [],
+        testimonials: pageContext.testimonials || content.testimonials || []
+    };
+}
+
+/**
+ * Whether the demo close can offer a call (meeting booking is set up)
+ * @returns {boolean} True when a meetings provider is configured
+ */
+function canBookMeeting() {
+    const { enabled, provider } = getMeetingsConfig();
+    return enabled && !!provider;
+}
+
+// Recommended action types mapped onto the agent's tool calls
+const ACTION_TOOL_MAP = {
+    navigate: (action) => ({ name: 'scroll', arguments: { section: action.target } }),
+    focus: (action) => ({ name: 'focus', arguments: { target: action.target } }),
+    pulse_cta: (action) => ({ name: 'pulse_cta', arguments: { selector: action.target } })
+};
 
 /**
  * Sales Executive AI
@@ -17,6 +53,16 @@ export class SalesExecutiveAI {
         this.personalization = new BestPersonalizationStrategy();
         this.conversationHistory = [];
         this.behaviorData = {};
+        this.executedActions = new Set();
+    }
+
+    /**
+     * Replace the analyzed history with the chat pipeline's history
+     * Keeps BANT and profiling in step after restores and resets
+     * @param {Array<Object>} history - Conversation history ({ role, content })
+     */
+    syncHistory(history = []) {
+        this.conversationHistory = history.map(msg => ({ role: msg.role, content: msg.content }));
     }
 
     /**
@@ -27,6 +73,8 @@ export class SalesExecutiveAI {
      * @returns {Object} Sales response with actions
      */
     async processMessage(userMessage, pageContext, behaviorData = {}) {
+        pageContext = toSalesContext(pageContext);
+
         // Update conversation history
         this.conversationHistory.push({
             role: 'user',
@@ -67,7 +115,7 @@ export class SalesExecutiveAI {
      * Build sales-optimized prompt for AI
      */
     buildSalesPrompt(userMessage, salesAnalysis, userProfile, pageContext) {
-        const { stage, bant, tactics } = salesAnalysis;
+        const { stage, phase, bant, tactics } = salesAnalysis;
 
         let prompt = `You are an elite AI sales executive. Current conversation stage: ${stage}\n\n`;
 
@@ -99,7 +147,7 @@ export class SalesExecutiveAI {
         prompt += `- Question Ratio: ${(tactics.questionRatio * 100).toFixed(0)}%\n\n`;
 
         // Add SPIN questions for this stage
-        const spinQuestions = SPINFramework.generateQuestions(stage, pageContext);
+        const spinQuestions = SPINFramework.generateQuestions(phase, pageContext);
         prompt += `SUGGESTED QUESTIONS (SPIN):\n`;
         spinQuestions.forEach(q => prompt += `- ${q}\n`);
         prompt += `\n`;
@@ -113,13 +161,18 @@ export class SalesExecutiveAI {
         prompt += `- Questions: ${responseStyle.questions}\n\n`;
 
         // Add closing guidance if appropriate
-        if (stage === 'closing' || bant.totalScore >= 0.7) {
+        if (phase === 'closing' || bant.totalScore >= 0.7) {
+            // Visitors only count as exposed to a closing experiment once they reach a close
+            const closingVariant = experiments.getTreatment(ExperimentTarget.CLOSING) || {};
             const closingContext = {
                 userProfile,
                 bantScore: bant.totalScore,
                 objections: userProfile.objections,
                 conversationLength: this.conversationHistory.length,
-                pageContext
+                pageContext,
+                canBookMeeting: canBookMeeting(),
+                technique: closingVariant.technique,
+                statement: closingVariant.statement
             };
             const closing = ClosingStatements.getBestClose(closingContext);
 
@@ -171,10 +224,10 @@ export class SalesExecutiveAI {
      */
     getRecommendedActions(salesAnalysis, userProfile, pageContext) {
         const actions = [];
-        const { stage, bant } = salesAnalysis;
+        const { phase, bant } = salesAnalysis;
 
-        // Navigation actions based on stage
-        if (stage === 'qualification' || stage === 'presentation') {
+        // Navigation actions based on the stage's sales phase
+        if (phase === 'qualification' || phase === 'presentation') {
             if (userProfile.interests.some(i => i.toLowerCase().includes('price'))) {
                 actions.push({
                     type: 'navigate',
@@ -192,7 +245,7 @@ export class SalesExecutiveAI {
         }
 
         // Closing actions
-        if (stage === 'closing' || bant.totalScore >= 0.7) {
+        if (phase === 'closing' || bant.totalScore >= 0.7) {
             actions.push({
                 type: 'navigate',
                 target: 'pricing',
@@ -212,16 +265,42 @@ export class SalesExecutiveAI {
                 });
             }
 
-            actions.push({
-                type: 'pulse_cta',
-                target: 'signup button',
-                priority: 'high'
-            });
+            // Enterprise buyers get the demo close, not a nudge toward self-serve signup
+            if (userProfile.companySize !== 'enterprise' || !canBookMeeting()) {
+                actions.push({
+                    type: 'pulse_cta',
+                    target: 'signup button',
+                    priority: 'high'
+                });
+            }
         }
 
         return actions;
     }
 
+    /**
+     * Turn recommended actions into tool calls, skipping any already run this session
+     * so the page doesn't jump back to pricing on every closing-stage turn
+     * @param {Array<Object>} recommendedActions - From getRecommendedActions()
+     * @returns {Array<Object>} Tool calls ({ name, arguments })
+     */
+    getActionPlan(recommendedActions = []) {
+        const plan = [];
+
+        recommendedActions.forEach(action => {
+            const toToolCall = ACTION_TOOL_MAP[action.type];
+            if (!toToolCall || !action.target) return;
+
+            const key = `${action.type}:${action.target}`;
+            if (this.executedActions.has(key)) return;
+
+            this.executedActions.add(key);
+            plan.push(toToolCall(action));
+        });
+
+        return plan;
+    }
+
     /**
      * Get conversation insights
      */
@@ -231,12 +310,13 @@ export class SalesExecutiveAI {
 
         return {
             stage: salesAnalysis.stage,
+            phase: salesAnalysis.phase,
             bant: salesAnalysis.bant,
             userProfile,
             recommendation: salesAnalysis.recommendation,
             conversationLength: this.conversationHistory.length,
             qualified: salesAnalysis.bant.isQualified,
-            readyToClose: salesAnalysis.stage === 'closing' && salesAnalysis.bant.totalScore >= 0.7
+            readyToClose: salesAnalysis.phase === 'closing' && salesAnalysis.bant.totalScore >= 0.7
         };
     }
 
@@ -247,14 +327,19 @@ export class SalesExecutiveAI {
         this.conversationHistory = [];
         this.behaviorData = {};
         this.personalization = new BestPersonalizationStrategy();
+        this.executedActions = new Set();
     }
 }
 
+// Export singleton instance
+export const salesExecutive = new SalesExecutiveAI();
+
 /**
  * Enhanced System Prompt Builder
  * Builds complete sales-optimized system prompts
  */
 export function buildSalesSystemPrompt(pageContext, conversationHistory = []) {
+    pageContext = toSalesContext(pageContext);
     const salesAI = new SalesExecutiveAI();
 
     // If we have conversation history, analyze it
@@ -353,9 +438,7 @@ COMMUNICATION STYLE:
 7. Match user's tone and urgency
 
 AVAILABLE ACTIONS:
-- {"action": "scroll", "section": "pricing"} - Navigate to section
-- {"action": "highlight", "element": ".plan-card"} - Highlight element
-- {"action": "pulse_cta", "element": ".signup-btn"} - Animate CTA
+Use the scroll, highlight, pulse_cta, compare, read, click and focus tools to show the visitor what you describe.
 
 Now respond as an elite sales executive, following the methodology and stage tactics above.
 `;
@@ -3,6 +3,8 @@
  * Implements BANT + SPIN selling methodology for AI sales conversations
  */
 
+import { funnelEngine } from './funnel.js';
+
 /**
  * BANT Qualification Framework
  * Budget, Authority, Need, Timeline
@@ -253,145 +255,12 @@ export const SPINFramework = {
     }
 };
 
-/**
- * Sales Conversation Stage Manager
- */
-export class SalesStageManager {
-    constructor() {
-        this.stages = ['discovery', 'qualification', 'presentation', 'objection', 'closing'];
-        this.currentStage = 'discovery';
-        this.stageHistory = [];
-    }
-
-    /**
-     * Detect conversation stage from messages
-     * @param {Array<string>} messages - Conversation messages
-     * @returns {string} Detected stage
-     */
-    detectStage(messages) {
-        const lastMessage = messages[messages.length - 1].toLowerCase();
-        const messageCount = messages.length;
-
-        // Stage detection logic
-        const stageIndicators = {
-            discovery: {
-                keywords: ['what', 'how', 'tell me', 'explain', 'show me', 'help'],
-                minMessages: 0,
-                maxMessages: 3
-            },
-            qualification: {
-                keywords: ['price', 'cost', 'budget', 'team', 'when', 'timeline'],
-                minMessages: 2,
-                maxMessages: 10
-            },
-            presentation: {
-                keywords: ['features', 'capabilities', 'how does', 'demo', 'show'],
-                minMessages: 3,
-                maxMessages: 15
-            },
-            objection: {
-                keywords: ['but', 'however', 'expensive', 'not sure', 'concern', 'worried'],
-                minMessages: 2,
-                maxMessages: 20
-            },
-            closing: {
-                keywords: ['sign up', 'get started', 'buy', 'purchase', 'trial', 'ready'],
-                minMessages: 4,
-                maxMessages: 100
-            }
-        };
-
-        // Check each stage
-        for (const [stage, indicators] of Object.entries(stageIndicators)) {
-            const hasKeyword = indicators.keywords.some(kw => lastMessage.includes(kw));
-            const inMessageRange = messageCount >= indicators.minMessages &&
-                messageCount <= indicators.maxMessages;
-
-            if (hasKeyword && inMessageRange) {
-                this.updateStage(stage);
-                return stage;
-            }
-        }
-
-        // Default progression based on message count
-        if (messageCount <= 2) return this.updateStage('discovery');
-        if (messageCount <= 5) return this.updateStage('qualification');
-        if (messageCount <= 10) return this.updateStage('presentation');
-        return this.currentStage;
-    }
-
-    /**
-     * Update current stage
-     */
-    updateStage(newStage) {
-        if (newStage !== this.currentStage) {
-            this.stageHistory.push({
-                stage: this.currentStage,
-                timestamp: Date.now()
-            });
-            this.currentStage = newStage;
-        }
-        return this.currentStage;
-    }
-
-    /**
-     * Get stage-specific tactics
-     */
-    getStageTactics(stage) {
-        const tactics = {
-            discovery: {
-                objective: 'Build rapport and understand needs',
-                approach: 'Ask open-ended questions, listen actively',
-                responseLength: 'short',
-                questionRatio: 0.7 // 70% questions
-            },
-            qualification: {
-                objective: 'Assess BANT criteria',
-                approach: 'Qualify naturally through conversation',
-                responseLength: 'medium',
-                questionRatio: 0.5
-            },
-            presentation: {
-                objective: 'Show relevant value',
-                approach: 'Focus on benefits, provide proof',
-                responseLength: 'medium',
-                questionRatio: 0.3
-            },
-            objection: {
-                objective: 'Address concerns',
-                approach: 'Acknowledge, reframe, provide evidence',
-                responseLength: 'medium',
-                questionRatio: 0.4
-            },
-            closing: {
-                objective: 'Ask for commitment',
-                approach: 'Remove friction, create urgency',
-                responseLength: 'short',
-                questionRatio: 0.2
-            }
-        };
-
-        return tactics[stage] || tactics.discovery;
-    }
-
-    /**
-     * Get current stage info
-     */
-    getCurrentStageInfo() {
-        return {
-            stage: this.currentStage,
-            tactics: this.getStageTactics(this.currentStage),
-            history: this.stageHistory
-        };
-    }
-}
-
 /**
  * Integrated Sales Methodology
  */
 export class SalesMethodology {
-    constructor() {
-        this.stageManager = new SalesStageManager();
+    constructor(stageEngine = funnelEngine) {
+        this.stageEngine = stageEngine;
     }
 
     /**
@@ -405,8 +274,9 @@ export class SalesMethodology {
             .filter(msg => msg.role === 'user')
             .map(msg => msg.content);
 
-        // Detect stage
-        const stage = this.stageManager.detectStage(userMessages);
+        // Stage comes from the funnel engine so prompt and analysis always agree
+        const stage = this.stageEngine.currentStage;
+        const phase = this.stageEngine.getPhase(stage);
 
         // Assess BANT
         const bantAssessment = BANTFramework.assess({
@@ -414,25 +284,27 @@ export class SalesMethodology {
         });
 
         // Get SPIN questions
-        const spinQuestions = SPINFramework.generateQuestions(stage, {});
+        const spinQuestions = SPINFramework.generateQuestions(phase, {});
 
         // Get stage tactics
-        const tactics = this.stageManager.getStageTactics(stage);
+        const tactics = this.stageEngine.getStageTactics(stage);
 
         return {
             stage,
+            phase,
             bant: bantAssessment,
             suggestedQuestions: spinQuestions,
             tactics,
-            recommendation: this.getActionRecommendation(stage, bantAssessment)
+            recommendation: this.getActionRecommendation(phase, bantAssessment)
         };
     }
 
     /**
      * Get action recommendation
+     * @param {string} phase - Canonical sales phase of the current stage
      */
-    getActionRecommendation(stage, bantAssessment) {
-        if (bantAssessment.isQualified && stage === 'closing') {
+    getActionRecommendation(phase, bantAssessment) {
+        if (bantAssessment.isQualified && phase === 'closing') {
             return {
                 action: 'close_now',
                 message: 'Strong qualification + closing stage = Ask for commitment',
@@ -440,7 +312,7 @@ export class SalesMethodology {
             };
         }
 
-        if (bantAssessment.isQualified && stage === 'presentation') {
+        if (bantAssessment.isQualified && phase === 'presentation') {
             return {
                 action: 'move_to_close',
                 message: 'Qualified lead - transition to closing',
@@ -448,7 +320,7 @@ export class SalesMethodology {
             };
         }
 
-        if (!bantAssessment.isQualified && stage === 'discovery') {
+        if (!bantAssessment.isQualified && phase === 'discovery') {
             return {
                 action: 'continue_discovery',
                 message: 'Continue qualifying through SPIN questions',
@@ -458,7 +330,7 @@ export class SalesMethodology {
 
         return {
             action: 'follow_stage',
-            message: `Continue with ${stage} tactics`,
+            message: `Continue with ${phase} tactics`,
             urgency: 'medium'
         };
     }
@@ -0,0 +1,196 @@
+/**
+ * Trigger Rules
+ * Declarative proactive-engagement triggers, so the nudges can be tuned in
+ * `Blitsum.init({ triggers })` instead of code. A rule is compiled into a
+ * trigger for EngagementTriggers.addTrigger().
+ *
+ * Conditions are objects over these facts (several keys in one object must
+ * all hold; `all`, `any` and `not` combine them):
+ *   timeOnPage, inactivity (seconds), scrollDepth, maxScrollDepth (%),
+ *   pricingViewed, featuresViewed, ctaHovered, ctaClicked, exitIntentDetected
+ *   (an exit signal in the last 10 seconds), exitIntentAge (seconds since the
+ *   latest one), planComparisons, messagesSent, url (path glob, `*` =
+ *   anything) and stage (conversation stage ID).
+ * A value matches by equality (a list: any of them); operators are
+ * { eq, ne, gt, gte, lt, lte, in }.
+ *
+ * Example:
+ *   Blitsum.init({ triggers: [{
+ *       id: 'pricing-hesitation',
+ *       url: '/pricing*',
+ *       when: { pricingViewed: true, timeOnPage: { gte: 45 }, any: [{ inactivity: { gte: 20 } }, { exitIntentDetected: true }] },
+ *       message: { en: 'Comparing plans? I can tell you which fits your team.', de: 'Sie vergleichen Tarife? Ich helfe gern.' },
+ *       priority: 'high',
+ *       cooldown: 600,
+ *       maxPerSession: 1,
+ *       quietHours: { start: '22:00', end: '07:00' }
+ *   }] })
+ *
+ * Messages can use {page}, {path}, {stage}, {minutes} and any fact, e.g.
+ * "Still reading after {minutes} minutes?". Times are seconds; quiet hours
+ * are HH:MM in `timezone` (the visitor's own by default) and may wrap past
+ * midnight.
+ */
+
+import { getZonedParts, isValidTimeZone, getLocalTimeZone } from '../meetings/schedule.js';
+
+export const TRIGGER_FIELDS = [
+    'timeOnPage', 'inactivity', 'scrollDepth', 'maxScrollDepth', 'pricingViewed', 'featuresViewed',
+    'ctaHovered', 'ctaClicked', 'exitIntentDetected', 'exitIntentAge', 'planComparisons', 'messagesSent', 'url', 'stage'
+];
+
+export const TRIGGER_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+const OPERATORS = {
+    eq: (actual, expected) => actual === expected,
+    ne: (actual, expected) => actual !== expected,
+    gt: (actual, expected) => actual > expected,
+    gte: (actual, expected) => actual >= expected,
+    lt: (actual, expected) => actual < expected,
+    lte: (actual, expected) => actual <= expected,
+    in: (actual, expected) => [].concat(expected).includes(actual)
+};
+
+// Rule defaults (seconds)
+const DEFAULT_COOLDOWN = 300;
+const DEFAULT_MAX_PER_SESSION = 1;
+
+/**
+ * Whether a path matches a glob ("/pricing*", "/blog/*") or a RegExp
+ * @param {string|RegExp} pattern - Pattern
+ * @param {string} path - Path to test, e.g. location.pathname
+ * @returns {boolean} True on a match
+ */
+export function matchesUrlPattern(pattern, path) {
+    if (pattern instanceof RegExp) return pattern.test(path);
+    const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(path);
+}
+
+/**
+ * Predicate for one fact
+ */
+function compileField(field, expected) {
+    if (!TRIGGER_FIELDS.includes(field)) {
+        throw new Error(`Unknown trigger field "${field}"`);
+    }
+
+    if (field === 'url') {
+        const patterns = [].concat(expected);
+        return (facts) => patterns.some(pattern => matchesUrlPattern(pattern, facts.url));
+    }
+    if (Array.isArray(expected)) return (facts) => expected.includes(facts[field]);
+    if (expected === null || typeof expected !== 'object') return (facts) => facts[field] === expected;
+
+    const checks = Object.entries(expected).map(([operator, value]) => {
+        if (!OPERATORS[operator]) {
+            throw new Error(`Unknown operator "${operator}" for ${field}`);
+        }
+        return (facts) => OPERATORS[operator](facts[field], value);
+    });
+    return (facts) => checks.every(check => check(facts));
+}
+
+/**
+ * Compile a condition into a predicate over facts
+ * @param {Object|Array|null} spec - Condition (an array means all of them)
+ * @returns {Function} (facts) => boolean
+ * @throws {Error} On unknown fields or operators
+ */
+export function compileCondition(spec) {
+    if (spec === undefined || spec === null) return () => true;
+    if (Array.isArray(spec)) {
+        const parts = spec.map(compileCondition);
+        return (facts) => parts.every(part => part(facts));
+    }
+    if (typeof spec !== 'object') {
+        throw new Error('A trigger condition must be an object');
+    }
+
+    const parts = Object.entries(spec).map(([key, value]) => {
+        if (key === 'all' || key === 'any') {
+            const list = [].concat(value).map(compileCondition);
+            return key === 'all'
+                ? (facts) => list.every(part => part(facts))
+                : (facts) => list.some(part => part(facts));
+        }
+        if (key === 'not') {
+            const inner = compileCondition(value);
+            return (facts) => !inner(facts);
+        }
+        return compileField(key, value);
+    });
+    return (facts) => parts.every(part => part(facts));
+}
+
+const parseClock = (value) => {
+    const [hour, minute = 0] = String(value).split(':').map(Number);
+    return hour * 60 + minute;
+};
+
+/**
+ * Whether it's currently within quiet hours
+ * @param {Object|null} quietHours - { start: 'HH:MM', end: 'HH:MM', timezone }
+ * @param {Date} now - Instant to check
+ * @returns {boolean} True when proactive messages should wait
+ */
+export function isQuietTime(quietHours, now = new Date()) {
+    if (!quietHours?.start || !quietHours?.end) return false;
+
+    const timeZone = isValidTimeZone(quietHours.timezone) ? quietHours.timezone : getLocalTimeZone();
+    const { hour, minute } = getZonedParts(now, timeZone);
+    const current = hour * 60 + minute;
+    const start = parseClock(quietHours.start);
+    const end = parseClock(quietHours.end);
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+}
+
+/**
+ * Fill a message template
+ * @param {string|Object} template - Text, or { [language]: text }
+ * @param {Object} values - Values for {placeholders}
+ * @param {string} language - Current language code
+ * @returns {string} Message
+ */
+export function renderTriggerMessage(template, values = {}, language = 'en') {
+    const text = template && typeof template === 'object'
+        ? template[language] || template.en || Object.values(template)[0]
+        : template;
+    return String(text || '').replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+}
+
+/**
+ * Turn a trigger rule into a trigger for EngagementTriggers.addTrigger()
+ * @param {Object} rule - { id, when, url, stage, message, priority, delay, cooldown, maxPerSession, quietHours }
+ * @returns {Object|null} Trigger, or null when the rule is invalid
+ */
+export function compileTriggerRule(rule = {}) {
+    if (!rule.id || !rule.message) {
+        console.warn('[Triggers] Skipping a trigger without id or message');
+        return null;
+    }
+
+    let matches;
+    try {
+        matches = compileCondition([
+            rule.when,
+            rule.url !== undefined ? { url: rule.url } : null,
+            rule.stage !== undefined ? { stage: rule.stage } : null
+        ]);
+    } catch (error) {
+        console.warn(`[Triggers] Skipping ${rule.id}: ${error.message}`);
+        return null;
+    }
+
+    return {
+        id: String(rule.id),
+        condition: (behavior, tracker, facts) => matches(facts),
+        message: rule.message,
+        priority: TRIGGER_PRIORITIES.includes(rule.priority) ? rule.priority : 'medium',
+        delay: (Number(rule.delay) || 0) * 1000,
+        cooldown: (rule.cooldown ?? DEFAULT_COOLDOWN) * 1000,
+        maxPerSession: rule.maxPerSession ?? DEFAULT_MAX_PER_SESSION,
+        // undefined falls back to the global quiet hours; null/false means none
+        quietHours: rule.quietHours
+    };
+}
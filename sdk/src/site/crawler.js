@@ -0,0 +1,226 @@
+/**
+ * Site Crawler
+ * Walks same-origin pages (sitemap first, then discovered links), runs the
+ * page extractors on each one and produces a versioned site index.
+ *
+ * The crawler doesn't know how documents are obtained: the browser passes a
+ * DOMParser or hidden-iframe loader (see site/index.js), the Node CLI passes
+ * a jsdom loader (see sdk/server/crawl.js).
+ */
+
+import { extractDocumentContent } from '../context.js';
+import { hashContent } from '../utils/cache.js';
+
+/**
+ * Site index schema version - bump when the page shape changes
+ */
+export const SITE_INDEX_VERSION = 1;
+
+// Links to these are never HTML pages worth extracting
+const NON_PAGE_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|ico|pdf|zip|css|js|mjs|json|xml|txt|mp3|mp4|webm|woff2?|ttf)$/i;
+
+// Never crawled, whatever `exclude` says: following these can sign the visitor
+// out, unsubscribe them or pull account-only text into the index
+export const SENSITIVE_PATHS = /\/(?:log-?out|sign-?out|accounts?|admin|cart|checkout|unsubscribe)(?:[/.]|$)/i;
+
+const DEFAULT_OPTIONS = {
+    maxPages: 30,
+    delayMs: 250,
+    exclude: [],
+    useSitemap: true
+};
+
+/**
+ * Normalize a link to a crawlable same-origin URL
+ * @param {string} href - Absolute or relative link
+ * @param {string} origin - Site origin (e.g. https://example.com)
+ * @returns {string|null} Normalized URL, or null when it shouldn't be crawled
+ */
+export function normalizePageUrl(href, origin) {
+    let url;
+    try {
+        url = new URL(href, origin);
+    } catch {
+        return null;
+    }
+
+    if (url.origin !== origin || !/^https?:$/.test(url.protocol)) return null;
+    if (NON_PAGE_EXTENSIONS.test(url.pathname)) return null;
+
+    url.hash = '';
+    url.search = '';
+    const path = url.pathname.length > 1 ? url.pathname.replace(/\/+$/, '') : url.pathname;
+    return `${url.origin}${path}`;
+}
+
+/**
+ * Pull <loc> entries out of a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {Array<string>} URLs
+ */
+export function parseSitemap(xml = '') {
+    return [...xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map(match => match[1].replace(/&amp;/g, '&'));
+}
+
+/**
+ * Reduce an extracted page to what the site index keeps
+ * @param {Object} snapshot - Output of extractDocumentContent()
+ * @param {string} origin - Site origin
+ * @returns {Object} Site page
+ */
+function toSitePage(snapshot, origin) {
+    const { pathname } = new URL(snapshot.url);
+    const { metadata, ...content } = snapshot.content;
+
+    return {
+        url: snapshot.url,
+        path: pathname,
+        title: snapshot.title,
+        description: metadata?.description || '',
+        summary: snapshot.summary,
+        keywords: snapshot.keywords,
+        content,
+        structure: {
+            sections: snapshot.structure.sections.map(({ id, type, heading, text }) => ({ id, type, heading, text }))
+        },
+        links: [...new Set(snapshot.links
+            .map(link => normalizePageUrl(link.href, origin))
+            .filter(Boolean)
+            .map(url => new URL(url).pathname))],
+        extractedAt: snapshot.extractedAt
+    };
+}
+
+/**
+ * Wrap crawled pages in a versioned index
+ * @param {string} origin - Site origin
+ * @param {Array<Object>} pages - Site pages
+ * @returns {Object} { version, origin, hash, builtAt, pages }
+ */
+export function buildSiteIndex(origin, pages) {
+    // Content hash, so clients can tell a rebuilt-but-identical index from a changed one
+    const hash = hashContent(JSON.stringify(pages.map(page => ({ ...page, extractedAt: undefined }))));
+    return {
+        version: SITE_INDEX_VERSION,
+        origin,
+        hash,
+        builtAt: new Date().toISOString(),
+        pages
+    };
+}
+
+export class SiteCrawler {
+    /**
+     * @param {Object} options
+     * @param {Function} options.loadDocument - async (url) => Document
+     * @param {Function} [options.fetchText] - async (url) => string, used for sitemaps
+     * @param {number} [options.maxPages] - Stop after this many pages
+     * @param {number} [options.delayMs] - Pause between page loads
+     * @param {Array<string|RegExp>} [options.exclude] - Paths (prefixes) or patterns to skip
+     * @param {boolean} [options.useSitemap] - Seed the queue from /sitemap.xml
+     */
+    constructor(options = {}) {
+        if (typeof options.loadDocument !== 'function') {
+            throw new Error('SiteCrawler needs a loadDocument(url) function');
+        }
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.loadDocument = options.loadDocument;
+        this.fetchText = options.fetchText || defaultFetchText;
+        this.aborted = false;
+    }
+
+    /**
+     * Whether a URL is a sensitive path or excluded by the `exclude` option
+     * @param {string} url - Normalized URL
+     * @returns {boolean} True to skip
+     */
+    isExcluded(url) {
+        const { pathname } = new URL(url);
+        if (SENSITIVE_PATHS.test(pathname)) return true;
+        return this.options.exclude.some(rule => rule instanceof RegExp
+            ? rule.test(pathname)
+            : pathname.startsWith(rule));
+    }
+
+    /**
+     * Read sitemap URLs, following one level of sitemap index
+     * @param {string} origin - Site origin
+     * @returns {Promise<Array<string>>} Page URLs
+     */
+    async readSitemap(origin) {
+        try {
+            const entries = parseSitemap(await this.fetchText(`${origin}/sitemap.xml`));
+            const nested = entries.filter(entry => entry.endsWith('.xml'));
+            const pages = entries.filter(entry => !entry.endsWith('.xml'));
+
+            for (const sitemapUrl of nested) {
+                pages.push(...parseSitemap(await this.fetchText(sitemapUrl)).filter(entry => !entry.endsWith('.xml')));
+            }
+            return pages;
+        } catch (error) {
+            console.log('[Crawler] No sitemap, following links only:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Crawl the site starting from a URL
+     * @param {string} startUrl - First page to visit
+     * @param {Function} [onPage] - Called with (page, count) after each page
+     * @returns {Promise<Object>} Site index
+     */
+    async crawl(startUrl, onPage = null) {
+        const { origin } = new URL(startUrl);
+        const { maxPages, delayMs, useSitemap } = this.options;
+        const queue = [normalizePageUrl(startUrl, origin)];
+        const visited = new Set();
+        const pages = [];
+
+        if (useSitemap) {
+            queue.push(...(await this.readSitemap(origin)).map(url => normalizePageUrl(url, origin)));
+        }
+
+        while (queue.length > 0 && pages.length < maxPages && !this.aborted) {
+            const url = queue.shift();
+            if (!url || visited.has(url) || this.isExcluded(url)) continue;
+            visited.add(url);
+
+            try {
+                const doc = await this.loadDocument(url);
+                const page = toSitePage(extractDocumentContent(doc, url), origin);
+                pages.push(page);
+                page.links.forEach(path => queue.push(normalizePageUrl(path, origin)));
+                if (onPage) onPage(page, pages.length);
+            } catch (error) {
+                console.warn(`[Crawler] Skipping ${url}:`, error.message);
+            }
+
+            if (delayMs > 0 && queue.length > 0) {
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+
+        console.log(`[Crawler] Indexed ${pages.length} pages from ${origin}`);
+        return buildSiteIndex(origin, pages);
+    }
+
+    /**
+     * Stop after the page currently loading
+     */
+    abort() {
+        this.aborted = true;
+    }
+}
+
+/**
+ * Fetch a URL as text, failing on HTTP errors
+ * @param {string} url - URL
+ * @returns {Promise<string>} Body text
+ */
+async function defaultFetchText(url) {
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    return response.text();
+}
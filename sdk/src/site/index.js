@@ -0,0 +1,292 @@
+/**
+ * Site Index
+ * Site-wide knowledge base built by the crawler, so the assistant can answer
+ * from pages the visitor isn't on (and point them there).
+ *
+ * The index comes from, in order:
+ *   1. a prebuilt JSON file (`npm run crawl` writes one) at `siteIndex.url`
+ *   2. the copy cached in localStorage by an earlier background crawl
+ *   3. a background crawl in the browser when `siteIndex.crawl` is on
+ *
+ * Example:
+ *   Blitsum.init({ siteIndex: { url: '/blitsum-site-index.json' } })
+ *   Blitsum.init({ siteIndex: { crawl: true, maxPages: 20, exclude: ['/blog'] } })
+ *
+ * The browser crawl fetches pages without cookies (what a signed-out visitor
+ * sees) and never follows sign-out, account, admin, cart, checkout or
+ * unsubscribe links. Rendering client-side routes in a hidden frame runs the
+ * host's scripts for every page, so it's opt-in (`strategy: 'auto'` or 'iframe').
+ */
+
+import { getSiteIndexConfig } from '../config.js';
+import { SiteCrawler, SITE_INDEX_VERSION } from './crawler.js';
+
+const STORAGE_KEY = 'blitsum_site_index';
+
+// Window name of the hidden crawl frame; the SDK doesn't mount inside it
+export const CRAWLER_FRAME_NAME = 'blitsum-crawler';
+
+// Pages with less text than this were probably rendered client-side
+const MIN_SERVER_RENDERED_TEXT = 200;
+
+// Time for a client-rendered route to finish rendering in the crawl frame
+const FRAME_SETTLE_DELAY = 1500;
+const FRAME_TIMEOUT = 15000;
+
+/**
+ * Parse fetched HTML, anchoring relative links at the page's own URL
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @returns {Document} Parsed document
+ */
+function parseHtml(html, url) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const base = doc.createElement('base');
+    base.href = url;
+    doc.head.prepend(base);
+    return doc;
+}
+
+/**
+ * Render a page in a hidden same-origin iframe (for client-rendered routes)
+ * @param {string} url - Page URL
+ * @returns {Promise<Document>} Rendered document (detached copy)
+ */
+function renderInFrame(url) {
+    return new Promise((resolve, reject) => {
+        const frame = document.createElement('iframe');
+        frame.name = CRAWLER_FRAME_NAME;
+        frame.setAttribute('aria-hidden', 'true');
+        frame.tabIndex = -1;
+        frame.style.cssText = 'position:fixed;left:-10000px;top:0;width:1280px;height:800px;border:0;visibility:hidden;';
+
+        const timeout = setTimeout(() => {
+            frame.remove();
+            reject(new Error('Timed out rendering page'));
+        }, FRAME_TIMEOUT);
+
+        frame.addEventListener('load', () => {
+            setTimeout(() => {
+                clearTimeout(timeout);
+                try {
+                    const html = frame.contentDocument.documentElement.outerHTML;
+                    resolve(parseHtml(html, url));
+                } catch (error) {
+                    reject(error);
+                } finally {
+                    frame.remove();
+                }
+            }, FRAME_SETTLE_DELAY);
+        }, { once: true });
+
+        frame.src = url;
+        document.body.appendChild(frame);
+    });
+}
+
+/**
+ * Create a browser document loader for the configured strategy
+ * @param {string} strategy - 'fetch' (default), 'iframe' or 'auto' (fetch, render when the HTML is an empty shell)
+ * @returns {Function} async (url) => Document
+ */
+export function createBrowserLoader(strategy = 'fetch') {
+    return async (url) => {
+        if (strategy === 'iframe') return renderInFrame(url);
+
+        // No cookies, so the index never holds the signed-in visitor's own pages
+        const response = await fetch(url, { credentials: 'omit' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        if (!(response.headers.get('content-type') || '').includes('text/html')) {
+            throw new Error('Not an HTML page');
+        }
+
+        const doc = parseHtml(await response.text(), url);
+        const textLength = (doc.body?.textContent || '').trim().length;
+        if (strategy === 'auto' && textLength < MIN_SERVER_RENDERED_TEXT) {
+            return renderInFrame(url);
+        }
+        return doc;
+    };
+}
+
+/**
+ * Whether an index object is usable by this SDK version
+ * @param {Object} index - Site index
+ * @returns {boolean} True if valid
+ */
+function isValidIndex(index) {
+    return !!index && index.version === SITE_INDEX_VERSION && Array.isArray(index.pages);
+}
+
+export class SiteIndex {
+    constructor() {
+        this.index = null;
+        this.crawler = null;
+        this.cancelScheduledCrawl = null;
+        this.initialized = false;
+    }
+
+    /**
+     * Load the index (file, then cache) and schedule a background crawl if configured
+     * @returns {Promise<Object|null>} Site index, or null when none is available yet
+     */
+    async init() {
+        const config = getSiteIndexConfig();
+        if (!config.enabled || this.initialized) return this.index;
+        this.initialized = true;
+
+        if (config.url) {
+            await this.loadFromUrl(config.url);
+        }
+
+        if (!this.index) {
+            this.index = this.loadFromStorage();
+        }
+
+        if (config.crawl && this.isStale()) {
+            this.scheduleCrawl();
+        }
+
+        return this.index;
+    }
+
+    /**
+     * Fetch a prebuilt index
+     * @param {string} url - Index URL
+     */
+    async loadFromUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const index = await response.json();
+            if (!isValidIndex(index)) throw new Error(`Unsupported site index version: ${index?.version}`);
+
+            this.index = index;
+            console.log(`[SiteIndex] Loaded ${index.pages.length} pages from ${url}`);
+        } catch (error) {
+            console.warn('[SiteIndex] Could not load site index:', error.message);
+        }
+    }
+
+    /**
+     * Read the cached index for this origin
+     * @returns {Object|null} Site index
+     */
+    loadFromStorage() {
+        try {
+            const index = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+            if (isValidIndex(index) && index.origin === window.location.origin) return index;
+        } catch {
+            // Missing, corrupt or storage unavailable
+        }
+        return null;
+    }
+
+    /**
+     * Cache the index (large sites may not fit - then it lives in memory only)
+     */
+    saveToStorage() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.index));
+        } catch (error) {
+            console.warn('[SiteIndex] Could not cache site index:', error.message);
+        }
+    }
+
+    /**
+     * Whether the index is missing or older than `refreshHours`
+     * @returns {boolean} True if a crawl is due
+     */
+    isStale() {
+        if (!this.index) return true;
+        const ageHours = (Date.now() - new Date(this.index.builtAt).getTime()) / 3600000;
+        return !(ageHours < getSiteIndexConfig().refreshHours);
+    }
+
+    /**
+     * Crawl once the page is idle so it doesn't compete with the host page
+     */
+    scheduleCrawl() {
+        const start = () => {
+            this.crawl().catch(error => {
+                console.error('[SiteIndex] Background crawl failed:', error);
+            });
+        };
+
+        if ('requestIdleCallback' in window) {
+            const id = window.requestIdleCallback(start, { timeout: 10000 });
+            this.cancelScheduledCrawl = () => window.cancelIdleCallback(id);
+        } else {
+            const id = setTimeout(start, 3000);
+            this.cancelScheduledCrawl = () => clearTimeout(id);
+        }
+    }
+
+    /**
+     * Crawl the site from the browser and replace the index
+     * @returns {Promise<Object>} New site index
+     */
+    async crawl() {
+        const { maxPages, exclude, strategy, delayMs } = getSiteIndexConfig();
+        this.crawler = new SiteCrawler({
+            loadDocument: createBrowserLoader(strategy),
+            maxPages,
+            exclude,
+            delayMs
+        });
+
+        const index = await this.crawler.crawl(window.location.origin + '/');
+        this.crawler = null;
+
+        // An aborted or failed crawl shouldn't wipe a good index
+        if (index.pages.length > 0) {
+            this.index = index;
+            this.saveToStorage();
+        }
+        return this.index;
+    }
+
+    /**
+     * Get indexed pages
+     * @returns {Array<Object>} Pages ({ url, path, title, summary, content, structure, links })
+     */
+    getPages() {
+        return this.index?.pages || [];
+    }
+
+    /**
+     * Find an indexed page by path
+     * @param {string} path - URL path (e.g. '/pricing')
+     * @returns {Object|null} Page
+     */
+    getPage(path) {
+        return this.getPages().find(page => page.path === path) || null;
+    }
+
+    /**
+     * Get indexed pages other than the given one
+     * @param {string} url - Current page URL
+     * @returns {Array<Object>} Pages
+     */
+    getOtherPages(url) {
+        if (!url) return this.getPages();
+        const path = new URL(url, window.location.origin).pathname;
+        const currentPath = path.length > 1 ? path.replace(/\/+$/, '') : path;
+        return this.getPages().filter(page => page.path !== currentPath);
+    }
+
+    /**
+     * Stop any pending or running crawl
+     */
+    destroy() {
+        if (this.cancelScheduledCrawl) this.cancelScheduledCrawl();
+        if (this.crawler) this.crawler.abort();
+        this.cancelScheduledCrawl = null;
+        this.crawler = null;
+        this.initialized = false;
+    }
+}
+
+// Export singleton instance
+export const siteIndex = new SiteIndex();
@@ -1,7 +1,62 @@
+// Light palette, used by data-theme="light" and by "auto" when the OS prefers light
+const lightPalette = `
+    --blitsum-surface: rgba(255, 255, 255, 0.95);
+    --blitsum-surface-strong: rgba(255, 255, 255, 0.98);
+    --blitsum-voice-surface: #ffffff;
+    --blitsum-bubble: rgba(243, 244, 246, 0.97);
+    --blitsum-text: #111827;
+    --blitsum-text-muted: rgba(17, 24, 39, 0.6);
+    --blitsum-text-subtle: rgba(17, 24, 39, 0.4);
+    --blitsum-border: rgba(17, 24, 39, 0.1);
+    --blitsum-control: rgba(17, 24, 39, 0.06);
+    --blitsum-control-hover: rgba(17, 24, 39, 0.12);
+    --blitsum-control-active: rgba(17, 24, 39, 0.18);
+    --blitsum-input-bg: rgba(17, 24, 39, 0.04);
+    --blitsum-input-border: rgba(17, 24, 39, 0.15);
+    --blitsum-accent: #0d9488;
+    --blitsum-accent-text: #ffffff;
+    --blitsum-error: #dc2626;
+    --blitsum-error-text: #b91c1c;
+    --blitsum-icon: linear-gradient(135deg, #111827 0%, #6b7280 100%);
+`;
+
+// Every color, radius, font and offset is a custom property so sites can
+// theme the widget without forking this file (see theme.js)
 export const styles = `
   :host {
     all: initial;
-    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    --blitsum-font: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+    --blitsum-radius: 20px;
+    --blitsum-control-radius: 10px;
+    --blitsum-offset: 24px;
+    --blitsum-surface: rgba(20, 20, 20, 0.95);
+    --blitsum-surface-strong: rgba(10, 10, 10, 0.98);
+    --blitsum-voice-surface: black;
+    --blitsum-bubble: rgba(40, 40, 40, 0.95);
+    --blitsum-text: rgba(255, 255, 255, 0.95);
+    --blitsum-text-muted: rgba(255, 255, 255, 0.6);
+    --blitsum-text-subtle: rgba(255, 255, 255, 0.4);
+    --blitsum-border: rgba(255, 255, 255, 0.1);
+    --blitsum-control: rgba(255, 255, 255, 0.1);
+    --blitsum-control-hover: rgba(255, 255, 255, 0.2);
+    --blitsum-control-active: rgba(255, 255, 255, 0.3);
+    --blitsum-input-bg: rgba(255, 255, 255, 0.08);
+    --blitsum-input-border: rgba(255, 255, 255, 0.15);
+    --blitsum-primary: #007AFF; /* Apple Blue */
+    --blitsum-primary-hover: #006ce6;
+    --blitsum-primary-text: white;
+    --blitsum-accent: #2dd4bf;
+    --blitsum-accent-text: #0f172a;
+    --blitsum-error: #ef4444;
+    --blitsum-error-text: #fca5a5;
+    --blitsum-icon: linear-gradient(135deg, #fff 0%, #a5a5a5 100%);
+    font-family: var(--blitsum-font);
+  }
+
+  :host([data-theme="light"]) {${lightPalette}  }
+
+  @media (prefers-color-scheme: light) {
+    :host([data-theme="auto"]) {${lightPalette}    }
   }
 
   /* Reset */
@@ -13,7 +68,7 @@ export const styles = `
 
   .notch-container {
     position: fixed;
-    bottom: 24px;
+    bottom: var(--blitsum-offset);
     left: 50%;
     transform: translateX(-50%);
     z-index: 99999;
@@ -56,7 +111,7 @@ export const styles = `
   .message-bubble {
     max-width: 100%;
     padding: 12px 18px;
-    border-radius: 20px;
+    border-radius: var(--blitsum-radius);
     font-size: 15px;
     line-height: 1.5;
     box-shadow: 0 4px 12px rgba(0,0,0,0.1);
@@ -73,15 +128,15 @@ export const styles = `
   }
 
   .message-bubble.ai {
-    background: rgba(40, 40, 40, 0.95);
-    color: rgba(255, 255, 255, 0.95);
+    background: var(--blitsum-bubble);
+    color: var(--blitsum-text);
     backdrop-filter: blur(10px);
-    border: 1px solid rgba(255, 255, 255, 0.1);
+    border: 1px solid var(--blitsum-border);
   }
 
   .message-bubble.user {
-    background: #007AFF; /* Apple Blue */
-    color: white;
+    background: var(--blitsum-primary);
+    color: var(--blitsum-primary-text);
     align-self: flex-end; /* Or center? Users usually right, AI left. But here centered flex */
     /* For centered layout, usually bubbles stack. Let's keep them centered or vary? */
     /* User request image implies bubbles might be centered or standard chat. Let's start centered for Dynamic Island feel. */
@@ -108,10 +163,10 @@ export const styles = `
   /* Notch / Input Bar */
   .notch {
     position: relative;
-    background: rgba(20, 20, 20, 0.95);
+    background: var(--blitsum-surface);
     backdrop-filter: blur(12px);
     -webkit-backdrop-filter: blur(12px);
-    border: 1px solid rgba(255, 255, 255, 0.1);
+    border: 1px solid var(--blitsum-border);
     box-shadow: 
       0 4px 6px -1px rgba(0, 0, 0, 0.1), 
       0 2px 4px -1px rgba(0, 0, 0, 0.06),
@@ -123,7 +178,7 @@ export const styles = `
     align-items: center;
     justify-content: center;
     overflow: hidden;
-    color: white;
+    color: var(--blitsum-text);
     cursor: pointer;
     transition: width 0.5s cubic-bezier(0.16, 1, 0.3, 1), height 0.5s cubic-bezier(0.16, 1, 0.3, 1), background 0.3s;
     pointer-events: auto;
@@ -132,7 +187,7 @@ export const styles = `
   .notch-container.expanded .notch {
     width: 420px;
     height: 60px;
-    background: rgba(10, 10, 10, 0.98);
+    background: var(--blitsum-surface-strong);
     cursor: default;
   }
 
@@ -141,6 +196,12 @@ export const styles = `
     display: flex;
     align-items: center;
     gap: 10px;
+    height: 100%;
+    background: none;
+    border: none;
+    color: inherit;
+    font: inherit;
+    cursor: pointer;
     opacity: 1;
     transition: opacity 0.2s ease;
     position: absolute;
@@ -156,10 +217,23 @@ export const styles = `
   .notch-icon {
     width: 22px;
     height: 22px;
-    background: linear-gradient(135deg, #fff 0%, #a5a5a5 100%);
+    background: var(--blitsum-icon);
     border-radius: 50%;
   }
 
+  /* Site logo in place of the gradient dot */
+  .notch-icon.has-logo {
+    background: none;
+    border-radius: 0;
+  }
+
+  .notch-icon img {
+    width: 100%;
+    height: 100%;
+    object-fit: contain;
+    display: block;
+  }
+
   /* Input Interface (Expanded) */
   .input-interface {
     width: 100%;
@@ -191,7 +265,8 @@ export const styles = `
     flex: 1;
     background: transparent;
     border: none;
-    color: white;
+    color: var(--blitsum-text);
+    font-family: inherit;
     font-size: 16px;
     outline: none;
     padding-right: 12px;
@@ -199,7 +274,7 @@ export const styles = `
   }
 
   .chat-input::placeholder {
-    color: rgba(255, 255, 255, 0.4);
+    color: var(--blitsum-text-subtle);
   }
 
   .actions {
@@ -208,7 +283,7 @@ export const styles = `
     gap: 8px;
   }
 
-  .voice-btn, .send-btn {
+  .transcript-btn, .voice-btn, .send-btn {
     width: 36px;
     height: 36px;
     border-radius: 50%;
@@ -220,25 +295,25 @@ export const styles = `
     transition: all 0.2s;
   }
 
-  .voice-btn {
-    background: rgba(255, 255, 255, 0.1);
-    color: white;
+  .transcript-btn, .voice-btn {
+    background: var(--blitsum-control);
+    color: var(--blitsum-text);
   }
   
-  .voice-btn:hover {
-    background: rgba(255, 255, 255, 0.2);
+  .transcript-btn:hover, .voice-btn:hover {
+    background: var(--blitsum-control-hover);
   }
 
   .send-btn {
-    background: #007AFF;
-    color: white;
+    background: var(--blitsum-primary);
+    color: var(--blitsum-primary-text);
   }
 
   .send-btn:hover {
-    background: #006ce6;
+    background: var(--blitsum-primary-hover);
   }
 
-  .voice-btn svg, .send-btn svg {
+  .transcript-btn svg, .voice-btn svg, .send-btn svg {
     width: 18px;
     height: 18px;
     fill: currentColor;
@@ -263,7 +338,7 @@ export const styles = `
   .notch-container.voice-mode .notch {
     width: 150px; /* Reduced width for compact voice mode */
     height: 60px;
-    background: black; /* Or very dark gray */
+    background: var(--blitsum-voice-surface);
     cursor: default;
   }
 
@@ -287,18 +362,18 @@ export const styles = `
     width: 36px;
     height: 36px;
     border-radius: 50%;
-    background: rgba(255, 255, 255, 0.2); /* Dark gray ish */
+    background: var(--blitsum-control-hover);
     border: none;
     display: flex;
     align-items: center;
     justify-content: center;
-    color: white;
+    color: var(--blitsum-text);
     cursor: pointer;
     transition: background 0.2s;
   }
 
   .voice-close-btn:hover {
-    background: rgba(255, 255, 255, 0.3);
+    background: var(--blitsum-control-active);
   }
 
   .voice-close-btn svg {
@@ -315,7 +390,7 @@ export const styles = `
 
   .voice-waveform .bar {
     width: 4px;
-    background: white;
+    background: var(--blitsum-text);
     border-radius: 2px;
     animation: waveform 1s infinite ease-in-out;
   }
@@ -349,8 +424,8 @@ export const styles = `
 
   .message-bubble.error {
     background: rgba(239, 68, 68, 0.1);
-    border-left: 3px solid #ef4444;
-    color: #fca5a5;
+    border-left: 3px solid var(--blitsum-error);
+    color: var(--blitsum-error-text);
   }
 
   /* Pulse Animation for CTAs */
@@ -429,4 +504,567 @@ export const styles = `
     0%, 100% { transform: scaleY(0.5); }
     50% { transform: scaleY(1.5); }
   }
+
+  /* Inline Lead Form */
+  .message-bubble.lead-form {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    text-align: left;
+    min-width: 240px;
+  }
+
+  .lead-form-title {
+    font-size: 13px;
+    color: var(--blitsum-text);
+  }
+
+  .lead-form input,
+  .lead-form textarea {
+    background: var(--blitsum-input-bg);
+    border: 1px solid var(--blitsum-input-border);
+    border-radius: var(--blitsum-control-radius);
+    padding: 8px 10px;
+    color: var(--blitsum-text);
+    font-size: 13px;
+    font-family: inherit;
+    outline: none;
+  }
+
+  .lead-form textarea {
+    resize: vertical;
+  }
+
+  .lead-form input:focus,
+  .lead-form textarea:focus {
+    border-color: var(--blitsum-accent);
+  }
+
+  .lead-form-submit {
+    background: var(--blitsum-accent);
+    color: var(--blitsum-accent-text);
+    border: none;
+    border-radius: var(--blitsum-control-radius);
+    padding: 8px 10px;
+    font-size: 13px;
+    font-weight: 600;
+    cursor: pointer;
+  }
+
+  .lead-form-submit:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+
+  .lead-form-status {
+    font-size: 12px;
+    color: var(--blitsum-error-text);
+    min-height: 0;
+  }
+
+  .form-preview-row {
+    display: flex;
+    justify-content: space-between;
+    gap: 12px;
+    font-size: 13px;
+  }
+
+  .form-preview-label {
+    color: var(--blitsum-text-muted);
+  }
+
+  .form-preview-actions {
+    display: flex;
+    gap: 8px;
+  }
+
+  .form-preview-actions .lead-form-submit {
+    flex: 1;
+  }
+
+  .form-preview-cancel {
+    background: transparent;
+    color: var(--blitsum-text);
+    border: 1px solid var(--blitsum-input-border);
+    border-radius: var(--blitsum-control-radius);
+    padding: 8px 10px;
+    font-size: 13px;
+    cursor: pointer;
+  }
+
+  .form-preview-cancel:disabled {
+    opacity: 0.6;
+    cursor: default;
+  }
+
+  /* Live-agent handoff */
+  .handoff-status {
+    position: absolute;
+    top: -35px;
+    left: 50%;
+    transform: translateX(-50%);
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    padding: 4px 6px 4px 14px;
+    border-radius: 14px;
+    background: var(--blitsum-surface-strong);
+    border: 1px solid var(--blitsum-border);
+    color: var(--blitsum-text);
+    font-size: 11px;
+    font-weight: 500;
+    white-space: nowrap;
+    z-index: 1000;
+  }
+
+  .handoff-status[hidden] {
+    display: none;
+  }
+
+  .handoff-end {
+    background: transparent;
+    color: var(--blitsum-text);
+    border: 1px solid var(--blitsum-input-border);
+    border-radius: 10px;
+    padding: 2px 8px;
+    font-size: 11px;
+    cursor: pointer;
+  }
+
+  .agent-label {
+    font-size: 11px;
+    font-weight: 600;
+    color: var(--blitsum-accent);
+    margin-bottom: 4px;
+  }
+
+  /* Markdown in replies */
+  .message-bubble p + p,
+  .transcript-bubble p + p {
+    margin-top: 8px;
+  }
+
+  .message-bubble ul, .message-bubble ol,
+  .transcript-bubble ul, .transcript-bubble ol {
+    text-align: left;
+    padding-left: 20px;
+    margin: 6px 0;
+  }
+
+  .message-bubble a, .transcript-bubble a {
+    color: inherit;
+    text-decoration: underline;
+  }
+
+  .message-bubble code, .transcript-bubble code {
+    font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+    font-size: 0.9em;
+    background: var(--blitsum-control);
+    border-radius: 4px;
+    padding: 1px 4px;
+  }
+
+  /* Transcript Panel */
+  .transcript-panel {
+    position: absolute;
+    bottom: 70px; /* Above the notch */
+    left: 50%;
+    transform: translateX(-50%);
+    width: 420px;
+    max-height: 60vh;
+    display: flex;
+    flex-direction: column;
+    background: var(--blitsum-surface-strong);
+    color: var(--blitsum-text);
+    border: 1px solid var(--blitsum-border);
+    border-radius: var(--blitsum-radius);
+    box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.2);
+    backdrop-filter: blur(12px);
+    pointer-events: auto;
+    overflow: hidden;
+  }
+
+  .transcript-panel[hidden] {
+    display: none;
+  }
+
+  .notch-container.transcript-open .chat-messages {
+    display: none;
+  }
+
+  .transcript-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 12px 16px;
+    border-bottom: 1px solid var(--blitsum-border);
+    font-size: 14px;
+    font-weight: 600;
+  }
+
+  .transcript-close {
+    background: transparent;
+    border: none;
+    color: var(--blitsum-text-muted);
+    font-size: 20px;
+    line-height: 1;
+    cursor: pointer;
+  }
+
+  .transcript-list {
+    flex: 1;
+    overflow-y: auto;
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    padding: 12px 16px;
+  }
+
+  .transcript-empty {
+    padding: 16px;
+    font-size: 13px;
+    color: var(--blitsum-text-muted);
+    text-align: center;
+  }
+
+  .transcript-empty[hidden] {
+    display: none;
+  }
+
+  .transcript-entry {
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+    max-width: 85%;
+  }
+
+  .transcript-entry.user {
+    align-self: flex-end;
+    align-items: flex-end;
+  }
+
+  .transcript-entry.ai {
+    align-self: flex-start;
+    align-items: flex-start;
+  }
+
+  .transcript-bubble {
+    padding: 8px 12px;
+    border-radius: var(--blitsum-radius);
+    font-size: 14px;
+    line-height: 1.45;
+    overflow-wrap: anywhere;
+  }
+
+  .transcript-bubble.user {
+    background: var(--blitsum-primary);
+    color: var(--blitsum-primary-text);
+    border-bottom-right-radius: 4px;
+  }
+
+  .transcript-bubble.ai {
+    background: var(--blitsum-bubble);
+    border: 1px solid var(--blitsum-border);
+    border-bottom-left-radius: 4px;
+  }
+
+  .transcript-time {
+    font-size: 11px;
+    color: var(--blitsum-text-subtle);
+  }
+
+  /* Rich Cards */
+  .message-bubble.card-bubble {
+    text-align: left;
+    min-width: 260px;
+  }
+
+  .card {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    font-size: 13px;
+  }
+
+  .card-title {
+    font-weight: 600;
+    font-size: 14px;
+  }
+
+  .card-plans {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+  }
+
+  .card-plan {
+    border: 1px solid var(--blitsum-input-border);
+    border-radius: var(--blitsum-control-radius);
+    padding: 8px 10px;
+  }
+
+  .card-plan.popular {
+    border-color: var(--blitsum-accent);
+  }
+
+  .card-plan-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 8px;
+  }
+
+  .card-plan-name {
+    font-weight: 600;
+  }
+
+  .card-badge {
+    background: var(--blitsum-accent);
+    color: var(--blitsum-accent-text);
+    border-radius: 100px;
+    padding: 1px 8px;
+    font-size: 11px;
+  }
+
+  .card-plan-price {
+    font-size: 15px;
+    margin: 2px 0 4px;
+  }
+
+  .card-plan ul {
+    padding-left: 18px;
+    color: var(--blitsum-text-muted);
+  }
+
+  .card table {
+    border-collapse: collapse;
+    width: 100%;
+  }
+
+  .card th, .card td {
+    padding: 4px 6px;
+    border-bottom: 1px solid var(--blitsum-border);
+    text-align: center;
+  }
+
+  .card tr > th:first-child {
+    text-align: left;
+    font-weight: 400;
+    color: var(--blitsum-text-muted);
+  }
+
+  .card-actions {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+  }
+
+  .card-actions .lead-form-submit {
+    flex: 1;
+  }
+
+  /* Meeting slot picker */
+  .card-slots {
+    display: grid;
+    grid-template-columns: repeat(2, 1fr);
+    gap: 6px;
+  }
+
+  .card-slot {
+    background: var(--blitsum-input-bg);
+    color: var(--blitsum-text);
+    border: 1px solid var(--blitsum-input-border);
+    border-radius: var(--blitsum-control-radius);
+    padding: 8px 6px;
+    font-size: 12px;
+    font-family: inherit;
+    cursor: pointer;
+  }
+
+  .card-slot:hover:not(:disabled) {
+    border-color: var(--blitsum-accent);
+  }
+
+  .card-slot:disabled {
+    cursor: default;
+    opacity: 0.7;
+  }
+
+  .meeting-timezone-row {
+    margin-top: 8px;
+  }
+
+  .meeting-timezone {
+    width: 100%;
+    background: var(--blitsum-input-bg);
+    color: var(--blitsum-text);
+    border: 1px solid var(--blitsum-input-border);
+    border-radius: var(--blitsum-control-radius);
+    padding: 6px 8px;
+    font-size: 12px;
+    font-family: inherit;
+  }
+
+  /* Accessibility */
+  .sr-only {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    overflow: hidden;
+    clip: rect(0, 0, 0, 0);
+    white-space: nowrap;
+  }
+
+  button:focus-visible,
+  a:focus-visible,
+  .lead-form input:focus-visible {
+    outline: 2px solid var(--blitsum-accent);
+    outline-offset: 2px;
+  }
+
+  .notch:has(.notch-content:focus-visible) {
+    outline: 2px solid var(--blitsum-accent);
+    outline-offset: 2px;
+  }
+
+  .notch-content:focus-visible {
+    outline: none;
+  }
+
+  @media (prefers-reduced-motion: reduce) {
+    .notch,
+    .notch-content,
+    .input-interface,
+    .voice-interface,
+    .voice-status-indicator,
+    .transcript-btn, .voice-btn, .send-btn, .voice-close-btn {
+      transition: none;
+    }
+
+    .message-bubble {
+      animation: none;
+      opacity: 1;
+      transform: none;
+    }
+
+    .voice-waveform .bar,
+    .voice-waveform.active .bar,
+    .loading-dots,
+    .voice-listening,
+    .voice-processing,
+    .pulse-animation {
+      animation: none;
+    }
+  }
+
+  /* Positions (data-position on the host) */
+  :host([data-position="bottom-right"]) .notch-container {
+    left: auto;
+    right: var(--blitsum-offset);
+    transform: none;
+    align-items: flex-end;
+  }
+
+  :host([data-position="bottom-right"]) .chat-messages,
+  :host([data-position="bottom-right"]) .transcript-panel {
+    left: auto;
+    right: 0;
+    transform: none;
+  }
+
+  :host([data-position="top"]) .notch-container {
+    bottom: auto;
+    top: var(--blitsum-offset);
+    justify-content: flex-start;
+  }
+
+  :host([data-position="top"]) .chat-messages,
+  :host([data-position="top"]) .transcript-panel {
+    bottom: auto;
+    top: 70px; /* Below the notch */
+  }
+
+  :host([data-position="top"]) .voice-status-indicator {
+    top: auto;
+    bottom: -35px;
+  }
+
+  /* Mobile (data-mobile on the host): full-width, above the keyboard and safe areas */
+  .transcript-handle {
+    display: none;
+  }
+
+  :host([data-mobile]) .notch-container {
+    left: 0;
+    right: 0;
+    transform: none;
+    padding: 0 12px;
+  }
+
+  :host([data-mobile]:not([data-position="top"])) .notch-container {
+    bottom: calc(var(--blitsum-offset) + env(safe-area-inset-bottom, 0px) + var(--blitsum-keyboard-inset, 0px));
+  }
+
+  :host([data-mobile][data-position="top"]) .notch-container {
+    top: calc(var(--blitsum-offset) + env(safe-area-inset-top, 0px));
+  }
+
+  :host([data-mobile][data-position="bottom-right"]) .notch-container {
+    align-items: center;
+  }
+
+  :host([data-mobile]) .notch-container.expanded .notch {
+    width: 100%;
+    max-width: 420px;
+  }
+
+  :host([data-mobile]) .chat-messages,
+  :host([data-mobile][data-position="bottom-right"]) .chat-messages {
+    left: 12px;
+    right: 12px;
+    transform: none;
+    width: auto;
+    max-height: 50vh;
+  }
+
+  /* Transcript as a bottom sheet */
+  :host([data-mobile]) .transcript-panel,
+  :host([data-mobile][data-position="top"]) .transcript-panel,
+  :host([data-mobile][data-position="bottom-right"]) .transcript-panel {
+    position: fixed;
+    top: auto;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    transform: none;
+    width: 100%;
+    max-height: 80vh;
+    border-radius: var(--blitsum-radius) var(--blitsum-radius) 0 0;
+    border-bottom: none;
+    padding-bottom: calc(env(safe-area-inset-bottom, 0px) + var(--blitsum-keyboard-inset, 0px));
+  }
+
+  :host([data-mobile]) .transcript-handle {
+    display: block;
+    width: 40px;
+    height: 4px;
+    margin: 8px auto 0;
+    border-radius: 2px;
+    background: var(--blitsum-text-subtle);
+  }
+
+  /* Finger-sized targets; 16px input text stops iOS zooming on focus */
+  :host([data-mobile]) .transcript-btn,
+  :host([data-mobile]) .voice-btn,
+  :host([data-mobile]) .send-btn,
+  :host([data-mobile]) .voice-close-btn,
+  :host([data-mobile]) .transcript-close,
+  :host([data-mobile]) .card-slot {
+    min-width: 44px;
+    min-height: 44px;
+  }
+
+  :host([data-mobile]) .chat-input {
+    font-size: 16px;
+  }
 `;
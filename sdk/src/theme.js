@@ -0,0 +1,118 @@
+/**
+ * Theme
+ * Matches the notch to the host site's brand. styles.js declares every
+ * color, radius, font and offset as a `--blitsum-*` custom property; a theme
+ * overrides those properties, picks the color mode and position, and can
+ * swap the notch icon for the site's logo.
+ *
+ * Example:
+ *   Blitsum.init({ theme: {
+ *       mode: 'auto',                       // 'dark' | 'light' | 'auto' (follows prefers-color-scheme)
+ *       position: 'bottom-right',           // 'bottom-center' | 'bottom-right' | 'top'
+ *       colors: { primary: '#6d28d9', primaryHover: '#5b21b6' },
+ *       lightColors: { bubble: '#f5f3ff' },
+ *       radius: '12px',
+ *       fontFamily: 'Inter, sans-serif',
+ *       logo: '/logo.svg'
+ *   } })
+ *
+ * Color keys are the custom property names in camelCase (`textMuted` sets
+ * `--blitsum-text-muted`). Page CSS can also set the properties directly on
+ * `#blitsum-root`. A `position` experiment overrides the configured position.
+ */
+
+import { getThemeConfig } from './config.js';
+import { experiments, ExperimentTarget } from './experiments/index.js';
+
+export const THEME_MODES = ['dark', 'light', 'auto'];
+export const THEME_POSITIONS = ['bottom-center', 'bottom-right', 'top'];
+
+/**
+ * Custom property for a theme key
+ * @param {string} key - e.g. "textMuted"
+ * @returns {string} e.g. "--blitsum-text-muted"
+ */
+function toCustomProperty(key) {
+    return `--blitsum-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * Turn { key: value } into custom property declarations
+ * Values that could close the rule are dropped so a theme can't inject CSS.
+ * @param {Object} values - Theme values
+ * @returns {string} Declarations
+ */
+function toDeclarations(values = {}) {
+    return Object.entries(values)
+        .filter(([key, value]) => {
+            if (value === null || value === undefined || value === '') return false;
+            if (/[;{}<>]/.test(String(value))) {
+                console.warn(`[Theme] Ignoring unsafe value for ${key}`);
+                return false;
+            }
+            return true;
+        })
+        .map(([key, value]) => `${toCustomProperty(key)}: ${value};`)
+        .join(' ');
+}
+
+/**
+ * Build the stylesheet that applies a theme's overrides
+ * @param {Object} theme - Theme options (see getThemeConfig)
+ * @returns {string} CSS for the widget's shadow root
+ */
+export function buildThemeCSS(theme) {
+    const base = toDeclarations({
+        ...theme.colors,
+        radius: theme.radius,
+        font: theme.fontFamily,
+        offset: theme.offset
+    });
+    const light = toDeclarations(theme.lightColors);
+    const dark = toDeclarations(theme.darkColors);
+
+    // Same specificity as the built-in light palette, so later rules win
+    const rules = [];
+    if (base) rules.push(`:host, :host([data-theme]) { ${base} }`);
+    if (light) {
+        rules.push(`:host([data-theme="light"]) { ${light} }`);
+        rules.push(`@media (prefers-color-scheme: light) { :host([data-theme="auto"]) { ${light} } }`);
+    }
+    if (dark) {
+        rules.push(`:host([data-theme="dark"]) { ${dark} }`);
+        rules.push(`@media (prefers-color-scheme: dark) { :host([data-theme="auto"]) { ${dark} } }`);
+    }
+    return rules.join('\n');
+}
+
+/**
+ * Apply the configured theme to a mounted widget
+ * @param {HTMLElement} host - Shadow host (#blitsum-root)
+ * @param {ShadowRoot} shadow - Widget shadow root, with the notch already rendered
+ */
+export function applyTheme(host, shadow) {
+    const theme = getThemeConfig();
+    const positionVariant = experiments.getTreatment(ExperimentTarget.POSITION);
+    if (positionVariant) theme.position = positionVariant;
+
+    if (!THEME_MODES.includes(theme.mode)) console.warn(`[Theme] Unknown mode "${theme.mode}", using dark`);
+    if (!THEME_POSITIONS.includes(theme.position)) console.warn(`[Theme] Unknown position "${theme.position}", using bottom-center`);
+    host.dataset.theme = THEME_MODES.includes(theme.mode) ? theme.mode : 'dark';
+    host.dataset.position = THEME_POSITIONS.includes(theme.position) ? theme.position : 'bottom-center';
+
+    const css = buildThemeCSS(theme);
+    if (css) {
+        const styleSheet = document.createElement('style');
+        styleSheet.textContent = css;
+        shadow.appendChild(styleSheet);
+    }
+
+    const icon = shadow.querySelector('.notch-icon');
+    if (theme.logo && icon) {
+        const logo = document.createElement('img');
+        logo.src = theme.logo;
+        logo.alt = '';
+        icon.classList.add('has-logo');
+        icon.appendChild(logo);
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * Agent Tool Schema
+ * Declares the page actions the model may call through the provider's
+ * function-calling API. Providers translate these into their own wire format.
+ */
+
+import { getFormsConfig, getActionPolicyConfig, getMeetingsConfig } from './config.js';
+
+export const AGENT_TOOLS = [
+    {
+        name: 'scroll',
+        description: 'Scroll the page to a section. Use the section id from PAGE SECTIONS.',
+        parameters: {
+            type: 'object',
+            properties: {
+                section: { type: 'string', description: 'Section id, e.g. "pricing"' }
+            },
+            required: ['section']
+        }
+    },
+    {
+        name: 'highlight',
+        description: 'Briefly highlight an element on the page.',
+        parameters: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector of the element' }
+            },
+            required: ['selector']
+        }
+    },
+    {
+        name: 'pulse_cta',
+        description: 'Animate a call-to-action button to draw attention to it.',
+        parameters: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector of the button, e.g. ".btn-primary"' }
+            },
+            required: ['selector']
+        }
+    },
+    {
+        name: 'compare',
+        description: 'Scroll to and highlight two or more items side by side, e.g. pricing plans.',
+        parameters: {
+            type: 'object',
+            properties: {
+                entities: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Names of the items to compare, e.g. ["Starter", "Pro"]'
+                }
+            },
+            required: ['entities']
+        }
+    },
+    {
+        name: 'read',
+        description: 'Scroll to an element and read its text content.',
+        parameters: {
+            type: 'object',
+            properties: {
+                target: { type: 'string', description: 'Plain-language description of the element' }
+            },
+            required: ['target']
+        }
+    },
+    {
+        name: 'click',
+        description: 'Click a button or link on the page. Only when the visitor asks for it.',
+        parameters: {
+            type: 'object',
+            properties: {
+                target: { type: 'string', description: 'Button or link text, e.g. "Get Started"' }
+            },
+            required: ['target']
+        }
+    },
+    {
+        name: 'goto_page',
+        description: 'Take the visitor to another page of the site, optionally to a section on it. Use when what they want is on a page listed in OTHER PAGES ON THIS SITE.',
+        parameters: {
+            type: 'object',
+            properties: {
+                page: { type: 'string', description: 'Page path or name, e.g. "/about" or "pricing page"' },
+                section: { type: 'string', description: 'Optional section to show on arrival, e.g. "team"' }
+            },
+            required: ['page']
+        }
+    },
+    {
+        name: 'fill_form',
+        description: 'Fill a form on the page (e.g. a waitlist or signup form) with details the visitor gave in chat. The visitor sees a preview and presses Submit themselves - nothing is sent without that. Never invent values.',
+        parameters: {
+            type: 'object',
+            properties: {
+                form: { type: 'string', description: 'Form id or description from FORMS ON THIS PAGE, e.g. "waitlist-form"' },
+                values: {
+                    type: 'object',
+                    description: 'Values the visitor gave, by field. Details already collected from the chat are filled in automatically.',
+                    properties: {
+                        email: { type: 'string' },
+                        name: { type: 'string' },
+                        company: { type: 'string' },
+                        team_size: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    {
+        name: 'show_card',
+        description: 'Show a card in the chat built from this page: pricing plans, a side-by-side plan comparison, or call-to-action buttons the visitor can press.',
+        parameters: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: ['pricing', 'comparison', 'cta'], description: 'Kind of card' },
+                items: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Plan names or button labels to include, e.g. ["Starter", "Pro"]. Omit for all.'
+                }
+            },
+            required: ['type']
+        }
+    },
+    {
+        name: 'book_meeting',
+        description: 'Offer a call or demo with the team: shows open times in the chat, and the visitor picks one and confirms their email and time zone. Use when the visitor asks for a demo or call, or for enterprise buyers ready to talk next steps.',
+        parameters: {
+            type: 'object',
+            properties: {
+                topic: { type: 'string', description: 'What the call is about, e.g. "Enterprise demo"' }
+            }
+        }
+    },
+    {
+        name: 'focus',
+        description: 'Scroll to an element and dim the rest of the page around it.',
+        parameters: {
+            type: 'object',
+            properties: {
+                target: { type: 'string', description: 'Plain-language description of the element' }
+            },
+            required: ['target']
+        }
+    }
+];
+
+/**
+ * Get the tool declarations sent with each chat request
+ * @returns {Array<Object>} Tools ({ name, description, parameters })
+ */
+export function getAgentTools() {
+    const policy = getActionPolicyConfig();
+    const formsEnabled = getFormsConfig().enabled;
+    const meetings = getMeetingsConfig();
+    const meetingsEnabled = meetings.enabled && !!meetings.provider;
+
+    // Don't offer the model actions the site has turned off
+    return AGENT_TOOLS.filter(tool =>
+        (tool.name !== 'fill_form' || formsEnabled) &&
+        (tool.name !== 'book_meeting' || meetingsEnabled) &&
+        (!policy.enabled || policy.actions[tool.name] !== false));
+}
+
+/**
+ * Parse streamed tool-call arguments, tolerating empty or truncated JSON
+ * @param {string|Object} args - Raw argument string (or already-parsed object)
+ * @returns {Object} Arguments object
+ */
+export function parseToolArguments(args) {
+    if (!args) return {};
+    if (typeof args === 'object') return args;
+
+    try {
+        return JSON.parse(args);
+    } catch (e) {
+        console.warn('[Tools] Could not parse tool arguments:', args, e);
+        return {};
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Transcript Panel
+ * The notch only keeps the latest reply on screen. This panel is the full
+ * scrollback: every visitor and assistant message with its time, replies
+ * rendered as (safe) markdown and cards shown inline, so visitors can look
+ * back at an earlier answer or compare two of them.
+ *
+ * It starts from the persisted transcript (so it survives page loads) and
+ * then follows MESSAGE and CARD events.
+ */
+
+import { eventBus, SDKEvent } from './events.js';
+import { sessionPersistence } from './persistence.js';
+import { languageManager, t } from './i18n.js';
+import { renderCard } from './cards.js';
+import { renderMarkdown } from './utils/markdown.js';
+
+// Older entries are dropped from the DOM beyond this
+const MAX_ENTRIES = 200;
+
+/**
+ * Format a timestamp in the visitor's language, e.g. "3:42 PM"
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Time
+ */
+function formatTime(timestamp) {
+    try {
+        return new Intl.DateTimeFormat(languageManager.getLocale(), { hour: 'numeric', minute: '2-digit' }).format(timestamp);
+    } catch {
+        return new Date(timestamp).toLocaleTimeString();
+    }
+}
+
+/**
+ * Build the panel and keep it in sync with the conversation
+ * @param {Object} options - { onToggle(isOpen) }
+ * @returns {Object} { element, open, close, toggle, isOpen, destroy }
+ */
+export function createTranscriptPanel({ onToggle = () => {} } = {}) {
+    const panel = document.createElement('div');
+    panel.className = 'transcript-panel';
+    panel.setAttribute('role', 'region');
+    panel.hidden = true;
+
+    // Grab handle, only shown when the panel is a bottom sheet (mobile)
+    const handle = document.createElement('div');
+    handle.className = 'transcript-handle';
+    handle.setAttribute('aria-hidden', 'true');
+
+    const header = document.createElement('div');
+    header.className = 'transcript-header';
+    const title = document.createElement('span');
+    title.className = 'transcript-title';
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'transcript-close';
+    closeBtn.textContent = '×';
+    header.append(title, closeBtn);
+
+    const list = document.createElement('div');
+    list.className = 'transcript-list';
+    list.setAttribute('role', 'log');
+
+    const empty = document.createElement('div');
+    empty.className = 'transcript-empty';
+
+    panel.append(handle, header, list, empty);
+
+    const applyStrings = () => {
+        title.textContent = t('transcriptTitle');
+        panel.setAttribute('aria-label', t('transcriptTitle'));
+        closeBtn.setAttribute('aria-label', t('hideTranscript'));
+        empty.textContent = t('transcriptEmpty');
+    };
+    applyStrings();
+
+    const updateEmpty = () => {
+        empty.hidden = list.childElementCount > 0;
+    };
+
+    /**
+     * Append one transcript entry ({ role, text, card, timestamp })
+     */
+    const addEntry = ({ role, text, card, timestamp = Date.now() }) => {
+        if (!text && !card) return;
+
+        const entry = document.createElement('div');
+        entry.className = `transcript-entry ${role === 'user' ? 'user' : 'ai'}`;
+
+        const bubble = document.createElement('div');
+        bubble.className = `transcript-bubble ${role === 'user' ? 'user' : 'ai'}`;
+        if (card) {
+            bubble.appendChild(renderCard(card));
+        } else if (role === 'user') {
+            // Visitor text is shown exactly as typed
+            bubble.textContent = text;
+        } else {
+            bubble.appendChild(renderMarkdown(text));
+        }
+
+        const time = document.createElement('time');
+        time.className = 'transcript-time';
+        time.dateTime = new Date(timestamp).toISOString();
+        time.textContent = formatTime(timestamp);
+
+        entry.append(bubble, time);
+        list.appendChild(entry);
+
+        while (list.childElementCount > MAX_ENTRIES) list.firstElementChild.remove();
+        updateEmpty();
+        if (!panel.hidden) list.scrollTop = list.scrollHeight;
+    };
+
+    sessionPersistence.getTranscript().forEach(addEntry);
+    updateEmpty();
+
+    const unsubscribers = [
+        eventBus.on(SDKEvent.MESSAGE, ({ role, text }) => addEntry({ role, text })),
+        eventBus.on(SDKEvent.CARD, card => addEntry({ role: 'assistant', card })),
+        eventBus.on(SDKEvent.LANGUAGE_CHANGE, applyStrings),
+        eventBus.on(SDKEvent.RESET, () => {
+            list.replaceChildren();
+            updateEmpty();
+        })
+    ];
+
+    const controller = {
+        element: panel,
+        open: () => {
+            panel.hidden = false;
+            list.scrollTop = list.scrollHeight;
+            onToggle(true);
+        },
+        close: () => {
+            if (panel.hidden) return;
+            panel.hidden = true;
+            onToggle(false);
+        },
+        toggle: () => (panel.hidden ? controller.open() : controller.close()),
+        isOpen: () => !panel.hidden,
+        destroy: () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            panel.remove();
+        }
+    };
+
+    closeBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        controller.close();
+    });
+
+    return controller;
+}
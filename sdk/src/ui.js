@@ -1,25 +1,64 @@
 import { Store } from './store.js';
 import { styles } from './styles.js';
-import { sendMessage as sendToGrok } from './api.js';
+import { sendMessage as sendToGrok, clearConversationHistory, appendToConversationHistory } from './api.js';
 import { extractPageContext } from './context.js';
-import { parseAndExecute } from './agent.js';
 import { VoiceHandler } from './voice.js';
 import { NavigationAgent } from './navigationAgent.js';
 import { isNavigationRequest } from './utils/intentParser.js';
 import { engagementTriggers } from './sales/engagementTriggers.js';
 import { behaviorTracker } from './utils/behaviorTracker.js';
+import { getBehaviorFlag, getAccessibilityConfig, getMobileConfig } from './config.js';
+import { eventBus, SDKEvent } from './events.js';
+import { funnelEngine } from './sales/funnel.js';
+import { salesExecutive } from './sales/index.js';
+import { sessionPersistence } from './persistence.js';
+import { leadCapture, LEAD_NOT_DELIVERED } from './leads/index.js';
+import { analytics } from './analytics/index.js';
+import { handoff } from './handoff/index.js';
+import { meetings } from './meetings/index.js';
+import { experiments } from './experiments/index.js';
+import { formatSlotTime, getLocalTimeZone, listTimeZones } from './meetings/schedule.js';
+import { siteIndex } from './site/index.js';
+import { pageNavigator } from './pageNavigation.js';
+import { formFiller } from './forms.js';
+import { actionPolicy } from './policy.js';
+import { languageManager, t } from './i18n.js';
+import { applyTheme } from './theme.js';
+import { createTranscriptPanel } from './transcript.js';
+import { renderCard } from './cards.js';
+import { setMarkdown } from './utils/markdown.js';
+import { createAnnouncer, parseHotkey, matchesHotkey, formatHotkey, trapFocus } from './a11y.js';
+import { isMobileMode, watchKeyboardInset, onSwipeDismiss, watchBackButtonIntent } from './mobile.js';
 
 const SVGs = {
-  notchIcon: `<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M12 2C6.48 2 2 6.48 2 12C2 17.52 6.48 22 12 22C17.52 22 22 17.52 22 12C22 6.48 17.52 2 12 2ZM12 6C13.66 6 15 7.34 15 9C15 10.66 13.66 12 12 12C10.34 12 9 10.66 9 9C9 7.34 10.34 6 12 6ZM12 19.2C9.5 19.2 7.29 17.92 6 16C6.03 14 10 12.9 12 12.9C13.99 12.9 17.97 14 18 16C16.71 17.92 14.5 19.2 12 19.2Z" fill="black"/></svg>`, // Placeholder
   mic: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3z"/><path d="M17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z"/></svg>`,
   send: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/></svg>`,
   close: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`,
+  history: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42A8.954 8.954 0 0 0 13 21a9 9 0 0 0 0-18zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z"/></svg>`,
   stop: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" fill="currentColor"><rect x="6" y="6" width="12" height="12" rx="2"/></svg>`
 };
 
+// Controller for the mounted widget (null until createUI runs)
+let activeController = null;
+
+/**
+ * Mount the notch UI and return a controller for the public API
+ * @returns {Object} Controller ({ open, close, send, startVoice, stopVoice, reset, destroy })
+ */
 export function createUI() {
   const rootId = 'blitsum-root';
-  if (document.getElementById(rootId)) return; // Prevent double init
+  if (document.getElementById(rootId)) return activeController; // Prevent double init
+
+  // Restore the conversation from a previous page before anything renders
+  const restoredSession = sessionPersistence.init();
+
+  // Page language (or the visitor's earlier choice) sets the UI and speech language
+  languageManager.init();
+
+  // Report the conversation (session_start only for a new session), starting
+  // before the theme so a position experiment's exposure is reported too
+  analytics.init({ restored: !!restoredSession });
+  experiments.init();
 
   // Initialize Navigation Agent
   const pageContext = extractPageContext();
@@ -49,21 +88,24 @@ export function createUI() {
       <!-- The Notch / Input Bar -->
       <div class="notch">
         <!-- Collapsed Content -->
-        <div class="notch-content">
+        <button type="button" class="notch-content" aria-expanded="false">
           <div class="notch-icon"></div>
-          <span style="font-size: 14px; font-weight: 500;">Ask AI</span>
-        </div>
+          <span class="notch-label" style="font-size: 14px; font-weight: 500;"></span>
+        </button>
   
         <!-- Expanded Content (Input Interface) -->
         <div class="input-interface">
           <div class="input-wrapper">
-            <input type="text" class="chat-input" placeholder="Ask Blitsum..." />
+            <input type="text" class="chat-input" />
             
             <div class="actions">
-               <button class="voice-btn" id="voice-btn">
+              <button type="button" class="transcript-btn" id="transcript-btn" aria-expanded="false">
+                ${SVGs.history}
+              </button>
+               <button type="button" class="voice-btn" id="voice-btn">
                 ${SVGs.mic}
               </button>
-              <button class="send-btn">
+              <button type="button" class="send-btn">
                 ${SVGs.send}
               </button>
             </div>
@@ -72,7 +114,7 @@ export function createUI() {
 
         <!-- Voice Mode Interface -->
         <div class="voice-interface">
-            <button class="voice-close-btn">
+            <button type="button" class="voice-close-btn">
                 ${SVGs.close}
             </button>
             <div class="voice-waveform">
@@ -86,13 +128,53 @@ export function createUI() {
       </div>
     `;
 
+  wrapper.setAttribute('role', 'dialog');
+  // Icons are decorative; the buttons get labels in applyStrings
+  wrapper.querySelectorAll('svg').forEach(svg => svg.setAttribute('aria-hidden', 'true'));
   shadow.appendChild(wrapper);
 
+  // Polite live region for replies, proactive messages and prompts
+  const announcer = createAnnouncer();
+  shadow.appendChild(announcer.element);
+
+  // Site colors, mode, position and logo
+  applyTheme(container, shadow);
+
+  // Phones: tap instead of hover, bottom-sheet transcript, keyboard-safe insets
+  const mobile = isMobileMode();
+  if (mobile) container.dataset.mobile = 'true';
+
+  // Full conversation scrollback, opened from the notch
+  const transcript = createTranscriptPanel({
+    onToggle: (isOpen) => {
+      wrapper.classList.toggle('transcript-open', isOpen);
+      wrapper.querySelector('.transcript-btn').setAttribute('aria-expanded', String(isOpen));
+    }
+  });
+  wrapper.appendChild(transcript.element);
+
+  // Widget strings follow the visitor's language
+  const applyStrings = () => {
+    wrapper.querySelector('.notch-label').textContent = t('askAI');
+    wrapper.querySelector('.chat-input').placeholder = t('placeholder');
+    wrapper.querySelector('.transcript-btn').setAttribute('aria-label', t('showTranscript'));
+    wrapper.querySelector('.chat-input').setAttribute('aria-label', t('messageLabel'));
+    wrapper.querySelector('.send-btn').setAttribute('aria-label', t('sendMessage'));
+    wrapper.querySelector('.voice-btn').setAttribute('aria-label', t('startVoice'));
+    wrapper.querySelector('.voice-close-btn').setAttribute('aria-label', t('stopVoice'));
+    wrapper.setAttribute('aria-label', t('assistantLabel'));
+  };
+  applyStrings();
+  const unsubscribeLanguage = eventBus.on(SDKEvent.LANGUAGE_CHANGE, applyStrings);
+
   // Event Listeners
 
   // Hover & Expand Logic
   const notch = wrapper.querySelector('.notch');
   const chatMessages = wrapper.querySelector('#chat-messages');
+  const trigger = wrapper.querySelector('.notch-content');
+  const inputInterface = wrapper.querySelector('.input-interface');
+  const voiceInterface = wrapper.querySelector('.voice-interface');
   let closeTimeout;
 
   const openSDK = () => {
@@ -111,6 +193,9 @@ export function createUI() {
     const state = Store.getState();
     if (state.isVoiceMode) return;
 
+    // Keep the notch open while the visitor is reading the transcript or talking to a rep
+    if (transcript.isOpen() || handoff.isActive()) return;
+
     // Do not close if cursor is over an AI message bubble
     if (document.querySelector('.message-bubble.ai:hover')) return;
 
@@ -124,10 +209,10 @@ export function createUI() {
   };
 
   // Close notch and remove messages when clicking outside
-  document.addEventListener('click', (e) => {
+  const handleOutsideClick = (e) => {
     // Don't close if in voice mode
     const state = Store.getState();
-    if (state.isVoiceMode) return;
+    if (state.isVoiceMode || handoff.isActive()) return;
 
     // Determine if click is inside the SDK shadow DOM
     let clickedInside = false;
@@ -142,23 +227,120 @@ export function createUI() {
 
     if (!clickedInside) {
       // Remove all AI messages and close the notch after 1 ms
-      setTimeout(() => {
-        const messages = messagesContainer.querySelectorAll('.message-bubble.ai');
-        messages.forEach(msg => msg.remove());
-        Store.setState({ isOpen: false, isVoiceMode: false });
-      }, 1);
+      setTimeout(dismiss, 1);
     }
-  });
+  };
+  document.addEventListener('click', handleOutsideClick);
+
+  /**
+   * Clear the replies and collapse the notch
+   */
+  const dismiss = () => {
+    const messages = messagesContainer.querySelectorAll('.message-bubble.ai');
+    messages.forEach(msg => msg.remove());
+    transcript.close();
+    Store.setState({ isOpen: false, isVoiceMode: false });
+  };
+
+  // Keyboard: the collapsed notch is a button, Esc backs out one level, Tab stays inside while open
+  trigger.addEventListener('click', openSDK);
+
+  const handleKeydown = (e) => {
+    const state = Store.getState();
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      if (transcript.isOpen()) {
+        transcript.close();
+      } else if (state.isVoiceMode) {
+        stopVoice();
+      } else if (state.isOpen) {
+        dismiss();
+        trigger.focus();
+      }
+    } else if (e.key === 'Tab' && (state.isOpen || state.isVoiceMode)) {
+      trapFocus(e, shadow);
+    }
+  };
+  wrapper.addEventListener('keydown', handleKeydown);
+
+  // Hotkey opens the notch from anywhere on the page
+  const hotkey = parseHotkey(getAccessibilityConfig().hotkey);
+  if (hotkey) trigger.setAttribute('aria-keyshortcuts', formatHotkey(hotkey));
+
+  const handleHotkey = (e) => {
+    if (!matchesHotkey(e, hotkey) || Store.getState().isVoiceMode) return;
+    e.preventDefault();
+    clearTimeout(closeTimeout);
+    Store.setState({ isOpen: true });
+    wrapper.querySelector('.chat-input').focus();
+  };
+  document.addEventListener('keydown', handleHotkey);
 
   // Attach listeners to interactive elements
-  notch.addEventListener('mouseenter', openSDK);
-  notch.addEventListener('mouseleave', closeSDK);
+  // Hover only means something for a mouse; touch opens via the trigger's click
+  const onHoverStart = (e) => {
+    if (e.pointerType === 'mouse') openSDK();
+  };
+  const onHoverEnd = (e) => {
+    if (e.pointerType === 'mouse') closeSDK();
+  };
 
-  chatMessages.addEventListener('mouseenter', openSDK);
-  chatMessages.addEventListener('mouseleave', closeSDK);
+  notch.addEventListener('pointerenter', onHoverStart);
+  notch.addEventListener('pointerleave', onHoverEnd);
+
+  chatMessages.addEventListener('pointerenter', onHoverStart);
+  chatMessages.addEventListener('pointerleave', onHoverEnd);
+
+  // Touch: stay above the keyboard, swipe toward the screen edge to dismiss, Back as exit intent
+  const mobileTeardowns = [];
+  if (mobile) {
+    mobileTeardowns.push(watchKeyboardInset(container));
+  }
+  if (mobile && getMobileConfig().swipeToDismiss) {
+    const direction = container.dataset.position === 'top' ? 'up' : 'down';
+    const swipeDismiss = () => {
+      if (Store.getState().isVoiceMode) stopVoice();
+      dismiss();
+    };
+
+    mobileTeardowns.push(
+      onSwipeDismiss(notch, { direction, onDismiss: swipeDismiss }),
+      onSwipeDismiss(chatMessages, { direction, onDismiss: swipeDismiss }),
+      // Let the transcript list scroll; the sheet only closes from its top
+      onSwipeDismiss(transcript.element, {
+        canStart: (e) => {
+          const list = e.target.closest?.('.transcript-list');
+          return !list || list.scrollTop === 0;
+        },
+        onDismiss: () => transcript.close()
+      })
+    );
+  }
+  mobileTeardowns.push(watchBackButtonIntent());
+
+  /**
+   * Keep keyboard and screen-reader access in step with what's on screen
+   * @param {Object} state - Store state
+   */
+  const syncAccessibility = (state) => {
+    const expanded = !!(state.isOpen || state.isVoiceMode);
+    trigger.setAttribute('aria-expanded', String(expanded));
+    trigger.toggleAttribute('inert', expanded);
+    inputInterface.toggleAttribute('inert', !state.isOpen || !!state.isVoiceMode);
+    voiceInterface.toggleAttribute('inert', !state.isVoiceMode);
+  };
+  syncAccessibility(Store.getState());
 
   // State Subscription to update UI
-  Store.subscribe((state) => {
+  let wasOpen = Store.getState().isOpen;
+  const unsubscribeStore = Store.subscribe((state) => {
+    syncAccessibility(state);
+
+    if (state.isOpen !== wasOpen) {
+      wasOpen = state.isOpen;
+      eventBus.emit(state.isOpen ? SDKEvent.OPEN : SDKEvent.CLOSE, {});
+    }
+
     if (state.isVoiceMode) {
       wrapper.classList.remove('expanded'); // Remove expanded to collapse text input
       wrapper.classList.add('voice-mode');
@@ -183,17 +365,516 @@ export function createUI() {
   const messagesContainer = wrapper.querySelector('#chat-messages');
   const voiceBtn = wrapper.querySelector('#voice-btn');
   const voiceCloseBtn = wrapper.querySelector('.voice-close-btn');
+  const transcriptBtn = wrapper.querySelector('#transcript-btn');
 
-  const sendMessage = () => {
-    const text = input.value.trim();
-    if (!text) return;
+  transcriptBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    transcript.toggle();
+  });
 
-    input.value = '';
+  // Site owners can turn voice off entirely via behavior.voiceEnabled
+  if (!getBehaviorFlag('voiceEnabled')) {
+    voiceBtn.style.display = 'none';
+  }
+
+  /**
+   * Show the inline lead form as an AI bubble
+   */
+  const showLeadForm = () => {
+    leadCapture.markFormOffered();
+
+    const formBubble = document.createElement('div');
+    formBubble.className = 'message-bubble ai lead-form';
+    formBubble.innerHTML = `
+      <div class="lead-form-title"></div>
+      <input type="text" name="name" autocomplete="name" />
+      <input type="email" name="email" autocomplete="email" />
+      <input type="text" name="company" autocomplete="organization" />
+      <button type="button" class="lead-form-submit"></button>
+      <div class="lead-form-status"></div>
+    `;
+    formBubble.querySelector('.lead-form-title').textContent = t('leadFormTitle');
+    formBubble.querySelector('input[name="name"]').placeholder = t('namePlaceholder');
+    formBubble.querySelector('input[name="email"]').placeholder = t('emailPlaceholder');
+    formBubble.querySelector('input[name="company"]').placeholder = t('companyPlaceholder');
+    formBubble.querySelector('.lead-form-submit').textContent = t('send');
+
+    const submitBtn = formBubble.querySelector('.lead-form-submit');
+    const status = formBubble.querySelector('.lead-form-status');
+    const field = (name) => formBubble.querySelector(`input[name="${name}"]`).value;
+
+    const submitLead = () => {
+      submitBtn.disabled = true;
+      status.textContent = '';
+      leadCapture.submit({ name: field('name'), email: field('email'), company: field('company') }, 'form')
+        .then(() => {
+          formBubble.className = 'message-bubble ai';
+          const name = field('name').trim();
+          formBubble.textContent = name ? t('thanksNamed', { name }) : t('thanks');
+        })
+        .catch(error => {
+          submitBtn.disabled = false;
+          status.textContent = error.code === LEAD_NOT_DELIVERED ? t('leadFailed') : error.message;
+        });
+    };
+
+    submitBtn.addEventListener('click', submitLead);
+    formBubble.querySelectorAll('input').forEach(el => {
+      el.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') submitLead();
+      });
+    });
+
+    messagesContainer.appendChild(formBubble);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  };
+
+  /**
+   * Tell the visitor (and the model, on its next turn) how a held-back action went
+   * @param {Element} bubble - Bubble to replace with the message
+   * @param {string} text - Message text
+   */
+  const reportOutcome = (bubble, text) => {
+    bubble.className = 'message-bubble ai';
+    bubble.textContent = text;
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    appendToConversationHistory('assistant', text);
+    eventBus.emit(SDKEvent.MESSAGE, { role: 'assistant', text, source: 'form' });
+  };
+
+  /**
+   * Show what fill_form put in the page's form, submitting only when the visitor confirms
+   * @param {Object} preview - { title, submitLabel, fields, missing }
+   */
+  const showFormPreview = (preview) => {
+    messagesContainer.querySelectorAll('.form-preview').forEach(el => el.remove());
+
+    const previewBubble = document.createElement('div');
+    previewBubble.className = 'message-bubble ai lead-form form-preview';
+
+    const title = document.createElement('div');
+    title.className = 'lead-form-title';
+    title.textContent = t('formPreviewTitle', { form: preview.title });
+    previewBubble.appendChild(title);
+
+    // Values come from the chat and the model, so they're only ever set as text
+    preview.fields.forEach(({ label, value }) => {
+      const row = document.createElement('div');
+      row.className = 'form-preview-row';
+      const name = document.createElement('span');
+      name.className = 'form-preview-label';
+      name.textContent = label;
+      const content = document.createElement('span');
+      content.textContent = value;
+      row.append(name, content);
+      previewBubble.appendChild(row);
+    });
+
+    const status = document.createElement('div');
+    status.className = 'lead-form-status';
+    if (preview.missing.length > 0) {
+      status.textContent = t('formMissing', { fields: preview.missing.join(', ') });
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'form-preview-actions';
+    const confirmBtn = document.createElement('button');
+    confirmBtn.type = 'button';
+    confirmBtn.className = 'lead-form-submit';
+    confirmBtn.textContent = preview.submitLabel;
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'form-preview-cancel';
+    cancelBtn.textContent = t('cancel');
+    actions.append(confirmBtn, cancelBtn);
+    previewBubble.append(actions, status);
+
+    confirmBtn.addEventListener('click', () => {
+      confirmBtn.disabled = true;
+      cancelBtn.disabled = true;
+      status.textContent = t('submitting');
+      formFiller.confirm()
+        .then(({ success, errors }) => {
+          reportOutcome(previewBubble, success
+            ? t('formSubmitted')
+            : t('formRejected', { errors: errors.join('; ') }));
+        })
+        .catch(error => reportOutcome(previewBubble, t('formRejected', { errors: error.message })));
+    });
+
+    cancelBtn.addEventListener('click', () => {
+      formFiller.cancel();
+      reportOutcome(previewBubble, t('formCancelled'));
+    });
+
+    messagesContainer.appendChild(previewBubble);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    announcer.announce(title.textContent);
+  };
+  const unsubscribeFormPreview = eventBus.on(SDKEvent.FORM_PREVIEW, showFormPreview);
+
+  /**
+   * Ask the visitor before running an action the policy holds back (clicks, leaving the page)
+   * @param {Object} request - { id, description }
+   */
+  const showActionConfirm = ({ id, description }) => {
+    const confirmBubble = document.createElement('div');
+    confirmBubble.className = 'message-bubble ai lead-form action-confirm';
+
+    const title = document.createElement('div');
+    title.className = 'lead-form-title';
+    title.textContent = t('confirmAction', { action: description });
+
+    const actions = document.createElement('div');
+    actions.className = 'form-preview-actions';
+    const yesBtn = document.createElement('button');
+    yesBtn.type = 'button';
+    yesBtn.className = 'lead-form-submit';
+    yesBtn.textContent = t('yes');
+    const noBtn = document.createElement('button');
+    noBtn.type = 'button';
+    noBtn.className = 'form-preview-cancel';
+    noBtn.textContent = t('no');
+    actions.append(yesBtn, noBtn);
+    confirmBubble.append(title, actions);
+
+    yesBtn.addEventListener('click', () => {
+      yesBtn.disabled = true;
+      noBtn.disabled = true;
+      actionPolicy.approve(id)
+        .then(result => {
+          if (result.success === false) reportOutcome(confirmBubble, t('actionFailed', { error: result.error }));
+          else confirmBubble.remove();
+        })
+        .catch(error => reportOutcome(confirmBubble, t('actionFailed', { error: error.message })));
+    });
+
+    noBtn.addEventListener('click', () => {
+      actionPolicy.decline(id);
+      reportOutcome(confirmBubble, t('actionDeclined'));
+    });
+
+    messagesContainer.appendChild(confirmBubble);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    announcer.announce(title.textContent);
+  };
+  const unsubscribeActionConfirm = eventBus.on(SDKEvent.ACTION_CONFIRM, showActionConfirm);
+
+  /**
+   * Show a card the agent asked for (plans, comparison, CTA buttons) under the reply
+   * @param {Object} card - Card from buildCard
+   */
+  const showCard = (card) => {
+    if (card.type === 'meeting') {
+      showMeetingPicker(card);
+      return;
+    }
+
+    const cardBubble = document.createElement('div');
+    cardBubble.className = 'message-bubble ai card-bubble';
+    cardBubble.appendChild(renderCard(card));
+    messagesContainer.appendChild(cardBubble);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    announcer.announce(card.title);
+  };
+  const unsubscribeCard = eventBus.on(SDKEvent.CARD, showCard);
+
+  /**
+   * Open times from book_meeting: pick a slot, then confirm email and time zone
+   * @param {Object} card - Meeting card ({ title, topic, slots })
+   */
+  const showMeetingPicker = (card) => {
+    const pickerBubble = document.createElement('div');
+    let timeZone = getLocalTimeZone();
+
+    const createTimeZoneSelect = (onChange) => {
+      const select = document.createElement('select');
+      select.className = 'meeting-timezone';
+      select.setAttribute('aria-label', t('meetingTimezone'));
+      listTimeZones(timeZone).forEach(zone => {
+        const option = document.createElement('option');
+        option.value = zone;
+        option.textContent = zone.replace(/_/g, ' ');
+        option.selected = zone === timeZone;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => {
+        timeZone = select.value;
+        onChange();
+      });
+      return select;
+    };
+
+    const describeSlot = (slot) => `${formatSlotTime(slot.start, timeZone, languageManager.language)} (${timeZone.replace(/_/g, ' ')})`;
+
+    const showSlots = () => {
+      pickerBubble.className = 'message-bubble ai card-bubble meeting-picker';
+      const zoneRow = document.createElement('div');
+      zoneRow.className = 'meeting-timezone-row';
+      zoneRow.append(createTimeZoneSelect(showSlots));
+      pickerBubble.replaceChildren(renderCard(card, { timeZone, onSlot: showConfirm }), zoneRow);
+    };
+
+    const showConfirm = (slot) => {
+      pickerBubble.className = 'message-bubble ai lead-form meeting-confirm';
+
+      const title = document.createElement('div');
+      title.className = 'lead-form-title';
+      title.textContent = t('meetingConfirmTitle', { time: describeSlot(slot) });
+
+      const email = document.createElement('input');
+      email.type = 'email';
+      email.name = 'email';
+      email.autocomplete = 'email';
+      email.placeholder = t('emailPlaceholder');
+      email.value = leadCapture.toJSON().contact.email || '';
+
+      const actions = document.createElement('div');
+      actions.className = 'form-preview-actions';
+      const bookBtn = document.createElement('button');
+      bookBtn.type = 'button';
+      bookBtn.className = 'lead-form-submit';
+      bookBtn.textContent = t('meetingBook');
+      const backBtn = document.createElement('button');
+      backBtn.type = 'button';
+      backBtn.className = 'form-preview-cancel';
+      backBtn.textContent = t('meetingBack');
+      actions.append(bookBtn, backBtn);
+
+      const status = document.createElement('div');
+      status.className = 'lead-form-status';
+
+      const book = () => {
+        bookBtn.disabled = true;
+        backBtn.disabled = true;
+        status.textContent = '';
+        meetings.book({ start: slot.start, email: email.value, name: leadCapture.toJSON().contact.name, timezone: timeZone })
+          .then(meeting => reportOutcome(pickerBubble, t(meeting.confirmed ? 'meetingBooked' : 'meetingRequested', { time: describeSlot(slot), email: meeting.attendee.email })))
+          .catch(error => {
+            bookBtn.disabled = false;
+            backBtn.disabled = false;
+            status.textContent = error.message;
+          });
+      };
+
+      bookBtn.addEventListener('click', book);
+      email.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') book();
+      });
+      backBtn.addEventListener('click', showSlots);
+
+      pickerBubble.replaceChildren(title, email, createTimeZoneSelect(() => showConfirm(slot)), actions, status);
+      email.focus();
+    };
+
+    showSlots();
+    messagesContainer.appendChild(pickerBubble);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    announcer.announce(card.title);
+  };
+
+  /**
+   * Replace whatever the notch is showing with a single AI bubble
+   * @param {Element} bubble - Bubble to show
+   */
+  const showBubble = (bubble) => {
+    messagesContainer.querySelectorAll('.message-bubble.ai:not(.form-preview)').forEach(ai => ai.remove());
+    messagesContainer.appendChild(bubble);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    Store.setState({ isOpen: true });
+  };
+
+  // Status strip while a rep has the conversation (waiting, connected, typing) with an End button
+  const handoffStatus = document.createElement('div');
+  handoffStatus.className = 'handoff-status';
+  handoffStatus.setAttribute('role', 'status');
+  handoffStatus.hidden = true;
+  const handoffStatusText = document.createElement('span');
+  const handoffEndBtn = document.createElement('button');
+  handoffEndBtn.type = 'button';
+  handoffEndBtn.className = 'handoff-end';
+  handoffEndBtn.addEventListener('click', () => handoff.end());
+  handoffStatus.append(handoffStatusText, handoffEndBtn);
+  wrapper.appendChild(handoffStatus);
+
+  const agentName = (agent) => agent?.name || t('handoffTeam');
+
+  const updateHandoffStatus = ({ state, agent }, typing = false) => {
+    handoffStatus.hidden = state !== 'waiting' && state !== 'live';
+    if (handoffStatus.hidden) return;
+    if (state === 'waiting') handoffStatusText.textContent = t('handoffWaiting');
+    else if (typing) handoffStatusText.textContent = t('handoffTyping', { name: agentName(agent) });
+    else handoffStatusText.textContent = t('handoffConnected', { name: agentName(agent) });
+    handoffEndBtn.textContent = t('handoffEnd');
+  };
+
+  /**
+   * Offer a person (with who's online), accepting or declining inline
+   * @param {number|null} agentsOnline - Reps online, when known
+   */
+  const showHandoffOffer = (agentsOnline) => {
+    const offerBubble = document.createElement('div');
+    offerBubble.className = 'message-bubble ai lead-form handoff-offer';
+
+    const title = document.createElement('div');
+    title.className = 'lead-form-title';
+    title.textContent = t('handoffOffer');
+
+    const presence = document.createElement('div');
+    presence.className = 'lead-form-status';
+    presence.textContent = agentsOnline > 0 ? t('handoffAgentsOnline', { count: agentsOnline }) : t('handoffNoAgents');
+
+    const actions = document.createElement('div');
+    actions.className = 'form-preview-actions';
+    const acceptBtn = document.createElement('button');
+    acceptBtn.type = 'button';
+    acceptBtn.className = 'lead-form-submit';
+    acceptBtn.textContent = agentsOnline > 0 ? t('handoffAccept') : t('leaveMessage');
+    const declineBtn = document.createElement('button');
+    declineBtn.type = 'button';
+    declineBtn.className = 'form-preview-cancel';
+    declineBtn.textContent = t('no');
+    actions.append(acceptBtn, declineBtn);
+    offerBubble.append(title, presence, actions);
+
+    acceptBtn.addEventListener('click', () => {
+      acceptBtn.disabled = true;
+      declineBtn.disabled = true;
+      handoff.request();
+    });
+    declineBtn.addEventListener('click', () => {
+      offerBubble.remove();
+      handoff.decline();
+    });
+
+    showBubble(offerBubble);
+    announcer.announce(`${title.textContent} ${presence.textContent}`);
+  };
+
+  /**
+   * Nobody is online: take a message for the team instead
+   */
+  const showLeaveMessageForm = () => {
+    const formBubble = document.createElement('div');
+    formBubble.className = 'message-bubble ai lead-form handoff-message';
+    formBubble.innerHTML = `
+      <div class="lead-form-title"></div>
+      <input type="text" name="name" autocomplete="name" />
+      <input type="email" name="email" autocomplete="email" />
+      <textarea name="message" rows="3"></textarea>
+      <button type="button" class="lead-form-submit"></button>
+      <div class="lead-form-status"></div>
+    `;
+    const contact = leadCapture.toJSON().contact;
+    formBubble.querySelector('.lead-form-title').textContent = t('handoffNoAgents');
+    formBubble.querySelector('input[name="name"]').placeholder = t('namePlaceholder');
+    formBubble.querySelector('input[name="name"]').value = contact.name || '';
+    formBubble.querySelector('input[name="email"]').placeholder = t('emailPlaceholder');
+    formBubble.querySelector('input[name="email"]').value = contact.email || '';
+    formBubble.querySelector('textarea').placeholder = t('handoffMessagePlaceholder');
+    formBubble.querySelector('.lead-form-submit').textContent = t('leaveMessage');
+
+    const submitBtn = formBubble.querySelector('.lead-form-submit');
+    const status = formBubble.querySelector('.lead-form-status');
+    const field = (name) => formBubble.querySelector(`[name="${name}"]`).value;
+
+    submitBtn.addEventListener('click', () => {
+      submitBtn.disabled = true;
+      status.textContent = '';
+      handoff.leaveMessage({ name: field('name'), email: field('email'), text: field('message') })
+        .then(() => reportOutcome(formBubble, t('handoffMessageSent')))
+        .catch(error => {
+          submitBtn.disabled = false;
+          status.textContent = error.code === LEAD_NOT_DELIVERED ? t('leadFailed') : error.message;
+        });
+    });
+
+    showBubble(formBubble);
+    announcer.announce(t('handoffNoAgents'));
+  };
+
+  const handleHandoff = (change) => {
+    const { state, previous, agent, agentsOnline } = change;
+    updateHandoffStatus(change);
+
+    switch (state) {
+      case 'offered':
+        // Presence updates while the offer is up refresh it in place
+        messagesContainer.querySelector('.handoff-offer')?.remove();
+        showHandoffOffer(agentsOnline);
+        break;
+      case 'unavailable':
+        messagesContainer.querySelector('.handoff-offer')?.remove();
+        showLeaveMessageForm();
+        break;
+      case 'waiting':
+        // A rep types back, so voice mode would talk over them
+        if (Store.getState().isVoiceMode) stopVoice();
+        messagesContainer.querySelector('.handoff-offer')?.remove();
+        announcer.announce(t('handoffWaiting'));
+        break;
+      case 'live':
+        if (previous !== 'live') announcer.announce(t('handoffConnected', { name: agentName(agent) }));
+        break;
+      case 'ended':
+      case 'lost': {
+        const endedMsg = document.createElement('div');
+        endedMsg.className = 'message-bubble ai';
+        endedMsg.textContent = state === 'lost' ? t('handoffLost') : t('handoffEnded', { name: agentName(agent) });
+        showBubble(endedMsg);
+        announcer.announce(endedMsg.textContent);
+        break;
+      }
+    }
+  };
+  const unsubscribeHandoff = eventBus.on(SDKEvent.HANDOFF, handleHandoff);
+  const unsubscribeHandoffTyping = eventBus.on(SDKEvent.HANDOFF_TYPING, ({ typing, agent }) => {
+    updateHandoffStatus({ state: handoff.state, agent }, typing);
+  });
+
+  // The rep's replies are plain text under their name
+  const unsubscribeAgentMessages = eventBus.on(SDKEvent.MESSAGE, ({ source, text, agent }) => {
+    if (source !== 'agent') return;
+    const agentMsg = document.createElement('div');
+    agentMsg.className = 'message-bubble ai agent-message';
+    const label = document.createElement('div');
+    label.className = 'agent-label';
+    label.textContent = agent || t('handoffTeam');
+    const body = document.createElement('div');
+    body.textContent = text;
+    agentMsg.append(label, body);
+    showBubble(agentMsg);
+    announcer.announce(`${label.textContent}: ${text}`);
+  });
+
+  /**
+   * Send a message through the chat pipeline
+   * @param {string} rawText - Message text
+   * @returns {Promise<string|null>} Assistant reply text
+   */
+  const submitText = (rawText) => {
+    const text = (rawText || '').trim();
+    if (!text) return Promise.resolve(null);
+
+    // A rep has the conversation; their replies arrive over the handoff channel
+    if (handoff.isActive()) {
+      handoff.sendMessage(text);
+      return Promise.resolve(null);
+    }
 
-    // Ensure only one AI reply is visible
-    const existingAIs = messagesContainer.querySelectorAll('.message-bubble.ai');
+    eventBus.emit(SDKEvent.MESSAGE, { role: 'user', text, source: 'text' });
+
+    // Ensure only one AI reply is visible (a form waiting for confirmation stays)
+    const existingAIs = messagesContainer.querySelectorAll('.message-bubble.ai:not(.form-preview)');
     existingAIs.forEach(ai => ai.remove());
 
+    // "Can I talk to a person?" goes straight to the team instead of the model
+    if (handoff.isHumanRequest(text)) {
+      appendToConversationHistory('user', text);
+      handoff.request('requested');
+      return Promise.resolve(null);
+    }
+
     // Check if this is a navigation request
     const isNavRequest = isNavigationRequest(text);
 
@@ -210,22 +891,25 @@ export function createUI() {
     messagesContainer.appendChild(aiMsg);
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
-    // Extract page context for AI
+    // Extract page context for AI (the route may have changed since mount)
     const pageContext = extractPageContext();
+    navAgent.updateContext(pageContext);
 
     if (isNavRequest) {
-      navAgent.navigate(text).then(result => {
+      return navAgent.navigate(text).then(result => {
         loadingIndicator.remove();
-        aiMsg.textContent = result;
+        const replyText = result.response || result.error;
+        aiMsg.textContent = replyText;
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        eventBus.emit(SDKEvent.MESSAGE, { role: 'assistant', text: replyText, source: 'navigation' });
+        return replyText;
       });
-      return;
     }
 
     // Stream handler
     let fullText = "";
 
-    sendToGrok(text, pageContext, {
+    return sendToGrok(text, pageContext, {
       onChunk: (chunk) => {
         // Remove loading indicator on first chunk
         if (loadingIndicator.parentNode) {
@@ -233,51 +917,61 @@ export function createUI() {
         }
 
         fullText += chunk;
-        // Parse actions from the chunk if possible? 
-        // Actually, usually actions come at the end in a JSON block.
-        // For now, we just display the raw text (action JSON might be visible momentarily)
-        // Ideally we separate content from JSON actions, but for speed we stream everything.
-
-        // Simple robust display: use the accumulated text
-        // Note: Use textContent to avoid XSS, but parseAndExecute handles logic later
+        // Actions arrive as tool calls, not text, so the stream can be shown as-is
+        // Note: Use textContent to avoid XSS
         aiMsg.textContent = fullText;
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
       }
     }).then(aiResponse => {
-      // Final pass to execute actions and cleanup display (remove JSON if present)
-      const displayText = parseAndExecute(aiResponse);
-      if (displayText !== aiResponse) {
-        aiMsg.textContent = displayText;
-      }
+      const displayText = aiResponse.trim();
+      if (loadingIndicator.parentNode) loadingIndicator.remove();
+      setMarkdown(aiMsg, displayText);
+      eventBus.emit(SDKEvent.MESSAGE, { role: 'assistant', text: displayText, source: 'text' });
+
+      // Offer the lead form once the visitor looks qualified (not on top of a form preview or a handoff)
+      if (!formFiller.hasPending() && handoff.state === 'idle' && leadCapture.shouldOfferForm()) showLeadForm();
+      return displayText;
     }).catch(err => {
       console.error('Error sending message:', err);
       if (loadingIndicator.parentNode) loadingIndicator.remove();
       aiMsg.classList.add('error');
-      aiMsg.textContent = 'Sorry, I encountered an error. Please try again.';
+      aiMsg.textContent = t('error');
+      announcer.announce(aiMsg.textContent);
+      eventBus.emit(SDKEvent.ERROR, { source: 'chat', message: err.message });
+      return null;
     });
   };
 
+  const sendMessage = () => {
+    const text = input.value;
+    input.value = '';
+    submitText(text);
+  };
+
   sendBtn.addEventListener('click', sendMessage);
   input.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') sendMessage();
   });
+  input.addEventListener('input', () => handoff.noteTyping());
 
   // Voice Mode Logic with Advanced Handler
   let voiceHandler = null;
   let voiceStatusIndicator = null;
 
-  voiceBtn.addEventListener('click', async (e) => {
-    e.stopPropagation();
+  const startVoice = async () => {
     const state = Store.getState();
+    if (!getBehaviorFlag('voiceEnabled')) return;
 
     if (!state.isVoiceMode) {
       // Start voice mode
       Store.setState({ isVoiceMode: true, isOpen: true });
+      voiceCloseBtn.focus();
 
       // Create status indicator
       voiceStatusIndicator = document.createElement('div');
       voiceStatusIndicator.className = 'voice-status-indicator voice-listening';
-      voiceStatusIndicator.textContent = 'Listening...';
+      voiceStatusIndicator.setAttribute('role', 'status');
+      voiceStatusIndicator.textContent = t('listening');
       wrapper.appendChild(voiceStatusIndicator);
 
       try {
@@ -286,6 +980,8 @@ export function createUI() {
         await voiceHandler.start(
           // onResponse callback
           async (userMessage) => {
+            eventBus.emit(SDKEvent.MESSAGE, { role: 'user', text: userMessage, source: 'voice' });
+
             // Remove any existing AI messages (only show latest)
             const existingAIs = messagesContainer.querySelectorAll('.message-bubble.ai');
             existingAIs.forEach(ai => ai.remove());
@@ -293,15 +989,16 @@ export function createUI() {
             // Get AI response with context
             const pageContext = extractPageContext();
             const rawResponse = await sendToGrok(userMessage, pageContext);
-            const displayText = parseAndExecute(rawResponse);
+            const displayText = rawResponse.trim();
 
             // Show AI message
             const aiMsg = document.createElement('div');
             aiMsg.className = 'message-bubble ai';
-            aiMsg.textContent = displayText;
+            setMarkdown(aiMsg, displayText);
             messagesContainer.appendChild(aiMsg);
             messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
+            eventBus.emit(SDKEvent.MESSAGE, { role: 'assistant', text: displayText, source: 'voice' });
             return displayText;
           },
           // onStatusChange callback
@@ -316,34 +1013,37 @@ export function createUI() {
 
               switch (status) {
                 case 'listening':
-                  voiceStatusIndicator.textContent = 'Listening...';
+                  voiceStatusIndicator.textContent = t('listening');
                   voiceStatusIndicator.className = 'voice-status-indicator voice-listening';
                   break;
                 case 'speaking':
-                  voiceStatusIndicator.textContent = 'You\'re speaking...';
+                  voiceStatusIndicator.textContent = t('userSpeaking');
                   voiceStatusIndicator.className = 'voice-status-indicator voice-user-speaking';
                   break;
                 case 'processing':
-                  voiceStatusIndicator.textContent = 'Processing...';
+                  voiceStatusIndicator.textContent = t('processing');
                   voiceStatusIndicator.className = 'voice-status-indicator voice-processing';
                   break;
                 case 'ai-speaking':
-                  voiceStatusIndicator.textContent = 'AI is speaking...';
+                  voiceStatusIndicator.textContent = t('aiSpeaking');
                   voiceStatusIndicator.className = 'voice-status-indicator voice-ai-speaking';
                   break;
               }
             }
           }
         );
+        eventBus.emit(SDKEvent.VOICE_START, {});
       } catch (error) {
         console.error('Failed to start voice mode:', error);
+        eventBus.emit(SDKEvent.ERROR, { source: 'voice', message: error.message });
 
         // Show browser-specific error message
         const errorMsg = document.createElement('div');
         errorMsg.className = 'message-bubble ai error';
-        errorMsg.textContent = error.message || 'Voice mode is not supported in your browser or microphone access was denied.';
+        errorMsg.textContent = error.message || t('voiceUnsupported');
         messagesContainer.appendChild(errorMsg);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        announcer.announce(errorMsg.textContent);
 
         Store.setState({ isVoiceMode: false });
         if (voiceStatusIndicator) {
@@ -352,15 +1052,19 @@ export function createUI() {
         }
       }
     }
-  });
+  };
 
-  const exitVoiceMode = (e) => {
+  voiceBtn.addEventListener('click', (e) => {
     e.stopPropagation();
+    startVoice();
+  });
 
+  const stopVoice = () => {
     // Stop voice handler
     if (voiceHandler) {
       voiceHandler.stop();
       voiceHandler = null;
+      eventBus.emit(SDKEvent.VOICE_STOP, {});
     }
 
     // Remove status indicator
@@ -372,31 +1076,144 @@ export function createUI() {
     Store.setState({ isVoiceMode: false, isOpen: true });
   };
 
+  const exitVoiceMode = (e) => {
+    e.stopPropagation();
+    stopVoice();
+  };
+
   voiceCloseBtn.addEventListener('click', exitVoiceMode);
 
+  // Watch the conversation for contact details
+  leadCapture.init();
+
+  // Offer a person from the sales team when the conversation calls for one
+  handoff.init();
+
+  // Load (or start building) the site-wide knowledge base in the background
+  siteIndex.init().catch(error => {
+    console.error('[SiteIndex] Init failed:', error);
+  });
+
+  // Finish a cross-page navigation started before the last page load or route change
+  pageNavigator.init();
+
   // Initialize engagement triggers for proactive messaging
-  initializeEngagementTriggers(messagesContainer, sendBtn);
+  const teardownTriggers = initializeEngagementTriggers(messagesContainer);
+
+  // Pick the conversation back up where the visitor left it
+  if (restoredSession?.ui?.isOpen) {
+    const lastReply = [...sessionPersistence.getTranscript()].reverse().find(msg => msg.role === 'assistant' && !msg.card);
+    if (lastReply) {
+      const aiMsg = document.createElement('div');
+      aiMsg.className = 'message-bubble ai';
+      setMarkdown(aiMsg, lastReply.text);
+      messagesContainer.appendChild(aiMsg);
+    }
+    Store.setState({ isOpen: true });
+  }
+
+  activeController = {
+    open: () => {
+      clearTimeout(closeTimeout);
+      Store.setState({ isOpen: true });
+    },
+    close: () => {
+      if (Store.getState().isVoiceMode) stopVoice();
+      Store.setState({ isOpen: false });
+    },
+    send: (text) => {
+      Store.setState({ isOpen: true });
+      return submitText(text);
+    },
+    startVoice,
+    stopVoice: () => {
+      if (Store.getState().isVoiceMode) stopVoice();
+    },
+    bookMeeting: (topic) => {
+      clearTimeout(closeTimeout);
+      Store.setState({ isOpen: true });
+      return meetings.propose({ topic });
+    },
+    reset: () => {
+      clearConversationHistory();
+      funnelEngine.reset();
+      salesExecutive.reset();
+      navAgent.clearHistory();
+      leadCapture.reset();
+      handoff.reset();
+      meetings.reset();
+      engagementTriggers.reset();
+      formFiller.cancel();
+      actionPolicy.reset();
+      messagesContainer.innerHTML = '';
+      eventBus.emit(SDKEvent.RESET, {});
+    },
+    destroy: () => {
+      if (voiceHandler) stopVoice();
+      clearTimeout(closeTimeout);
+      document.removeEventListener('click', handleOutsideClick);
+      document.removeEventListener('keydown', handleHotkey);
+      announcer.destroy();
+      mobileTeardowns.forEach(teardown => teardown());
+      unsubscribeStore();
+      teardownTriggers();
+      engagementTriggers.destroy();
+      behaviorTracker.destroy();
+      sessionPersistence.destroy();
+      leadCapture.destroy();
+      analytics.destroy();
+      experiments.destroy();
+      handoff.destroy();
+      siteIndex.destroy();
+      pageNavigator.destroy();
+      formFiller.cancel();
+      unsubscribeFormPreview();
+      unsubscribeActionConfirm();
+      unsubscribeCard();
+      unsubscribeHandoff();
+      unsubscribeHandoffTyping();
+      unsubscribeAgentMessages();
+      transcript.destroy();
+      unsubscribeLanguage();
+      languageManager.destroy();
+      actionPolicy.reset();
+      container.remove();
+      Store.setState({ isOpen: false, isVoiceMode: false });
+      activeController = null;
+    }
+  };
+
+  return activeController;
 }
 
 /**
  * Initialize engagement triggers for proactive messaging
+ * @returns {Function} Teardown that detaches the trigger listener
  */
-function initializeEngagementTriggers(messagesContainer, sendBtn) {
+function initializeEngagementTriggers(messagesContainer) {
   // Initialize behavior tracker
   behaviorTracker.init();
 
+  // Proactive messaging can be disabled via behavior.proactive
+  if (!getBehaviorFlag('proactive')) {
+    console.log('[UI] Proactive engagement disabled by config');
+    return () => {};
+  }
+
   // Initialize engagement triggers
   engagementTriggers.init();
 
   // Listen for trigger events
-  engagementTriggers.addListener((trigger) => {
+  const onTrigger = (trigger) => {
     console.log('[UI] Engagement trigger fired:', trigger.id);
 
     // Simulate proactive message from AI
     sendProactiveMessage(trigger.message, messagesContainer);
-  });
+  };
+  engagementTriggers.addListener(onTrigger);
 
   console.log('[UI] Engagement triggers initialized');
+  return () => engagementTriggers.removeListener(onTrigger);
 }
 
 /**
@@ -418,5 +1235,6 @@ function sendProactiveMessage(message, messagesContainer) {
 
   messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
+  eventBus.emit(SDKEvent.MESSAGE, { role: 'assistant', text: message, source: 'proactive' });
   console.log('[UI] Sent proactive message:', message);
 }
@@ -3,6 +3,15 @@
  * Tracks user behavior to inform engagement strategy
  */
 
+import { isTouchDevice } from './device.js';
+
+// Mobile exit intent: scrolling this far back up, this fast, after reading at least a screen
+const SCROLL_UP_DISTANCE = 300;
+const SCROLL_UP_WINDOW = 400;
+
+// One exit-intent signal per this interval (several can fire for the same exit)
+const EXIT_INTENT_COOLDOWN = 5000;
+
 export class BehaviorTracker {
     constructor() {
         this.behavior = {
@@ -23,6 +32,17 @@ export class BehaviorTracker {
 
         this.listeners = [];
         this.initialized = false;
+        this.lastExitIntentAt = 0;
+        // Undo functions for the page listeners, timers and observer added by init()
+        this.cleanup = [];
+    }
+
+    /**
+     * Add a page event listener that destroy() removes again
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanup.push(() => target.removeEventListener(type, handler, options));
     }
 
     /**
@@ -57,9 +77,10 @@ export class BehaviorTracker {
      * Start tracking time on page
      */
     startTimeTracking() {
-        setInterval(() => {
+        const interval = setInterval(() => {
             this.behavior.timeOnPage = Math.floor((Date.now() - this.behavior.sessionStartTime) / 1000);
         }, 1000);
+        this.cleanup.push(() => clearInterval(interval));
     }
 
     /**
@@ -67,7 +88,8 @@ export class BehaviorTracker {
      */
     trackScrollBehavior() {
         let scrollTimeout;
-        window.addEventListener('scroll', () => {
+        this.cleanup.push(() => clearTimeout(scrollTimeout));
+        this.listen(window, 'scroll', () => {
             clearTimeout(scrollTimeout);
             scrollTimeout = setTimeout(() => {
                 const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
@@ -90,7 +112,8 @@ export class BehaviorTracker {
         let moveCount = 0;
         let moveTimeout;
 
-        window.addEventListener('mousemove', (e) => {
+        this.cleanup.push(() => clearTimeout(moveTimeout));
+        this.listen(window, 'mousemove', (e) => {
             moveCount++;
             this.behavior.lastActivityTime = Date.now();
 
@@ -108,7 +131,7 @@ export class BehaviorTracker {
         // Track all buttons and links
         const trackElement = (element) => {
             // Track hover
-            element.addEventListener('mouseenter', () => {
+            this.listen(element, 'mouseenter', () => {
                 const isCTA = this.isCTAElement(element);
                 if (isCTA) {
                     this.behavior.ctaHovered++;
@@ -117,7 +140,7 @@ export class BehaviorTracker {
             });
 
             // Track click
-            element.addEventListener('click', () => {
+            this.listen(element, 'click', () => {
                 const isCTA = this.isCTAElement(element);
                 if (isCTA) {
                     this.behavior.ctaClicked = true;
@@ -144,6 +167,7 @@ export class BehaviorTracker {
         });
 
         observer.observe(document.body, { childList: true, subtree: true });
+        this.cleanup.push(() => observer.disconnect());
     }
 
     /**
@@ -165,13 +189,54 @@ export class BehaviorTracker {
      * Track exit intent
      */
     trackExitIntent() {
-        document.addEventListener('mouseleave', (e) => {
+        this.listen(document, 'mouseleave', (e) => {
             // Detect if mouse is leaving toward top of page (close button area)
             if (e.clientY <= 0) {
-                this.behavior.exitIntentDetected = true;
-                this.notifyListeners('exitIntent', {});
+                this.recordExitIntent('mouse');
             }
         });
+
+        // Phones have no cursor to leave the page with: watch for a fast scroll
+        // back up (reaching for the address bar) and switching tabs or apps
+        if (!isTouchDevice()) return;
+
+        let lastY = window.scrollY;
+        let upwardRun = null;
+        this.listen(window, 'scroll', () => {
+            const y = window.scrollY;
+            const now = Date.now();
+
+            if (y < lastY) {
+                if (!upwardRun) upwardRun = { fromY: lastY, startedAt: now };
+                const isFast = now - upwardRun.startedAt <= SCROLL_UP_WINDOW;
+                if (isFast && upwardRun.fromY - y >= SCROLL_UP_DISTANCE && upwardRun.fromY > window.innerHeight) {
+                    this.recordExitIntent('scrollUp');
+                    upwardRun = null;
+                } else if (!isFast) {
+                    upwardRun = { fromY: lastY, startedAt: now };
+                }
+            } else {
+                upwardRun = null;
+            }
+            lastY = y;
+        }, { passive: true });
+
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.recordExitIntent('visibility');
+        });
+    }
+
+    /**
+     * Record an exit-intent signal
+     * @param {string} signal - 'mouse', 'scrollUp', 'visibility' or 'back'
+     */
+    recordExitIntent(signal) {
+        const now = Date.now();
+        if (now - this.lastExitIntentAt < EXIT_INTENT_COOLDOWN) return;
+        this.lastExitIntentAt = now;
+
+        this.behavior.exitIntentDetected = true;
+        this.notifyListeners('exitIntent', { signal });
     }
 
     /**
@@ -199,12 +264,17 @@ export class BehaviorTracker {
         };
 
         // Check on scroll
-        window.addEventListener('scroll', () => {
-            setTimeout(checkSectionView, 100);
+        let sectionTimeout;
+        this.listen(window, 'scroll', () => {
+            sectionTimeout = setTimeout(checkSectionView, 100);
         });
 
         // Initial check
-        setTimeout(checkSectionView, 1000);
+        const initialCheck = setTimeout(checkSectionView, 1000);
+        this.cleanup.push(() => {
+            clearTimeout(sectionTimeout);
+            clearTimeout(initialCheck);
+        });
     }
 
     /**
@@ -251,6 +321,15 @@ export class BehaviorTracker {
         return Math.floor((Date.now() - this.behavior.lastActivityTime) / 1000);
     }
 
+    /**
+     * Seconds since the latest exit-intent signal on this page
+     * (exitIntentDetected stays true for the rest of the session)
+     * @returns {number} Seconds, or Infinity when there hasn't been one
+     */
+    getExitIntentAge() {
+        return this.lastExitIntentAt ? Math.floor((Date.now() - this.lastExitIntentAt) / 1000) : Infinity;
+    }
+
     /**
      * Add behavior change listener
      */
@@ -278,6 +357,25 @@ export class BehaviorTracker {
         });
     }
 
+    /**
+     * Restore counters saved from a previous page of the same session
+     * Only known keys are copied; live values like scrollDepth start fresh
+     */
+    restore(saved = {}) {
+        const persistedKeys = [
+            'maxScrollDepth', 'pricingViewed', 'featuresViewed', 'ctaHovered',
+            'ctaClicked', 'exitIntentDetected', 'planComparisons', 'messagesSent',
+            'sessionStartTime'
+        ];
+
+        persistedKeys.forEach(key => {
+            if (saved[key] !== undefined && typeof saved[key] === typeof this.behavior[key]) {
+                this.behavior[key] = saved[key];
+            }
+        });
+        this.behavior.timeOnPage = Math.floor((Date.now() - this.behavior.sessionStartTime) / 1000);
+    }
+
     /**
      * Reset behavior tracking
      */
@@ -298,6 +396,15 @@ export class BehaviorTracker {
             sessionStartTime: Date.now()
         };
     }
+    /**
+     * Stop tracking: remove the page listeners, timers and observer
+     * Collected behavior and listeners stay, so init() picks up where it left off
+     */
+    destroy() {
+        this.cleanup.forEach(fn => fn());
+        this.cleanup = [];
+        this.initialized = false;
+    }
 }
 
 // Export singleton instance
@@ -21,11 +21,31 @@ export class BrowserTTSClient {
         return Promise.resolve();
     }
 
+    /**
+     * Pick a voice for a locale: exact locale first, then the same language,
+     * preferring natural-sounding voices within each
+     * @param {string} locale - e.g. "es-ES"
+     * @returns {SpeechSynthesisVoice|null} Voice
+     */
+    selectVoice(locale) {
+        const voices = this.synthesis.getVoices();
+        const language = locale.toLowerCase().split('-')[0];
+        const isNatural = v =>
+            v.name.includes('Samantha') || // macOS
+            v.name.includes('Google') ||    // Chrome
+            v.name.includes('Natural');
+
+        const exact = voices.filter(v => v.lang.toLowerCase().replace('_', '-') === locale.toLowerCase());
+        const sameLanguage = voices.filter(v => v.lang.toLowerCase().startsWith(language));
+        return exact.find(isNatural) || exact[0] || sameLanguage.find(isNatural) || sameLanguage[0] || null;
+    }
+
     /**
      * Speak text using browser TTS
      * @param {string} text - Text to synthesize
+     * @param {string} locale - Speech locale, e.g. "de-DE"
      */
-    async speak(text) {
+    async speak(text, locale = 'en-US') {
         // Cancel any ongoing speech
         this.synthesis.cancel();
 
@@ -33,15 +53,9 @@ export class BrowserTTSClient {
             const utterance = new SpeechSynthesisUtterance(text);
             this.currentUtterance = utterance;
 
-            // Configure voice (prefer natural-sounding voices)
-            const voices = this.synthesis.getVoices();
-            const preferredVoice = voices.find(v =>
-                v.name.includes('Samantha') || // macOS
-                v.name.includes('Google') ||    // Chrome
-                v.name.includes('Natural') ||
-                v.lang.startsWith('en-US')
-            );
-
+            // Without a matching voice the browser still tries the language from utterance.lang
+            utterance.lang = locale;
+            const preferredVoice = this.selectVoice(locale);
             if (preferredVoice) {
                 utterance.voice = preferredVoice;
             }
@@ -239,7 +239,9 @@ export function setupDOMChangeMonitoring() {
     return observer;
 }
 
-// Auto-start cache cleanup
-setupAutoCacheCleanup();
+// Auto-start cache cleanup (browser only - the crawler CLI imports this under Node and must exit)
+if (typeof window !== 'undefined') {
+    setupAutoCacheCleanup();
+}
 
 export { globalCache };
@@ -3,7 +3,7 @@
  * Heuristics for identifying and classifying different types of content
  */
 
-import { extractTextContent } from './domParser.js';
+import { extractTextContent, getElementStyle } from './domParser.js';
 
 /**
  * Safely get className as a string (handles SVG elements)
@@ -262,7 +262,7 @@ export function isCTA(element) {
     }
 
     // Check for prominent styling (large, colorful buttons)
-    const style = window.getComputedStyle(element);
+    const style = getElementStyle(element);
     const hasProminentStyle =
         parseInt(style.fontSize) > 14 ||
         style.fontWeight === 'bold' ||
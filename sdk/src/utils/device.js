@@ -0,0 +1,22 @@
+/**
+ * Device Utilities
+ * Touch and viewport checks for the mobile interaction model
+ */
+
+/**
+ * Whether the primary input is a finger (no hover, coarse pointer)
+ * @returns {boolean} True on phones and tablets
+ */
+export function isTouchDevice() {
+    return typeof window.matchMedia === 'function' &&
+        window.matchMedia('(hover: none) and (pointer: coarse)').matches;
+}
+
+/**
+ * Whether the viewport is phone-sized
+ * @param {number} maxWidth - Breakpoint in CSS pixels
+ * @returns {boolean} True when the viewport is at most maxWidth wide
+ */
+export function isSmallViewport(maxWidth) {
+    return window.innerWidth <= maxWidth;
+}
@@ -3,29 +3,76 @@
  * Core functions for parsing and extracting content from the DOM
  */
 
+// Upper bound on section text kept for retrieval
+const MAX_SECTION_TEXT = 20000;
+
+// NodeFilter values, spelled out so the parser also runs under Node (site crawler CLI)
+const SHOW_ELEMENT = 1;
+const FILTER_ACCEPT = 1;
+const FILTER_REJECT = 2;
+
+/**
+ * Whether an element belongs to a document that has no layout
+ * (fetched and parsed by the crawler rather than rendered)
+ * @param {Element} element - DOM element
+ * @returns {boolean} True if computed styles and geometry are meaningless
+ */
+export function isDetachedElement(element) {
+    const ownerDocument = element.ownerDocument;
+    return typeof document === 'undefined' || ownerDocument !== document || !ownerDocument.defaultView;
+}
+
+/**
+ * Get an element's computed style, or an empty style for documents without layout
+ * @param {Element} element - DOM element
+ * @returns {Object} Computed style (possibly empty)
+ */
+export function getElementStyle(element) {
+    if (isDetachedElement(element)) return {};
+    return element.ownerDocument.defaultView.getComputedStyle(element);
+}
+
+/**
+ * Markup-only visibility check for parsed documents
+ * @param {Element} element - DOM element
+ * @returns {boolean} True if it or an ancestor is hidden by attributes or inline style
+ */
+function isHiddenByMarkup(element) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        if (node.hidden || node.getAttribute('aria-hidden') === 'true') return true;
+        const inlineStyle = node.getAttribute('style') || '';
+        if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(inlineStyle)) return true;
+    }
+    return false;
+}
+
 /**
  * Get all visible elements in the viewport and nearby
+ * @param {Document} doc - Document to walk (defaults to the live page)
  * @returns {Array<Element>} Array of visible DOM elements
  */
-export function getVisibleElements() {
+export function getVisibleElements(doc = document) {
     const elements = [];
-    const walker = document.createTreeWalker(
-        document.body,
-        NodeFilter.SHOW_ELEMENT,
+    const walker = doc.createTreeWalker(
+        doc.body,
+        SHOW_ELEMENT,
         {
             acceptNode: (node) => {
                 // Skip script, style, and hidden elements
                 if (node.tagName === 'SCRIPT' || node.tagName === 'STYLE' || node.tagName === 'NOSCRIPT') {
-                    return NodeFilter.FILTER_REJECT;
+                    return FILTER_REJECT;
                 }
 
                 // Check if element is visible
-                const style = window.getComputedStyle(node);
+                if (isDetachedElement(node)) {
+                    return isHiddenByMarkup(node) ? FILTER_REJECT : FILTER_ACCEPT;
+                }
+                const style = getElementStyle(node);
                 if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
-                    return NodeFilter.FILTER_REJECT;
+                    return FILTER_REJECT;
                 }
 
-                return NodeFilter.FILTER_ACCEPT;
+                return FILTER_ACCEPT;
             }
         }
     );
@@ -166,17 +213,18 @@ export function calculateElementRelevance(element) {
 
 /**
  * Get page structure as a hierarchical outline
+ * @param {Document} doc - Document to read (defaults to the live page)
  * @returns {Object} Page structure with sections and headings
  */
-export function getPageStructure() {
+export function getPageStructure(doc = document) {
     const structure = {
-        title: document.title,
+        title: doc.title,
         headings: [],
         sections: []
     };
 
     // Extract all headings
-    const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+    const headings = doc.querySelectorAll('h1, h2, h3, h4, h5, h6');
     headings.forEach(heading => {
         if (isElementVisible(heading)) {
             structure.headings.push({
@@ -188,14 +236,15 @@ export function getPageStructure() {
     });
 
     // Extract main sections
-    const sections = document.querySelectorAll('section, article, main, [role="main"]');
+    const sections = doc.querySelectorAll('section, article, main, [role="main"]');
     sections.forEach(section => {
         if (isElementVisible(section)) {
             const sectionData = {
                 id: section.id || null,
                 type: section.tagName.toLowerCase(),
                 heading: null,
-                textPreview: null
+                textPreview: null,
+                text: null
             };
 
             // Find first heading in section
@@ -207,6 +256,8 @@ export function getPageStructure() {
             // Get text preview (first 200 chars)
             const text = extractTextContent(section);
             sectionData.textPreview = text.substring(0, 200) + (text.length > 200 ? '...' : '');
+            // Full text (bounded) for retrieval over long sections
+            sectionData.text = text.substring(0, MAX_SECTION_TEXT);
 
             structure.sections.push(sectionData);
         }
@@ -223,7 +274,10 @@ export function getPageStructure() {
 export function isElementVisible(element) {
     if (!element) return false;
 
-    const style = window.getComputedStyle(element);
+    // No layout to measure in parsed documents - trust the markup
+    if (isDetachedElement(element)) return !isHiddenByMarkup(element);
+
+    const style = getElementStyle(element);
     if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
         return false;
     }
@@ -234,18 +288,28 @@ export function isElementVisible(element) {
 
 /**
  * Get all links on the page with context
+ * @param {Document} doc - Document to read (defaults to the live page)
  * @returns {Array<Object>} Array of link objects
  */
-export function extractLinks() {
+export function extractLinks(doc = document) {
     const links = [];
-    const anchorElements = document.querySelectorAll('a[href]');
+    const anchorElements = doc.querySelectorAll('a[href]');
+    const baseHost = new URL(doc.baseURI).hostname;
 
     anchorElements.forEach(anchor => {
         if (isElementVisible(anchor)) {
+            // Resolve against the document's own URL (parsed pages aren't at window.location)
+            let url;
+            try {
+                url = new URL(anchor.getAttribute('href'), doc.baseURI);
+            } catch {
+                return;
+            }
+
             links.push({
                 text: extractTextContent(anchor),
-                href: anchor.href,
-                isExternal: anchor.hostname !== window.location.hostname,
+                href: url.href,
+                isExternal: url.hostname !== baseHost,
                 classes: anchor.className,
                 ariaLabel: anchor.getAttribute('aria-label')
             });
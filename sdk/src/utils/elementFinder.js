@@ -193,6 +193,12 @@ export function findSectionByType(sectionType, pageContext = {}) {
         faq: ['faq', 'questions', 'help']
     };
 
+    // Sections declared in Blitsum.init take precedence over keyword matching
+    const configured = (pageContext.structure?.sections || [])
+        .find(section => section.source === 'config' && (section.type === sectionType || section.id === sectionType));
+    const configuredElement = configured && document.getElementById(configured.id);
+    if (configuredElement) return configuredElement;
+
     const keywords = sectionMap[sectionType] || [sectionType];
 
     for (const keyword of keywords) {
@@ -0,0 +1,151 @@
+/**
+ * Markdown Utilities
+ * Renders the small subset of markdown the assistant uses (paragraphs,
+ * bullet and numbered lists, bold, italic, inline code, links) into DOM
+ * nodes. Replies come from the model, so nothing is ever parsed as HTML:
+ * every node is created explicitly and text is only set via text nodes.
+ */
+
+// Inline tokens, longest first: **bold**, `code`, [text](url), *italic*, _italic_
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\)|\*[^*\s][^*]*\*|_[^_\s][^_]*_)/;
+
+const BULLET_PATTERN = /^\s*[-*•]\s+(.*)$/;
+const NUMBERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+
+/**
+ * Check a link target, allowing only web, mail and same-site URLs
+ * @param {string} href - Link target from the reply
+ * @returns {string|null} Safe URL or null
+ */
+export function toSafeUrl(href) {
+    if (!href) return null;
+    if (href.startsWith('/') && !href.startsWith('//')) return href;
+    if (href.startsWith('#')) return href;
+
+    try {
+        const url = new URL(href, window.location.origin);
+        return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Append inline markdown to a parent node
+ * @param {Node} parent - Node to append to
+ * @param {string} text - One line of text
+ */
+function appendInline(parent, text) {
+    const parts = text.split(INLINE_PATTERN);
+
+    parts.forEach((part, index) => {
+        if (!part) return;
+
+        // Odd indices are the captured tokens
+        if (index % 2 === 0) {
+            parent.appendChild(document.createTextNode(part));
+            return;
+        }
+
+        if (part.startsWith('**')) {
+            const strong = document.createElement('strong');
+            appendInline(strong, part.slice(2, -2));
+            parent.appendChild(strong);
+        } else if (part.startsWith('`')) {
+            const code = document.createElement('code');
+            code.textContent = part.slice(1, -1);
+            parent.appendChild(code);
+        } else if (part.startsWith('[')) {
+            const [, label, href] = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+            const safeUrl = toSafeUrl(href);
+            if (!safeUrl) {
+                parent.appendChild(document.createTextNode(label));
+                return;
+            }
+            const link = document.createElement('a');
+            link.href = safeUrl;
+            link.textContent = label;
+            if (new URL(safeUrl, window.location.origin).origin !== window.location.origin) {
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+            }
+            parent.appendChild(link);
+        } else {
+            const em = document.createElement('em');
+            appendInline(em, part.slice(1, -1));
+            parent.appendChild(em);
+        }
+    });
+}
+
+/**
+ * Render markdown text into a fragment
+ * @param {string} text - Markdown text
+ * @returns {DocumentFragment} Rendered nodes
+ */
+export function renderMarkdown(text = '') {
+    const fragment = document.createDocumentFragment();
+    let paragraph = null;
+    let list = null;
+
+    const closeBlocks = () => {
+        paragraph = null;
+        list = null;
+    };
+
+    text.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+        if (!line.trim()) {
+            closeBlocks();
+            return;
+        }
+
+        const bullet = line.match(BULLET_PATTERN);
+        const numbered = !bullet && line.match(NUMBERED_PATTERN);
+        if (bullet || numbered) {
+            const tag = bullet ? 'UL' : 'OL';
+            if (!list || list.tagName !== tag) {
+                list = document.createElement(tag.toLowerCase());
+                fragment.appendChild(list);
+            }
+            paragraph = null;
+            const item = document.createElement('li');
+            appendInline(item, (bullet || numbered)[1]);
+            list.appendChild(item);
+            return;
+        }
+
+        list = null;
+        if (paragraph) {
+            paragraph.appendChild(document.createElement('br'));
+        } else {
+            paragraph = document.createElement('p');
+            fragment.appendChild(paragraph);
+        }
+        appendInline(paragraph, line.trim());
+    });
+
+    return fragment;
+}
+
+/**
+ * Replace an element's content with rendered markdown
+ * @param {Element} element - Target element
+ * @param {string} text - Markdown text
+ */
+export function setMarkdown(element, text) {
+    element.replaceChildren(renderMarkdown(text));
+}
+
+/**
+ * Strip markdown for speech ("**Pro** is [$29](/pricing)" -> "Pro is $29")
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ */
+export function toPlainText(text = '') {
+    return text
+        .replace(/\[([^\]]+)\]\([^)\s]+\)/g, '$1')
+        .replace(/(\*\*|`)(.+?)\1/g, '$2')
+        .replace(/(^|\W)[*_]([^*_\s][^*_]*)[*_](?=\W|$)/g, '$1$2')
+        .replace(/^\s*(?:[-*•]|\d+[.)])\s+/gm, '')
+        .trim();
+}
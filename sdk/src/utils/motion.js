@@ -0,0 +1,22 @@
+/**
+ * Motion Preferences
+ * Honors the visitor's `prefers-reduced-motion` setting for everything the
+ * SDK animates on the host page: scrolling, highlights, pulses and focus effects.
+ */
+
+/**
+ * Whether the visitor asked the OS for reduced motion
+ * @returns {boolean} True when motion should be minimized
+ */
+export function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Scroll behavior for scrollIntoView / scrollTo
+ * @returns {string} 'auto' (jump) with reduced motion, otherwise 'smooth'
+ */
+export function getScrollBehavior() {
+    return prefersReducedMotion() ? 'auto' : 'smooth';
+}
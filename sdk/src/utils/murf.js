@@ -3,8 +3,12 @@
  * Handles real-time text-to-speech streaming with gapless playback
  */
 export class MurfFalconClient {
-    constructor(apiKey) {
-        this.apiKey = apiKey;
+    /**
+     * @param {string|Object} auth - Murf API key, or { getToken } to authenticate with short-lived relay tokens
+     */
+    constructor(auth) {
+        this.apiKey = typeof auth === 'string' ? auth : auth?.apiKey || null;
+        this.getToken = typeof auth === 'object' && auth ? auth.getToken || null : null;
         this.wsUrl = "wss://global.api.murf.ai/v1/speech/stream-input";
         this.sampleRate = 44100;
         this.socket = null;
@@ -33,18 +37,23 @@ export class MurfFalconClient {
             return;
         }
 
+        // Initialize AudioContext on user gesture (before any await so the gesture still counts)
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
+                sampleRate: this.sampleRate
+            });
+        }
+
+        // Resolve credentials before opening the socket (tokens come from the relay in proxy mode)
+        const authParams = this.getToken
+            ? { 'token': await this.getToken() }
+            : { 'api-key': this.apiKey };
+
         return new Promise((resolve, reject) => {
             try {
-                // Initialize AudioContext on user gesture (or when connect is called)
-                if (!this.audioContext) {
-                    this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                        sampleRate: this.sampleRate
-                    });
-                }
-
                 console.log('[MurfClient] Connecting...');
                 const wsParams = new URLSearchParams({
-                    'api-key': this.apiKey,
+                    ...authParams,
                     'model': 'FALCON',
                     'sample_rate': this.sampleRate.toString(),
                     'channel_type': 'MONO',
@@ -110,9 +119,10 @@ export class MurfFalconClient {
     /**
      * Stream text to speech and wait for completion
      * @param {string} text - Text to synthesize
+     * @param {Object} voice - { voiceId, multiNativeLocale } (multi-native voices can speak other languages)
      * @returns {Promise<void>} Resolves when audio finishes playing
      */
-    async speak(text) {
+    async speak(text, voice = {}) {
         // Ensure connection
         if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
             await this.connect();
@@ -143,7 +153,8 @@ export class MurfFalconClient {
             this.isPlaying = true;
 
             const voiceConfig = {
-                voiceId: "en-US-ken",
+                voiceId: voice.voiceId || "en-US-ken",
+                ...(voice.multiNativeLocale ? { multiNativeLocale: voice.multiNativeLocale } : {}),
                 style: "Conversational",
                 sampleRate: this.sampleRate,
                 format: "WAV",
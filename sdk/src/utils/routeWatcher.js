@@ -0,0 +1,63 @@
+/**
+ * Route Watcher
+ * Detects client-side route changes in single-page apps (pushState,
+ * replaceState and back/forward) so the SDK can follow the visitor.
+ */
+
+const ROUTE_CHANGE_EVENT = 'blitsum:routechange';
+
+let patched = false;
+
+/**
+ * Wrap history.pushState/replaceState once so they dispatch a route event
+ */
+function patchHistory() {
+    if (patched || typeof window === 'undefined' || !window.history) return;
+
+    ['pushState', 'replaceState'].forEach(method => {
+        const original = window.history[method];
+        window.history[method] = function (...args) {
+            const previousPath = window.location.pathname;
+            const result = original.apply(this, args);
+            if (window.location.pathname !== previousPath) {
+                window.dispatchEvent(new CustomEvent(ROUTE_CHANGE_EVENT, {
+                    detail: { from: previousPath, to: window.location.pathname }
+                }));
+            }
+            return result;
+        };
+    });
+
+    patched = true;
+}
+
+/**
+ * Subscribe to route changes
+ * @param {Function} callback - Called with ({ from, to })
+ * @returns {Function} Unsubscribe function
+ */
+export function onRouteChange(callback) {
+    patchHistory();
+
+    let lastPath = window.location.pathname;
+
+    const handleRouteEvent = (e) => {
+        lastPath = e.detail.to;
+        callback(e.detail);
+    };
+
+    const handlePopState = () => {
+        if (window.location.pathname === lastPath) return;
+        const from = lastPath;
+        lastPath = window.location.pathname;
+        callback({ from, to: lastPath });
+    };
+
+    window.addEventListener(ROUTE_CHANGE_EVENT, handleRouteEvent);
+    window.addEventListener('popstate', handlePopState);
+
+    return () => {
+        window.removeEventListener(ROUTE_CHANGE_EVENT, handleRouteEvent);
+        window.removeEventListener('popstate', handlePopState);
+    };
+}
@@ -140,32 +140,44 @@ export function summarizeText(text, maxLength = 200) {
 /**
  * Detect the primary language of text (simple heuristic)
  * @param {string} text - Input text
- * @returns {string} Language code (en, es, fr, etc.) or 'unknown'
+ * @returns {string} Language code (en, es, de, fr, it, hi) or 'unknown' when unsure
  */
 export function detectLanguage(text) {
-    if (!text || text.length < 10) return 'unknown';
+    if (!text || text.trim().length < 2) return 'unknown';
 
-    // Simple heuristic based on common words
+    // Devanagari is Hindi for our purposes
+    const devanagari = (text.match(/[\u0900-\u097F]/g) || []).length;
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (letters > 0 && devanagari / letters > 0.3) return 'hi';
+
+    // Function words, plus question words and greetings that show up in short chat messages.
+    // \b doesn't work with accented letters, so words are bounded by non-letters instead
     const languagePatterns = {
-        en: /\b(the|and|is|are|was|were|have|has|will|would|can|could)\b/gi,
-        es: /\b(el|la|los|las|de|que|y|es|en|por|para|con)\b/gi,
-        fr: /\b(le|la|les|de|et|est|dans|pour|avec|ce|qui)\b/gi,
-        de: /\b(der|die|das|und|ist|in|zu|den|mit|von|für)\b/gi,
-        it: /\b(il|la|di|e|è|in|per|con|che|da|un)\b/gi
+        en: ['the', 'and', 'is', 'are', 'was', 'were', 'have', 'has', 'will', 'would', 'can', 'could', 'what', 'how', 'much', 'does', 'you', 'your', 'there', 'get', 'i', 'my', 'we', 'do', 'price', 'hello', 'thanks'],
+        es: ['el', 'los', 'las', 'que', 'qué', 'es', 'por', 'para', 'con', 'una', 'cómo', 'cuánto', 'cuesta', 'quiero', 'puedo', 'tienen', 'precio', 'hola', 'gracias', 'necesito', 'somos'],
+        fr: ['le', 'les', 'et', 'est', 'dans', 'pour', 'avec', 'ce', 'qui', 'combien', 'coûte', 'je', 'nous', 'vous', 'bonjour', 'merci'],
+        de: ['der', 'die', 'das', 'und', 'ist', 'zu', 'den', 'mit', 'von', 'für', 'ich', 'wir', 'wie', 'viel', 'kostet', 'was', 'nicht', 'gibt', 'ein', 'eine', 'hallo', 'danke', 'preis'],
+        it: ['il', 'di', 'è', 'per', 'che', 'da', 'un', 'quanto', 'costa', 'sono', 'ciao', 'grazie'],
+        // Romanized Hindi ("Hinglish")
+        hi: ['hai', 'hain', 'kya', 'mujhe', 'aap', 'kitna', 'nahi', 'chahiye', 'kaise']
     };
 
+    const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
     const scores = {};
 
-    for (const [lang, pattern] of Object.entries(languagePatterns)) {
-        const matches = text.match(pattern);
-        scores[lang] = matches ? matches.length : 0;
+    for (const [lang, vocabulary] of Object.entries(languagePatterns)) {
+        scores[lang] = words.filter(word => vocabulary.includes(word)).length;
     }
 
-    // Find language with highest score
-    const detected = Object.entries(scores)
-        .sort((a, b) => b[1] - a[1])[0];
+    // Characters only one of these languages uses
+    if (/[¿¡ñ]/i.test(text)) scores.es += 2;
+    if (/[äöüß]/i.test(text)) scores.de += 2;
+
+    const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
 
-    return detected && detected[1] > 2 ? detected[0] : 'en'; // Default to English
+    // Need some evidence and a clear lead over the next language
+    if (best[1] >= 2 && best[1] > runnerUp[1]) return best[0];
+    return 'unknown';
 }
 
 /**
@@ -0,0 +1,38 @@
+/**
+ * Visitor Identity
+ * Stable anonymous visitor ID shared by the relay, persistence and analytics
+ */
+
+const VISITOR_KEY = 'blitsum_visitor_id';
+
+let memoryVisitorId = null;
+
+/**
+ * Generate a random identifier
+ * @returns {string} Random ID
+ */
+export function generateId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Get (or create) the anonymous visitor ID
+ * Falls back to an in-memory ID when localStorage is unavailable
+ * @returns {string} Visitor ID
+ */
+export function getVisitorId() {
+    try {
+        let visitorId = localStorage.getItem(VISITOR_KEY);
+        if (!visitorId) {
+            visitorId = generateId();
+            localStorage.setItem(VISITOR_KEY, visitorId);
+        }
+        return visitorId;
+    } catch {
+        if (!memoryVisitorId) memoryVisitorId = generateId();
+        return memoryVisitorId;
+    }
+}
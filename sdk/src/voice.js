@@ -1,16 +1,26 @@
 import { MurfFalconClient } from './utils/murf.js';
 import { Store } from './store.js';
+import { isProxyMode, fetchMurfToken } from './proxy.js';
+import { BrowserTTSClient } from './utils/browserTTS.js';
+import { languageManager } from './i18n.js';
+import { toPlainText } from './utils/markdown.js';
 
 export class VoiceHandler {
     constructor() {
         this.recognition = null;
 
-        // Get Murf API Key from config or environment
+        // In proxy mode Murf tokens are minted by the relay; otherwise use a key from config or environment
         const config = Store.getState().config || {};
-        const envKey = (typeof import.meta !== 'undefined' && import.meta.env?.VITE_MURF_API_KEY);
-        const murfKey = config.murfApiKey || envKey || 'ap2_6c04b66d-d001-415c-a8e8-7510c9262174';
-
-        this.murfClient = new MurfFalconClient(murfKey);
+        if (isProxyMode()) {
+            this.murfClient = new MurfFalconClient({ getToken: fetchMurfToken });
+        } else {
+            const envKey = (typeof import.meta !== 'undefined' && import.meta.env?.VITE_MURF_API_KEY);
+            const murfKey = config.murfApiKey || envKey;
+            if (!murfKey) {
+                console.warn('[VoiceHandler] No Murf API key configured - set proxyUrl or murfApiKey');
+            }
+            this.murfClient = new MurfFalconClient(murfKey);
+        }
         this.isListening = false;
         this.isSpeaking = false;
         this.silenceTimer = null;
@@ -19,6 +29,7 @@ export class VoiceHandler {
         this.onResponseCallback = null;
         this.onStatusChange = null;
         this.browserInfo = this.detectBrowser();
+        this.browserTTS = null;
     }
 
     /**
@@ -81,7 +92,7 @@ export class VoiceHandler {
         // Configure for continuous recognition
         this.recognition.continuous = true;
         this.recognition.interimResults = true;
-        this.recognition.lang = 'en-US';
+        this.recognition.lang = languageManager.getLocale();
         this.recognition.maxAlternatives = 1;
 
         // Event handlers
@@ -161,7 +172,7 @@ export class VoiceHandler {
             // Get AI response
             if (this.onResponseCallback) {
                 const aiResponse = await this.onResponseCallback(userMessage);
-                await this.speak(aiResponse);
+                await this.speak(toPlainText(aiResponse));
             }
         } catch (error) {
             console.error('Error processing speech:', error);
@@ -197,13 +208,25 @@ export class VoiceHandler {
             }
 
             // Speak the text and WAIT for completion (MurfClient now returns a Promise)
-            await this.murfClient.speak(text);
+            await this.murfClient.speak(text, languageManager.getMurfVoice());
 
             // Speech completed successfully
             this.handleSpeechEnd();
         } catch (error) {
             console.error('[VoiceHandler] Murf TTS failed:', error);
 
+            // Fall back to the browser's own voices in the same language
+            if (this.browserInfo.hasSpeechSynthesis && this.isListening) {
+                try {
+                    this.browserTTS = this.browserTTS || new BrowserTTSClient();
+                    await this.browserTTS.speak(text, languageManager.getLocale());
+                    this.handleSpeechEnd();
+                    return;
+                } catch (fallbackError) {
+                    console.error('[VoiceHandler] Browser TTS failed too:', fallbackError);
+                }
+            }
+
             // Fallback: just end the speaking state
             this.handleSpeechEnd();
 
@@ -229,6 +252,8 @@ export class VoiceHandler {
                 try {
                     // Check if still listening mode and not speaking
                     if (this.isListening && !this.isSpeaking) {
+                        // Pick up a language switch made during the last turn
+                        this.recognition.lang = languageManager.getLocale();
                         this.recognition.start();
                         console.log('[VoiceHandler] Recognition restarted');
                     }
@@ -249,6 +274,7 @@ export class VoiceHandler {
         if (this.isSpeaking) {
             console.log('[VoiceHandler] Interrupting speech');
             this.murfClient.flushBuffer();
+            if (this.browserTTS) this.browserTTS.interrupt();
             // We don't manually call handleSpeechEnd here because flushBuffer 
             // causing the pending promise to resolve/reject will trigger 
             // the 'finally' or next steps in speak().
@@ -273,6 +299,7 @@ export class VoiceHandler {
         }
 
         this.murfClient.disconnect();
+        if (this.browserTTS) this.browserTTS.disconnect();
         this.updateStatus('idle');
     }
 
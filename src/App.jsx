@@ -2,12 +2,15 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Navbar from './components/Navbar';
 import Footer from './components/Footer';
+import BlitsumRouterBridge from './components/BlitsumRouterBridge';
 import Home from './pages/Home';
 import About from './pages/About';
+import Dashboard from './pages/Dashboard';
 
 function App() {
   return (
     <Router>
+      <BlitsumRouterBridge />
       <main className="min-h-screen flex flex-col">
         <div className="fixed top-0 left-0 right-0 z-50">
           <Navbar />
@@ -19,6 +22,7 @@ function App() {
           <Routes>
             <Route path="/" element={<Home />} />
             <Route path="/about" element={<About />} />
+            <Route path="/dashboard" element={<Dashboard />} />
           </Routes>
         </div>
 
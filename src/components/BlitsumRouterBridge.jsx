@@ -0,0 +1,31 @@
+import { useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+// Lets the Blitsum widget's goto_page action use React Router instead of full page loads.
+// Must be rendered inside <Router>.
+const BlitsumRouterBridge = () => {
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        let unregister = null;
+        const register = () => {
+            unregister = window.Blitsum?.setRouter({ navigate: (path) => navigate(path) }) || null;
+        };
+
+        // The widget script may load after the app mounts
+        if (window.Blitsum?.setRouter) {
+            register();
+        } else {
+            window.addEventListener('blitsum:ready', register, { once: true });
+        }
+
+        return () => {
+            window.removeEventListener('blitsum:ready', register);
+            if (unregister) unregister();
+        };
+    }, [navigate]);
+
+    return null;
+};
+
+export default BlitsumRouterBridge;
@@ -91,6 +91,8 @@ const Hero = () => {
                             >
                                 <input
                                     type="email"
+                                    name="email"
+                                    aria-label="Work email"
                                     placeholder="Enter your work email"
                                     value={email}
                                     onChange={(e) => {
@@ -121,6 +123,7 @@ const Hero = () => {
                             {/* Status Message */}
                             {status === 'error' && (
                                 <motion.div
+                                    role="alert"
                                     initial={{ opacity: 0, y: -10 }}
                                     animate={{ opacity: 1, y: 0 }}
                                     className="absolute -bottom-8 left-0 w-full text-center"
@@ -0,0 +1,35 @@
+import React from 'react';
+
+// Horizontal bars for funnel steps, score buckets and action rates.
+// Bars are scaled to the largest value unless an item gives its own ratio (0-1).
+const BarList = ({ title, items, emptyText = 'No data yet.' }) => {
+    const max = Math.max(1, ...items.map(item => item.value));
+
+    return (
+        <div className="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm">
+            <h2 className="text-lg font-bold text-slate-900 mb-4">{title}</h2>
+            {items.length === 0 ? (
+                <p className="text-sm text-slate-400">{emptyText}</p>
+            ) : (
+                <ul className="flex flex-col gap-3">
+                    {items.map(item => (
+                        <li key={item.label}>
+                            <div className="flex items-center justify-between text-sm mb-1">
+                                <span className="text-slate-700 font-medium truncate pr-4">{item.label}</span>
+                                <span className="text-slate-500 whitespace-nowrap">{item.display ?? item.value}</span>
+                            </div>
+                            <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+                                <div
+                                    className="h-full rounded-full bg-indigo-500"
+                                    style={{ width: `${(item.ratio ?? item.value / max) * 100}%` }}
+                                />
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default BarList;
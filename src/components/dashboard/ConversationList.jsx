@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { MessageSquare, Bot, User } from 'lucide-react';
+import { toDate } from './metrics';
+
+const formatDateTime = (value) => toDate(value)?.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) || '—';
+
+const ConversationList = ({ conversations }) => {
+    const [selectedId, setSelectedId] = useState(null);
+    const selected = conversations.find(c => c.sessionId === selectedId) || conversations[0];
+
+    if (conversations.length === 0) {
+        return (
+            <div className="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm text-sm text-slate-400">
+                No conversations recorded yet. Transcripts are saved when the widget runs with <code>analytics.transcripts</code> on.
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm grid grid-cols-1 md:grid-cols-[320px_1fr] overflow-hidden">
+            <ul className="border-b md:border-b-0 md:border-r border-slate-200 max-h-[560px] overflow-y-auto">
+                {conversations.map(conversation => (
+                    <li key={conversation.sessionId}>
+                        <button
+                            type="button"
+                            onClick={() => setSelectedId(conversation.sessionId)}
+                            className={`w-full text-left px-5 py-4 border-b border-slate-100 transition-colors ${conversation === selected ? 'bg-indigo-50' : 'hover:bg-slate-50'}`}
+                        >
+                            <div className="flex items-center justify-between text-sm font-medium text-slate-900">
+                                <span className="flex items-center gap-2">
+                                    <MessageSquare className="w-4 h-4 text-indigo-600" />
+                                    {conversation.messages} {conversation.messages === 1 ? 'message' : 'messages'}
+                                </span>
+                                <span className="text-xs font-semibold text-indigo-600 uppercase tracking-wider">{conversation.stage}</span>
+                            </div>
+                            <div className="text-xs text-slate-500 mt-1">{formatDateTime(conversation.lastSeen)} · {conversation.landingPage}</div>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            <div className="p-6 max-h-[560px] overflow-y-auto">
+                <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs text-slate-500 mb-4">
+                    <span>Started {formatDateTime(selected.startedAt)}</span>
+                    <span>Stage: {selected.stage}</span>
+                    {selected.bantScore !== null && <span>BANT: {Math.round(selected.bantScore * 100)}%</span>}
+                </div>
+
+                {selected.transcript.length === 0 ? (
+                    <p className="text-sm text-slate-400">No transcript for this session (the visitor may still be on the site).</p>
+                ) : (
+                    <ol className="flex flex-col gap-3">
+                        {selected.transcript.map((entry, index) => (
+                            <li key={index} className={`flex gap-3 ${entry.role === 'user' ? 'flex-row-reverse text-right' : ''}`}>
+                                <div className={`w-8 h-8 shrink-0 rounded-full flex items-center justify-center ${entry.role === 'user' ? 'bg-slate-900 text-white' : 'bg-indigo-50 text-indigo-600'}`}>
+                                    {entry.role === 'user' ? <User className="w-4 h-4" /> : <Bot className="w-4 h-4" />}
+                                </div>
+                                <div className={`max-w-[80%] px-4 py-2.5 rounded-2xl text-sm whitespace-pre-wrap ${entry.role === 'user' ? 'bg-slate-900 text-white' : 'bg-slate-100 text-slate-800'}`}>
+                                    {entry.text}
+                                    <div className="text-[11px] mt-1 text-slate-400">
+                                        {toDate(entry.timestamp)?.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                                    </div>
+                                </div>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ConversationList;
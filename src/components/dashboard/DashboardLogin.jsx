@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { signInWithEmailAndPassword } from 'firebase/auth';
+import { Lock, Loader2, AlertCircle } from 'lucide-react';
+import { auth } from '../../firebase';
+
+const DashboardLogin = () => {
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [status, setStatus] = useState('idle'); // idle, loading, error
+    const [errorMessage, setErrorMessage] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setStatus('loading');
+        setErrorMessage('');
+
+        try {
+            await signInWithEmailAndPassword(auth, email.trim(), password);
+        } catch (error) {
+            console.error("Error signing in: ", error);
+            setStatus('error');
+            setErrorMessage(error.code === 'auth/too-many-requests'
+                ? 'Too many attempts. Please try again later.'
+                : 'Incorrect email or password.');
+        }
+    };
+
+    return (
+        <div className="max-w-sm mx-auto bg-white p-8 rounded-2xl border border-slate-200 shadow-sm">
+            <div className="w-12 h-12 rounded-xl bg-indigo-50 text-indigo-600 flex items-center justify-center mb-6">
+                <Lock className="w-6 h-6" />
+            </div>
+            <h1 className="text-2xl font-bold text-slate-900 mb-2">Owner dashboard</h1>
+            <p className="text-sm text-slate-500 mb-6">Sign in with your team account to see conversations and funnel metrics.</p>
+
+            <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+                <label className="flex flex-col gap-1.5 text-sm font-medium text-slate-700">
+                    Email
+                    <input
+                        type="email"
+                        autoComplete="email"
+                        required
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        className="px-4 py-2.5 rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-indigo-500 font-normal"
+                    />
+                </label>
+                <label className="flex flex-col gap-1.5 text-sm font-medium text-slate-700">
+                    Password
+                    <input
+                        type="password"
+                        autoComplete="current-password"
+                        required
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className="px-4 py-2.5 rounded-lg border border-slate-200 focus:outline-none focus:ring-2 focus:ring-indigo-500 font-normal"
+                    />
+                </label>
+
+                {status === 'error' && (
+                    <p className="flex items-center gap-2 text-sm text-red-600">
+                        <AlertCircle className="w-4 h-4" /> {errorMessage}
+                    </p>
+                )}
+
+                <button
+                    type="submit"
+                    disabled={status === 'loading'}
+                    className="bg-slate-900 text-white px-5 py-2.5 rounded-lg text-sm font-bold shadow-md hover:shadow-lg transition-all disabled:opacity-60 flex items-center justify-center gap-2"
+                >
+                    {status === 'loading' && <Loader2 className="w-4 h-4 animate-spin" />}
+                    Sign in
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default DashboardLogin;
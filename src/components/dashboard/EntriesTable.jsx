@@ -0,0 +1,36 @@
+import React from 'react';
+
+// Simple table for lead and waitlist documents; columns are { label, render(entry) }
+const EntriesTable = ({ title, entries, columns, emptyText = 'No entries yet.' }) => {
+    return (
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+            <h2 className="text-lg font-bold text-slate-900 px-6 pt-6 pb-4">
+                {title} <span className="text-sm font-medium text-slate-400">({entries.length})</span>
+            </h2>
+            {entries.length === 0 ? (
+                <p className="px-6 pb-6 text-sm text-slate-400">{emptyText}</p>
+            ) : (
+                <div className="max-h-[420px] overflow-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="bg-slate-50 text-xs uppercase tracking-wider text-slate-500">
+                            <tr>
+                                {columns.map(column => <th key={column.label} className="px-6 py-3 font-semibold">{column.label}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.map(entry => (
+                                <tr key={entry.id} className="border-t border-slate-100">
+                                    {columns.map(column => (
+                                        <td key={column.label} className="px-6 py-3 text-slate-700">{column.render(entry) ?? '—'}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default EntriesTable;
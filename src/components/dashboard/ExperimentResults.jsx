@@ -0,0 +1,73 @@
+import React from 'react';
+
+const formatRate = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+const formatLift = (lift) => {
+    if (lift === null) return '—';
+    return `${lift > 0 ? '+' : ''}${Math.round(lift * 100)}%`;
+};
+
+const formatPValue = (pValue) => (pValue < 0.001 ? '<0.001' : pValue.toFixed(3));
+
+// One table per experiment: each variant's conversion rate on the primary goal,
+// its 95% interval, and lift and p-value against the baseline (first) variant.
+const ExperimentResults = ({ experiments }) => {
+    if (experiments.length === 0) {
+        return (
+            <div className="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm text-sm text-slate-400">
+                No experiments running. Declare them with <code>Blitsum.init({'{'} experiments {'}'})</code>.
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6">
+            {experiments.map(experiment => (
+                <div key={experiment.id} className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+                    <div className="px-6 pt-6 pb-4">
+                        <h3 className="text-lg font-bold text-slate-900">{experiment.id}</h3>
+                        <p className="text-sm text-slate-500">
+                            {[experiment.target, `goal: ${experiment.goal || 'none yet'}`, `${experiment.visitors} visitors`].filter(Boolean).join(' · ')}
+                        </p>
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm text-left">
+                            <thead className="bg-slate-50 text-xs uppercase tracking-wider text-slate-500">
+                                <tr>
+                                    <th className="px-6 py-3 font-semibold">Variant</th>
+                                    <th className="px-6 py-3 font-semibold">Visitors</th>
+                                    <th className="px-6 py-3 font-semibold">Conversions</th>
+                                    <th className="px-6 py-3 font-semibold">Rate (95% CI)</th>
+                                    <th className="px-6 py-3 font-semibold">Lift</th>
+                                    <th className="px-6 py-3 font-semibold">p-value</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {experiment.variants.map(variant => (
+                                    <tr key={variant.id} className="border-t border-slate-100">
+                                        <td className="px-6 py-3 font-medium text-slate-900">
+                                            {variant.id}
+                                            {variant.id === experiment.baseline && <span className="ml-2 text-xs text-slate-400">baseline</span>}
+                                        </td>
+                                        <td className="px-6 py-3 text-slate-700">{variant.visitors}</td>
+                                        <td className="px-6 py-3 text-slate-700">{variant.conversions}</td>
+                                        <td className="px-6 py-3 text-slate-700">
+                                            {formatRate(variant.rate)}{' '}
+                                            <span className="text-slate-400">({formatRate(variant.interval[0])}–{formatRate(variant.interval[1])})</span>
+                                        </td>
+                                        <td className={`px-6 py-3 ${variant.significant ? (variant.lift > 0 ? 'text-emerald-600 font-semibold' : 'text-red-600 font-semibold') : 'text-slate-700'}`}>
+                                            {formatLift(variant.lift)}
+                                        </td>
+                                        <td className="px-6 py-3 text-slate-700">{variant.pValue === null ? '—' : formatPValue(variant.pValue)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ExperimentResults;
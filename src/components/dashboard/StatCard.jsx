@@ -0,0 +1,18 @@
+import React from 'react';
+
+const StatCard = ({ icon, label, value, hint }) => {
+    const Icon = icon;
+
+    return (
+        <div className="bg-white p-6 rounded-2xl border border-slate-200 shadow-sm">
+            <div className="flex items-center gap-2 text-sm font-medium text-slate-500 mb-3">
+                <Icon className="w-4 h-4 text-indigo-600" />
+                {label}
+            </div>
+            <div className="text-3xl font-bold text-slate-900">{value}</div>
+            {hint && <div className="text-xs text-slate-400 mt-1">{hint}</div>}
+        </div>
+    );
+};
+
+export default StatCard;
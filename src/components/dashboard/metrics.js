@@ -0,0 +1,181 @@
+import { SELF_SERVE_FUNNEL, ConversationStage } from '../../../sdk/src/sales/funnels.js';
+import { computeExperimentResults } from '../../../sdk/src/experiments/results.js';
+
+// Objection handling is a detour, not a step toward signup
+const FUNNEL_STEPS = SELF_SERVE_FUNNEL.stages.filter(stage => stage.id !== ConversationStage.OBJECTION);
+
+// What the assistant says when the page doesn't have the answer (system prompt rule 3)
+const UNANSWERED_PATTERN = /\b(?:don't|do not|doesn't|does not) have (?:that|this|any|the)\b|\bnot sure\b|\bcouldn't find\b|\bno information\b|\bisn't (?:mentioned|listed)\b/i;
+
+const SCORE_BUCKETS = ['0-20%', '20-40%', '40-60%', '60-80%', '80-100%'];
+
+/**
+ * Firestore Timestamp, ISO string or millis to a Date
+ */
+export const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Group analytics events into one record per session
+ * The transcript and BANT score come from the session's latest engagement event.
+ * @param {Array<Object>} events - Analytics events
+ * @returns {Array<Object>} Conversations, most recent first
+ */
+export const buildConversations = (events) => {
+    const sessions = new Map();
+
+    events.forEach(event => {
+        if (!event.sessionId) return;
+        if (!sessions.has(event.sessionId)) {
+            sessions.set(event.sessionId, {
+                sessionId: event.sessionId,
+                visitorId: event.visitorId,
+                startedAt: event.timestamp,
+                lastSeen: event.timestamp,
+                landingPage: event.path,
+                stage: event.stage,
+                messages: 0,
+                bantScore: null,
+                transcript: [],
+                events: []
+            });
+        }
+
+        const session = sessions.get(event.sessionId);
+        session.events.push(event);
+        if (event.timestamp < session.startedAt) {
+            session.startedAt = event.timestamp;
+            session.landingPage = event.path;
+        }
+        if (event.timestamp >= session.lastSeen) {
+            session.lastSeen = event.timestamp;
+            session.stage = event.stage;
+        }
+        if (event.type === 'session_start') session.landingPage = event.properties?.landingPage || session.landingPage;
+        if (event.type === 'message_sent') session.messages++;
+
+        // Each page sends a fresh snapshot; keep the newest
+        if (event.type === 'engagement' && event.timestamp >= (session.engagementAt || '')) {
+            session.engagementAt = event.timestamp;
+            session.bantScore = event.properties?.bantScore ?? session.bantScore;
+            if (event.properties?.transcript) session.transcript = event.properties.transcript;
+        }
+    });
+
+    return [...sessions.values()]
+        .filter(session => session.messages > 0 || session.transcript.length > 0)
+        .sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : -1));
+};
+
+/**
+ * Sessions reaching each stage of the default funnel, and the drop-off from the step before
+ * @param {Array<Object>} events - Analytics events
+ * @returns {Array<Object>} Steps ({ id, label, reached, dropOff })
+ */
+export const buildFunnel = (events) => {
+    const reachedBySession = new Map();
+    const markReached = (sessionId, stageId) => {
+        if (!reachedBySession.has(sessionId)) reachedBySession.set(sessionId, new Set());
+        reachedBySession.get(sessionId).add(stageId);
+    };
+
+    events.forEach(event => {
+        if (!event.sessionId) return;
+        if (event.type === 'session_start') markReached(event.sessionId, SELF_SERVE_FUNNEL.initialStage);
+        if (event.type === 'stage_change') markReached(event.sessionId, event.properties?.to);
+    });
+
+    const sessions = [...reachedBySession.values()];
+    return FUNNEL_STEPS.map((step, index) => {
+        // Stages can be skipped, so a session counts for every step up to the furthest one it reached
+        const reached = sessions.filter(stages => FUNNEL_STEPS.slice(index).some(later => stages.has(later.id))).length;
+        return { id: step.id, label: step.label, reached };
+    }).map((step, index, steps) => {
+        const previous = index > 0 ? steps[index - 1].reached : step.reached;
+        return { ...step, dropOff: previous > 0 ? 1 - step.reached / previous : 0 };
+    });
+};
+
+/**
+ * Bucket BANT scores of conversations (or captured leads when a session has none)
+ * @param {Array<Object>} conversations - From buildConversations
+ * @param {Array<Object>} leads - Lead documents
+ * @returns {Array<Object>} Buckets ({ label, count })
+ */
+export const buildScoreDistribution = (conversations, leads) => {
+    const counts = SCORE_BUCKETS.map(label => ({ label, count: 0 }));
+    const scored = new Set();
+
+    const add = (score) => {
+        if (typeof score !== 'number') return;
+        counts[Math.min(Math.floor(score * SCORE_BUCKETS.length), SCORE_BUCKETS.length - 1)].count++;
+    };
+
+    conversations.forEach(conversation => {
+        if (conversation.bantScore === null) return;
+        add(conversation.bantScore);
+        scored.add(conversation.visitorId);
+    });
+    leads.forEach(lead => {
+        if (!scored.has(lead.visitorId)) add(lead.qualification?.score);
+    });
+
+    return counts;
+};
+
+/**
+ * Visitor questions the assistant said it had no answer for, most asked first
+ * @param {Array<Object>} conversations - From buildConversations
+ * @param {number} limit - Maximum number of questions
+ * @returns {Array<Object>} Questions ({ question, count })
+ */
+export const buildUnansweredQuestions = (conversations, limit = 10) => {
+    const questions = new Map();
+
+    conversations.forEach(({ transcript }) => {
+        transcript.forEach((entry, index) => {
+            const reply = transcript[index + 1];
+            if (entry.role !== 'user' || reply?.role !== 'assistant' || !UNANSWERED_PATTERN.test(reply.text || '')) return;
+
+            const key = entry.text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+            if (!key) return;
+            const existing = questions.get(key) || { question: entry.text.trim(), count: 0 };
+            existing.count++;
+            questions.set(key, existing);
+        });
+    });
+
+    return [...questions.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+};
+
+/**
+ * Success rate per action type
+ * @param {Array<Object>} events - Analytics events
+ * @returns {Array<Object>} Actions ({ action, total, succeeded, rate }), most used first
+ */
+export const buildActionStats = (events) => {
+    const actions = new Map();
+
+    events.filter(event => event.type === 'action_executed').forEach(event => {
+        const action = event.properties?.action || 'unknown';
+        const stats = actions.get(action) || { action, total: 0, succeeded: 0 };
+        stats.total++;
+        if (event.properties?.success) stats.succeeded++;
+        actions.set(action, stats);
+    });
+
+    return [...actions.values()]
+        .map(stats => ({ ...stats, rate: stats.succeeded / stats.total }))
+        .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Conversion rate, 95% interval and significance per experiment variant
+ * @param {Array<Object>} events - All experiment exposure and conversion events (a recent sample would skew the results)
+ * @returns {Array<Object>} Experiments (see computeExperimentResults)
+ */
+export const buildExperiments = (events) => computeExperimentResults(events);
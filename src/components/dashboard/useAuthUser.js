@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { auth } from '../../firebase';
+
+/**
+ * Current Firebase Auth user
+ * @returns {Object} { user, checking } - checking is true until Firebase reports the first state
+ */
+const useAuthUser = () => {
+    const [user, setUser] = useState(auth.currentUser);
+    const [checking, setChecking] = useState(true);
+
+    useEffect(() => onAuthStateChanged(auth, (nextUser) => {
+        setUser(nextUser);
+        setChecking(false);
+    }), []);
+
+    return { user, checking };
+};
+
+export default useAuthUser;
@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback } from 'react';
+import { collection, getDocs, limit, orderBy, query, where } from 'firebase/firestore';
+import { db } from '../../firebase';
+
+// The most recent analytics events are enough for the overview
+const EVENT_LIMIT = 2000;
+const ENTRY_LIMIT = 200;
+
+// Experiment results need every exposure and conversion, not just the recent ones
+const EXPERIMENT_EVENT_TYPES = ['experiment_exposure', 'experiment_conversion'];
+
+const toEntries = (snapshot) => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+const fetchCollection = async (name, field, max) =>
+    toEntries(await getDocs(query(collection(db, name), orderBy(field, 'desc'), limit(max))));
+
+const fetchExperimentEvents = async () =>
+    toEntries(await getDocs(query(collection(db, 'analytics'), where('type', 'in', EXPERIMENT_EVENT_TYPES))));
+
+/**
+ * Load analytics events, leads and waitlist entries for the dashboard
+ * @returns {Object} { events, experimentEvents, leads, waitlist, status, error, reload }
+ */
+const useDashboardData = () => {
+    const [data, setData] = useState({ events: [], experimentEvents: [], leads: [], waitlist: [] });
+    const [status, setStatus] = useState('loading'); // loading, ready, error
+    const [error, setError] = useState('');
+
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        // Analytics timestamps are ISO strings; leads and the waitlist use server timestamps
+        Promise.all([
+            fetchCollection('analytics', 'timestamp', EVENT_LIMIT),
+            fetchCollection('leads', 'timestamp', ENTRY_LIMIT),
+            fetchCollection('waitlist', 'timestamp', ENTRY_LIMIT),
+            fetchExperimentEvents()
+        ]).then(([events, leads, waitlist, experimentEvents]) => {
+            if (cancelled) return;
+            setData({ events, experimentEvents, leads, waitlist });
+            setStatus('ready');
+        }).catch(err => {
+            if (cancelled) return;
+            console.error('Error loading dashboard data: ', err);
+            setError(err.code === 'permission-denied'
+                ? 'This account does not have access to the dashboard data.'
+                : 'Could not load dashboard data. Please try again.');
+            setStatus('error');
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [reloadKey]);
+
+    const reload = useCallback(() => {
+        setStatus('loading');
+        setError('');
+        setReloadKey(key => key + 1);
+    }, []);
+
+    return { ...data, status, error, reload };
+};
+
+export default useDashboardData;
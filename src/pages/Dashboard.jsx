@@ -0,0 +1,178 @@
+import React, { useMemo } from 'react';
+import { signOut } from 'firebase/auth';
+import { MessageSquare, Users, Target, Zap, Loader2, AlertCircle, RefreshCw, LogOut } from 'lucide-react';
+import { auth } from '../firebase';
+import useAuthUser from '../components/dashboard/useAuthUser';
+import useDashboardData from '../components/dashboard/useDashboardData';
+import DashboardLogin from '../components/dashboard/DashboardLogin';
+import StatCard from '../components/dashboard/StatCard';
+import BarList from '../components/dashboard/BarList';
+import ConversationList from '../components/dashboard/ConversationList';
+import EntriesTable from '../components/dashboard/EntriesTable';
+import ExperimentResults from '../components/dashboard/ExperimentResults';
+import {
+    toDate,
+    buildConversations,
+    buildFunnel,
+    buildScoreDistribution,
+    buildUnansweredQuestions,
+    buildActionStats,
+    buildExperiments
+} from '../components/dashboard/metrics';
+
+const formatPercent = (ratio) => `${Math.round(ratio * 100)}%`;
+const formatDate = (value) => toDate(value)?.toLocaleDateString([], { dateStyle: 'medium' });
+
+const LEAD_COLUMNS = [
+    { label: 'Email', render: lead => lead.contact?.email },
+    { label: 'Name', render: lead => lead.contact?.name },
+    { label: 'Company', render: lead => lead.contact?.company },
+    { label: 'Stage', render: lead => lead.stage },
+    { label: 'BANT', render: lead => (typeof lead.qualification?.score === 'number' ? formatPercent(lead.qualification.score) : null) },
+    { label: 'Captured', render: lead => formatDate(lead.timestamp || lead.capturedAt) }
+];
+
+const WAITLIST_COLUMNS = [
+    { label: 'Email', render: entry => entry.email },
+    { label: 'Source', render: entry => entry.source },
+    { label: 'Joined', render: entry => formatDate(entry.timestamp) }
+];
+
+// Signed-in view. Signing in only unlocks the UI: firestore.rules lets a user
+// read the analytics, leads and waitlist collections only with the `dashboard`
+// custom claim or an entry in `dashboardUsers`.
+const DashboardContent = ({ user }) => {
+    const { events, experimentEvents, leads, waitlist, status, error, reload } = useDashboardData();
+
+    const metrics = useMemo(() => {
+        const conversations = buildConversations(events);
+        const actions = buildActionStats(events);
+        const actionTotal = actions.reduce((sum, action) => sum + action.total, 0);
+        return {
+            conversations,
+            funnel: buildFunnel(events),
+            scores: buildScoreDistribution(conversations, leads),
+            unanswered: buildUnansweredQuestions(conversations),
+            actions,
+            experiments: buildExperiments(experimentEvents),
+            actionRate: actionTotal > 0 ? actions.reduce((sum, action) => sum + action.succeeded, 0) / actionTotal : null
+        };
+    }, [events, experimentEvents, leads]);
+
+    return (
+        <>
+            <div className="flex flex-col md:flex-row md:items-end justify-between gap-4 mb-10">
+                <div>
+                    <h1 className="text-3xl md:text-4xl font-bold text-slate-900 tracking-tight">Dashboard</h1>
+                    <p className="text-slate-500 mt-1">Signed in as {user.email}</p>
+                </div>
+                <div className="flex items-center gap-3">
+                    <button
+                        type="button"
+                        onClick={reload}
+                        disabled={status === 'loading'}
+                        className="flex items-center gap-2 px-4 py-2 rounded-lg border border-slate-200 bg-white text-sm font-medium text-slate-700 hover:bg-slate-50 transition-colors disabled:opacity-60"
+                    >
+                        <RefreshCw className={`w-4 h-4 ${status === 'loading' ? 'animate-spin' : ''}`} /> Refresh
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => signOut(auth)}
+                        className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-900 text-white text-sm font-bold hover:shadow-lg transition-all"
+                    >
+                        <LogOut className="w-4 h-4" /> Sign out
+                    </button>
+                </div>
+            </div>
+
+            {status === 'error' && (
+                <div className="flex items-center gap-2 p-4 mb-8 rounded-xl bg-red-50 border border-red-100 text-sm text-red-700">
+                    <AlertCircle className="w-4 h-4" /> {error}
+                </div>
+            )}
+
+            {status === 'loading' && events.length === 0 ? (
+                <div className="flex justify-center py-24 text-slate-400">
+                    <Loader2 className="w-8 h-8 animate-spin" />
+                </div>
+            ) : (
+                <div className="flex flex-col gap-8">
+                    <div className="grid grid-cols-2 lg:grid-cols-4 gap-6">
+                        <StatCard icon={MessageSquare} label="Conversations" value={metrics.conversations.length} hint={`from the latest ${events.length} events`} />
+                        <StatCard icon={Target} label="Leads" value={leads.length} />
+                        <StatCard icon={Users} label="Waitlist" value={waitlist.length} />
+                        <StatCard
+                            icon={Zap}
+                            label="Action success"
+                            value={metrics.actionRate === null ? '—' : formatPercent(metrics.actionRate)}
+                        />
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <BarList
+                            title="Stage funnel"
+                            items={metrics.funnel.map((step, index) => ({
+                                label: step.label,
+                                value: step.reached,
+                                display: index > 0 && step.dropOff > 0 ? `${step.reached} (−${formatPercent(step.dropOff)})` : `${step.reached}`
+                            }))}
+                        />
+                        <BarList
+                            title="BANT score distribution"
+                            items={metrics.scores.map(bucket => ({ label: bucket.label, value: bucket.count }))}
+                        />
+                        <BarList
+                            title="Top unanswered questions"
+                            emptyText="No questions the assistant couldn't answer."
+                            items={metrics.unanswered.map(({ question, count }) => ({ label: question, value: count }))}
+                        />
+                        <BarList
+                            title="Action success rate"
+                            items={metrics.actions.map(action => ({
+                                label: action.action,
+                                value: action.total,
+                                ratio: action.rate,
+                                display: `${formatPercent(action.rate)} of ${action.total}`
+                            }))}
+                        />
+                    </div>
+
+                    <div>
+                        <h2 className="text-xl font-bold text-slate-900 mb-4">Experiments</h2>
+                        <ExperimentResults experiments={metrics.experiments} />
+                    </div>
+
+                    <div>
+                        <h2 className="text-xl font-bold text-slate-900 mb-4">Conversations</h2>
+                        <ConversationList conversations={metrics.conversations} />
+                    </div>
+
+                    <EntriesTable title="Leads" entries={leads} columns={LEAD_COLUMNS} />
+                    <EntriesTable title="Waitlist" entries={waitlist} columns={WAITLIST_COLUMNS} />
+                </div>
+            )}
+        </>
+    );
+};
+
+const Dashboard = () => {
+    const { user, checking } = useAuthUser();
+
+    return (
+        <div className="pt-24 pb-12 w-full bg-slate-50 min-h-screen">
+            <div className="max-w-[1240px] mx-auto px-6 pt-8">
+                {checking ? (
+                    <div className="flex justify-center py-24 text-slate-400">
+                        <Loader2 className="w-8 h-8 animate-spin" />
+                    </div>
+                ) : user ? (
+                    <DashboardContent user={user} />
+                ) : (
+                    <DashboardLogin />
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Dashboard;